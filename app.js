@@ -1,1088 +1,2967 @@
-// VERSION:1
-// Main Application Class with Comprehensive Debugging
-class App {
-    constructor() {
-        
-        this.currentCommander = null;
-        this.cardData = null;
-        this.fontSize = 'md';
-        this.displayEngine = null;
-		this.contentType = null;
-        
-        this.initializeElements();
-        this.initializeEventListeners();
-        this.initializeModules();
-    }
-
-    initializeElements() {
-        this.cardSearch = document.getElementById('cardSearch');
-        this.searchResults = document.getElementById('searchResults');
-        this.generateBtn = document.getElementById('generateBtn');
-        this.cardGrid = document.getElementById('cardGrid');
-        this.loadingSpinner = document.getElementById('loadingSpinner');
-        this.errorMessage = document.getElementById('errorMessage');
-        this.statusMessage = document.getElementById('statusMessage');
-        
-        this.loadBtn = document.getElementById('loadBtn');
-        this.downloadTextBtn = document.getElementById('downloadTextBtn');
-        this.generatePdfBtn = document.getElementById('generatePdfBtn');
-        this.printBtn = document.getElementById('printBtn');
-        this.sizeDown = document.getElementById('sizeDown');
-        this.sizeUp = document.getElementById('sizeUp');
-        this.sizeDisplay = document.getElementById('sizeDisplay');
-        this.fileInput = document.getElementById('fileInput');
-        this.pdfCutoff = document.getElementById('pdfCutoff');
-    }
-
-    initializeEventListeners() {
-        try {
-            if (this.cardSearch) {
-                this.cardSearch.addEventListener('input', (e) => {
-                    this.handleSearchInput(e);
-                });
-				
-				this.setupSearchDropdown();
-            }
-
-            if (this.generateBtn) {
-                this.generateBtn.addEventListener('click', () => {
-                    this.generateList();
-                });
-            }
-
-            if (this.loadBtn) {
-                this.loadBtn.addEventListener('click', () => {
-                    this.loadList();
-                });
-            }
-
-            if (this.downloadTextBtn) {
-                this.downloadTextBtn.addEventListener('click', () => {
-                    this.downloadText();
-                });
-            }
-
-            if (this.generatePdfBtn) {
-                this.generatePdfBtn.addEventListener('click', () => {
-                    this.generatePdf();
-                });
-            }
-
-            if (this.printBtn) {
-                this.printBtn.addEventListener('click', () => {
-                    this.printList();
-                });
-            }
-
-            if (this.sizeDown) {
-                this.sizeDown.addEventListener('click', () => {
-                    this.decreaseFontSize();
-                });
-            }
-
-            if (this.sizeUp) {
-                this.sizeUp.addEventListener('click', () => {
-                    this.increaseFontSize();
-                });
-            }
-			
-			// ADD THIS EVENT LISTENER for PDF cutoff filter:
-			if (this.pdfCutoff) {
-				this.pdfCutoff.addEventListener('change', (e) => {
-					const value = parseInt(e.target.value);
-					if (value < 0) e.target.value = 0;
-					if (value > 100) e.target.value = 100;
-				});
-			}
-
-            if (this.fileInput) {
-                this.fileInput.addEventListener('change', (e) => {
-                    this.handleFileSelect(e);
-                });
-            }
-
-        } catch (error) {
-            if (this.debug && this.debug.error) {
-                this.debug.error('Error initializing event listeners', error);
-            }
-        }
-    }
-
-	initializeModules() {
-		try {
-			if (typeof CardDisplayEngine !== 'undefined') {
-				this.displayEngine = new CardDisplayEngine();
-				
-				// CACHE VERSION CHECK
-				this.checkSymbolCacheVersion();
-			}
-		} catch (error) {
-			// REMOVED debug system reference - just log to console
-			console.error('Error initializing modules', error);
-		}
-	}
-
-	// [REPLACE the current handleSearchInput method in app.js - around line 200]
-	async handleSearchInput(event) {
-		const query = event.target.value.trim();
-
-		// ENHANCED: Handle BOTH commander URLs AND upgrade guide URLs
-		if (query.startsWith('http') || query.includes('edhrec.com')) {
-			this.hideSearchResults();
-			
-			// Check for BOTH URL types
-			const urlCommander = this.extractCommanderFromURL(query);
-			const isUpgradeGuide = this.isUpgradeGuideURL(query);
-			
-			if (urlCommander || isUpgradeGuide) {
-				console.log(`🎯 URL detected, enabling generate button:`, {
-					isCommander: !!urlCommander,
-					isUpgradeGuide: isUpgradeGuide,
-					url: query
-				});
-				
-				if (this.generateBtn) {
-					this.generateBtn.disabled = false;
-				}
-				
-				if (isUpgradeGuide) {
-					this.showStatus(`Ready to generate upgrade guide from URL`);
-				} else {
-					this.showStatus(`Ready to generate list for commander from URL`);
-				}
-			}
-			return;
-		}
-
-		if (query.length < 2) {
-			this.hideSearchResults();
-			return;
-		}
-
-		try {
-			const scryfall = new ScryfallAPI();
-			const results = await scryfall.searchCards(query);
-
-			this.displaySearchResults(results);
-			
-		} catch (error) {
-			this.hideSearchResults();
-		}
-	}
-
-    displaySearchResults(results) {
-        if (!this.searchResults) {
-            return;
-        }
-
-        if (results.length === 0) {
-            this.searchResults.innerHTML = '<div class="search-result">No results found</div>';
-            this.searchResults.classList.add('active');
-            return;
-        }
-
-        this.searchResults.innerHTML = '';
-        results.slice(0, 10).forEach(card => {
-            const resultElement = document.createElement('div');
-            resultElement.className = 'search-result';
-            resultElement.innerHTML = `
-                <div class="card-name">${this.escapeHTML(card.name)}</div>
-                <div class="card-type">${this.escapeHTML(card.type_line)}</div>
-            `;
-            
-            resultElement.addEventListener('click', () => {
-                this.selectCommander(card);
-            });
-            
-            this.searchResults.appendChild(resultElement);
-        });
-
-        this.searchResults.classList.add('active');
-    }
-
-    hideSearchResults() {
-        if (this.searchResults) {
-            this.searchResults.classList.remove('active');
-        }
-    }
-
-    selectCommander(card) {
-        this.currentCommander = card;
-        this.cardSearch.value = card.name;
-        this.hideSearchResults();
-        
-        if (this.generateBtn) {
-            this.generateBtn.disabled = false;
-        }
-        
-        this.showStatus(`Selected: ${card.name}`);
-    }
-
-	async generateList() {
-		let commanderToUse = this.currentCommander;
-		let searchInput = this.cardSearch.value.trim();
-		
-		// === IMPROVED: DETECT CONTENT TYPE WITH STATE RESET ===
-		this.contentType = this.determineContentType(searchInput);
-		console.log(`🎯 Starting generation for content type: ${this.contentType}`);
-		
-		// RESET STATE BEFORE PROCESSING - CRITICAL FIX
-		this.resetStateForContentType(this.contentType);
-		
-		// Handle upgrade guide URLs first
-		if (this.contentType === 'upgrade-guide') {
-			await this.handleUpgradeGuide(searchInput);
-			return;
-		}
-		
-		// Handle URL input if no commander selected but URL detected
-		if (!commanderToUse && searchInput) {
-			const urlCommander = this.extractCommanderFromURL(searchInput);
-			if (urlCommander) {
-				console.log(`🎯 Using commander from URL: ${urlCommander}`);
-				try {
-					const scryfall = new ScryfallAPI();
-					commanderToUse = await scryfall.getCardByName(urlCommander);
-					if (commanderToUse) {
-						this.currentCommander = commanderToUse;
-						this.cardSearch.value = commanderToUse.name; // Update display
-						this.hideSearchResults();
-						this.showStatus(`Selected: ${commanderToUse.name} (from URL)`);
-					}
-				} catch (error) {
-					this.showError(`Failed to find commander from URL: ${error.message}`);
-					return;
-				}
-			}
-		}
-		
-		// VALIDATION 
-		if (!commanderToUse) {
-			this.showError('Please select a commander first or enter a valid EDHREC URL');
-			return;
-		}
-
-		// IMPLEMENTATION
-		this.showLoading();
-		this.hideError();
-		this.hideStatus();
-
-		try {
-			this.cardData = await window.extractEDHRECData(commanderToUse.name);
-
-			if (!this.cardData || Object.keys(this.cardData).length === 0) {
-				throw new Error('No card data found for this commander');
-			}
-			
-			await this.addCommanderCard();
-			
-			await this.displayCards(this.cardData);
-			this.hideLoading();
-			
-			const totalCards = this.countTotalCards();
-			this.showStatus(`Successfully generated list for ${commanderToUse.name} with ${totalCards} cards`);
-			
-		} catch (error) {
-			this.hideLoading();
-			this.showError(`Failed to generate list: ${error.message}`);
-		}
-	}
-	
-	async addCommanderCard() {
-		if (!this.currentCommander) {
-			return;
-		}
-		
-		// Get deck count from EDHREC data or use fallback
-		let deckCount = 'Commander';
-		if (this.cardData && this.cardData._deckCount) {
-			deckCount = this.cardData._deckCount;
-			delete this.cardData._deckCount;
-		}
-		
-		let commanderPrice = 'Price N/A';
-		try {
-			const scryfallAPI = new ScryfallAPI();
-			commanderPrice = await scryfallAPI.getPriceDisplay(this.currentCommander.prices, true);
-		} catch (error) {
-			console.error('Error getting commander price:', error);
-		}
-		
-		const commanderSection = {
-			"Commander": [{
-				name: this.currentCommander.name,
-				inclusion: deckCount, // This will now be "172,434 decks" instead of just "Commander"
-				mana_cost: this.currentCommander.mana_cost,
-				type_line: this.currentCommander.type_line,
-				oracle_text: this.currentCommander.oracle_text,
-				flavor_text: this.currentCommander.flavor_text,
-				power: this.currentCommander.power,
-				toughness: this.currentCommander.toughness,
-				loyalty: this.currentCommander.loyalty,
-				defense: this.currentCommander.defense,
-				price: commanderPrice
-			}]
-		};
-
-		this.cardData = { ...commanderSection, ...this.cardData };
-	}
-		
-    countTotalCards() {
-        if (!this.cardData) return 0;
-        const total = Object.values(this.cardData).reduce((sum, section) => sum + section.length, 0);
-        return total;
-    }
-
-	async displayCards(cardData) {
-		if (!this.cardGrid) {
-			return;
-		}
-
-		this.cardGrid.innerHTML = '';
-		
-		if (!cardData || Object.keys(cardData).length === 0) {
-			this.cardGrid.innerHTML = '<p class="text-center">No card data found</p>';
-			return;
-		}
-
-		try {
-			if (!this.displayEngine) {
-				this.displayEngine = new CardDisplayEngine();
-			}
-			
-			// ENHANCED: Ensure proper grid layout for commander lists
-			if (this.contentType === 'commander-list' || this.contentType === 'custom-list') {
-				this.updateGridColumns(); // Apply grid classes for commander lists
-			} else {
-				this.resetCardGridLayout(); // Use base layout for other content types
-			}
-			
-			// CRITICAL FIX: AWAIT SYMBOL DATABASE READINESS BEFORE RENDERING
-			await this.displayEngine.ensureSymbolSupport();
-
-			for (const [sectionName, sectionCards] of Object.entries(cardData)) {
-				if (sectionCards.length > 0) {
-					const sectionHeader = document.createElement('div');
-					sectionHeader.className = 'section-header';
-					
-					if (sectionName === "Commander") {
-						sectionHeader.textContent = `${sectionName}`;
-					} else {
-						sectionHeader.textContent = `${sectionName} (${sectionCards.length} cards)`;
-					}
-					
-					this.cardGrid.appendChild(sectionHeader);
-
-					const cardFrames = await this.displayEngine.createCardFrames(sectionCards, this.fontSize);
-					cardFrames.forEach((frame, index) => {
-						this.cardGrid.appendChild(frame);
-					});
-				}
-			}
-			
-		} catch (error) {
-			this.cardGrid.innerHTML = '<p class="text-center">Error displaying cards</p>';
-		}
-	}
-
-    updateGridColumns() {
-		if (!this.cardGrid) return;
-		
-		const sizeToColumns = {
-			'xs': 'columns-6',
-			'sm': 'columns-5', 
-			'md': 'columns-4',
-			'lg': 'columns-3',
-			'xl': 'columns-3'
-		};
-		
-		this.cardGrid.className = 'card-grid';
-		this.cardGrid.classList.add(sizeToColumns[this.fontSize]);
-	}
-
-    downloadText() {
-        if (!this.cardData || Object.keys(this.cardData).length === 0) {
-            this.showError('No card data available to download');
-            return;
-        }
-
-        try {
-            const exportManager = new ExportManager();
-            const commanderName = this.currentCommander ? 
-                this.currentCommander.name.replace(/[^a-z0-9]/gi, '_') : 'edhrec';
-            const filename = `${commanderName}_list.txt`;
-            
-            exportManager.downloadTextFile(this.cardData, filename);
-            
-            this.showStatus('Text file downloaded');
-            
-        } catch (error) {
-            this.showError('Failed to download text file: ' + error.message);
-        }
-    }
-
-	/**
-	 * Main PDF generation entry point with content type routing
-	 * Uses switch/case for clear pathway selection based on content type
-	 */
-	async generatePdf() {
-		console.log(`📄 PDF Generation requested for content type: ${this.contentType}`);
-		
-		// VALIDATION: Ensure we have a valid content type
-		if (!this.contentType || this.contentType === 'unknown') {
-			this.showError('Please generate content first before creating PDF');
-			return;
-		}
-		
-		// VALIDATION: Ensure DOM content exists
-		const cardGrid = document.getElementById('cardGrid');
-		if (!cardGrid || cardGrid.children.length === 0) {
-			this.showError('No content available to generate PDF');
-			return;
-		}
-
-		try {
-			const exportManager = new ExportManager();
-			const filename = this.getPDFFilename();
-			
-			// === CONTENT TYPE ROUTING ===
-			console.log(`🔄 Routing to PDF generator for: ${this.contentType}`);
-			
-			switch(this.contentType) {
-				case 'upgrade-guide':
-					// Upgrade guides use DOM-only processing with hybrid layout
-					await exportManager.generateUpgradeGuidePDF(filename);
-					break;
-					
-				case 'commander-list':
-				case 'custom-list':
-					// Commander lists and custom lists use existing data+DOM system
-					await exportManager.generatePdf(this.cardData, filename);
-					break;
-					
-				default:
-					throw new Error(`Unsupported content type for PDF: ${this.contentType}`);
-			}
-			
-			this.showStatus('PDF generated and opened in new tab');
-			
-		} catch (error) {
-			console.error('❌ PDF generation failed:', error);
-			this.showError('Failed to generate PDF: ' + error.message);
-		}
-	}
-
-	// === PDF FILENAME GENERATION ===
-	/**
-	 * Generates appropriate PDF filename based on content type and commander
-	 */
-	getPDFFilename() {
-		const baseName = this.currentCommander ? 
-			this.currentCommander.name.replace(/[^a-z0-9]/gi, '_') : 'edhrec';
-		
-		switch(this.contentType) {
-			case 'upgrade-guide':
-				return `${baseName}_upgrade_guide.pdf`;
-			case 'commander-list':
-				return `${baseName}_commander_list.pdf`;
-			case 'custom-list':
-				return `${baseName}_custom_list.pdf`;
-			default:
-				return `${baseName}_document.pdf`;
-		}
-	}
-
-
-    loadList() {
-        if (!this.fileInput) {
-            this.showError('Load functionality not available');
-            return;
-        }
-
-        try {
-            this.fileInput.click();
-        } catch (error) {
-            this.showError('Cannot open file selector');
-        }
-    }
-
-    printList() {
-        if (!this.cardData || Object.keys(this.cardData).length === 0) {
-            this.showError('No card data available to print');
-            return;
-        }
-
-        try {
-            window.print();
-        } catch (error) {
-            this.showError('Print functionality not available');
-        }
-    }
-
-    decreaseFontSize() {
-        const sizes = ['xs', 'sm', 'md', 'lg', 'xl'];
-        const currentIndex = sizes.indexOf(this.fontSize);
-        if (currentIndex > 0) {
-            this.fontSize = sizes[currentIndex - 1];
-            this.updateFontSizeDisplay();
-            this.displayCards(this.cardData);
-        }
-    }
-
-    increaseFontSize() {
-        const sizes = ['xs', 'sm', 'md', 'lg', 'xl'];
-        const currentIndex = sizes.indexOf(this.fontSize);
-        if (currentIndex < sizes.length - 1) {
-            this.fontSize = sizes[currentIndex + 1];
-            this.updateFontSizeDisplay();
-            this.displayCards(this.cardData);
-        }
-    }
-
-    updateFontSizeDisplay() {
-        if (this.sizeDisplay) {
-            const sizeLabels = {
-                'xs': 'Extra Small',
-                'sm': 'Small', 
-                'md': 'Medium',
-                'lg': 'Large',
-                'xl': 'Extra Large'
-            };
-            this.sizeDisplay.textContent = sizeLabels[this.fontSize];
-        }
-    }
-
-    handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) {
-            return;
-        }
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const content = e.target.result;
-				
-				// === SET CONTENT TYPE FOR FILE UPLOADS ===
-				this.contentType = this.determineContentType(null, content);
-				console.log(`📁 Processing file upload as: ${this.contentType}`);
-				
-                this.parseUploadedFile(content, file.name);
-                
-            } catch (error) {
-                this.showError('Error processing file: ' + error.message);
-            }
-        };
-
-        reader.onerror = (error) => {
-            this.showError('Cannot read selected file');
-        };
-
-        reader.readAsText(file);
-    }
-
-    parseUploadedFile(content, fileName) {
-        try {
-            const exportManager = new ExportManager();
-            const cardData = exportManager.parseCardList(content);
-            
-            const validation = exportManager.validateCardList(cardData);
-            
-            if (!validation.isValid) {
-                this.showError('Invalid file format: ' + validation.errors.join(', '));
-                return;
-            }
-            
-            if (validation.warnings.length > 0) {
-                this.showStatus(`File loaded with warnings: ${validation.warnings.join(', ')}`);
-            }
-            
-            this.cardData = cardData;
-            this.currentCommander = null;
-            this.displayCards(this.cardData);
-            this.showStatus(`Loaded custom list with ${this.countTotalCards()} cards`);
-            
-        } catch (error) {
-            this.showError('Cannot parse file: ' + error.message);
-        }
-    }
-
-    showLoading() {
-        if (this.loadingSpinner) {
-            this.loadingSpinner.classList.remove('hidden');
-        }
-    }
-
-    hideLoading() {
-        if (this.loadingSpinner) {
-            this.loadingSpinner.classList.add('hidden');
-        }
-    }
-
-    showError(message) {
-        if (this.errorMessage) {
-            this.errorMessage.textContent = message;
-            this.errorMessage.classList.remove('hidden');
-        }
-    }
-
-    hideError() {
-        if (this.errorMessage) {
-            this.errorMessage.classList.add('hidden');
-        }
-    }
-
-    showStatus(message) {
-        if (this.statusMessage) {
-            this.statusMessage.textContent = message;
-            this.statusMessage.classList.remove('hidden');
-        }
-    }
-
-    hideStatus() {
-        if (this.statusMessage) {
-            this.statusMessage.classList.add('hidden');
-        }
-    }
-
-    escapeHTML(str) {
-        if (!str) return '';
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
-    }
-	
-	extractCommanderFromURL(url) {
-		// Skip if it's an upgrade guide URL
-		if (this.isUpgradeGuideURL(url)) {
-			return null;
-		}
-		
-		try {
-			console.log(`🔗 URL detected: ${url}`);
-			
-			// Parse EDHREC commander URLs
-			const urlObj = new URL(url);
-			const pathParts = urlObj.pathname.split('/');
-			
-			// Extract from patterns like:
-			// /commanders/etali-primal-conqueror
-			// /commanders/clavileno-first-of-the-blessed
-			if (urlObj.hostname.includes('edhrec.com') && pathParts.includes('commanders')) {
-				const commanderSlug = pathParts[pathParts.length - 1];
-				if (commanderSlug && commanderSlug !== 'commanders') {
-					// Convert slug to proper name: "etali-primal-conqueror" → "Etali, Primal Conqueror"
-					const nameParts = commanderSlug.split('-').map(part => 
-						part.charAt(0).toUpperCase() + part.slice(1)
-					);
-					const commanderName = nameParts.join(' ').replace(/ And /g, ' and ');
-					console.log(`✅ Extracted commander: ${commanderName}`);
-					return commanderName;
-				}
-			}
-		} catch (error) {
-			console.log('❌ Not a valid EDHREC URL, using as regular search');
-		}
-		return null;
-	}
-	
-	setupSearchDropdown() {
-		this.handleDocumentClick = (event) => {
-			const searchContainer = document.querySelector('.search-container');
-			const dropdown = this.searchResults;
-			
-			if (searchContainer && dropdown && 
-				!searchContainer.contains(event.target) && 
-				dropdown.classList.contains('active')) {
-				this.hideSearchResults();
-			}
-		};
-
-		this.handleSearchKeydown = (event) => {
-			if (!this.searchResults.classList.contains('active')) return;
-
-			const results = this.searchResults.querySelectorAll('.search-result');
-			if (results.length === 0) return;
-
-			// Handle only arrow keys and Escape here
-			// Enter and Tab are handled by our unified handler below
-			switch(event.key) {
-				case 'ArrowDown':
-					event.preventDefault();
-					this.navigateSearchResults(1);
-					break;
-				case 'ArrowUp':
-					event.preventDefault();
-					this.navigateSearchResults(-1);
-					break;
-				case 'Escape':
-					event.preventDefault();
-					this.hideSearchResults();
-					break;
-				// Explicitly ignore Enter and Tab to avoid conflicts
-				case 'Enter':
-				case 'Tab':
-					// These are handled by the unified handler
-					break;
-			}
-		};
-
-		// Unified key handler for Enter and Tab keys
-		this.unifiedKeyHandler = (event) => {
-			const query = this.cardSearch.value.trim();
-			
-			// Handle Enter key
-			if (event.key === 'Enter') {
-				// Case 1: URL input - generate immediately
-				if (query.startsWith('http') || query.includes('edhrec.com')) {
-					const urlCommander = this.extractCommanderFromURL(query);
-					if (urlCommander) {
-						event.preventDefault();
-						this.generateList();
-						return;
-					}
-				}
-				
-				// Case 2: Card selection from dropdown - select highlighted result
-				if (this.searchResults.classList.contains('active')) {
-					event.preventDefault();
-					this.selectHighlightedResult();
-					return;
-				}
-				
-				// Case 3: Regular search with no dropdown - try to generate if button enabled
-				if (!this.generateBtn.disabled) {
-					event.preventDefault();
-					this.generateList();
-				}
-			}
-			
-			// Handle Tab key for card selection and dropdown dismissal
-			if (event.key === 'Tab') {
-				// Case 1: If dropdown is active, select highlighted result and hide dropdown
-				if (this.searchResults.classList.contains('active')) {
-					event.preventDefault(); // Prevent default tab behavior temporarily
-					this.selectHighlightedResult();
-					this.hideSearchResults();
-					
-					// After selection, allow natural tab progression to next element
-					// We'll use a small timeout to let the DOM update first
-					setTimeout(() => {
-						// Find all focusable elements
-						const focusableElements = Array.from(document.querySelectorAll(
-							'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-						)).filter(el => !el.disabled && el.offsetParent !== null);
-						
-						const currentIndex = focusableElements.indexOf(this.cardSearch);
-						const nextIndex = currentIndex + 1;
-						
-						if (nextIndex < focusableElements.length) {
-							focusableElements[nextIndex].focus();
-						}
-					}, 10);
-					return;
-				}
-				
-				// Case 2: If no dropdown active, allow normal tab behavior (default)
-				// No action needed - let the browser handle normal tab navigation
-			}
-		};
-
-	// HandleSearchBlur method
-	this.handleSearchBlur = () => {
-		const query = this.cardSearch.value.trim();
-		if (query.startsWith('http') || query.includes('edhrec.com')) {
-			const urlCommander = this.extractCommanderFromURL(query);
-			const isUpgradeGuide = this.isUpgradeGuideURL(query);
-			
-			if ((urlCommander || isUpgradeGuide) && this.generateBtn) {
-				this.generateBtn.disabled = false;
-				if (isUpgradeGuide) {
-					this.showStatus(`Ready to generate upgrade guide from URL`);
-				} else {
-					this.showStatus(`Ready to generate list for commander from URL`);
-				}
-			}
-		}
-	};
-
-		// Set up all event listeners
-		document.addEventListener('click', this.handleDocumentClick);
-		
-		if (this.cardSearch) {
-			// For arrow keys and Escape only
-			this.cardSearch.addEventListener('keydown', this.handleSearchKeydown);
-			// For Enter and Tab keys (unified handler)
-			this.cardSearch.addEventListener('keydown', this.unifiedKeyHandler);
-			// For URL detection on blur
-			this.cardSearch.addEventListener('blur', this.handleSearchBlur);
-		}
-	}
-
-	navigateSearchResults(direction) {
-		const results = this.searchResults.querySelectorAll('.search-result');
-		if (results.length === 0) return;
-
-		let currentIndex = -1;
-		
-		results.forEach((result, index) => {
-			if (result.classList.contains('selected')) {
-				currentIndex = index;
-				result.classList.remove('selected');
-			}
-		});
-
-		let newIndex = currentIndex + direction;
-		if (newIndex < 0) newIndex = results.length - 1;
-		if (newIndex >= results.length) newIndex = 0;
-
-		results[newIndex].classList.add('selected');
-		results[newIndex].scrollIntoView({ block: 'nearest' });
-	}
-
-	selectHighlightedResult() {
-		const selectedResult = this.searchResults.querySelector('.search-result.selected');
-		if (selectedResult) {
-			selectedResult.click();
-		} else {
-			const firstResult = this.searchResults.querySelector('.search-result');
-			if (firstResult) {
-				firstResult.click();
-			}
-		}
-	}
-	
-	checkSymbolCacheVersion() {
-		const currentVersion = window.symbolDatabase?.database?.version;
-		const lastVersion = localStorage.getItem('symbolCacheVersion');
-		
-		if (currentVersion && currentVersion !== lastVersion) {
-			console.log(`🔄 Symbol format changed (${lastVersion} → ${currentVersion}), clearing caches`);
-			
-			// Clear CardDisplayEngine cache
-			if (this.displayEngine?.cardCache) {
-				this.displayEngine.cardCache.clear();
-			}
-			
-			// Update version tracking
-			localStorage.setItem('symbolCacheVersion', currentVersion);
-			return true; // Cache was cleared
-		}
-		
-		return false; // No change
-	}
-	
-    /**
-     * ENHANCED URL DETECTION: Check if input is an upgrade guide URL
-     * Why: Route to appropriate extraction method based on URL type
-     * @param {string} url - User input to check
-     * @returns {boolean} True if URL is an EDHREC upgrade guide
-     */
-    isUpgradeGuideURL(url) {
-        if (!url || typeof url !== 'string') return false;
-        
-        const upgradeGuidePatterns = [
-            /edhrec\.com\/articles\/.*upgrade.*guide/i,
-            /edhrec\.com\/articles\/.*upgrade/i,
-            /edhrec\.com\/articles\/.*guide/i
-        ];
-        
-        return upgradeGuidePatterns.some(pattern => pattern.test(url));
-    }
-
-    /**
-     * UPGRADE GUIDE HANDLER: Process upgrade guide URLs
-     * Flow: Detect → Extract → Display
-     * @param {string} url - EDHREC upgrade guide URL
-     */
-    async handleUpgradeGuide(url) {
-        console.log('🎯 Handling upgrade guide URL:', url);
-        
-        this.showLoading();
-        this.hideError();
-        this.hideStatus();
-
-        try {
-            // STEP 1: Extract guide content using our new system
-            const guideData = await window.extractEDHRECUpgradeGuide(url);
-            
-            // STEP 2: Validate we got meaningful content
-            if (!guideData || !guideData.contentBlocks || guideData.contentBlocks.length === 0) {
-                throw new Error('No upgrade guide content could be extracted');
-            }
-
-            // STEP 3: Display the guide using our new display engine
-            await this.displayUpgradeGuide(guideData);
-            this.hideLoading();
-            
-            this.showStatus(`Successfully loaded upgrade guide: ${guideData.title}`);
-            
-        } catch (error) {
-            this.hideLoading();
-            this.showError(`Failed to load upgrade guide: ${error.message}`);
-            console.error('Upgrade guide handling error:', error);
-        }
-    }
-
-	/**
-	 * UPGRADE GUIDE DISPLAY: Render guide in main content area
-	 * Enhanced with proper layout reset to prevent commander list pollution
-	 * @param {Object} guideData - Structured guide data from extractor
-	 */
-	async displayUpgradeGuide(guideData) {
-		if (!this.cardGrid) {
-			throw new Error('No card grid container available');
-		}
-		
-		try {
-			// ENHANCED: Reset card grid for upgrade guide layout
-			this.cardGrid.innerHTML = '';
-			this.resetCardGridLayout(); // Ensure no grid classes from commander lists
-			
-			console.log('🎨 Starting upgrade guide display with clean layout');
-			
-			// Create and use upgrade guide display engine
-			const guideDisplay = new UpgradeGuideDisplayEngine();
-			await guideDisplay.displayUpgradeGuide(guideData, this.cardGrid);
-			
-			console.log('✅ Upgrade guide display completed successfully');
-			
-		} catch (error) {
-			console.error('❌ Upgrade guide display error:', error);
-			this.cardGrid.innerHTML = `
-				<div class="error-message">
-					<h3>Error Displaying Upgrade Guide</h3>
-					<p>${error.message}</p>
-				</div>
-			`;
-			throw error;
-		}
-	}
-	
-	/**
-	 * IMPROVED: Content type detection that prevents state pollution
-	 * Prioritizes URL input and explicitly resets state between types
-	 * @param {string} input - User input (URL or card name)
-	 * @param {string} fileContent - File content for uploads
-	 * @returns {string} Content type
-	 */
-	determineContentType(input, fileContent = null) {
-		console.log('🔍 IMPROVED Content type detection for:', { 
-			input: input?.substring(0, 100), 
-			hasFile: !!fileContent,
-			currentCommander: this.currentCommander?.name 
-		});
-		
-		// PRIORITY 1: FILE UPLOADS - Highest priority
-		if (fileContent) {
-			console.log('✅ Content type: custom-list (file upload)');
-			return 'custom-list';
-		}
-		
-		// PRIORITY 2: URL-BASED CONTENT DETECTION (explicit input)
-		if (typeof input === 'string' && input.trim()) {
-			const trimmedInput = input.trim();
-			
-			// Check for upgrade guide URLs first (most specific)
-			if (this.isUpgradeGuideURL(trimmedInput)) {
-				console.log('✅ Content type: upgrade-guide (explicit URL detection)');
-				return 'upgrade-guide';
-			}
-			
-			// Check for commander URLs second
-			const urlCommander = this.extractCommanderFromURL(trimmedInput);
-			if (urlCommander) {
-				console.log('✅ Content type: commander-list (URL commander detection)');
-				return 'commander-list';
-			}
-		}
-		
-		// PRIORITY 3: CURRENT COMMANDER (only if input matches current commander)
-		// This prevents stale commander state from affecting new requests
-		if (this.currentCommander && input === this.currentCommander.name) {
-			console.log('✅ Content type: commander-list (current selection matches input)');
-			return 'commander-list';
-		}
-		
-		// PRIORITY 4: FALLBACK - Reset to unknown if no clear match
-		console.log('⚠️ Content type: unknown (no clear match, resetting)');
-		return 'unknown';
-	}
-	
-	/**
-	 * Reset application state when switching between content types
-	 * Prevents pollution between commander lists and upgrade guides
-	 * @param {string} newContentType - The new content type being switched to
-	 */
-	resetStateForContentType(newContentType) {
-		console.log('🔄 Resetting state for content type:', newContentType);
-		
-		switch(newContentType) {
-			case 'upgrade-guide':
-				// Reset commander-specific state for upgrade guides
-				this.currentCommander = null;
-				this.cardData = null;
-				console.log('✅ Reset commander state for upgrade guide');
-				break;
-				
-			case 'commander-list':
-				// Keep commander state, but ensure cardData is fresh
-				this.cardData = null;
-				console.log('✅ Reset card data for fresh commander list');
-				break;
-				
-			case 'custom-list':
-				// Reset everything for custom lists
-				this.currentCommander = null;
-				this.cardData = null;
-				console.log('✅ Reset all state for custom list');
-				break;
-		}
-		
-		// Optional: Clear display engine cache to prevent card pollution
-		if (this.displayEngine && this.displayEngine.cardCache) {
-			const cacheSize = this.displayEngine.cardCache.size;
-			this.displayEngine.cardCache.clear();
-			console.log(`✅ Cleared display engine cache (${cacheSize} items)`);
-		}
-		
-		// Reset card grid CSS classes
-		this.resetCardGridLayout();
-	}
-	
-	/**
-	 * Reset card grid CSS classes for proper layout
-	 * Prevents grid classes from commander lists affecting upgrade guides
-	 */
-	resetCardGridLayout() {
-		if (!this.cardGrid) return;
-		
-		// Remove all column classes and reset to base
-		this.cardGrid.className = 'card-grid';
-		console.log('✅ Reset card grid CSS classes to base');
-		
-		// Re-apply font size class if needed
-		if (this.fontSize) {
-			this.cardGrid.classList.add(`font-size-${this.fontSize}`);
-		}
-	}
-}
-
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('DOM fully loaded and parsed');
-    
-    try {
-        window.app = new App();
-        
-    } catch (error) {
-        console.error('CRITICAL: App initialization failed:', error);
-    }
-});
-
-window.addEventListener('error', function(event) {
-    console.error('Global error caught:', event.error);
-});
-
-window.addEventListener('unhandledrejection', function(event) {
-    console.error('Unhandled promise rejection:', event.reason);
-});
+// VERSION:28
+// Main Application Class with Comprehensive Debugging
+class App {
+    constructor() {
+        
+        this.currentCommander = null;
+        this.currentPartner = null; // Second commander of a partner / background pair
+        this.currentCard = null; // Card looked up in card mode
+        this.searchMode = 'commander'; // 'commander' or 'card'
+        this.pairCandidates = [];
+        this.cardData = null;
+        this.fontSize = 'md';
+        this.displayModeKey = 'card_display_mode';
+        this.displayMode = this.loadDisplayMode(); // 'text', 'image' or 'image-stats'
+        this.displayEngine = null;
+		this.groupMode = 'sections'; // 'sections', 'type' or 'mana-value' (see card-grouping.js)
+		this.displayedCardData = null; // cardData as the grid shows it, regrouped or not
+		this.contentType = null;
+		this.extractionStrategy = null;
+		this.cacheInfo = null; // `{cachedAt, stale}` when the list came from the page cache
+		this.currentPageKey = null; // EDHREC page URL of the current list (history key)
+		this.snapshots = [];
+		this.currentDiff = null;
+		this.compareEntries = []; // `{names, variant, label}` queued for comparison
+		this.commanderThemes = [];
+        
+        this.initializeElements();
+        this.initializeEventListeners();
+        this.initializeModules();
+    }
+
+    initializeElements() {
+        this.cardSearch = document.getElementById('cardSearch');
+        this.searchModeSelect = document.getElementById('searchModeSelect');
+        this.variantControls = document.querySelector('.variant-controls');
+        this.searchResults = document.getElementById('searchResults');
+        this.generateBtn = document.getElementById('generateBtn');
+        this.cardGrid = document.getElementById('cardGrid');
+        this.loadingSpinner = document.getElementById('loadingSpinner');
+        this.errorMessage = document.getElementById('errorMessage');
+        this.statusMessage = document.getElementById('statusMessage');
+        
+        this.loadBtn = document.getElementById('loadBtn');
+        this.downloadTextBtn = document.getElementById('downloadTextBtn');
+        this.generatePdfBtn = document.getElementById('generatePdfBtn');
+        this.printBtn = document.getElementById('printBtn');
+        this.sizeDown = document.getElementById('sizeDown');
+        this.sizeUp = document.getElementById('sizeUp');
+        this.sizeDisplay = document.getElementById('sizeDisplay');
+        this.displayModeSelect = document.getElementById('displayModeSelect');
+        this.fileInput = document.getElementById('fileInput');
+        this.pdfCutoff = document.getElementById('pdfCutoff');
+        this.pdfCutoffMetric = document.getElementById('pdfCutoffMetric');
+		
+		// Commander comparison
+		this.addCompareBtn = document.getElementById('addCompareBtn');
+		this.compareBar = document.getElementById('compareBar');
+		this.compareList = document.getElementById('compareList');
+		this.runCompareBtn = document.getElementById('runCompareBtn');
+		this.clearCompareBtn = document.getElementById('clearCompareBtn');
+		
+		// Second commander (partner, background, ...)
+		this.partnerSelect = document.getElementById('partnerSelect');
+		
+		// EDHREC sub-page selectors
+		this.themeSelect = document.getElementById('themeSelect');
+		this.bracketSelect = document.getElementById('bracketSelect');
+		this.budgetSelect = document.getElementById('budgetSelect');
+		
+		// Settings panel
+		this.settingsBtn = document.getElementById('settingsBtn');
+		this.settingsPanel = document.getElementById('settingsPanel');
+		this.localProxyInput = document.getElementById('localProxyInput');
+		this.proxyListInput = document.getElementById('proxyListInput');
+		this.saveProxySettingsBtn = document.getElementById('saveProxySettingsBtn');
+		this.resetProxySettingsBtn = document.getElementById('resetProxySettingsBtn');
+		this.clearProxyHealthBtn = document.getElementById('clearProxyHealthBtn');
+		this.proxyHealth = document.getElementById('proxyHealth');
+		this.cacheTTLInput = document.getElementById('cacheTTLInput');
+		this.saveCacheSettingsBtn = document.getElementById('saveCacheSettingsBtn');
+		this.clearCacheBtn = document.getElementById('clearCacheBtn');
+		this.cacheInfoDisplay = document.getElementById('cacheInfo');
+		this.secondaryCurrencySelect = document.getElementById('secondaryCurrencySelect');
+		this.nativeEurCheckbox = document.getElementById('nativeEurCheckbox');
+		this.showTixCheckbox = document.getElementById('showTixCheckbox');
+		this.savePriceSettingsBtn = document.getElementById('savePriceSettingsBtn');
+		this.priceRateInfo = document.getElementById('priceRateInfo');
+		this.printingPolicySelect = document.getElementById('printingPolicySelect');
+		this.preferredSetsInput = document.getElementById('preferredSetsInput');
+		this.savePrintingSettingsBtn = document.getElementById('savePrintingSettingsBtn');
+		this.clearPrintingChoicesBtn = document.getElementById('clearPrintingChoicesBtn');
+		this.printingInfo = document.getElementById('printingInfo');
+		this.cutoffExemptInput = document.getElementById('cutoffExemptInput');
+		this.saveCutoffExemptBtn = document.getElementById('saveCutoffExemptBtn');
+		this.resetCutoffExemptBtn = document.getElementById('resetCutoffExemptBtn');
+		this.cutoffExemptInfo = document.getElementById('cutoffExemptInfo');
+		this.exportSymbolPackBtn = document.getElementById('exportSymbolPackBtn');
+		this.importSymbolPackBtn = document.getElementById('importSymbolPackBtn');
+		this.symbolPackInput = document.getElementById('symbolPackInput');
+		this.symbolPackInfo = document.getElementById('symbolPackInfo');
+		this.clearBulkDataBtn = document.getElementById('clearBulkDataBtn');
+		this.bulkDataInfo = document.getElementById('bulkDataInfo');
+		this.bulkDataBadge = document.getElementById('bulkDataBadge');
+		this.clearCollectionBtn = document.getElementById('clearCollectionBtn');
+		this.collectionInfo = document.getElementById('collectionInfo');
+		
+		// Sort/filter toolbar above the card grid
+		this.cardToolbar = document.getElementById('cardToolbar');
+		this.groupModeSelect = document.getElementById('groupModeSelect');
+		this.sortSelect = document.getElementById('sortSelect');
+		this.typeFilterSelect = document.getElementById('typeFilterSelect');
+		this.colorFilters = document.getElementById('colorFilters');
+		this.mvMinInput = document.getElementById('mvMinInput');
+		this.mvMaxInput = document.getElementById('mvMaxInput');
+		this.maxPriceInput = document.getElementById('maxPriceInput');
+		this.oracleSearchInput = document.getElementById('oracleSearchInput');
+		this.ownershipFilterSelect = document.getElementById('ownershipFilterSelect');
+		this.missingCostSummary = document.getElementById('missingCostSummary');
+		this.resetFiltersBtn = document.getElementById('resetFiltersBtn');
+		this.filterSummary = document.getElementById('filterSummary');
+		
+		// Printing chooser (opened from a card's set symbol)
+		this.printingChooser = document.getElementById('printingChooser');
+		this.printingChooserTitle = document.getElementById('printingChooserTitle');
+		this.printingList = document.getElementById('printingList');
+		this.closePrintingChooserBtn = document.getElementById('closePrintingChooserBtn');
+		this.resetPrintingBtn = document.getElementById('resetPrintingBtn');
+		this.printingChooserCard = null;
+		
+		// Snapshot history panel
+		this.historyBtn = document.getElementById('historyBtn');
+		this.historyPanel = document.getElementById('historyPanel');
+		this.historySummary = document.getElementById('historySummary');
+		this.historyFromSelect = document.getElementById('historyFromSelect');
+		this.historyToSelect = document.getElementById('historyToSelect');
+		this.compareSnapshotsBtn = document.getElementById('compareSnapshotsBtn');
+		this.downloadDiffBtn = document.getElementById('downloadDiffBtn');
+		this.historyDiff = document.getElementById('historyDiff');
+    }
+
+    initializeEventListeners() {
+        try {
+            if (this.cardSearch) {
+                this.cardSearch.addEventListener('input', (e) => {
+                    this.handleSearchInput(e);
+                });
+				
+				this.setupSearchDropdown();
+            }
+
+            if (this.generateBtn) {
+                this.generateBtn.addEventListener('click', () => {
+                    this.generateList();
+                });
+            }
+
+            if (this.loadBtn) {
+                this.loadBtn.addEventListener('click', () => {
+                    this.loadList();
+                });
+            }
+
+            if (this.downloadTextBtn) {
+                this.downloadTextBtn.addEventListener('click', () => {
+                    this.downloadText();
+                });
+            }
+
+            if (this.generatePdfBtn) {
+                this.generatePdfBtn.addEventListener('click', () => {
+                    this.generatePdf();
+                });
+            }
+
+            if (this.printBtn) {
+                this.printBtn.addEventListener('click', () => {
+                    this.printList();
+                });
+            }
+
+            if (this.sizeDown) {
+                this.sizeDown.addEventListener('click', () => {
+                    this.decreaseFontSize();
+                });
+            }
+
+            if (this.sizeUp) {
+                this.sizeUp.addEventListener('click', () => {
+                    this.increaseFontSize();
+                });
+            }
+			
+			if (this.displayModeSelect) {
+				this.displayModeSelect.value = this.displayMode;
+				this.displayModeSelect.addEventListener('change', (e) => {
+					this.setDisplayMode(e.target.value);
+				});
+			}
+			
+			// Cut off filter - applies to the grid, text export, PDF and print alike
+			if (this.pdfCutoff) {
+				this.pdfCutoff.addEventListener('change', (e) => {
+					const value = parseInt(e.target.value);
+					if (value < 0) e.target.value = 0;
+					if (value > 100) e.target.value = 100;
+					this.readCutoff();
+				});
+			}
+			
+			if (this.pdfCutoffMetric) {
+				this.pdfCutoffMetric.addEventListener('change', () => {
+					this.readCutoff();
+				});
+			}
+			this.readCutoff();
+
+            if (this.fileInput) {
+                this.fileInput.addEventListener('change', (e) => {
+                    this.handleFileSelect(e);
+                });
+            }
+			
+			this.initializeSettingsPanel();
+			this.initializePrintingChooser();
+			this.initializeCardToolbar();
+			this.initializeHistoryPanel();
+			this.initializeComparison();
+			this.initializeVariantSelectors();
+			
+			if (this.partnerSelect) {
+				this.partnerSelect.addEventListener('change', (e) => {
+					this.selectPartner(e.target.value);
+				});
+			}
+			
+			if (this.searchModeSelect) {
+				this.searchModeSelect.addEventListener('change', (e) => {
+					this.setSearchMode(e.target.value);
+				});
+			}
+
+        } catch (error) {
+            if (this.debug && this.debug.error) {
+                this.debug.error('Error initializing event listeners', error);
+            }
+        }
+    }
+
+	initializeModules() {
+		try {
+			if (typeof CardDisplayEngine !== 'undefined') {
+				this.displayEngine = new CardDisplayEngine();
+				
+				// CACHE VERSION CHECK
+				this.checkSymbolCacheVersion();
+			}
+		} catch (error) {
+			// REMOVED debug system reference - just log to console
+			console.error('Error initializing modules', error);
+		}
+	}
+
+	// === SETTINGS PANEL ===
+	
+	initializeSettingsPanel() {
+		if (this.settingsBtn && this.settingsPanel) {
+			this.settingsBtn.addEventListener('click', () => {
+				this.toggleSettingsPanel();
+			});
+		}
+		
+		if (this.saveProxySettingsBtn) {
+			this.saveProxySettingsBtn.addEventListener('click', () => {
+				this.saveProxySettings();
+			});
+		}
+		
+		if (this.resetProxySettingsBtn) {
+			this.resetProxySettingsBtn.addEventListener('click', () => {
+				window.proxyFetcher.resetSettings();
+				this.populateProxySettings();
+				this.showStatus('Proxy settings reset to defaults');
+			});
+		}
+		
+		if (this.clearProxyHealthBtn) {
+			this.clearProxyHealthBtn.addEventListener('click', () => {
+				window.proxyFetcher.clearHealth();
+				this.renderProxyHealth();
+			});
+		}
+		
+		if (this.saveCacheSettingsBtn) {
+			this.saveCacheSettingsBtn.addEventListener('click', () => {
+				this.saveCacheSettings();
+			});
+		}
+		
+		if (this.clearCacheBtn) {
+			this.clearCacheBtn.addEventListener('click', () => {
+				this.clearPageCache();
+			});
+		}
+		
+		if (this.savePriceSettingsBtn) {
+			this.savePriceSettingsBtn.addEventListener('click', () => {
+				this.savePriceSettings();
+			});
+		}
+		
+		if (this.savePrintingSettingsBtn) {
+			this.savePrintingSettingsBtn.addEventListener('click', () => {
+				this.savePrintingSettings();
+			});
+		}
+		
+		if (this.saveCutoffExemptBtn) {
+			this.saveCutoffExemptBtn.addEventListener('click', () => {
+				this.saveCutoffExemptions();
+			});
+		}
+		
+		if (this.resetCutoffExemptBtn) {
+			this.resetCutoffExemptBtn.addEventListener('click', () => {
+				window.cardFilters.resetExemptSections();
+				this.populateCutoffSettings();
+				this.applyCardFilters();
+				this.showStatus('Cut off exemptions reset to defaults');
+			});
+		}
+		
+		if (this.clearPrintingChoicesBtn) {
+			this.clearPrintingChoicesBtn.addEventListener('click', () => {
+				window.printingPreferences.clearChoices();
+				this.displayEngine?.cardCache.clear();
+				this.populatePrintingSettings();
+				this.showStatus('Chosen printings forgotten - they apply to the next list you generate or load');
+			});
+		}
+		
+		if (this.exportSymbolPackBtn) {
+			this.exportSymbolPackBtn.addEventListener('click', () => {
+				this.exportSymbolPack();
+			});
+		}
+		
+		if (this.importSymbolPackBtn && this.symbolPackInput) {
+			this.importSymbolPackBtn.addEventListener('click', () => {
+				this.symbolPackInput.click();
+			});
+			this.symbolPackInput.addEventListener('change', (e) => {
+				this.importSymbolPack(e.target.files[0]);
+				e.target.value = ''; // Allow importing the same file again
+			});
+		}
+		
+		if (this.clearBulkDataBtn) {
+			this.clearBulkDataBtn.addEventListener('click', () => {
+				this.clearBulkData();
+			});
+		}
+		
+		if (this.clearCollectionBtn) {
+			this.clearCollectionBtn.addEventListener('click', () => {
+				this.clearCollection();
+			});
+		}
+		
+		this.renderBulkDataStatus();
+	}
+	
+	toggleSettingsPanel() {
+		const isHidden = this.settingsPanel.classList.toggle('hidden');
+		if (!isHidden) {
+			this.populateProxySettings();
+			this.populateCacheSettings();
+			this.populatePriceSettings();
+			this.populatePrintingSettings();
+			this.populateCutoffSettings();
+			this.renderSymbolPackInfo();
+			this.renderBulkDataStatus();
+			this.renderCollectionInfo();
+		}
+	}
+	
+	async populateCacheSettings() {
+		if (this.cacheTTLInput) {
+			this.cacheTTLInput.value = window.edhrecCache.settings.ttlHours;
+		}
+		
+		if (this.cacheInfoDisplay) {
+			const count = await window.edhrecCache.count();
+			this.cacheInfoDisplay.textContent = `${count} cached page${count === 1 ? '' : 's'}`;
+		}
+	}
+	
+	saveCacheSettings() {
+		const ttlHours = parseFloat(this.cacheTTLInput?.value);
+		
+		if (isNaN(ttlHours) || ttlHours < 0) {
+			this.showError('Cache lifetime must be 0 or more hours');
+			return;
+		}
+		
+		if (window.edhrecCache.setTTL(ttlHours)) {
+			this.hideError();
+			this.showStatus(ttlHours > 0 ? `EDHREC pages are cached for ${ttlHours} hours` : 'EDHREC page cache disabled');
+		} else {
+			this.showError('Could not save cache settings');
+		}
+	}
+	
+	async clearPageCache() {
+		try {
+			await window.edhrecCache.clear();
+			this.populateCacheSettings();
+			this.showStatus('EDHREC page cache cleared');
+		} catch (error) {
+			this.showError(`Could not clear the page cache: ${error.message}`);
+		}
+	}
+	
+	// === PRICES ===
+	
+	populatePriceSettings() {
+		const scryfall = new ScryfallAPI();
+		const settings = scryfall.loadPriceSettings();
+		
+		if (this.secondaryCurrencySelect) {
+			this.secondaryCurrencySelect.innerHTML = '';
+			this.secondaryCurrencySelect.add(new Option('None (USD only)', ''));
+			Object.entries(scryfall.currencies).forEach(([code, currency]) => {
+				this.secondaryCurrencySelect.add(new Option(`${code} - ${currency.label}`, code));
+			});
+			this.secondaryCurrencySelect.value = settings.currency;
+		}
+		
+		if (this.nativeEurCheckbox) this.nativeEurCheckbox.checked = settings.nativeEur;
+		if (this.showTixCheckbox) this.showTixCheckbox.checked = settings.showTix;
+		
+		this.renderPriceRateInfo(settings.currency);
+	}
+	
+	async renderPriceRateInfo(currency) {
+		if (!this.priceRateInfo) return;
+		
+		if (!currency) {
+			this.priceRateInfo.textContent = '';
+			return;
+		}
+		
+		const sourceLabels = {
+			live: 'live rate',
+			cached: 'cached rate',
+			stale: 'expired cached rate - rate services unreachable',
+			fallback: 'built-in rate - rate services unreachable'
+		};
+		
+		const { rate, source } = await new ScryfallAPI().getExchangeRate(currency);
+		this.priceRateInfo.textContent = `1 USD = ${rate} ${currency} (${sourceLabels[source]})`;
+	}
+	
+	savePriceSettings() {
+		const settings = {
+			currency: this.secondaryCurrencySelect?.value || '',
+			nativeEur: !!this.nativeEurCheckbox?.checked,
+			showTix: !!this.showTixCheckbox?.checked
+		};
+		
+		if (new ScryfallAPI().savePriceSettings(settings)) {
+			this.hideError();
+			this.renderPriceRateInfo(settings.currency);
+			this.showStatus('Price settings saved - they apply to the next list you generate or load');
+		} else {
+			this.showError('Could not save price settings');
+		}
+	}
+	
+	// === PRINTINGS ===
+	
+	populatePrintingSettings() {
+		const preferences = window.printingPreferences;
+		
+		if (this.printingPolicySelect) {
+			this.printingPolicySelect.innerHTML = '';
+			preferences.policies.forEach(policy => {
+				this.printingPolicySelect.add(new Option(policy.label, policy.value));
+			});
+			this.printingPolicySelect.value = preferences.settings.policy;
+		}
+		
+		if (this.preferredSetsInput) {
+			this.preferredSetsInput.value = preferences.settings.preferredSets.join(', ').toUpperCase();
+		}
+		
+		if (this.printingInfo) {
+			const count = preferences.choiceCount();
+			this.printingInfo.textContent = `${count} card${count === 1 ? '' : 's'} with a chosen printing - click a card's set symbol to choose`;
+		}
+	}
+	
+	savePrintingSettings() {
+		const settings = {
+			policy: this.printingPolicySelect?.value || 'default',
+			preferredSets: (this.preferredSetsInput?.value || '').split(/[\s,]+/)
+		};
+		
+		if (settings.policy === 'preferred' && !settings.preferredSets.some(Boolean)) {
+			this.showError('Enter at least one set code for the preferred sets policy');
+			return;
+		}
+		
+		if (window.printingPreferences.saveSettings(settings)) {
+			// Enriched cards carry the old printing
+			this.displayEngine?.cardCache.clear();
+			this.hideError();
+			this.populatePrintingSettings();
+			this.showStatus('Printing settings saved - they apply to the next list you generate or load');
+		} else {
+			this.showError('Could not save printing settings');
+		}
+	}
+	
+	// === SORT / FILTER TOOLBAR ===
+	
+	initializeCardToolbar() {
+		if (!this.cardToolbar) return;
+		
+		const filters = window.cardFilters;
+		
+		if (this.groupModeSelect) {
+			this.groupModeSelect.innerHTML = window.cardGrouping.modes
+				.map(mode => `<option value="${mode.value}">${mode.label}</option>`)
+				.join('');
+			
+			// Regrouping rebuilds the sections - the sort and filters then apply to the new grid
+			this.groupModeSelect.addEventListener('change', (e) => {
+				this.groupMode = e.target.value;
+				if (this.cardData) {
+					this.displayCards(this.cardData);
+				}
+			});
+		}
+		
+		if (this.sortSelect) {
+			this.sortSelect.innerHTML = filters.sortOptions
+				.map(option => `<option value="${option.value}">${option.label}</option>`)
+				.join('');
+		}
+		
+		if (this.typeFilterSelect) {
+			filters.typeOptions.forEach(type => {
+				this.typeFilterSelect.add(new Option(type, type));
+			});
+		}
+		
+		if (this.colorFilters) {
+			this.colorFilters.innerHTML = filters.colorOptions.map(color => `
+				<label class="color-filter color-filter-${color.toLowerCase()}">
+					<input type="checkbox" value="${color}">
+					<span>${color}</span>
+				</label>
+			`).join('');
+		}
+		
+		// Every control filters the grid as it changes - frames are only hidden and reordered
+		this.cardToolbar.addEventListener('input', () => this.readCardFilters());
+		this.cardToolbar.addEventListener('change', () => this.readCardFilters());
+		
+		if (this.resetFiltersBtn) {
+			this.resetFiltersBtn.addEventListener('click', () => {
+				window.cardFilters.reset();
+				this.populateCardToolbar();
+				this.applyCardFilters();
+			});
+		}
+	}
+	
+	// Cut off value and metric from the header controls into the shared filter state
+	readCutoff() {
+		window.cardFilters.setState({
+			cutoff: parseFloat(this.pdfCutoff?.value) || 0,
+			cutoffMetric: this.pdfCutoffMetric?.value || 'inclusion'
+		});
+		
+		this.applyCardFilters();
+	}
+	
+	populateCutoffSettings() {
+		const filters = window.cardFilters;
+		
+		if (this.cutoffExemptInput) {
+			this.cutoffExemptInput.value = filters.exemptSections.join('\n');
+		}
+		
+		if (this.cutoffExemptInfo) {
+			const present = this.cardData ?
+				Object.keys(this.cardData).filter(name => Array.isArray(this.cardData[name]) && filters.isExemptSection(name)) :
+				[];
+			this.cutoffExemptInfo.textContent = present.length > 0 ?
+				`Exempt in the current list: ${present.join(', ')}` :
+				'No section of the current list is exempt';
+		}
+	}
+	
+	saveCutoffExemptions() {
+		const sections = (this.cutoffExemptInput?.value || '').split('\n');
+		
+		if (window.cardFilters.saveExemptSections(sections)) {
+			this.populateCutoffSettings();
+			this.applyCardFilters();
+			this.showStatus('Cut off exemptions saved');
+		} else {
+			this.showError('Could not save cut off exemptions');
+		}
+	}
+	
+	readCardFilters() {
+		const number = input => {
+			const value = parseFloat(input?.value);
+			return isNaN(value) ? null : value;
+		};
+		
+		window.cardFilters.setState({
+			sort: this.sortSelect?.value || 'edhrec',
+			type: this.typeFilterSelect?.value || '',
+			colors: Array.from(this.colorFilters?.querySelectorAll('input:checked') || []).map(input => input.value),
+			mvMin: number(this.mvMinInput),
+			mvMax: number(this.mvMaxInput),
+			maxPrice: number(this.maxPriceInput),
+			text: this.oracleSearchInput?.value || '',
+			ownership: this.ownershipFilterSelect?.value || ''
+		});
+		
+		this.applyCardFilters();
+	}
+	
+	// Controls from the filter state (after a reset)
+	populateCardToolbar() {
+		const state = window.cardFilters.state;
+		
+		if (this.sortSelect) this.sortSelect.value = state.sort;
+		if (this.typeFilterSelect) this.typeFilterSelect.value = state.type;
+		this.colorFilters?.querySelectorAll('input').forEach(input => {
+			input.checked = state.colors.includes(input.value);
+		});
+		if (this.mvMinInput) this.mvMinInput.value = state.mvMin ?? '';
+		if (this.mvMaxInput) this.mvMaxInput.value = state.mvMax ?? '';
+		if (this.maxPriceInput) this.maxPriceInput.value = state.maxPrice ?? '';
+		if (this.oracleSearchInput) this.oracleSearchInput.value = state.text;
+		if (this.ownershipFilterSelect) this.ownershipFilterSelect.value = state.ownership;
+	}
+	
+	/**
+	 * Apply the toolbar's sort and filters to the rendered grid
+	 * Card data comes from the display engine's cache, nothing is fetched
+	 */
+	applyCardFilters() {
+		if (!this.cardGrid || !this.displayEngine || !this.cardGrid.querySelector('.card-frame')) return;
+		
+		const { shown, total } = window.cardFilters.applyToGrid(this.cardGrid, frame => this.displayEngine.getFrameCard(frame));
+		
+		if (this.filterSummary) {
+			this.filterSummary.textContent = window.cardFilters.isFiltering() ? `Showing ${shown} of ${total} cards` : '';
+		}
+		
+		this.renderMissingCost();
+	}
+	
+	/**
+	 * Cards of the shown list missing from the collection, and what they'd cost (USD, shown printing)
+	 * Each card counts once however many sections it appears in
+	 */
+	renderMissingCost() {
+		if (!this.missingCostSummary) return;
+		
+		const collection = window.cardCollection;
+		if (!collection?.hasCollection()) {
+			this.missingCostSummary.textContent = '';
+			return;
+		}
+		
+		const missing = new Map();
+		this.cardGrid.querySelectorAll('.card-frame:not(.card-filtered):not(.double-faced-back)').forEach(frame => {
+			const name = frame.dataset.cardName;
+			if (name && !missing.has(name) && !collection.isOwned(name)) {
+				missing.set(name, this.displayEngine.getFrameCard(frame).price_usd);
+			}
+		});
+		
+		const prices = [...missing.values()].filter(price => typeof price === 'number');
+		const total = prices.reduce((sum, price) => sum + price, 0);
+		const unpriced = missing.size - prices.length;
+		
+		this.missingCostSummary.textContent = missing.size === 0 ?
+			'You own every card shown' :
+			`Missing ${missing.size} card${missing.size === 1 ? '' : 's'}: $${total.toFixed(2)}${unpriced > 0 ? ` (${unpriced} unpriced)` : ''}`;
+	}
+	
+	/**
+	 * cardData regrouped by the toolbar's group mode
+	 * Type line and mana value come from the prefetched Scryfall cards; only cards the prefetch
+	 * missed are enriched first, in the same small batches as the frames
+	 */
+	async getGroupedCardData(cardData) {
+		const grouping = window.cardGrouping;
+		if (this.groupMode === 'sections') {
+			return cardData;
+		}
+		
+		const engine = this.displayEngine;
+		const lookup = name => engine.cardCache.get(name) || engine.prefetchedCards.get(name);
+		const missing = grouping.dedupe(cardData).filter(card => !lookup(card.name));
+		
+		const batchSize = 5;
+		for (let i = 0; i < missing.length; i += batchSize) {
+			await Promise.all(missing.slice(i, i + batchSize).map(card => engine.enrichCardData(card)));
+		}
+		
+		return grouping.group(cardData, this.groupMode, lookup);
+	}
+	
+	showCardToolbar(show) {
+		if (this.cardToolbar) {
+			this.cardToolbar.classList.toggle('hidden', !show);
+		}
+	}
+
+	initializePrintingChooser() {
+		if (this.cardGrid) {
+			this.cardGrid.addEventListener('click', (e) => {
+				const target = e.target.closest('.set-symbol-stats, .set-code-stats');
+				const frame = target?.closest('.card-frame');
+				if (frame?.dataset.cardName) {
+					this.openPrintingChooser(frame.dataset.cardName);
+				}
+			});
+		}
+		
+		if (this.closePrintingChooserBtn) {
+			this.closePrintingChooserBtn.addEventListener('click', () => {
+				this.closePrintingChooser();
+			});
+		}
+		
+		if (this.printingChooser) {
+			// Clicking the backdrop closes the chooser
+			this.printingChooser.addEventListener('click', (e) => {
+				if (e.target === this.printingChooser) {
+					this.closePrintingChooser();
+				}
+			});
+		}
+		
+		if (this.resetPrintingBtn) {
+			this.resetPrintingBtn.addEventListener('click', () => {
+				if (this.printingChooserCard) {
+					window.printingPreferences.clearChoice(this.printingChooserCard);
+					this.applyPrintingChoice(this.printingChooserCard);
+				}
+			});
+		}
+		
+		if (this.printingList) {
+			this.printingList.addEventListener('click', (e) => {
+				const option = e.target.closest('.printing-option');
+				if (option && this.printingChooserCard) {
+					window.printingPreferences.setChoice(this.printingChooserCard, {
+						id: option.dataset.id,
+						set: option.dataset.set,
+						collector_number: option.dataset.number
+					});
+					this.applyPrintingChoice(this.printingChooserCard);
+				}
+			});
+		}
+	}
+	
+	/**
+	 * List every printing of a card; the shown printing is highlighted
+	 * @param {string} cardName - List card name from the frame
+	 */
+	async openPrintingChooser(cardName) {
+		if (!this.printingChooser || !this.displayEngine) return;
+		
+		this.printingChooserCard = cardName;
+		this.printingChooserTitle.textContent = cardName;
+		this.printingList.innerHTML = '<p class="cache-info">Loading printings...</p>';
+		this.printingChooser.classList.remove('hidden');
+		
+		try {
+			const engine = this.displayEngine;
+			const card = engine.prefetchedCards.get(cardName) || await engine.scryfall.getCardByName(cardName);
+			const printings = await engine.scryfall.getPrintings(card);
+			const shownId = engine.cardCache.get(cardName)?.printing_id;
+			
+			// Newest first - that's usually what people look for
+			this.printingList.innerHTML = [...printings].reverse().map(printing => {
+				const year = printing.released_at ? printing.released_at.slice(0, 4) : '';
+				const price = printing.prices?.usd ? `$${printing.prices.usd}` : '—';
+				const digital = (printing.games || []).includes('paper') ? '' : ' (digital)';
+				
+				return `
+					<button class="printing-option${printing.id === shownId ? ' printing-current' : ''}"
+						data-id="${printing.id}" data-set="${printing.set}" data-number="${engine.escapeHTML(printing.collector_number || '')}">
+						<span class="printing-set">${engine.escapeHTML(printing.set_name)}${digital}</span>
+						<span class="printing-code">${engine.escapeHTML(printing.set.toUpperCase())} #${engine.escapeHTML(printing.collector_number || '')}</span>
+						<span class="printing-year">${year}</span>
+						<span class="printing-price">${price}</span>
+					</button>
+				`;
+			}).join('');
+		} catch (error) {
+			this.printingList.innerHTML = `<p class="cache-info">Could not load printings: ${this.displayEngine.escapeHTML(error.message)}</p>`;
+		}
+	}
+	
+	closePrintingChooser() {
+		this.printingChooser?.classList.add('hidden');
+		this.printingChooserCard = null;
+	}
+	
+	async applyPrintingChoice(cardName) {
+		this.closePrintingChooser();
+		
+		try {
+			await this.displayEngine.refreshCardFrames(this.cardGrid, cardName, this.fontSize);
+			this.applyCardFilters(); // Price and sort position may have changed
+			this.showStatus(`Updated the printing of ${cardName}`);
+		} catch (error) {
+			this.showError(`Could not update ${cardName}: ${error.message}`);
+		}
+	}
+	
+	// === SYMBOL PACKS ===
+	
+	renderSymbolPackInfo() {
+		if (!this.symbolPackInfo) return;
+		
+		const symbols = window.symbolDatabase;
+		const setCount = Object.keys(symbols?.database?.sets || {}).length;
+		const manaCount = Object.keys(symbols?.manaDatabase?.symbols || {}).length;
+		this.symbolPackInfo.textContent = `${setCount} set symbols, ${manaCount} mana symbols stored`;
+	}
+	
+	exportSymbolPack() {
+		try {
+			const pack = window.symbolDatabase.exportPack();
+			const date = new Date().toISOString().slice(0, 10);
+			new ExportManager().saveTextFile(pack, `edhrec-symbol-pack-${date}.json`);
+			this.showStatus('Symbol pack exported');
+		} catch (error) {
+			this.showError(`Could not export the symbol pack: ${error.message}`);
+		}
+	}
+	
+	importSymbolPack(file) {
+		if (!file) return;
+		
+		const reader = new FileReader();
+		reader.onload = async (e) => {
+			try {
+				const stats = await window.symbolDatabase.importPack(e.target.result);
+				this.hideError();
+				this.renderSymbolPackInfo();
+				const skipped = stats.skipped ? ` (${stats.skipped} invalid entries skipped)` : '';
+				this.showStatus(`Imported ${stats.totalSets} set symbols and ${stats.manaCount} mana symbols from ${file.name}${skipped}`);
+			} catch (error) {
+				this.showError(`Could not import ${file.name}: ${error.message}`);
+			}
+		};
+		reader.onerror = () => {
+			this.showError('Cannot read selected file');
+		};
+		reader.readAsText(file);
+	}
+	
+	// === OFFLINE CARD DATA ===
+	
+	/**
+	 * Import a Scryfall bulk file loaded through the Load button
+	 * Replaces any previous import; card lookups use it from then on
+	 */
+	async importBulkData(content, file) {
+		this.showLoading();
+		this.showStatus(`Importing Scryfall bulk data from ${file.name}...`);
+		
+		try {
+			const meta = await window.scryfallBulk.importFile(content, file, (done, total) => {
+				this.showStatus(`Importing Scryfall bulk data... ${done} / ${total} cards`);
+			});
+			
+			this.hideError();
+			this.renderBulkDataStatus();
+			this.showStatus(`Imported ${meta.cardCount} cards - card lookups now work offline (data from ${this.formatBulkDate(meta.bulkDate)})`);
+		} catch (error) {
+			this.showError(`Could not import bulk data: ${error.message}`);
+		} finally {
+			this.hideLoading();
+		}
+	}
+	
+	// === COLLECTION ===
+	
+	async importCollection(content, file) {
+		this.showLoading();
+		this.showStatus(`Importing your collection from ${file.name}...`);
+		
+		try {
+			const meta = await window.cardCollection.importFile(content, file);
+			
+			this.hideError();
+			this.renderCollectionInfo();
+			if (this.cardData) {
+				await this.displayCards(this.cardData); // Mark owned cards in the current list
+			}
+			this.showStatus(`Imported ${meta.cardCount} cards (${meta.totalQuantity} copies) from your ${meta.format} collection`);
+		} catch (error) {
+			this.showError(`Could not import the collection: ${error.message}`);
+		} finally {
+			this.hideLoading();
+		}
+	}
+	
+	async clearCollection() {
+		try {
+			await window.cardCollection.clear();
+			this.renderCollectionInfo();
+			if (this.cardData) {
+				await this.displayCards(this.cardData);
+			}
+			this.showStatus('Collection removed');
+		} catch (error) {
+			this.showError(`Could not remove the collection: ${error.message}`);
+		}
+	}
+	
+	renderCollectionInfo() {
+		if (!this.collectionInfo) return;
+		
+		const meta = window.cardCollection?.meta;
+		this.collectionInfo.textContent = meta ?
+			`${meta.cardCount} cards (${meta.totalQuantity} copies) from ${meta.fileName}, ${meta.format} format, imported ${this.formatCacheAge(new Date(meta.importedAt).getTime())}` :
+			'No collection imported';
+	}
+	
+	async clearBulkData() {
+		try {
+			await window.scryfallBulk.clear();
+			this.renderBulkDataStatus();
+			this.showStatus('Offline card data removed - card lookups use the Scryfall API');
+		} catch (error) {
+			this.showError(`Could not remove offline card data: ${error.message}`);
+		}
+	}
+	
+	renderBulkDataStatus() {
+		const meta = window.scryfallBulk?.isAvailable() ? window.scryfallBulk.meta : null;
+		
+		if (this.bulkDataBadge) {
+			this.bulkDataBadge.classList.toggle('hidden', !meta);
+			this.bulkDataBadge.textContent = meta ? `Offline cards: ${this.formatBulkDate(meta.bulkDate)}` : '';
+		}
+		
+		if (this.bulkDataInfo) {
+			this.bulkDataInfo.textContent = meta ?
+				`${meta.cardCount} cards${meta.hasPrintings ? ' with all printings' : ''} from ${meta.fileName} (bulk data of ${this.formatBulkDate(meta.bulkDate)}, imported ${this.formatCacheAge(new Date(meta.importedAt).getTime())})` :
+				'No bulk data imported - card lookups use the Scryfall API';
+		}
+	}
+	
+	formatBulkDate(isoDate) {
+		return new Date(isoDate).toLocaleDateString();
+	}
+	
+	// "5 minutes ago", "3 hours ago", "2 days ago"
+	formatCacheAge(timestamp) {
+		const minutes = Math.floor((Date.now() - timestamp) / 60000);
+		if (minutes < 1) return 'just now';
+		if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+		
+		const hours = Math.floor(minutes / 60);
+		if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+		
+		const days = Math.floor(hours / 24);
+		return `${days} days ago`;
+	}
+	
+	populateProxySettings() {
+		const settings = window.proxyFetcher.settings;
+		
+		if (this.localProxyInput) {
+			this.localProxyInput.value = settings.localProxy || '';
+		}
+		
+		if (this.proxyListInput) {
+			this.proxyListInput.value = settings.proxies
+				.map(proxy => `${proxy.url || 'DIRECT'} ${proxy.timeout}`)
+				.join('\n');
+		}
+		
+		this.renderProxyHealth();
+	}
+	
+	/**
+	 * Parse the proxy textarea: one proxy per line, "URL [timeout ms]"
+	 * @returns {Array} Proxy entries `{url, timeout}`
+	 */
+	parseProxyList(text) {
+		return text.split('\n')
+			.map(line => line.trim())
+			.filter(line => line && !line.startsWith('#'))
+			.map(line => {
+				const [url, timeout] = line.split(/\s+/);
+				return {
+					url: url.toUpperCase() === 'DIRECT' ? '' : url,
+					timeout: parseInt(timeout) || window.proxyFetcher.defaultTimeout
+				};
+			});
+	}
+	
+	saveProxySettings() {
+		const proxies = this.parseProxyList(this.proxyListInput?.value || '');
+		const localProxy = this.localProxyInput?.value || '';
+		
+		if (proxies.length === 0 && !localProxy.trim()) {
+			this.showError('Proxy chain is empty - add at least one proxy or DIRECT');
+			return;
+		}
+		
+		if (window.proxyFetcher.saveSettings({ localProxy, proxies })) {
+			this.hideError();
+			this.populateProxySettings();
+			this.showStatus(`Saved ${proxies.length} proxies${localProxy.trim() ? ' plus local proxy' : ''}`);
+		} else {
+			this.showError('Could not save proxy settings');
+		}
+	}
+	
+	renderProxyHealth() {
+		if (!this.proxyHealth) return;
+		
+		const fetcher = window.proxyFetcher;
+		const rows = fetcher.getOrderedProxies().map(proxy => {
+			const health = fetcher.getProxyHealth(proxy.url);
+			const isLast = fetcher.health.lastWorking === proxy.url;
+			const label = proxy.url || 'DIRECT';
+			
+			return `
+				<div class="proxy-health-row${isLast ? ' last-working' : ''}">
+					<span class="proxy-url">${this.escapeHTML(label)}${proxy.local ? ' (local)' : ''}</span>
+					<span class="proxy-score">✓ ${health.successes} ✗ ${health.failures}${health.lastLatency ? ` · ${health.lastLatency}ms` : ''}</span>
+					${isLast ? '<span class="proxy-last">last worked</span>' : ''}
+				</div>
+			`;
+		});
+		
+		this.proxyHealth.innerHTML = `<div class="proxy-health-title">Attempt order</div>${rows.join('')}`;
+	}
+
+	// === SNAPSHOT HISTORY ===
+	
+	initializeHistoryPanel() {
+		if (this.historyBtn && this.historyPanel) {
+			this.historyBtn.addEventListener('click', () => {
+				this.toggleHistoryPanel();
+			});
+		}
+		
+		if (this.compareSnapshotsBtn) {
+			this.compareSnapshotsBtn.addEventListener('click', () => {
+				this.showSnapshotDiff();
+			});
+		}
+		
+		if (this.downloadDiffBtn) {
+			this.downloadDiffBtn.addEventListener('click', () => {
+				this.downloadDiff();
+			});
+		}
+	}
+	
+	toggleHistoryPanel() {
+		const isHidden = this.historyPanel.classList.toggle('hidden');
+		if (!isHidden) {
+			this.loadSnapshotHistory();
+		}
+	}
+	
+	async loadSnapshotHistory() {
+		this.currentDiff = null;
+		this.historyDiff.innerHTML = '';
+		this.downloadDiffBtn.disabled = true;
+		
+		if (!this.currentPageKey) {
+			this.snapshots = [];
+			this.historySummary.textContent = 'Generate a commander list first - snapshots are kept per commander page';
+			this.fillSnapshotSelects();
+			return;
+		}
+		
+		this.snapshots = await window.snapshotHistory.list(this.currentPageKey);
+		this.historySummary.textContent = `${this.snapshots.length} snapshot${this.snapshots.length === 1 ? '' : 's'} of ${this.getCommanderDisplayName()}${this.cardData?._variant ? ` (${this.cardData._variant})` : ''}`;
+		this.fillSnapshotSelects();
+		
+		if (this.snapshots.length < 2) {
+			this.historyDiff.textContent = 'At least two snapshots are needed for a diff. A snapshot is stored each time the list is fetched from EDHREC.';
+		}
+	}
+	
+	// Newest snapshot as "to", the one before it as "from"
+	fillSnapshotSelects() {
+		[this.historyFromSelect, this.historyToSelect].forEach(select => {
+			select.innerHTML = '';
+			this.snapshots.forEach((snapshot, index) => {
+				select.appendChild(new Option(new Date(snapshot.takenAt).toLocaleString(), index));
+			});
+		});
+		
+		if (this.snapshots.length >= 2) {
+			this.historyFromSelect.value = 1;
+			this.historyToSelect.value = 0;
+		}
+		this.compareSnapshotsBtn.disabled = this.snapshots.length < 2;
+	}
+	
+	showSnapshotDiff() {
+		let older = this.snapshots[this.historyFromSelect.value];
+		let newer = this.snapshots[this.historyToSelect.value];
+		if (!older || !newer) return;
+		
+		if (older.takenAt > newer.takenAt) {
+			[older, newer] = [newer, older];
+		}
+		
+		this.currentDiff = window.snapshotHistory.diff(older, newer);
+		this.renderSnapshotDiff(this.currentDiff);
+		this.downloadDiffBtn.disabled = false;
+	}
+	
+	renderSnapshotDiff(diff) {
+		if (diff.sections.length === 0) {
+			this.historyDiff.innerHTML = '<p class="diff-empty">No changes between these snapshots.</p>';
+			return;
+		}
+		
+		this.historyDiff.innerHTML = diff.sections.map(section => {
+			const rows = [
+				...section.entered.map(card => `<li class="diff-entered">＋ ${this.escapeHTML(card.name)} <span>${this.escapeHTML(card.inclusion)}</span></li>`),
+				...section.left.map(card => `<li class="diff-left">－ ${this.escapeHTML(card.name)} <span>was ${this.escapeHTML(card.inclusion)}</span></li>`),
+				...section.changed.map(change => `
+					<li class="${change.delta > 0 ? 'diff-up' : 'diff-down'}">
+						${change.delta > 0 ? '▲' : '▼'} ${this.escapeHTML(change.name)}
+						<span>${change.from}% → ${change.to}% (${change.delta > 0 ? '+' : ''}${change.delta})</span>
+					</li>
+				`)
+			];
+			
+			return `
+				<div class="diff-section">
+					<h4>${this.escapeHTML(section.name)}</h4>
+					<ul>${rows.join('')}</ul>
+				</div>
+			`;
+		}).join('');
+	}
+	
+	downloadDiff() {
+		if (!this.currentDiff) return;
+		
+		try {
+			const exportManager = new ExportManager();
+			const filename = `${this.getCommanderFileName()}${this.getVariantFileSuffix()}_diff.txt`;
+			exportManager.downloadDiffFile(this.currentDiff, this.getCommanderDisplayName(), filename);
+			this.showStatus('Diff downloaded');
+		} catch (error) {
+			this.showError('Failed to download diff: ' + error.message);
+		}
+	}
+
+	// === CARD MODE ===
+	
+	/**
+	 * Switch the search box between commander lists and card lookups
+	 * Card mode shows which commanders play a card - commander-only controls are hidden
+	 * @param {string} mode - 'commander' or 'card'
+	 */
+	setSearchMode(mode) {
+		this.searchMode = mode === 'card' ? 'card' : 'commander';
+		const isCardMode = this.searchMode === 'card';
+		
+		if (this.searchModeSelect) {
+			this.searchModeSelect.value = this.searchMode;
+		}
+		if (this.variantControls) {
+			this.variantControls.classList.toggle('hidden', isCardMode);
+		}
+		if (this.addCompareBtn) {
+			this.addCompareBtn.classList.toggle('hidden', isCardMode);
+		}
+		
+		this.cardSearch.placeholder = isCardMode ?
+			'Search for any card or paste an EDHREC card URL...' :
+			'Search for a commander or paste EDHREC URL...';
+		
+		if (this.generateBtn) {
+			this.generateBtn.textContent = isCardMode ? 'Find Commanders' : 'Generate List';
+		}
+	}
+	
+	selectLookupCard(card) {
+		this.currentCard = card;
+		this.cardSearch.value = card.name;
+		this.hideSearchResults();
+		
+		if (this.searchMode !== 'card') {
+			this.setSearchMode('card');
+		}
+		
+		if (this.generateBtn) {
+			this.generateBtn.disabled = false;
+		}
+		
+		this.showStatus(`Selected card: ${card.name} - find the commanders that play it`);
+	}
+	
+	// "/cards/sol-ring" → "Sol Ring"
+	extractCardFromURL(url) {
+		try {
+			const urlObj = new URL(url);
+			const pathParts = urlObj.pathname.split('/');
+			
+			if (urlObj.hostname.includes('edhrec.com') && pathParts.includes('cards')) {
+				const cardSlug = pathParts[pathParts.indexOf('cards') + 1];
+				if (cardSlug) {
+					return this.slugToCardName(cardSlug);
+				}
+			}
+		} catch (error) {
+			// Not a URL - regular search text
+		}
+		return null;
+	}
+	
+	/**
+	 * Card mode: list the commanders that play the selected (or URL) card
+	 * @param {string} searchInput - Search box text, may be an EDHREC card URL
+	 * @param {Object} options - `{refresh: true}` skips the page cache
+	 */
+	async generateCardCommanders(searchInput, options = {}) {
+		const urlCard = this.extractCardFromURL(searchInput);
+		
+		if (urlCard) {
+			try {
+				this.currentCard = await new ScryfallAPI().getCardByName(urlCard);
+				this.cardSearch.value = this.currentCard.name;
+				this.setSearchMode('card');
+			} catch (error) {
+				this.showError(`Failed to find card from URL: ${error.message}`);
+				return;
+			}
+		}
+		
+		if (!this.currentCard) {
+			this.showError('Please select a card first or enter a valid EDHREC card URL');
+			return;
+		}
+		
+		const card = this.currentCard;
+		this.showLoading();
+		this.hideError();
+		this.hideStatus();
+		
+		try {
+			const sections = await window.edhrecExtractor.extractCardCommanders(card.name, { refresh: !!options.refresh });
+			
+			this.extractionStrategy = sections._strategy || null;
+			this.cacheInfo = sections._cache || null;
+			
+			// The looked-up card goes first, like the commander on a commander list
+			this.cardData = {
+				"Card": [{ name: card.name, inclusion: sections._deckCount || 'Card' }]
+			};
+			Object.entries(sections).forEach(([sectionName, value]) => {
+				if (Array.isArray(value)) {
+					this.cardData[sectionName] = value;
+				}
+			});
+			
+			await this.displayCards(this.cardData);
+			this.hideLoading();
+			
+			const commanderCount = this.countTotalCards() - 1;
+			const message = `Found ${commanderCount} commanders playing ${card.name}`;
+			
+			if (this.cacheInfo) {
+				this.showStatus(`${message} (cached ${this.formatCacheAge(this.cacheInfo.cachedAt)})`, {
+					refresh: () => this.generateCardCommanders(card.name, { refresh: true })
+				});
+			} else {
+				this.showStatus(message);
+			}
+			
+		} catch (error) {
+			this.hideLoading();
+			console.error(`❌ ${error.name || 'Error'} while looking up commanders:`, error);
+			
+			this.showError(`Failed to find commanders for ${card.name}: ${error.message}`, {
+				retry: () => this.generateCardCommanders(card.name)
+			});
+		}
+	}
+
+	// === COMMANDER COMPARISON ===
+	
+	initializeComparison() {
+		if (this.addCompareBtn) {
+			this.addCompareBtn.addEventListener('click', () => {
+				this.addToComparison();
+			});
+		}
+		
+		if (this.runCompareBtn) {
+			this.runCompareBtn.addEventListener('click', () => {
+				this.generateComparison();
+			});
+		}
+		
+		if (this.clearCompareBtn) {
+			this.clearCompareBtn.addEventListener('click', () => {
+				this.compareEntries = [];
+				this.renderCompareBar();
+			});
+		}
+	}
+	
+	// Queue the selected commander (pair) and variant for comparison
+	addToComparison() {
+		if (!this.currentCommander) {
+			this.showError('Select a commander before adding it to the comparison');
+			return;
+		}
+		
+		const names = this.getCommanderNames();
+		const variant = this.getSelectedVariant();
+		const variantLabel = window.edhrecExtractor.getVariantLabel(variant, this.commanderThemes);
+		const label = `${this.getCommanderDisplayName()}${variantLabel ? ` (${variantLabel})` : ''}`;
+		
+		if (this.compareEntries.some(entry => entry.label === label)) {
+			this.showStatus(`${label} is already in the comparison`);
+			return;
+		}
+		
+		this.compareEntries.push({ names, variant, label });
+		this.renderCompareBar();
+		this.showStatus(`Added ${label} to the comparison (${this.compareEntries.length} commanders)`);
+	}
+	
+	renderCompareBar() {
+		if (!this.compareBar) return;
+		
+		this.compareBar.classList.toggle('hidden', this.compareEntries.length === 0);
+		this.runCompareBtn.disabled = this.compareEntries.length < 2;
+		this.compareList.innerHTML = '';
+		
+		this.compareEntries.forEach((entry, index) => {
+			const chip = document.createElement('span');
+			chip.className = 'compare-chip';
+			chip.textContent = entry.label;
+			
+			const removeBtn = document.createElement('button');
+			removeBtn.className = 'compare-chip-remove';
+			removeBtn.textContent = '×';
+			removeBtn.title = `Remove ${entry.label}`;
+			removeBtn.addEventListener('click', () => {
+				this.compareEntries.splice(index, 1);
+				this.renderCompareBar();
+			});
+			
+			chip.appendChild(removeBtn);
+			this.compareList.appendChild(chip);
+		});
+	}
+	
+	/**
+	 * Extract every queued commander and show the merged comparison
+	 * Lists come through the page cache, so repeated comparisons are cheap
+	 */
+	async generateComparison() {
+		if (this.compareEntries.length < 2) {
+			this.showError('Add at least two commanders to compare');
+			return;
+		}
+		
+		this.contentType = 'comparison';
+		this.resetStateForContentType(this.contentType);
+		this.showLoading();
+		this.hideError();
+		this.hideStatus();
+		
+		const entries = [];
+		
+		try {
+			for (const entry of this.compareEntries) {
+				console.log(`⚖️ Extracting ${entry.label} for comparison`);
+				const sections = await window.extractEDHRECData(entry.names, { variant: entry.variant });
+				entries.push({ label: entry.label, sections });
+			}
+			
+			this.cardData = window.commanderComparison.merge(entries);
+			await this.displayCards(this.cardData);
+			this.hideLoading();
+			
+			const labels = this.cardData._comparison.commanders;
+			this.showStatus(`Compared ${labels.join(' vs ')} - ${this.cardData['All Cards'].length} cards in total`);
+			
+		} catch (error) {
+			this.hideLoading();
+			console.error(`❌ ${error.name || 'Error'} while comparing commanders:`, error);
+			
+			const failed = this.compareEntries[entries.length];
+			this.showError(`Failed to compare commanders${failed ? ` (${failed.label})` : ''}: ${error.message}`, {
+				retry: () => this.generateComparison()
+			});
+		}
+	}
+
+	// === EDHREC SUB-PAGE VARIANTS ===
+	
+	initializeVariantSelectors() {
+		const extractor = window.edhrecExtractor;
+		if (!extractor) return;
+		
+		this.fillVariantSelect(this.bracketSelect, 'Any bracket', extractor.bracketOptions);
+		this.fillVariantSelect(this.budgetSelect, 'Any price', extractor.budgetOptions);
+		this.populateThemeSelect([]);
+	}
+	
+	fillVariantSelect(select, defaultLabel, options, selected = '') {
+		if (!select) return;
+		
+		select.innerHTML = '';
+		select.appendChild(new Option(defaultLabel, ''));
+		options.forEach(option => {
+			const label = option.count ? `${option.label} (${option.count.toLocaleString()})` : option.label;
+			select.appendChild(new Option(label, option.slug));
+		});
+		select.value = selected;
+	}
+	
+	/**
+	 * Fill the theme selector, keeping the current or requested theme selectable
+	 * even if it isn't among the discovered themes (e.g. it came from a pasted URL)
+	 * @param {Array} themes - `{slug, label, count}` entries
+	 * @param {string} selected - Theme slug to select
+	 */
+	populateThemeSelect(themes, selected = '') {
+		this.commanderThemes = themes;
+		
+		const options = [...themes];
+		if (selected && !options.some(theme => theme.slug === selected)) {
+			options.unshift({ slug: selected, label: window.edhrecExtractor.getVariantLabel({ theme: selected }) });
+		}
+		
+		this.fillVariantSelect(this.themeSelect, themes.length ? 'All themes' : 'All themes (none found yet)', options, selected);
+	}
+	
+	/**
+	 * Look up the selected commander's (or pair's) themes in the background
+	 * Failure only leaves the theme list empty - the base page still works
+	 */
+	async loadCommanderThemes() {
+		const selected = this.themeSelect ? this.themeSelect.value : '';
+		const commanderNames = this.getCommanderNames();
+		const displayName = this.getCommanderDisplayName();
+		
+		try {
+			const themes = await window.edhrecExtractor.discoverThemes(commanderNames);
+			
+			// Ignore results for a commander that is no longer selected
+			if (this.getCommanderDisplayName() !== displayName) return;
+			
+			this.populateThemeSelect(themes, selected);
+			console.log(`🏷️ Found ${themes.length} themes for ${displayName}`);
+		} catch (error) {
+			console.warn(`⚠️ Theme discovery failed for ${displayName}:`, error);
+		}
+	}
+	
+	getSelectedVariant() {
+		return {
+			theme: this.themeSelect ? this.themeSelect.value : '',
+			bracket: this.bracketSelect ? this.bracketSelect.value : '',
+			budget: this.budgetSelect ? this.budgetSelect.value : ''
+		};
+	}
+	
+	applyVariant(variant) {
+		this.populateThemeSelect(this.commanderThemes, variant.theme);
+		if (this.bracketSelect) this.bracketSelect.value = variant.bracket;
+		if (this.budgetSelect) this.budgetSelect.value = variant.budget;
+	}
+
+	// === COMMANDER PAIRS ===
+	
+	// Commander names for EDHREC - one name, or both names of a pair
+	getCommanderNames() {
+		return [this.currentCommander?.name, this.currentPartner?.name].filter(Boolean);
+	}
+	
+	getCommanderDisplayName() {
+		return this.getCommanderNames().join(' + ');
+	}
+	
+	// File-name safe commander (pair) name - all compared commanders for a comparison
+	getCommanderFileName() {
+		let names = this.getCommanderNames();
+		if (this.contentType === 'comparison' && this.cardData?._comparison) {
+			names = [this.cardData._comparison.commanders.join('_vs_')];
+		} else if (this.contentType === 'card-commanders' && this.currentCard) {
+			names = [this.currentCard.name];
+		}
+		return names.length > 0 ? names.join('_').replace(/[^a-z0-9]/gi, '_') : 'edhrec';
+	}
+	
+	/**
+	 * Show the partner selector when the commander can share the command zone
+	 * and fill it with every card Scryfall confirms as a valid pair
+	 * @param {Object} commander - Scryfall card of the first commander
+	 * @param {Object} partner - Optional partner to preselect
+	 */
+	async loadPairCandidates(commander, partner = null) {
+		if (!this.partnerSelect) return;
+		
+		const scryfall = new ScryfallAPI();
+		this.pairCandidates = partner ? [partner] : [];
+		this.renderPartnerSelect(partner);
+		
+		if (!scryfall.canHavePairedCommander(commander)) {
+			this.partnerSelect.classList.add('hidden');
+			return;
+		}
+		this.partnerSelect.classList.remove('hidden');
+		
+		try {
+			const candidates = await scryfall.searchPairCandidates(commander);
+			
+			// Ignore results for a commander that is no longer selected
+			if (this.currentCommander?.name !== commander.name) return;
+			
+			this.pairCandidates = candidates;
+			if (partner && !candidates.some(card => card.name === partner.name)) {
+				this.pairCandidates.unshift(partner);
+			}
+			this.renderPartnerSelect(this.currentPartner);
+			console.log(`🤝 Found ${candidates.length} possible partners for ${commander.name}`);
+		} catch (error) {
+			console.warn(`⚠️ Partner lookup failed for ${commander.name}:`, error);
+		}
+	}
+	
+	renderPartnerSelect(selected = null) {
+		this.partnerSelect.innerHTML = '';
+		this.partnerSelect.appendChild(new Option('No partner', ''));
+		this.pairCandidates.forEach(card => {
+			this.partnerSelect.appendChild(new Option(card.name, card.name));
+		});
+		this.partnerSelect.value = selected ? selected.name : '';
+	}
+	
+	/**
+	 * Pick (or clear) the second commander from the partner selector
+	 * @param {string} partnerName - Candidate card name, '' for none
+	 */
+	selectPartner(partnerName) {
+		const partner = this.pairCandidates.find(card => card.name === partnerName) || null;
+		
+		if (partner) {
+			const validation = new ScryfallAPI().validateCommanderPair(this.currentCommander, partner);
+			if (!validation.valid) {
+				this.showError(validation.reason);
+				this.renderPartnerSelect(this.currentPartner);
+				return;
+			}
+			this.hideError();
+			this.showStatus(`Selected: ${this.currentCommander.name} + ${partner.name} (${validation.pairing})`);
+		} else {
+			this.showStatus(`Selected: ${this.currentCommander.name}`);
+		}
+		
+		this.currentPartner = partner;
+		
+		// The pair has its own EDHREC page and themes
+		this.populateThemeSelect([]);
+		this.loadCommanderThemes();
+	}
+	
+	/**
+	 * Resolve the commander(s) of an EDHREC URL
+	 * Pair slugs are two card slugs joined together, so when the whole slug isn't
+	 * a single card every split point is tried until both halves form a valid pair
+	 * @param {string} url - EDHREC commander URL
+	 * @returns {Promise<Array>} One or two Scryfall cards
+	 */
+	async resolveCommandersFromURL(url) {
+		const slug = this.extractCommanderSlugFromURL(url);
+		const scryfall = new ScryfallAPI();
+		const extractor = window.edhrecExtractor;
+		const findBySlug = async (partSlug) => {
+			try {
+				const card = await scryfall.getCardByName(this.slugToCardName(partSlug));
+				return extractor.generateCommanderSlug(card.name) === partSlug ? card : null;
+			} catch (error) {
+				return null;
+			}
+		};
+		
+		const single = await findBySlug(slug);
+		if (single) return [single];
+		
+		const words = slug.split('-');
+		for (let i = 1; i < words.length; i++) {
+			const first = await findBySlug(words.slice(0, i).join('-'));
+			if (!first || !scryfall.canHavePairedCommander(first)) continue;
+			
+			const second = await findBySlug(words.slice(i).join('-'));
+			if (second && scryfall.validateCommanderPair(first, second).valid) {
+				console.log(`🤝 URL is a commander pair: ${first.name} + ${second.name}`);
+				return [first, second];
+			}
+		}
+		
+		// Not an exact match - fall back to Scryfall's best fuzzy guess
+		return [await scryfall.getCardByName(this.slugToCardName(slug))];
+	}
+
+	// [REPLACE the current handleSearchInput method in app.js - around line 200]
+	async handleSearchInput(event) {
+		const query = event.target.value.trim();
+
+		// ENHANCED: Handle BOTH commander URLs AND upgrade guide URLs
+		if (query.startsWith('http') || query.includes('edhrec.com')) {
+			this.hideSearchResults();
+			
+			// Check for ALL URL types
+			const urlCommander = this.extractCommanderFromURL(query);
+			const urlCard = this.extractCardFromURL(query);
+			const isUpgradeGuide = this.isUpgradeGuideURL(query);
+			
+			if (urlCommander || urlCard || isUpgradeGuide) {
+				console.log(`🎯 URL detected, enabling generate button:`, {
+					isCommander: !!urlCommander,
+					isCard: !!urlCard,
+					isUpgradeGuide: isUpgradeGuide,
+					url: query
+				});
+				
+				if (this.generateBtn) {
+					this.generateBtn.disabled = false;
+				}
+				
+				if (isUpgradeGuide) {
+					this.showStatus(`Ready to generate upgrade guide from URL`);
+				} else if (urlCard) {
+					this.showStatus(`Ready to find commanders for card from URL`);
+				} else {
+					this.showStatus(`Ready to generate list for commander from URL`);
+				}
+			}
+			return;
+		}
+
+		if (query.length < 2) {
+			this.hideSearchResults();
+			return;
+		}
+
+		try {
+			const scryfall = new ScryfallAPI();
+			const results = await scryfall.searchCards(query);
+
+			this.displaySearchResults(results);
+			
+		} catch (error) {
+			this.hideSearchResults();
+		}
+	}
+
+    displaySearchResults(results) {
+        if (!this.searchResults) {
+            return;
+        }
+
+        if (results.length === 0) {
+            this.searchResults.innerHTML = '<div class="search-result">No results found</div>';
+            this.searchResults.classList.add('active');
+            return;
+        }
+
+        this.searchResults.innerHTML = '';
+        results.slice(0, 10).forEach(card => {
+            const resultElement = document.createElement('div');
+            resultElement.className = 'search-result';
+            resultElement.innerHTML = `
+                <div class="card-name">${this.escapeHTML(card.name)}</div>
+                <div class="card-type">${this.escapeHTML(card.type_line)}</div>
+            `;
+            
+            resultElement.addEventListener('click', () => {
+                this.selectCommander(card);
+            });
+            
+            this.searchResults.appendChild(resultElement);
+        });
+
+        this.searchResults.classList.add('active');
+    }
+
+    hideSearchResults() {
+        if (this.searchResults) {
+            this.searchResults.classList.remove('active');
+        }
+    }
+
+    selectCommander(card) {
+        const status = new ScryfallAPI().getCommanderStatus(card);
+        
+        // Card mode, or a card that can't lead a deck: look up its commanders instead
+        if (this.searchMode === 'card' || (!status.eligible && !status.couldLead)) {
+            this.selectLookupCard(card);
+            return;
+        }
+        
+        // Banned commanders have no EDHREC lists worth building on
+        if (status.banned) {
+            this.hideSearchResults();
+            this.showError(status.reason);
+            return;
+        }
+        
+        const commanderChanged = this.currentCommander?.name !== card.name;
+        
+        this.currentCommander = card;
+        this.cardSearch.value = card.name;
+        this.hideSearchResults();
+        
+        if (this.generateBtn) {
+            this.generateBtn.disabled = false;
+        }
+        
+        // Themes and partners are per commander - start over and discover the new ones
+        if (commanderChanged) {
+            this.currentPartner = null;
+            this.populateThemeSelect([]);
+            this.loadCommanderThemes();
+            this.loadPairCandidates(card);
+        }
+        
+        this.showStatus(status.requiresPair ? `Selected: ${card.name} - ${status.reason}` : `Selected: ${card.name}`);
+    }
+
+	/**
+	 * Generate the list for the selected commander
+	 * @param {Object} options - `{refresh: true}` skips the page cache
+	 */
+	async generateList(options = {}) {
+		let commanderToUse = this.currentCommander;
+		let searchInput = this.cardSearch.value.trim();
+		
+		// === IMPROVED: DETECT CONTENT TYPE WITH STATE RESET ===
+		this.contentType = this.determineContentType(searchInput);
+		console.log(`🎯 Starting generation for content type: ${this.contentType}`);
+		
+		// RESET STATE BEFORE PROCESSING - CRITICAL FIX
+		this.resetStateForContentType(this.contentType);
+		
+		// Handle upgrade guide URLs first
+		if (this.contentType === 'upgrade-guide') {
+			await this.handleUpgradeGuide(searchInput);
+			return;
+		}
+		
+		// Card mode: commanders that play a card
+		if (this.contentType === 'card-commanders') {
+			await this.generateCardCommanders(searchInput, options);
+			return;
+		}
+		
+		// Handle URL input if no commander selected but URL detected
+		if (!commanderToUse && searchInput) {
+			const urlCommander = this.extractCommanderFromURL(searchInput);
+			if (urlCommander) {
+				console.log(`🎯 Using commander from URL: ${urlCommander}`);
+				try {
+					const [commander, partner = null] = await this.resolveCommandersFromURL(searchInput);
+					commanderToUse = commander;
+					if (commanderToUse) {
+						this.commanderThemes = [];
+						this.currentCommander = commanderToUse;
+						this.currentPartner = partner;
+						this.cardSearch.value = commanderToUse.name; // Update display
+						this.hideSearchResults();
+						this.loadPairCandidates(commanderToUse, partner);
+						
+						// Theme, bracket and budget segments of the URL drive the selectors
+						this.applyVariant(this.extractVariantFromURL(searchInput));
+						this.showStatus(`Selected: ${this.getCommanderDisplayName()} (from URL)`);
+					}
+				} catch (error) {
+					this.showError(`Failed to find commander from URL: ${error.message}`);
+					return;
+				}
+			}
+		}
+		
+		// VALIDATION 
+		if (!commanderToUse) {
+			this.showError('Please select a commander first or enter a valid EDHREC URL');
+			return;
+		}
+		
+		// A Background can't lead alone
+		const commanderStatus = new ScryfallAPI().getCommanderStatus(commanderToUse);
+		if (commanderStatus.requiresPair && !this.currentPartner) {
+			this.showError(commanderStatus.reason);
+			return;
+		}
+
+		// IMPLEMENTATION
+		this.showLoading();
+		this.hideError();
+		this.hideStatus();
+
+		const variant = this.getSelectedVariant();
+
+		try {
+			this.cardData = await window.extractEDHRECData(this.getCommanderNames(), { variant, refresh: !!options.refresh });
+			
+			// History follows the list on screen - a failed fetch leaves it on the previous page
+			this.currentPageKey = window.edhrecExtractor.generateEDHRECUrl(this.getCommanderNames(), variant);
+			
+			this.cacheInfo = this.cardData?._cache || null;
+			if (this.cardData) {
+				delete this.cardData._cache;
+			}
+
+			// Keep track of which parsing strategy produced this list
+			this.extractionStrategy = this.cardData?._strategy || null;
+			if (this.cardData) {
+				delete this.cardData._strategy;
+			}
+			
+			// Pages list their commander's themes - refresh the selector from them
+			if (this.cardData?._themes) {
+				this.populateThemeSelect(this.cardData._themes, variant.theme);
+				delete this.cardData._themes;
+			}
+			console.log(`🧩 EDHREC data parsed via: ${this.extractionStrategy || 'unknown'} strategy`);
+
+			if (!this.cardData || Object.keys(this.cardData).length === 0) {
+				throw new Error('No card data found for this commander');
+			}
+			
+			await this.addCommanderCard();
+			
+			await this.displayCards(this.cardData);
+			this.hideLoading();
+			
+			const totalCards = this.countTotalCards();
+			const variantLabel = this.cardData._variant ? ` (${this.cardData._variant})` : '';
+			const message = `Successfully generated list for ${this.getCommanderDisplayName()}${variantLabel} with ${totalCards} cards`;
+			
+			if (this.cacheInfo) {
+				const age = this.formatCacheAge(this.cacheInfo.cachedAt);
+				const cacheNote = this.cacheInfo.stale ? `expired copy cached ${age} - EDHREC unreachable` : `cached ${age}`;
+				this.showStatus(`${message} (${cacheNote})`, {
+					refresh: () => this.generateList({ refresh: true })
+				});
+			} else {
+				this.showStatus(message);
+			}
+			
+		} catch (error) {
+			this.hideLoading();
+			console.error(`❌ ${error.name || 'Error'} while generating list:`, error);
+			
+			// No silent fallback - show the failure and let the user choose what to do
+			const variantLabel = window.edhrecExtractor.getVariantLabel(variant, this.commanderThemes);
+			this.showError(`Failed to generate list for ${this.getCommanderDisplayName()}${variantLabel ? ` (${variantLabel})` : ''}: ${error.message}`, {
+				retry: () => this.generateList(),
+				demo: () => this.generateDemoList(commanderToUse)
+			});
+		}
+	}
+	
+	/**
+	 * Explicit demo mode: show the built-in sample list, clearly labelled
+	 * Only reachable from the error panel's "Show demo data" action
+	 * @param {Object} commander - Scryfall card of the selected commander
+	 */
+	async generateDemoList(commander) {
+		this.showLoading();
+		this.hideError();
+		this.hideStatus();
+		
+		try {
+			this.contentType = 'commander-list';
+			this.currentCommander = commander;
+			this.cardData = await window.extractEDHRECData(commander.name, { demo: true });
+			
+			await this.addCommanderCard();
+			await this.displayCards(this.cardData);
+			this.hideLoading();
+			
+			this.showStatus(`Showing DEMO data for ${this.getCommanderDisplayName()} - sample cards, not real EDHREC recommendations`);
+			
+		} catch (error) {
+			this.hideLoading();
+			this.showError(`Failed to load demo data: ${error.message}`);
+		}
+	}
+	
+	/**
+	 * True when the current list is the built-in sample data
+	 */
+	isDemoData() {
+		return !!this.cardData?._demo;
+	}
+	
+	async addCommanderCard() {
+		if (!this.currentCommander) {
+			return;
+		}
+		
+		// Get deck count from EDHREC data or use fallback
+		let deckCount = 'Commander';
+		if (this.cardData && this.cardData._deckCount) {
+			deckCount = this.cardData._deckCount;
+			delete this.cardData._deckCount;
+		}
+		
+		// Both cards of a partner / background pair share the pair's deck count
+		const commanders = [this.currentCommander, this.currentPartner].filter(Boolean);
+		const scryfallAPI = new ScryfallAPI();
+		const commanderCards = [];
+		
+		for (const commander of commanders) {
+			let commanderPrice = 'Price N/A';
+			try {
+				commanderPrice = await scryfallAPI.getPriceDisplay(commander.prices, true);
+			} catch (error) {
+				console.error('Error getting commander price:', error);
+			}
+			
+			commanderCards.push({
+				name: commander.name,
+				inclusion: deckCount, // This will now be "172,434 decks" instead of just "Commander"
+				mana_cost: commander.mana_cost,
+				type_line: commander.type_line,
+				oracle_text: commander.oracle_text,
+				flavor_text: commander.flavor_text,
+				power: commander.power,
+				toughness: commander.toughness,
+				loyalty: commander.loyalty,
+				defense: commander.defense,
+				price: commanderPrice
+			});
+		}
+		
+		const commanderSection = {
+			[commanderCards.length > 1 ? "Commanders" : "Commander"]: commanderCards
+		};
+
+		this.cardData = { ...commanderSection, ...this.cardData };
+	}
+		
+    countTotalCards(cardData = this.cardData) {
+        if (!cardData) return 0;
+        // Skip metadata entries like _demo
+        const total = Object.values(cardData)
+            .filter(Array.isArray)
+            .reduce((sum, section) => sum + section.length, 0);
+        return total;
+    }
+
+	async displayCards(cardData) {
+		if (!this.cardGrid) {
+			return;
+		}
+
+		this.cardGrid.innerHTML = '';
+		this.displayedCardData = null;
+		
+		if (!cardData || Object.keys(cardData).length === 0) {
+			this.cardGrid.innerHTML = '<p class="text-center">No card data found</p>';
+			return;
+		}
+
+		try {
+			if (!this.displayEngine) {
+				this.displayEngine = new CardDisplayEngine();
+			}
+			
+			// ENHANCED: Ensure proper grid layout for commander lists
+			if (this.contentType === 'commander-list' || this.contentType === 'custom-list') {
+				this.updateGridColumns(); // Apply grid classes for commander lists
+			} else {
+				this.resetCardGridLayout(); // Use base layout for other content types
+			}
+			
+			// CRITICAL FIX: AWAIT SYMBOL DATABASE READINESS BEFORE RENDERING
+			await this.displayEngine.ensureSymbolSupport();
+			this.displayEngine.displayMode = this.displayMode;
+			
+			// Owned cards are marked as frames are built - the collection must be out of IndexedDB by then
+			await window.cardCollection?.ready;
+
+			// DEMO DATA: banner on screen, label on every header so it survives into the PDF
+			const isDemo = !!cardData._demo;
+			if (isDemo) {
+				const demoBanner = document.createElement('div');
+				demoBanner.className = 'demo-banner';
+				demoBanner.textContent = '⚠️ DEMO DATA - sample cards, not real EDHREC recommendations';
+				this.cardGrid.appendChild(demoBanner);
+			}
+
+			// Resolve every section's cards with a few bulk Scryfall requests up front
+			await this.displayEngine.prefetchCards(Object.values(cardData).filter(Array.isArray).flat());
+			
+			const displayData = await this.getGroupedCardData(cardData);
+			this.displayedCardData = displayData;
+			
+			for (const [sectionName, sectionCards] of Object.entries(displayData)) {
+				// Skip metadata entries like _demo
+				if (!Array.isArray(sectionCards)) continue;
+				
+				if (sectionCards.length > 0) {
+					const sectionHeader = document.createElement('div');
+					sectionHeader.className = 'section-header';
+					sectionHeader.dataset.section = sectionName; // Cut off exemptions match this name
+					
+					if (sectionName === "Commander" || sectionName === "Commanders" || sectionName === "Card") {
+						sectionHeader.textContent = `${sectionName}`;
+					} else {
+						sectionHeader.textContent = `${sectionName} (${sectionCards.length} cards)`;
+					}
+					
+					if (isDemo) {
+						sectionHeader.classList.add('demo-data');
+						sectionHeader.textContent += ' - DEMO DATA';
+					}
+					
+					this.cardGrid.appendChild(sectionHeader);
+
+					const cardFrames = await this.displayEngine.createCardFrames(sectionCards, this.fontSize);
+					cardFrames.forEach((frame, index) => {
+						this.cardGrid.appendChild(frame);
+					});
+				}
+			}
+			
+			this.showCardToolbar(true);
+			this.applyCardFilters();
+			
+		} catch (error) {
+			this.cardGrid.innerHTML = '<p class="text-center">Error displaying cards</p>';
+		}
+	}
+
+    updateGridColumns() {
+		if (!this.cardGrid) return;
+		
+		const sizeToColumns = {
+			'xs': 'columns-6',
+			'sm': 'columns-5', 
+			'md': 'columns-4',
+			'lg': 'columns-3',
+			'xl': 'columns-3'
+		};
+		
+		this.cardGrid.className = 'card-grid';
+		this.cardGrid.classList.add(sizeToColumns[this.fontSize]);
+		this.cardGrid.classList.add(`display-${this.displayMode}`);
+	}
+
+    downloadText() {
+        if (!this.cardData || Object.keys(this.cardData).length === 0) {
+            this.showError('No card data available to download');
+            return;
+        }
+
+        try {
+            const exportManager = new ExportManager();
+            const commanderName = this.getCommanderFileName();
+            const filename = `${commanderName}${this.getVariantFileSuffix()}_list${this.isDemoData() ? '_DEMO' : ''}.txt`;
+            
+            const exportData = this.getExportCardData();
+            exportManager.downloadTextFile(exportData, filename);
+            
+            const leftOut = this.countTotalCards(this.displayedCardData || this.cardData) - this.countTotalCards(exportData);
+            this.showStatus(leftOut > 0 ?
+                `Text file downloaded (${leftOut} card${leftOut === 1 ? '' : 's'} below the cut off, filtered out or banned in Commander)` :
+                'Text file downloaded');
+            
+        } catch (error) {
+            this.showError('Failed to download text file: ' + error.message);
+        }
+    }
+
+	/**
+	 * cardData for exports: cards banned in Commander are left out
+	 * (the looked-up card of a card-mode list stays), then the cut off and the toolbar's sort and filters apply
+	 */
+	getExportCardData() {
+		const exportData = {};
+		
+		Object.entries(this.displayedCardData || this.cardData).forEach(([sectionName, cards]) => {
+			exportData[sectionName] = Array.isArray(cards) && sectionName !== 'Card' ?
+				cards.filter(card => !this.displayEngine?.isCardBanned(card.name)) :
+				cards;
+		});
+		
+		const { cutoff, cutoffMetric } = window.cardFilters.state;
+		const aboveCutoff = new ExportManager().filterCardsByInclusion(exportData, cutoff, cutoffMetric);
+		
+		return window.cardFilters.filterCardData(aboveCutoff, name => this.displayEngine?.cardCache.get(name));
+	}
+	
+	/**
+	 * Main PDF generation entry point with content type routing
+	 * Uses switch/case for clear pathway selection based on content type
+	 */
+	async generatePdf() {
+		console.log(`📄 PDF Generation requested for content type: ${this.contentType}`);
+		
+		// VALIDATION: Ensure we have a valid content type
+		if (!this.contentType || this.contentType === 'unknown') {
+			this.showError('Please generate content first before creating PDF');
+			return;
+		}
+		
+		// VALIDATION: Ensure DOM content exists
+		const cardGrid = document.getElementById('cardGrid');
+		if (!cardGrid || cardGrid.children.length === 0) {
+			this.showError('No content available to generate PDF');
+			return;
+		}
+
+		try {
+			const exportManager = new ExportManager();
+			const filename = this.getPDFFilename();
+			
+			// === CONTENT TYPE ROUTING ===
+			console.log(`🔄 Routing to PDF generator for: ${this.contentType}`);
+			
+			switch(this.contentType) {
+				case 'upgrade-guide':
+					// Upgrade guides use DOM-only processing with hybrid layout
+					await exportManager.generateUpgradeGuidePDF(filename);
+					break;
+					
+				case 'commander-list':
+				case 'custom-list':
+				case 'comparison':
+				case 'card-commanders':
+					// Commander lists, custom lists, comparisons and card lookups use existing data+DOM system
+					await exportManager.generatePdf(this.cardData, filename);
+					break;
+					
+				default:
+					throw new Error(`Unsupported content type for PDF: ${this.contentType}`);
+			}
+			
+			this.showStatus('PDF generated and opened in new tab');
+			
+		} catch (error) {
+			console.error('❌ PDF generation failed:', error);
+			this.showError('Failed to generate PDF: ' + error.message);
+		}
+	}
+
+	// === PDF FILENAME GENERATION ===
+	/**
+	 * Generates appropriate PDF filename based on content type and commander
+	 */
+	// "_tokens_budget" for a sub-page list, '' for the base commander page
+	getVariantFileSuffix() {
+		if (this.contentType !== 'commander-list' || !this.cardData?._variant) return '';
+		
+		const variant = this.getSelectedVariant();
+		return [variant.theme, variant.bracket, variant.budget]
+			.filter(Boolean)
+			.map(part => `_${part.replace(/[^a-z0-9]/gi, '_')}`)
+			.join('');
+	}
+
+	getPDFFilename() {
+		const commanderName = this.getCommanderFileName();
+		const variantName = `${commanderName}${this.getVariantFileSuffix()}`;
+		const baseName = this.isDemoData() ? `${variantName}_DEMO` : variantName;
+		
+		switch(this.contentType) {
+			case 'upgrade-guide':
+				return `${baseName}_upgrade_guide.pdf`;
+			case 'commander-list':
+				return `${baseName}_commander_list.pdf`;
+			case 'custom-list':
+				return `${baseName}_custom_list.pdf`;
+			case 'comparison':
+				return `${baseName}_comparison.pdf`;
+			case 'card-commanders':
+				return `${baseName}_commanders.pdf`;
+			default:
+				return `${baseName}_document.pdf`;
+		}
+	}
+
+
+    loadList() {
+        if (!this.fileInput) {
+            this.showError('Load functionality not available');
+            return;
+        }
+
+        try {
+            this.fileInput.click();
+        } catch (error) {
+            this.showError('Cannot open file selector');
+        }
+    }
+
+    printList() {
+        if (!this.cardData || Object.keys(this.cardData).length === 0) {
+            this.showError('No card data available to print');
+            return;
+        }
+
+        try {
+            window.print();
+        } catch (error) {
+            this.showError('Print functionality not available');
+        }
+    }
+
+    decreaseFontSize() {
+        const sizes = ['xs', 'sm', 'md', 'lg', 'xl'];
+        const currentIndex = sizes.indexOf(this.fontSize);
+        if (currentIndex > 0) {
+            this.fontSize = sizes[currentIndex - 1];
+            this.updateFontSizeDisplay();
+            this.displayCards(this.cardData);
+        }
+    }
+
+    increaseFontSize() {
+        const sizes = ['xs', 'sm', 'md', 'lg', 'xl'];
+        const currentIndex = sizes.indexOf(this.fontSize);
+        if (currentIndex < sizes.length - 1) {
+            this.fontSize = sizes[currentIndex + 1];
+            this.updateFontSizeDisplay();
+            this.displayCards(this.cardData);
+        }
+    }
+
+	// === CARD DISPLAY MODE ===
+	
+	loadDisplayMode() {
+		try {
+			const stored = localStorage.getItem(this.displayModeKey);
+			if (['text', 'image', 'image-stats'].includes(stored)) {
+				return stored;
+			}
+		} catch (error) {
+			console.error('Error loading display mode:', error);
+		}
+		return 'text';
+	}
+	
+	/**
+	 * Switch between text frames, card images with an inclusion/price overlay,
+	 * and card images above the full stats strip
+	 * Frames are rebuilt from the display engine's card cache, nothing is re-fetched
+	 */
+	setDisplayMode(mode) {
+		this.displayMode = ['text', 'image', 'image-stats'].includes(mode) ? mode : 'text';
+		
+		try {
+			localStorage.setItem(this.displayModeKey, this.displayMode);
+		} catch (error) {
+			console.error('Error saving display mode:', error);
+		}
+		
+		if (this.cardData) {
+			this.displayCards(this.cardData);
+		}
+	}
+
+    updateFontSizeDisplay() {
+        if (this.sizeDisplay) {
+            const sizeLabels = {
+                'xs': 'Extra Small',
+                'sm': 'Small', 
+                'md': 'Medium',
+                'lg': 'Large',
+                'xl': 'Extra Large'
+            };
+            this.sizeDisplay.textContent = sizeLabels[this.fontSize];
+        }
+    }
+
+    handleFileSelect(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const content = e.target.result;
+				
+				// Scryfall bulk data goes to the offline card index, not the card grid
+				if (window.scryfallBulk?.isBulkFile(content)) {
+					this.importBulkData(content, file);
+					return;
+				}
+				
+				// Collection exports (ManaBox, Deckbox, Moxfield, Archidekt CSV) go to the collection
+				if (window.cardCollection?.isCollectionFile(content, file.name)) {
+					this.importCollection(content, file);
+					return;
+				}
+				
+				// === SET CONTENT TYPE FOR FILE UPLOADS ===
+				this.contentType = this.determineContentType(null, content);
+				console.log(`📁 Processing file upload as: ${this.contentType}`);
+				
+                this.parseUploadedFile(content, file.name);
+                
+            } catch (error) {
+                this.showError('Error processing file: ' + error.message);
+            }
+        };
+
+        reader.onerror = (error) => {
+            this.showError('Cannot read selected file');
+        };
+
+        reader.readAsText(file);
+    }
+
+    parseUploadedFile(content, fileName) {
+        try {
+            const exportManager = new ExportManager();
+            const cardData = exportManager.parseCardList(content);
+            
+            const validation = exportManager.validateCardList(cardData);
+            
+            if (!validation.isValid) {
+                this.showError('Invalid file format: ' + validation.errors.join(', '));
+                return;
+            }
+            
+            if (validation.warnings.length > 0) {
+                this.showStatus(`File loaded with warnings: ${validation.warnings.join(', ')}`);
+            }
+            
+            this.cardData = cardData;
+            this.currentCommander = null;
+            this.currentPartner = null;
+            this.currentPageKey = null;
+            this.displayCards(this.cardData);
+            this.showStatus(`Loaded custom list with ${this.countTotalCards()} cards`);
+            
+        } catch (error) {
+            this.showError('Cannot parse file: ' + error.message);
+        }
+    }
+
+    showLoading() {
+        if (this.loadingSpinner) {
+            this.loadingSpinner.classList.remove('hidden');
+        }
+    }
+
+    hideLoading() {
+        if (this.loadingSpinner) {
+            this.loadingSpinner.classList.add('hidden');
+        }
+    }
+
+	/**
+	 * Show an error, optionally with action buttons
+	 * @param {string} message - Error text
+	 * @param {Object} actions - Optional `{retry, demo}` callbacks
+	 */
+	showError(message, actions = {}) {
+		if (this.errorMessage) {
+			this.errorMessage.textContent = message;
+			
+			if (actions.retry || actions.demo) {
+				const actionBar = document.createElement('div');
+				actionBar.className = 'error-actions';
+				
+				if (actions.retry) {
+					actionBar.appendChild(this.createErrorAction('🔄 Retry', actions.retry));
+				}
+				if (actions.demo) {
+					actionBar.appendChild(this.createErrorAction('🧪 Show demo data', actions.demo));
+				}
+				
+				this.errorMessage.appendChild(actionBar);
+			}
+			
+			this.errorMessage.classList.remove('hidden');
+		}
+	}
+	
+	createErrorAction(label, callback) {
+		const button = document.createElement('button');
+		button.className = 'error-action-btn';
+		button.textContent = label;
+		button.addEventListener('click', () => {
+			this.hideError();
+			callback();
+		});
+		return button;
+	}
+
+    hideError() {
+        if (this.errorMessage) {
+            this.errorMessage.classList.add('hidden');
+        }
+    }
+
+	/**
+	 * Show a status message, optionally with a refresh action
+	 * @param {string} message - Status text
+	 * @param {Object} actions - Optional `{refresh}` callback
+	 */
+	showStatus(message, actions = {}) {
+		if (this.statusMessage) {
+			this.statusMessage.textContent = message;
+			
+			if (actions.refresh) {
+				const button = document.createElement('button');
+				button.className = 'status-action-btn';
+				button.textContent = '🔄 Refresh';
+				button.addEventListener('click', () => {
+					this.hideStatus();
+					actions.refresh();
+				});
+				this.statusMessage.appendChild(button);
+			}
+			
+			this.statusMessage.classList.remove('hidden');
+		}
+	}
+
+    hideStatus() {
+        if (this.statusMessage) {
+            this.statusMessage.classList.add('hidden');
+        }
+    }
+
+    escapeHTML(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+	
+	extractCommanderFromURL(url) {
+		// Skip if it's an upgrade guide URL
+		if (this.isUpgradeGuideURL(url)) {
+			return null;
+		}
+		
+		try {
+			console.log(`🔗 URL detected: ${url}`);
+			
+			// Parse EDHREC commander URLs
+			const urlObj = new URL(url);
+			const pathParts = urlObj.pathname.split('/');
+			
+			// Extract from patterns like:
+			// /commanders/etali-primal-conqueror
+			// /commanders/clavileno-first-of-the-blessed
+			// /commanders/etali-primal-conqueror/dinosaurs/budget (sub-pages, see extractVariantFromURL)
+			// /commanders/kraum-ludevics-opus-tymna-the-weaver (pairs, see resolveCommandersFromURL)
+			if (urlObj.hostname.includes('edhrec.com') && pathParts.includes('commanders')) {
+				const commanderSlug = pathParts[pathParts.indexOf('commanders') + 1];
+				if (commanderSlug) {
+					const commanderName = this.slugToCardName(commanderSlug);
+					console.log(`✅ Extracted commander: ${commanderName}`);
+					return commanderName;
+				}
+			}
+		} catch (error) {
+			console.log('❌ Not a valid EDHREC URL, using as regular search');
+		}
+		return null;
+	}
+	
+	extractCommanderSlugFromURL(url) {
+		const pathParts = new URL(url).pathname.split('/');
+		return pathParts[pathParts.indexOf('commanders') + 1] || '';
+	}
+	
+	// Convert slug to a searchable name: "etali-primal-conqueror" → "Etali Primal Conqueror"
+	slugToCardName(slug) {
+		const nameParts = slug.split('-').map(part => 
+			part.charAt(0).toUpperCase() + part.slice(1)
+		);
+		return nameParts.join(' ').replace(/ And /g, ' and ');
+	}
+	
+	/**
+	 * Theme / bracket / budget segments following the commander slug
+	 * @param {string} url - EDHREC commander URL
+	 * @returns {Object} `{theme, bracket, budget}`, all '' for the base page
+	 */
+	extractVariantFromURL(url) {
+		try {
+			const pathParts = new URL(url).pathname.split('/').filter(Boolean);
+			const commanderIndex = pathParts.indexOf('commanders');
+			if (commanderIndex !== -1) {
+				return window.edhrecExtractor.parseVariantSegments(pathParts.slice(commanderIndex + 2));
+			}
+		} catch (error) {
+			console.log('❌ Could not read variant from URL');
+		}
+		return { theme: '', bracket: '', budget: '' };
+	}
+	
+	setupSearchDropdown() {
+		this.handleDocumentClick = (event) => {
+			const searchContainer = document.querySelector('.search-container');
+			const dropdown = this.searchResults;
+			
+			if (searchContainer && dropdown && 
+				!searchContainer.contains(event.target) && 
+				dropdown.classList.contains('active')) {
+				this.hideSearchResults();
+			}
+		};
+
+		this.handleSearchKeydown = (event) => {
+			if (!this.searchResults.classList.contains('active')) return;
+
+			const results = this.searchResults.querySelectorAll('.search-result');
+			if (results.length === 0) return;
+
+			// Handle only arrow keys and Escape here
+			// Enter and Tab are handled by our unified handler below
+			switch(event.key) {
+				case 'ArrowDown':
+					event.preventDefault();
+					this.navigateSearchResults(1);
+					break;
+				case 'ArrowUp':
+					event.preventDefault();
+					this.navigateSearchResults(-1);
+					break;
+				case 'Escape':
+					event.preventDefault();
+					this.hideSearchResults();
+					break;
+				// Explicitly ignore Enter and Tab to avoid conflicts
+				case 'Enter':
+				case 'Tab':
+					// These are handled by the unified handler
+					break;
+			}
+		};
+
+		// Unified key handler for Enter and Tab keys
+		this.unifiedKeyHandler = (event) => {
+			const query = this.cardSearch.value.trim();
+			
+			// Handle Enter key
+			if (event.key === 'Enter') {
+				// Case 1: URL input - generate immediately
+				if (query.startsWith('http') || query.includes('edhrec.com')) {
+					const urlCommander = this.extractCommanderFromURL(query) || this.extractCardFromURL(query);
+					if (urlCommander) {
+						event.preventDefault();
+						this.generateList();
+						return;
+					}
+				}
+				
+				// Case 2: Card selection from dropdown - select highlighted result
+				if (this.searchResults.classList.contains('active')) {
+					event.preventDefault();
+					this.selectHighlightedResult();
+					return;
+				}
+				
+				// Case 3: Regular search with no dropdown - try to generate if button enabled
+				if (!this.generateBtn.disabled) {
+					event.preventDefault();
+					this.generateList();
+				}
+			}
+			
+			// Handle Tab key for card selection and dropdown dismissal
+			if (event.key === 'Tab') {
+				// Case 1: If dropdown is active, select highlighted result and hide dropdown
+				if (this.searchResults.classList.contains('active')) {
+					event.preventDefault(); // Prevent default tab behavior temporarily
+					this.selectHighlightedResult();
+					this.hideSearchResults();
+					
+					// After selection, allow natural tab progression to next element
+					// We'll use a small timeout to let the DOM update first
+					setTimeout(() => {
+						// Find all focusable elements
+						const focusableElements = Array.from(document.querySelectorAll(
+							'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+						)).filter(el => !el.disabled && el.offsetParent !== null);
+						
+						const currentIndex = focusableElements.indexOf(this.cardSearch);
+						const nextIndex = currentIndex + 1;
+						
+						if (nextIndex < focusableElements.length) {
+							focusableElements[nextIndex].focus();
+						}
+					}, 10);
+					return;
+				}
+				
+				// Case 2: If no dropdown active, allow normal tab behavior (default)
+				// No action needed - let the browser handle normal tab navigation
+			}
+		};
+
+	// HandleSearchBlur method
+	this.handleSearchBlur = () => {
+		const query = this.cardSearch.value.trim();
+		if (query.startsWith('http') || query.includes('edhrec.com')) {
+			const urlCommander = this.extractCommanderFromURL(query);
+			const urlCard = this.extractCardFromURL(query);
+			const isUpgradeGuide = this.isUpgradeGuideURL(query);
+			
+			if ((urlCommander || urlCard || isUpgradeGuide) && this.generateBtn) {
+				this.generateBtn.disabled = false;
+				if (isUpgradeGuide) {
+					this.showStatus(`Ready to generate upgrade guide from URL`);
+				} else if (urlCard) {
+					this.showStatus(`Ready to find commanders for card from URL`);
+				} else {
+					this.showStatus(`Ready to generate list for commander from URL`);
+				}
+			}
+		}
+	};
+
+		// Set up all event listeners
+		document.addEventListener('click', this.handleDocumentClick);
+		
+		if (this.cardSearch) {
+			// For arrow keys and Escape only
+			this.cardSearch.addEventListener('keydown', this.handleSearchKeydown);
+			// For Enter and Tab keys (unified handler)
+			this.cardSearch.addEventListener('keydown', this.unifiedKeyHandler);
+			// For URL detection on blur
+			this.cardSearch.addEventListener('blur', this.handleSearchBlur);
+		}
+	}
+
+	navigateSearchResults(direction) {
+		const results = this.searchResults.querySelectorAll('.search-result');
+		if (results.length === 0) return;
+
+		let currentIndex = -1;
+		
+		results.forEach((result, index) => {
+			if (result.classList.contains('selected')) {
+				currentIndex = index;
+				result.classList.remove('selected');
+			}
+		});
+
+		let newIndex = currentIndex + direction;
+		if (newIndex < 0) newIndex = results.length - 1;
+		if (newIndex >= results.length) newIndex = 0;
+
+		results[newIndex].classList.add('selected');
+		results[newIndex].scrollIntoView({ block: 'nearest' });
+	}
+
+	selectHighlightedResult() {
+		const selectedResult = this.searchResults.querySelector('.search-result.selected');
+		if (selectedResult) {
+			selectedResult.click();
+		} else {
+			const firstResult = this.searchResults.querySelector('.search-result');
+			if (firstResult) {
+				firstResult.click();
+			}
+		}
+	}
+	
+	checkSymbolCacheVersion() {
+		const currentVersion = window.symbolDatabase?.database?.version;
+		const lastVersion = localStorage.getItem('symbolCacheVersion');
+		
+		if (currentVersion && currentVersion !== lastVersion) {
+			console.log(`🔄 Symbol format changed (${lastVersion} → ${currentVersion}), clearing caches`);
+			
+			// Clear CardDisplayEngine cache
+			if (this.displayEngine?.cardCache) {
+				this.displayEngine.cardCache.clear();
+			}
+			
+			// Update version tracking
+			localStorage.setItem('symbolCacheVersion', currentVersion);
+			return true; // Cache was cleared
+		}
+		
+		return false; // No change
+	}
+	
+    /**
+     * ENHANCED URL DETECTION: Check if input is an upgrade guide URL
+     * Why: Route to appropriate extraction method based on URL type
+     * @param {string} url - User input to check
+     * @returns {boolean} True if URL is an EDHREC upgrade guide
+     */
+    isUpgradeGuideURL(url) {
+        if (!url || typeof url !== 'string') return false;
+        
+        const upgradeGuidePatterns = [
+            /edhrec\.com\/articles\/.*upgrade.*guide/i,
+            /edhrec\.com\/articles\/.*upgrade/i,
+            /edhrec\.com\/articles\/.*guide/i
+        ];
+        
+        return upgradeGuidePatterns.some(pattern => pattern.test(url));
+    }
+
+    /**
+     * UPGRADE GUIDE HANDLER: Process upgrade guide URLs
+     * Flow: Detect → Extract → Display
+     * @param {string} url - EDHREC upgrade guide URL
+     */
+    async handleUpgradeGuide(url) {
+        console.log('🎯 Handling upgrade guide URL:', url);
+        
+        this.showLoading();
+        this.hideError();
+        this.hideStatus();
+
+        try {
+            // STEP 1: Extract guide content using our new system
+            const guideData = await window.extractEDHRECUpgradeGuide(url);
+            
+            // STEP 2: Validate we got meaningful content
+            if (!guideData || !guideData.contentBlocks || guideData.contentBlocks.length === 0) {
+                throw new Error('No upgrade guide content could be extracted');
+            }
+
+            // STEP 3: Display the guide using our new display engine
+            await this.displayUpgradeGuide(guideData);
+            this.hideLoading();
+            
+            this.showStatus(`Successfully loaded upgrade guide: ${guideData.title}`);
+            
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to load upgrade guide: ${error.message}`);
+            console.error('Upgrade guide handling error:', error);
+        }
+    }
+
+	/**
+	 * UPGRADE GUIDE DISPLAY: Render guide in main content area
+	 * Enhanced with proper layout reset to prevent commander list pollution
+	 * @param {Object} guideData - Structured guide data from extractor
+	 */
+	async displayUpgradeGuide(guideData) {
+		if (!this.cardGrid) {
+			throw new Error('No card grid container available');
+		}
+		
+		try {
+			// ENHANCED: Reset card grid for upgrade guide layout
+			this.cardGrid.innerHTML = '';
+			this.showCardToolbar(false); // Guides have no card frames to sort
+			this.displayedCardData = null;
+			this.resetCardGridLayout(); // Ensure no grid classes from commander lists
+			
+			console.log('🎨 Starting upgrade guide display with clean layout');
+			
+			// Create and use upgrade guide display engine
+			const guideDisplay = new UpgradeGuideDisplayEngine();
+			await guideDisplay.displayUpgradeGuide(guideData, this.cardGrid);
+			
+			console.log('✅ Upgrade guide display completed successfully');
+			
+		} catch (error) {
+			console.error('❌ Upgrade guide display error:', error);
+			this.cardGrid.innerHTML = `
+				<div class="error-message">
+					<h3>Error Displaying Upgrade Guide</h3>
+					<p>${error.message}</p>
+				</div>
+			`;
+			throw error;
+		}
+	}
+	
+	/**
+	 * IMPROVED: Content type detection that prevents state pollution
+	 * Prioritizes URL input and explicitly resets state between types
+	 * @param {string} input - User input (URL or card name)
+	 * @param {string} fileContent - File content for uploads
+	 * @returns {string} Content type
+	 */
+	determineContentType(input, fileContent = null) {
+		console.log('🔍 IMPROVED Content type detection for:', { 
+			input: input?.substring(0, 100), 
+			hasFile: !!fileContent,
+			currentCommander: this.currentCommander?.name 
+		});
+		
+		// PRIORITY 1: FILE UPLOADS - Highest priority
+		if (fileContent) {
+			console.log('✅ Content type: custom-list (file upload)');
+			return 'custom-list';
+		}
+		
+		// PRIORITY 2: URL-BASED CONTENT DETECTION (explicit input)
+		if (typeof input === 'string' && input.trim()) {
+			const trimmedInput = input.trim();
+			
+			// Check for upgrade guide URLs first (most specific)
+			if (this.isUpgradeGuideURL(trimmedInput)) {
+				console.log('✅ Content type: upgrade-guide (explicit URL detection)');
+				return 'upgrade-guide';
+			}
+			
+			// Check for commander URLs second
+			const urlCommander = this.extractCommanderFromURL(trimmedInput);
+			if (urlCommander) {
+				console.log('✅ Content type: commander-list (URL commander detection)');
+				return 'commander-list';
+			}
+			
+			// Card URLs list the commanders playing a card
+			if (this.extractCardFromURL(trimmedInput)) {
+				console.log('✅ Content type: card-commanders (URL card detection)');
+				return 'card-commanders';
+			}
+		}
+		
+		// Card mode: looked-up card matches input
+		if (this.searchMode === 'card' && this.currentCard && input === this.currentCard.name) {
+			console.log('✅ Content type: card-commanders (card mode selection matches input)');
+			return 'card-commanders';
+		}
+		
+		// PRIORITY 3: CURRENT COMMANDER (only if input matches current commander)
+		// This prevents stale commander state from affecting new requests
+		if (this.currentCommander && input === this.currentCommander.name) {
+			console.log('✅ Content type: commander-list (current selection matches input)');
+			return 'commander-list';
+		}
+		
+		// PRIORITY 4: FALLBACK - Reset to unknown if no clear match
+		console.log('⚠️ Content type: unknown (no clear match, resetting)');
+		return 'unknown';
+	}
+	
+	/**
+	 * Reset application state when switching between content types
+	 * Prevents pollution between commander lists and upgrade guides
+	 * @param {string} newContentType - The new content type being switched to
+	 */
+	resetStateForContentType(newContentType) {
+		console.log('🔄 Resetting state for content type:', newContentType);
+		
+		switch(newContentType) {
+			case 'upgrade-guide':
+				// Reset commander-specific state for upgrade guides
+				this.currentCommander = null;
+				this.currentPartner = null;
+				this.currentPageKey = null;
+				this.cardData = null;
+				console.log('✅ Reset commander state for upgrade guide');
+				break;
+				
+			case 'commander-list':
+				// Keep commander state, but ensure cardData is fresh
+				this.cardData = null;
+				console.log('✅ Reset card data for fresh commander list');
+				break;
+				
+			case 'card-commanders':
+			case 'comparison':
+				// Keep the selected commander for the next single list
+				this.cardData = null;
+				this.currentPageKey = null;
+				console.log(`✅ Reset card data for ${newContentType}`);
+				break;
+				
+			case 'custom-list':
+				// Reset everything for custom lists
+				this.currentCommander = null;
+				this.currentPartner = null;
+				this.currentPageKey = null;
+				this.cardData = null;
+				console.log('✅ Reset all state for custom list');
+				break;
+		}
+		
+		// Optional: Clear display engine cache to prevent card pollution
+		if (this.displayEngine && this.displayEngine.cardCache) {
+			const cacheSize = this.displayEngine.cardCache.size;
+			this.displayEngine.cardCache.clear();
+			console.log(`✅ Cleared display engine cache (${cacheSize} items)`);
+		}
+		
+		// Reset card grid CSS classes
+		this.resetCardGridLayout();
+	}
+	
+	/**
+	 * Reset card grid CSS classes for proper layout
+	 * Prevents grid classes from commander lists affecting upgrade guides
+	 */
+	resetCardGridLayout() {
+		if (!this.cardGrid) return;
+		
+		// Remove all column classes and reset to base
+		this.cardGrid.className = 'card-grid';
+		console.log('✅ Reset card grid CSS classes to base');
+		
+		// Re-apply font size class if needed
+		if (this.fontSize) {
+			this.cardGrid.classList.add(`font-size-${this.fontSize}`);
+		}
+		
+		// Comparisons and card -> commanders lists honour the display mode too
+		this.cardGrid.classList.add(`display-${this.displayMode}`);
+	}
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('DOM fully loaded and parsed');
+    
+    try {
+        window.app = new App();
+        
+    } catch (error) {
+        console.error('CRITICAL: App initialization failed:', error);
+    }
+});
+
+window.addEventListener('error', function(event) {
+    console.error('Global error caught:', event.error);
+});
+
+window.addEventListener('unhandledrejection', function(event) {
+    console.error('Unhandled promise rejection:', event.reason);
+});
@@ -0,0 +1,327 @@
+// VERSION:5
+// Card Filters - Sort and filter a generated list without re-fetching anything
+// Works on enriched card data (see CardDisplayEngine.enrichCardData); the grid is filtered
+// by hiding frames, the text export through filterCardData
+// The inclusion cut off is one of the filters, so screen, text, PDF and print always agree
+class CardFilters {
+	constructor() {
+		this.sortOptions = [
+			{ value: 'edhrec', label: 'EDHREC order' },
+			{ value: 'inclusion', label: 'Inclusion' },
+			{ value: 'price', label: 'Price (low to high)' },
+			{ value: 'mana-value', label: 'Mana value' },
+			{ value: 'name', label: 'Name' },
+			{ value: 'synergy', label: 'Synergy' }
+		];
+
+		this.typeOptions = ['Creature', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Planeswalker', 'Land', 'Battle'];
+		this.colorOptions = ['W', 'U', 'B', 'R', 'G', 'C'];
+
+		// Sections the cut off never applies to: exact names, or patterns with * wildcards.
+		// The defaults keep the old rule (any section mentioning "commander" or "new") plus card mode's own card
+		this.exemptionsKey = 'cutoff_exempt_sections';
+		this.defaultExemptSections = ['*Commander*', '*New*', 'Card'];
+		this.exemptSections = this.loadExemptSections();
+
+		this.state = this.defaultState();
+	}
+
+	// === CUT OFF EXEMPTIONS (localStorage) ===
+
+	loadExemptSections() {
+		try {
+			const stored = localStorage.getItem(this.exemptionsKey);
+			if (stored) {
+				return JSON.parse(stored);
+			}
+		} catch (error) {
+			console.error('Error loading cut off exemptions:', error);
+		}
+		return [...this.defaultExemptSections];
+	}
+
+	/**
+	 * @param {Array} sections - Section names; blanks and duplicates are dropped
+	 */
+	saveExemptSections(sections) {
+		this.exemptSections = [...new Set(sections.map(name => name.trim()).filter(Boolean))];
+
+		try {
+			localStorage.setItem(this.exemptionsKey, JSON.stringify(this.exemptSections));
+			return true;
+		} catch (error) {
+			console.error('Error saving cut off exemptions:', error);
+			return false;
+		}
+	}
+
+	resetExemptSections() {
+		return this.saveExemptSections(this.defaultExemptSections);
+	}
+
+	isExemptSection(sectionName) {
+		const name = (sectionName || '').toLowerCase();
+		return this.exemptSections.some(section => {
+			const entry = section.toLowerCase();
+			if (!entry.includes('*')) {
+				return entry === name;
+			}
+			const parts = entry.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+			return new RegExp(`^${parts.join('.*')}$`).test(name);
+		});
+	}
+
+	defaultState() {
+		return {
+			cutoff: 0,
+			cutoffMetric: 'inclusion', // or 'synergy'
+			sort: 'edhrec',
+			type: '',
+			colors: [],
+			mvMin: null,
+			mvMax: null,
+			maxPrice: null,
+			text: '',
+			ownership: '' // 'owned' or 'missing' (see collection.js)
+		};
+	}
+
+	// Merged into the current state - the toolbar and the cut off control each set their own fields
+	setState(state) {
+		this.state = { ...this.state, ...state };
+	}
+
+	// Toolbar reset - the cut off has its own control and stays
+	reset() {
+		this.state = {
+			...this.defaultState(),
+			cutoff: this.state.cutoff,
+			cutoffMetric: this.state.cutoffMetric
+		};
+	}
+
+	// Anything other than EDHREC's unfiltered order
+	isActive() {
+		const state = this.state;
+		return state.sort !== 'edhrec' || this.isFiltering();
+	}
+
+	isFiltering() {
+		const state = this.state;
+		return state.cutoff > 0 || !!state.type || state.colors.length > 0 || state.mvMin !== null ||
+			state.mvMax !== null || state.maxPrice !== null || !!state.text.trim() || !!state.ownership;
+	}
+
+	// === MATCHING ===
+
+	/**
+	 * Whether a card passes every active filter
+	 * Values a card doesn't have (no price, not yet enriched) can't be judged - the card stays
+	 * @param {Object} card - Enriched card data, or the plain list card
+	 */
+	matches(card) {
+		const state = this.state;
+
+		if (state.type && card.type_line && !card.type_line.includes(state.type)) {
+			return false;
+		}
+
+		if (state.colors.length > 0 && Array.isArray(card.color_identity)) {
+			const identity = card.color_identity.length > 0 ? card.color_identity : ['C'];
+			if (!identity.some(color => state.colors.includes(color))) {
+				return false;
+			}
+		}
+
+		if (typeof card.cmc === 'number') {
+			if (state.mvMin !== null && card.cmc < state.mvMin) return false;
+			if (state.mvMax !== null && card.cmc > state.mvMax) return false;
+		}
+
+		if (state.maxPrice !== null && typeof card.price_usd === 'number' && card.price_usd > state.maxPrice) {
+			return false;
+		}
+
+		if (state.ownership && window.cardCollection) {
+			const owned = window.cardCollection.isOwned(card.name);
+			if (state.ownership === 'owned' ? !owned : owned) {
+				return false;
+			}
+		}
+
+		const query = state.text.trim().toLowerCase();
+		if (query && !this.getSearchText(card).includes(query)) {
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Whether a card clears the inclusion (or synergy) cut off in its section
+	 * Exempt sections always pass; cards without a value for the metric can't be judged and stay
+	 * @param {Object} card - List card (`inclusion`, `synergy`)
+	 * @param {string} sectionName - cardData key
+	 * @param {number} cutoff - Defaults to the current state
+	 * @param {string} metric - 'inclusion' or 'synergy', defaults to the current state
+	 */
+	passesCutoff(card, sectionName, cutoff = this.state.cutoff, metric = this.state.cutoffMetric) {
+		if (!(cutoff > 0) || this.isExemptSection(sectionName)) {
+			return true;
+		}
+
+		// Regrouped cards stay exempt through the EDHREC sections they came from
+		if (Array.isArray(card.sourceSections) && card.sourceSections.some(section => this.isExemptSection(section))) {
+			return true;
+		}
+
+		const value = this.parsePercent(metric === 'synergy' ? card.synergy : card.inclusion);
+		return value === null || value >= cutoff;
+	}
+
+	// Name plus rules text of every face
+	getSearchText(card) {
+		const faces = Array.isArray(card.card_faces) ? card.card_faces : [];
+		return [card.name, card.oracle_text, ...faces.map(face => face.oracle_text)]
+			.filter(Boolean)
+			.join('\n')
+			.toLowerCase();
+	}
+
+	// === SORTING ===
+
+	parsePercent(value) {
+		const match = String(value ?? '').match(/([+-]?\d+(?:\.\d+)?)%/);
+		return match ? parseFloat(match[1]) : null;
+	}
+
+	/**
+	 * Sort key for a card under the current sort; null sorts last
+	 */
+	getSortValue(card) {
+		switch (this.state.sort) {
+			case 'inclusion': return this.parsePercent(card.inclusion);
+			case 'synergy': return this.parsePercent(card.synergy);
+			case 'price': return typeof card.price_usd === 'number' ? card.price_usd : null;
+			case 'mana-value': return typeof card.cmc === 'number' ? card.cmc : null;
+			case 'name': return card.name || null;
+			default: return null;
+		}
+	}
+
+	/**
+	 * Order items by the current sort, ties (and 'edhrec') keep their list order
+	 * @param {Array} items - Anything
+	 * @param {Function} getCard - item -> card data
+	 * @returns {Array} New array
+	 */
+	sortItems(items, getCard) {
+		if (this.state.sort === 'edhrec') {
+			return [...items];
+		}
+
+		// Percentages read best-first, price/mana value/name ascending
+		const descending = this.state.sort === 'inclusion' || this.state.sort === 'synergy';
+
+		return items
+			.map((item, index) => ({ item, index, value: this.getSortValue(getCard(item)) }))
+			.sort((a, b) => {
+				if (a.value === null || b.value === null) {
+					return (a.value === null) - (b.value === null) || a.index - b.index;
+				}
+				const order = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+				return (descending ? -order : order) || a.index - b.index;
+			})
+			.map(entry => entry.item);
+	}
+
+	// === APPLYING ===
+
+	/**
+	 * Filter and sort every section of a cardData object (metadata keys pass through)
+	 * The cut off is left to ExportManager.filterCardsByInclusion
+	 * @param {Object} cardData - Section name -> list cards
+	 * @param {Function} lookup - Card name -> enriched card data, or undefined
+	 */
+	filterCardData(cardData, lookup) {
+		const getCard = card => ({ ...(lookup(card.name) || {}), ...card });
+		const filtered = {};
+
+		Object.entries(cardData).forEach(([sectionName, cards]) => {
+			if (!Array.isArray(cards)) {
+				filtered[sectionName] = cards;
+				return;
+			}
+			filtered[sectionName] = this.sortItems(cards.filter(card => this.matches(getCard(card))), getCard);
+		});
+
+		return filtered;
+	}
+
+	/**
+	 * Reorder and hide the frames of a rendered card grid
+	 * Double-faced back frames move and hide with their front; headers of emptied sections hide too
+	 * @param {HTMLElement} grid - #cardGrid
+	 * @param {Function} lookup - Card frame -> card data (enriched where available)
+	 * @returns {Object} `{shown, total}` card counts
+	 */
+	applyToGrid(grid, lookup) {
+		const leading = [];
+		const sections = [];
+
+		Array.from(grid.children).forEach(element => {
+			if (element.classList.contains('section-header')) {
+				// Headers carry the cardData key - their text has card counts and labels added
+				sections.push({ header: element, name: element.dataset.section || element.textContent.trim(), units: [] });
+			} else if (!element.classList.contains('card-frame') || sections.length === 0) {
+				leading.push(element);
+			} else if (element.classList.contains('double-faced-back') && sections[sections.length - 1].units.length > 0) {
+				const units = sections[sections.length - 1].units;
+				units[units.length - 1].push(element);
+			} else {
+				sections[sections.length - 1].units.push([element]);
+			}
+		});
+
+		const getCard = unit => ({ name: unit[0].dataset.cardName, ...(lookup(unit[0]) || {}) });
+
+		let shown = 0;
+		let total = 0;
+		let position = 0;
+		const ordered = [...leading];
+
+		sections.forEach(({ header, name, units }) => {
+			// The first pass records EDHREC's order - sorting always starts from it
+			units.forEach(unit => {
+				if (unit[0].dataset.listOrder === undefined) {
+					unit[0].dataset.listOrder = position;
+				}
+				position++;
+			});
+			units.sort((a, b) => a[0].dataset.listOrder - b[0].dataset.listOrder);
+
+			let visible = 0;
+			units.forEach(unit => {
+				const card = getCard(unit);
+				const match = this.matches(card) && this.passesCutoff(card, name);
+				unit.forEach(frame => frame.classList.toggle('card-filtered', !match));
+				if (match) visible++;
+			});
+
+			header.classList.toggle('card-filtered', units.length > 0 && visible === 0);
+			shown += visible;
+			total += units.length;
+
+			ordered.push(header, ...this.sortItems(units, getCard).flat());
+		});
+
+		ordered.forEach(element => grid.appendChild(element));
+		return { shown, total };
+	}
+}
+
+// Create global instance
+window.cardFilters = new CardFilters();
+
+// Export for use in other modules
+window.CardFilters = CardFilters;
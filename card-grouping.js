@@ -0,0 +1,134 @@
+// VERSION:1
+// Card Grouping - Regroup a list by card type or mana value instead of EDHREC's sections
+// EDHREC's sections overlap (a card can be in "High Synergy Cards" and "Creatures"), so cards are
+// deduped first; each keeps `sourceSections`, the EDHREC sections it came from.
+// Output is a normal cardData object so the grid, PDF and text exports handle it like any other list
+class CardGrouping {
+	constructor() {
+		this.modes = [
+			{ value: 'sections', label: 'EDHREC sections' },
+			{ value: 'type', label: 'Card type' },
+			{ value: 'mana-value', label: 'Mana value' }
+		];
+
+		// Checked in this order, so an artifact creature is a creature and an artifact land a land
+		this.typePrecedence = ['Creature', 'Land', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment'];
+
+		this.typeGroups = {
+			Creature: 'Creatures',
+			Instant: 'Instants',
+			Sorcery: 'Sorceries',
+			Artifact: 'Artifacts',
+			Enchantment: 'Enchantments',
+			Planeswalker: 'Planeswalkers',
+			Battle: 'Battles',
+			Land: 'Lands'
+		};
+
+		// The list's own subject cards stay on top as they are
+		this.keptSections = ['Commander', 'Commanders', 'Card'];
+		this.otherGroup = 'Other';
+	}
+
+	/**
+	 * Type group of a card - front face only for double-faced cards
+	 * @param {Object} card - Enriched card data (`type_line`)
+	 */
+	getTypeGroup(card) {
+		const frontType = (card.type_line || '').split(' // ')[0];
+		const type = this.typePrecedence.find(candidate => frontType.includes(candidate));
+		return type ? this.typeGroups[type] : this.otherGroup;
+	}
+
+	// Lands sit apart - their mana value of 0 says nothing about the curve
+	getManaValueGroup(card) {
+		if (this.getTypeGroup(card) === this.typeGroups.Land) {
+			return this.typeGroups.Land;
+		}
+		if (typeof card.cmc !== 'number') {
+			return this.otherGroup;
+		}
+		return card.cmc >= 7 ? 'Mana Value 7+' : `Mana Value ${Math.floor(card.cmc)}`;
+	}
+
+	/**
+	 * One entry per card name across all sections
+	 * @returns {Array} Cards in first-seen order, each with `sourceSections`
+	 */
+	dedupe(cardData) {
+		const cards = new Map();
+
+		Object.entries(cardData).forEach(([sectionName, sectionCards]) => {
+			if (!Array.isArray(sectionCards) || this.keptSections.includes(sectionName)) return;
+
+			sectionCards.forEach(card => {
+				const existing = cards.get(card.name);
+				if (existing) {
+					if (!existing.sourceSections.includes(sectionName)) {
+						existing.sourceSections.push(sectionName);
+					}
+				} else {
+					cards.set(card.name, { ...card, sourceSections: [sectionName] });
+				}
+			});
+		});
+
+		return [...cards.values()];
+	}
+
+	/**
+	 * Regroup a list
+	 * @param {Object} cardData - Section name -> list cards (metadata keys pass through)
+	 * @param {string} mode - 'sections' (unchanged), 'type' or 'mana-value'
+	 * @param {Function} lookup - Card name -> enriched card data (type_line, cmc)
+	 * @returns {Object} cardData with the kept sections first, then one section per group
+	 */
+	group(cardData, mode, lookup) {
+		if (mode !== 'type' && mode !== 'mana-value') {
+			return cardData;
+		}
+
+		const grouped = {};
+		const groups = new Map();
+
+		Object.entries(cardData).forEach(([sectionName, cards]) => {
+			if (!Array.isArray(cards) || this.keptSections.includes(sectionName)) {
+				grouped[sectionName] = cards;
+			}
+		});
+
+		this.dedupe(cardData).forEach(card => {
+			const enriched = lookup(card.name) || {};
+			const groupName = mode === 'type' ? this.getTypeGroup(enriched) : this.getManaValueGroup(enriched);
+			if (!groups.has(groupName)) {
+				groups.set(groupName, []);
+			}
+			groups.get(groupName).push(card);
+		});
+
+		this.orderGroups([...groups.keys()], mode).forEach(groupName => {
+			grouped[groupName] = groups.get(groupName);
+		});
+
+		return grouped;
+	}
+
+	// Type groups in deckbuilding order, mana values ascending; lands and unknowns last
+	orderGroups(names, mode) {
+		const typeOrder = ['Creatures', 'Instants', 'Sorceries', 'Artifacts', 'Enchantments', 'Planeswalkers', 'Battles'];
+		const rank = name => {
+			if (name === this.typeGroups.Land) return 1000;
+			if (name === this.otherGroup) return 1001;
+			if (mode === 'type') return typeOrder.indexOf(name);
+			return parseInt(name.replace('Mana Value ', ''), 10);
+		};
+
+		return names.sort((a, b) => rank(a) - rank(b));
+	}
+}
+
+// Create global instance
+window.cardGrouping = new CardGrouping();
+
+// Export for use in other modules
+window.CardGrouping = CardGrouping;
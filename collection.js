@@ -0,0 +1,246 @@
+// VERSION:2
+// Card Collection - Cards the user owns, imported from a collection CSV (IndexedDB)
+// Understands ManaBox, Deckbox, Moxfield and Archidekt exports; generated lists mark owned cards
+// and the sort/filter toolbar can show only owned or only missing cards
+class CardCollection {
+	constructor() {
+		this.metaKey = 'collection_meta';
+		this.store = new IDBStore('edhrec_retriever_collection', 'cards', { keyPath: 'key' });
+
+		// Checked in order - the first whose headers match wins. Headers are compared lowercased
+		this.formats = [
+			{ name: 'ManaBox', detect: ['manabox id'], nameColumn: 'name', quantityColumn: 'quantity' },
+			{ name: 'Moxfield', detect: ['tradelist count', 'last modified'], nameColumn: 'name', quantityColumn: 'count' },
+			{ name: 'Deckbox', detect: ['tradelist count'], nameColumn: 'name', quantityColumn: 'count' },
+			{ name: 'Archidekt', detect: ['quantity', 'name'], nameColumn: 'name', quantityColumn: 'quantity' }
+		];
+
+		this.meta = this.loadMeta();
+		this.quantities = new Map(); // normalized name -> copies owned
+		this.ready = this.load();
+	}
+
+	// === IMPORT METADATA (localStorage) ===
+
+	loadMeta() {
+		try {
+			const stored = localStorage.getItem(this.metaKey);
+			if (stored) {
+				return JSON.parse(stored);
+			}
+		} catch (error) {
+			console.error('Error loading collection info:', error);
+		}
+		return null;
+	}
+
+	saveMeta(meta) {
+		this.meta = meta;
+		try {
+			if (meta) {
+				localStorage.setItem(this.metaKey, JSON.stringify(meta));
+			} else {
+				localStorage.removeItem(this.metaKey);
+			}
+		} catch (error) {
+			console.error('Error saving collection info:', error);
+		}
+	}
+
+	hasCollection() {
+		return this.quantities.size > 0;
+	}
+
+	// Owned quantities are kept in memory so frames can be marked synchronously
+	async load() {
+		if (!this.meta || !this.store.isAvailable()) return;
+
+		try {
+			const records = await this.store.getAll();
+			this.setQuantities(records);
+			console.log(`📚 Collection loaded: ${records.length} cards`);
+		} catch (error) {
+			console.error('Error loading collection:', error);
+		}
+	}
+
+	setQuantities(records) {
+		this.quantities = new Map();
+		records.forEach(record => {
+			this.quantities.set(record.key, record.quantity);
+
+			// Double-faced cards also answer to their front face name
+			const frontKey = this.normalizeName(record.name.split(' // ')[0]);
+			if (!this.quantities.has(frontKey)) {
+				this.quantities.set(frontKey, record.quantity);
+			}
+		});
+	}
+
+	// === LOOKUPS ===
+
+	normalizeName(name) {
+		return name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+	}
+
+	/**
+	 * @param {string} name - Card name as EDHREC or Scryfall writes it
+	 * @returns {number} Copies owned, 0 when missing
+	 */
+	getQuantity(name) {
+		if (!name || this.quantities.size === 0) return 0;
+		return this.quantities.get(this.normalizeName(name)) ||
+			this.quantities.get(this.normalizeName(name.split(' // ')[0])) ||
+			0;
+	}
+
+	isOwned(name) {
+		return this.getQuantity(name) > 0;
+	}
+
+	// === CSV IMPORT ===
+
+	/**
+	 * Whether an uploaded file is a collection export rather than a card list
+	 * @param {string} content - File content
+	 * @param {string} fileName - Uploaded file name
+	 */
+	isCollectionFile(content, fileName = '') {
+		if (!/\.csv$/i.test(fileName)) return false;
+		const headerLine = content.slice(0, 2000).split(/\r?\n/)[0];
+		return !!this.detectFormat(this.parseCSV(headerLine)[0] || []);
+	}
+
+	/**
+	 * Format of a collection CSV from its header row
+	 * @param {Array} headers - Header cells
+	 * @returns {Object|null} Entry of `this.formats` plus the column indexes
+	 */
+	detectFormat(headers) {
+		const normalized = headers.map(header => header.trim().toLowerCase());
+		const format = this.formats.find(candidate => candidate.detect.every(header => normalized.includes(header)));
+		if (!format) return null;
+
+		return {
+			...format,
+			nameIndex: normalized.indexOf(format.nameColumn),
+			quantityIndex: normalized.indexOf(format.quantityColumn)
+		};
+	}
+
+	/**
+	 * RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks
+	 * @returns {Array} Rows of cells
+	 */
+	parseCSV(text) {
+		const rows = [];
+		let row = [];
+		let field = '';
+		let quoted = false;
+
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+
+			if (quoted) {
+				if (char === '"' && text[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else if (char === '"') {
+					quoted = false;
+				} else {
+					field += char;
+				}
+			} else if (char === '"') {
+				quoted = true;
+			} else if (char === ',') {
+				row.push(field);
+				field = '';
+			} else if (char === '\n' || char === '\r') {
+				if (char === '\r' && text[i + 1] === '\n') i++;
+				row.push(field);
+				rows.push(row);
+				row = [];
+				field = '';
+			} else {
+				field += char;
+			}
+		}
+
+		if (field || row.length > 0) {
+			row.push(field);
+			rows.push(row);
+		}
+
+		// Byte order mark some exporters write
+		if (rows[0]?.[0]) {
+			rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+		}
+
+		return rows.filter(cells => cells.some(cell => cell.trim()));
+	}
+
+	/**
+	 * Replace the stored collection with a CSV export
+	 * Rows of the same card (other printings, foils, conditions) add up
+	 * @param {string} content - CSV text
+	 * @param {Object} file - `{name}` of the uploaded file
+	 * @returns {Promise<Object>} Import metadata `{fileName, format, cardCount, totalQuantity, importedAt}`
+	 */
+	async importFile(content, file) {
+		const [headers, ...rows] = this.parseCSV(content);
+		const format = this.detectFormat(headers || []);
+		if (!format) {
+			throw new Error('Unrecognized collection CSV - expected a ManaBox, Deckbox, Moxfield or Archidekt export');
+		}
+
+		const cards = new Map();
+		rows.forEach(cells => {
+			const name = (cells[format.nameIndex] || '').trim();
+			if (!name) return;
+
+			const quantity = parseInt(cells[format.quantityIndex], 10);
+			const key = this.normalizeName(name);
+			const existing = cards.get(key);
+			const copies = isNaN(quantity) ? 1 : quantity;
+
+			if (existing) {
+				existing.quantity += copies;
+			} else {
+				cards.set(key, { key, name, quantity: copies });
+			}
+		});
+
+		const records = [...cards.values()].filter(record => record.quantity > 0);
+		if (records.length === 0) {
+			throw new Error('The collection file contains no cards');
+		}
+
+		// One transaction - a failed import keeps the previous collection, stored and in memory
+		await this.store.replaceAll(records);
+		this.setQuantities(records);
+
+		const meta = {
+			fileName: file.name,
+			format: format.name,
+			cardCount: records.length,
+			totalQuantity: records.reduce((sum, record) => sum + record.quantity, 0),
+			importedAt: new Date().toISOString()
+		};
+		this.saveMeta(meta);
+
+		console.log(`📚 Imported ${records.length} cards (${format.name}) from ${file.name}`);
+		return meta;
+	}
+
+	async clear() {
+		await this.store.clear();
+		this.quantities = new Map();
+		this.saveMeta(null);
+	}
+}
+
+// Create global instance
+window.cardCollection = new CardCollection();
+
+// Export for use in other modules
+window.CardCollection = CardCollection;
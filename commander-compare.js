@@ -0,0 +1,105 @@
+// VERSION:2
+// Commander Comparison - Merge several commanders' EDHREC lists into one card table
+// Input sections are EDHRECExtractor results, output is a normal cardData object
+// so the grid, PDF and text exports handle it like any other list
+class CommanderComparison {
+	constructor() {
+		this.maxGaps = 30;
+	}
+
+	/**
+	 * Inclusion of every card in one commander's list
+	 * A card can sit in several sections (e.g. "High Synergy Cards" and "Creatures") - the highest value wins
+	 * @param {Object} sections - Parsed sections; `_` keys are metadata (`_themes`, ...) and skipped
+	 * @returns {Map} Card name -> inclusion percent
+	 */
+	collectInclusions(sections) {
+		const inclusions = new Map();
+
+		Object.entries(sections).forEach(([sectionName, cards]) => {
+			if (sectionName.startsWith('_') || !Array.isArray(cards)) return;
+
+			cards.forEach(card => {
+				const percent = parseFloat(card.inclusion) || 0;
+				if (!inclusions.has(card.name) || inclusions.get(card.name) < percent) {
+					inclusions.set(card.name, percent);
+				}
+			});
+		});
+
+		return inclusions;
+	}
+
+	/**
+	 * Merge commander lists
+	 * @param {Array} entries - `{label, sections}` per commander, in display order
+	 * @returns {Object} cardData with "Overlap", "Biggest Gaps", "Unique to ..." and "All Cards"
+	 *   sections plus `_comparison: {commanders}`. Each card carries `comparison`
+	 *   (`{commander, inclusion}` per commander, inclusion null when absent) and its best `inclusion`.
+	 */
+	merge(entries) {
+		const labels = entries.map(entry => entry.label);
+		const perCommander = entries.map(entry => this.collectInclusions(entry.sections));
+		const allNames = [...new Set(perCommander.flatMap(inclusions => [...inclusions.keys()]))];
+
+		const cards = allNames.map(name => {
+			const values = perCommander.map(inclusions => inclusions.has(name) ? inclusions.get(name) : null);
+			const present = values.filter(value => value !== null);
+			const max = Math.max(...present);
+			const min = present.length === values.length ? Math.min(...present) : 0;
+
+			return {
+				name,
+				inclusion: `${Math.round(max)}%`,
+				comparison: values.map((value, index) => ({
+					commander: labels[index],
+					inclusion: value === null ? null : `${Math.round(value)}%`
+				})),
+				presentIn: present.length,
+				average: present.reduce((sum, value) => sum + value, 0) / values.length,
+				max,
+				gap: Math.round(max - min)
+			};
+		});
+
+		const byAverage = (a, b) => b.average - a.average;
+		const result = { _comparison: { commanders: labels } };
+
+		result[`Overlap (all ${labels.length} commanders)`] = cards
+			.filter(card => card.presentIn === labels.length)
+			.sort(byAverage);
+
+		// Gaps only make sense for cards more than one commander plays
+		result['Biggest Gaps'] = cards
+			.filter(card => card.presentIn > 1 && card.gap > 0)
+			.sort((a, b) => b.gap - a.gap)
+			.slice(0, this.maxGaps);
+
+		labels.forEach((label, index) => {
+			result[`Unique to ${label}`] = cards
+				.filter(card => card.presentIn === 1 && card.comparison[index].inclusion !== null)
+				.sort((a, b) => b.max - a.max);
+		});
+
+		result['All Cards'] = [...cards].sort((a, b) => b.max - a.max);
+
+		// Internal sort keys aren't part of the card shape
+		Object.values(result).forEach(sectionCards => {
+			if (!Array.isArray(sectionCards)) return;
+			sectionCards.forEach(card => {
+				delete card.presentIn;
+				delete card.average;
+				delete card.max;
+				delete card.gap;
+			});
+		});
+
+		return result;
+	}
+}
+
+// Create global instance
+window.commanderComparison = new CommanderComparison();
+
+// Export for use in other modules
+window.CommanderComparison = CommanderComparison;
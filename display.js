@@ -1,466 +1,823 @@
-// VERSION:1
-// Card Display Engine - Clean Version
-class CardDisplayEngine {
-    constructor() {
-        this.scryfall = new ScryfallAPI();
-        this.cardCache = new Map();
-        this.symbolsReady = false;
-		console.log('🔄 CardDisplayEngine initialized (symbol support will activate on first use)');
-    }
-
-	async initSymbolSupport() {
-		// REMOVE the manual initialization - rely on auto-initialization from symbol-manager.js
-		// The symbol database auto-initializes on DOM ready, so we don't need to initialize here
-		
-		// Check if symbol database is available and ready
-		if (typeof window.symbolDatabase !== 'undefined' && window.symbolDatabase.initialized) {
-			this.symbolsReady = true;
-			console.log('Symbol database ready for card display');
-		} else {
-			console.log('Symbol database not available, using fallback mode');
-			this.symbolsReady = false;
-			
-			// Optional: Wait a bit for auto-initialization to complete
-			setTimeout(() => {
-				if (window.symbolDatabase && window.symbolDatabase.initialized) {
-					this.symbolsReady = true;
-					console.log('Symbol database became available after delay');
-				}
-			}, 1000);
-		}
-	}
-
-    async createCardFrame(cardData, fontSize = 'md') {
-		
-		// WAIT FOR SYMBOL SUPPORT BEFORE CREATING ANY CARD
-		await this.ensureSymbolsBeforeOperation();
-		
-        const frame = document.createElement('div');
-        frame.className = `card-frame font-size-${fontSize}`;
-        
-        // Get additional card data from Scryfall
-        const fullCardData = await this.enrichCardData(cardData);
-        
-        // Check if this is a double-faced card
-        if (this.isDoubleFacedCard(fullCardData)) {
-            return this.createDoubleFacedCardFrame(fullCardData, fontSize);
-        }
-        
-        frame.innerHTML = this.generateCardHTML(fullCardData);
-        return frame;
-    }
-
-    // Check if card is double-faced
-    isDoubleFacedCard(cardData) {
-        return cardData.card_faces && 
-               cardData.card_faces.length >= 2 && 
-               cardData.layout && 
-               ['transform', 'modal_dfc', 'double_faced_token'].includes(cardData.layout);
-    }
-
-    // Create frame for double-faced cards
-    createDoubleFacedCardFrame(cardData, fontSize) {
-        // Create a document fragment to hold both cards
-        const fragment = document.createDocumentFragment();
-        
-        // Create front face with indicator
-        const frontFrame = document.createElement('div');
-        frontFrame.className = `card-frame double-faced-front font-size-${fontSize}`;
-        let frontHTML = this.generateCardHTML({
-            ...cardData,
-            name: cardData.card_faces[0].name,
-            mana_cost: cardData.card_faces[0].mana_cost,
-            type_line: cardData.card_faces[0].type_line,
-            oracle_text: cardData.card_faces[0].oracle_text,
-            flavor_text: cardData.card_faces[0].flavor_text,
-            power: cardData.card_faces[0].power,
-            toughness: cardData.card_faces[0].toughness,
-            loyalty: cardData.card_faces[0].loyalty,
-            defense: cardData.card_faces[0].defense,
-            inclusion: cardData.inclusion,
-            price: cardData.price
-        });
-        // Add face indicator to the front card
-        frontHTML = frontHTML.replace('<div class="card-stats">', '<div class="face-indicator front-indicator"><span>FRONT</span> <span>FACE</span></div><div class="card-stats">');
-        frontFrame.innerHTML = frontHTML;
-        
-        // Create back face with indicator
-        const backFrame = document.createElement('div');
-        backFrame.className = `card-frame double-faced-back font-size-${fontSize}`;
-        let backHTML = this.generateCardHTML({
-            ...cardData,
-            name: cardData.card_faces[1].name,
-            mana_cost: cardData.card_faces[1].mana_cost,
-            type_line: cardData.card_faces[1].type_line,
-            oracle_text: cardData.card_faces[1].oracle_text,
-            flavor_text: cardData.card_faces[1].flavor_text,
-            power: cardData.card_faces[1].power,
-            toughness: cardData.card_faces[1].toughness,
-            loyalty: cardData.card_faces[1].loyalty,
-            defense: cardData.card_faces[1].defense,
-            inclusion: cardData.inclusion,
-            price: cardData.price
-        });
-        // Add face indicator to the back card
-        backHTML = backHTML.replace('<div class="card-stats">', '<div class="face-indicator back-indicator"><span>BACK</span> <span>FACE</span></div><div class="card-stats">');
-        backFrame.innerHTML = backHTML;
-        
-        // Add both frames to fragment
-        fragment.appendChild(frontFrame);
-        fragment.appendChild(backFrame);
-        
-        return fragment;
-    }
-
-	// In display.js - UPDATE the enrichCardData method to improve logging:
-	async enrichCardData(cardData) {
-		console.log(`🔄 enrichCardData called for: ${cardData.name}`);
-		
-		// ENSURE symbol support is ready before proceeding
-		await this.ensureSymbolSupport();
-		
-		// Check cache first
-		if (this.cardCache.has(cardData.name)) {
-			console.log(`✅ Using cached data for: ${cardData.name}`);
-			return this.cardCache.get(cardData.name);
-		}
-
-		try {
-			const scryfallData = await this.scryfall.getCardByName(cardData.name);
-			console.log(`✅ Scryfall data retrieved for: ${cardData.name}`, {
-				setCode: scryfallData.set,
-				setName: scryfallData.set_name
-			});
-			
-			// Get NZD price BEFORE creating enriched data
-			const nzdPrice = await this.scryfall.getPriceDisplay(scryfallData.prices, true);
-			
-			// EXTRACT SET DATA
-			const setCode = scryfallData.set || '';
-			
-			// ALWAYS use Scryfall data for set name and release year
-			const setName = scryfallData.set_name || '';
-			const releaseYear = scryfallData.released_at ? 
-				new Date(scryfallData.released_at).getFullYear().toString() : '';
-
-			// ONLY use symbol database for the symbol URL
-			console.log(`🔍 Checking symbol database for set: ${setCode}`);
-			console.log(`📊 Symbol database status:`, {
-				symbolsReady: this.symbolsReady,
-				databaseExists: !!window.symbolDatabase,
-				databaseInitialized: window.symbolDatabase?.initialized
-			});
-			
-			let setSymbolUrl = '';
-			if (this.symbolsReady && window.symbolDatabase) {
-				console.log(`🔍 [DISPLAY] Calling getSetDataWithDownload for: ${setCode}`);
-				try {
-					const localSetData = await window.symbolDatabase.getSetDataWithDownload(setCode);
-					console.log(`📥 [DISPLAY] getSetDataWithDownload result:`, {
-						code: localSetData?.code,
-						symbolExists: !!localSetData?.symbol,
-						symbolLength: localSetData?.symbol?.length,
-						symbolValue: localSetData?.symbol ? 'SYMBOL_PRESENT' : 'NO_SYMBOL',
-						method: 'getSetDataWithDownload',
-						fullData: localSetData // Debug: show the full structure
-					});
-					setSymbolUrl = localSetData?.symbol || '';
-					console.log(`✅ [DISPLAY] Extracted symbol URL: ${setSymbolUrl ? 'FOUND' : 'MISSING'}`);
-				} catch (error) {
-					console.error(`❌ [DISPLAY] Error getting set data for ${setCode}:`, error);
-					setSymbolUrl = '';
-				}
-			}
-
-			console.log(`🎯 [DISPLAY] Final symbol URL for ${setCode}:`, 
-				setSymbolUrl ? `FOUND (${setSymbolUrl.substring(0, 30)}...)` : 'MISSING');
-
-			const enrichedData = {
-				...cardData,
-				mana_cost: scryfallData.mana_cost,
-				type_line: scryfallData.type_line,
-				oracle_text: scryfallData.oracle_text,
-				flavor_text: scryfallData.flavor_text,
-				power: scryfallData.power,
-				toughness: scryfallData.toughness,
-				loyalty: scryfallData.loyalty,
-				defense: scryfallData.defense,
-				price: nzdPrice,
-				card_faces: scryfallData.card_faces,
-				layout: scryfallData.layout,
-				set_name: setName,
-				set_code: setCode,
-				set_symbol: setSymbolUrl,
-				release_year: releaseYear
-			};
-			
-			// Cache the result
-			this.cardCache.set(cardData.name, enrichedData);
-			console.log(`✅ enrichCardData completed for: ${cardData.name}`);
-			return enrichedData;
-			
-		} catch (error) {
-			console.error('❌ Error enriching card data:', error);
-			// Return basic data if Scryfall fails
-			return {
-				...cardData,
-				type_line: 'Card',
-				price: 'Price N/A',
-				set_name: '',
-				set_code: '',
-				set_symbol: '',
-				release_year: ''
-			};
-		}
-	}
-
-	// In display.js - REPLACE the getSetSymbol method:
-	async getSetSymbol(setCode) {
-		console.log(`🔍 getSetSymbol called for set: ${setCode}`);
-		if (!setCode) return '';
-		
-		// Ensure symbol support is ready before attempting database lookup
-		const isReady = await this.ensureSymbolSupport();
-		
-		// Use local symbol database if available AND ready
-		if (isReady && window.symbolDatabase) {
-			console.log(`✅ Symbol database available, fetching: ${setCode}`);
-			try {
-				const setData = await window.symbolDatabase.getSetDataWithDownload(setCode);
-				console.log(`📊 Set data retrieved for ${setCode}:`, { 
-					symbolExists: !!setData.symbol,
-					symbolLength: setData.symbol?.length,
-					symbolUrl: setData.symbol ? setData.symbol.substring(0, 50) + '...' : 'NO_SYMBOL'
-				});
-				return setData.symbol || '';
-			} catch (error) {
-				console.error(`❌ Error getting symbol from database for ${setCode}:`, error);
-				return '';
-			}
-		} else {
-			console.log(`❌ Symbol database not available for ${setCode}:`, {
-				symbolsReady: this.symbolsReady,
-				databaseExists: !!window.symbolDatabase,
-				databaseInitialized: window.symbolDatabase?.initialized
-			});
-		}
-		
-		return '';
-	}
-
-	generateCardHTML(card) {
-		console.log(`🔄 generateCardHTML called for: ${card.name}`);
-		console.log(`📊 Card symbol data:`, {
-			set_symbol: card.set_symbol,
-			set_code: card.set_code,
-			set_name: card.set_name
-		});
-		
-		// Generate power/toughness/loyalty/defense first
-		const ptHTML = this.generatePowerToughness(card);
-		
-		// Generate set data for left side (with set name - unchanged)
-		const setDataHTML = this.generateSetData(card);
-		
-		// Generate set symbol and code for stats area if available
-		const setSymbolHTML = card.set_symbol ? 
-			`<img src="${card.set_symbol}" alt="${card.set_name}" class="set-symbol-stats">` : 
-			'';
-		
-		const setCodeHTML = card.set_code ? 
-			`<span class="set-code-stats">${this.escapeHTML(card.set_code.toUpperCase())}</span>` : 
-			'';
-		
-		console.log(`🎯 Generated HTML elements:`, {
-			setSymbolHTML: setSymbolHTML ? 'SYMBOL_HTML_PRESENT' : 'NO_SYMBOL_HTML',
-			setCodeHTML: setCodeHTML ? 'CODE_HTML_PRESENT' : 'NO_CODE_HTML'
-		});
-		
-		return `
-			<div class="card-header">
-				<h3 class="card-name">${this.escapeHTML(card.name)}</h3>
-				${card.mana_cost ? `<span class="card-mana-cost">${this.formatManaCost(card.mana_cost)}</span>` : ''}
-			</div>
-			<div class="card-type-line">${this.escapeHTML(card.type_line)}</div>
-			<div class="card-content">
-				${card.oracle_text ? `<div class="card-text">${this.formatCardText(card.oracle_text)}</div>` : ''}
-				${card.flavor_text ? `<div class="card-flavor-text">${this.escapeHTML(card.flavor_text)}</div>` : ''}
-				${setDataHTML ? `<div class="card-set-container">${setDataHTML}</div>` : ''}
-				${ptHTML ? `<div class="card-pt-container">${ptHTML}</div>` : ''}
-			</div>
-			<div class="card-stats">
-				${setSymbolHTML}
-				${setCodeHTML}
-				<span class="stats-gap"></span>
-				<span class="inclusion-percentage">${card.inclusion}</span>
-				<span class="card-price">${card.price}</span>
-			</div>
-		`;
-	}
-	
-	// Generate set data display
-	generateSetData(card) {
-		if (!card.set_name && !card.release_year) {
-			return '';
-		}
-		
-		const yearHTML = card.release_year ? 
-			`<span class="release-year">${this.escapeHTML(card.release_year)}</span>` : 
-			'';
-		
-		const setNameHTML = card.set_name ? 
-			`<span class="set-name">${this.escapeHTML(card.set_name)}</span>` : 
-			'';		
-		
-		// Only show if we have at least one piece of data
-		if (!setNameHTML && !yearHTML) {
-			return '';
-		}
-		
-		return `
-			<div class="set-data">
-				${yearHTML}
-				${setNameHTML}			
-			</div>
-		`;
-	}
-
-    formatManaCost(manaCost) {
-        // Simple formatting - in a real implementation you'd want mana symbols
-        return manaCost.replace(/\{([^}]+)\}/g, '$1');
-    }
-
-    formatCardText(text) {
-        return this.escapeHTML(text)
-            .replace(/\n/g, '<br>')
-            .replace(/\{([^}]+)\}/g, '<span class="mana-symbol">{$1}</span>');
-    }
-
-    generatePowerToughness(card) {
-        if (card.power && card.toughness) {
-            return `${card.power}/${card.toughness}`;
-        }
-        if (card.loyalty) {
-            return card.loyalty;
-        }
-        if (card.defense) {
-            return card.defense;
-        }
-        return '';
-    }
-
-    escapeHTML(str) {
-        if (!str) return '';
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
-    }
-
-    // Batch process cards for better performance
-    async createCardFrames(cards, fontSize = 'md') {
-        const frames = [];
-        
-        // Process in small batches to avoid overwhelming the API
-        const batchSize = 5;
-        for (let i = 0; i < cards.length; i += batchSize) {
-            const batch = cards.slice(i, i + batchSize);
-            const batchFrames = await Promise.all(
-                batch.map(card => this.createCardFrame(card, fontSize))
-            );
-            frames.push(...batchFrames);
-			
-			// ADD HEALTH CHECK AFTER EACH BATCH
-			this.checkSymbolHealth(batchFrames);
-            
-            // Small delay between batches to be respectful to the API
-            if (i + batchSize < cards.length) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-        }
-        
-        return frames;
-    }
-	
-	// In display.js - REPLACE the ensureSymbolSupport method:
-	async ensureSymbolSupport() {
-		if (this.symbolsReady) return true;
-		
-		// If symbol database doesn't exist at all, skip
-		if (typeof window.symbolDatabase === 'undefined') {
-			console.log('Symbol database not available in this environment');
-			this.symbolsReady = false;
-			return false;
-		}
-		
-		// If database is already initialized, we're ready
-		if (window.symbolDatabase.initialized) {
-			this.symbolsReady = true;
-			console.log('✅ Symbol database ready for card display');
-			return true;
-		}
-		
-		// Wait for initialization to complete with timeout
-		console.log('⏳ Waiting for symbol database initialization...');
-		return new Promise((resolve) => {
-			let attempts = 0;
-			const maxAttempts = 50; // 5 second timeout (50 * 100ms)
-			
-			const checkInitialized = () => {
-				attempts++;
-				
-				if (window.symbolDatabase.initialized) {
-					this.symbolsReady = true;
-					console.log('✅ Symbol database initialization completed - ready for use');
-					resolve(true);
-				} else if (attempts >= maxAttempts) {
-					console.log('⏰ Symbol database initialization timeout, proceeding without symbols');
-					this.symbolsReady = false;
-					resolve(false);
-				} else {
-					setTimeout(checkInitialized, 100);
-				}
-			};
-			
-			checkInitialized();
-		});
-	}
-	
-	async ensureSymbolsBeforeOperation() {
-		if (!this.symbolsReady) {
-			console.log('⏳ Symbols not ready, waiting...');
-			await this.ensureSymbolSupport();
-		}
-		return true;
-	}
-	
-	checkSymbolHealth(cardFrames) {
-		const symbols = [];
-		cardFrames.forEach(frame => {
-			const symbol = frame.querySelector?.('.set-symbol-stats');
-			if (symbol) {
-				symbols.push({
-					element: symbol,
-					naturalWidth: symbol.naturalWidth,
-					naturalHeight: symbol.naturalHeight,
-					format: symbol.src.includes('image/png') ? 'PNG' : 'SVG'
-				});
-			}
-		});
-		
-		const stats = {
-			total: symbols.length,
-			png: symbols.filter(s => s.format === 'PNG').length,
-			svg: symbols.filter(s => s.format === 'SVG').length,
-			broken: symbols.filter(s => s.naturalWidth < 10 || s.naturalHeight < 10).length
-		};
-		
-		if (stats.broken > 0) {
-			console.warn(`⚠️ Symbol Health: ${stats.broken}/${stats.total} symbols appear broken`);
-		}
-		
-		console.log(`📊 Symbol Health: ${stats.png} PNG, ${stats.svg} SVG, ${stats.broken} broken`);
-		return stats;
-	}
-}
-
-window.CardDisplayEngine = CardDisplayEngine;
+// VERSION:16
+// Card Display Engine - Clean Version
+class CardDisplayEngine {
+    constructor() {
+        this.scryfall = new ScryfallAPI();
+        this.cardCache = new Map();
+        this.prefetchedCards = new Map(); // Scryfall cards from bulk lookups, null = not found
+        this.frameSources = new WeakMap(); // frame -> list card it was built from, for refreshCardFrames
+        this.bannedCards = new Set(); // Names of displayed cards banned in Commander
+        this.symbolsReady = false;
+        this.displayMode = 'text'; // 'text', 'image' or 'image-stats' (set by App)
+		console.log('🔄 CardDisplayEngine initialized (symbol support will activate on first use)');
+    }
+
+	async initSymbolSupport() {
+		// REMOVE the manual initialization - rely on auto-initialization from symbol-manager.js
+		// The symbol database auto-initializes on DOM ready, so we don't need to initialize here
+		
+		// Check if symbol database is available and ready
+		if (typeof window.symbolDatabase !== 'undefined' && window.symbolDatabase.initialized) {
+			this.symbolsReady = true;
+			console.log('Symbol database ready for card display');
+		} else {
+			console.log('Symbol database not available, using fallback mode');
+			this.symbolsReady = false;
+			
+			// Optional: Wait a bit for auto-initialization to complete
+			setTimeout(() => {
+				if (window.symbolDatabase && window.symbolDatabase.initialized) {
+					this.symbolsReady = true;
+					console.log('Symbol database became available after delay');
+				}
+			}, 1000);
+		}
+	}
+
+    async createCardFrame(cardData, fontSize = 'md') {
+		
+		// WAIT FOR SYMBOL SUPPORT BEFORE CREATING ANY CARD
+		await this.ensureSymbolsBeforeOperation();
+		
+        const frame = document.createElement('div');
+        frame.className = `card-frame font-size-${fontSize}`;
+        
+        // Get additional card data from Scryfall
+        const fullCardData = await this.enrichCardData(cardData);
+        
+        // Check if this is a double-faced card
+        if (this.isDoubleFacedCard(fullCardData)) {
+            const fragment = this.createDoubleFacedCardFrame(fullCardData, fontSize);
+            Array.from(fragment.children).forEach(face => this.trackFrame(face, cardData, fullCardData));
+            return fragment;
+        }
+        
+        frame.innerHTML = this.generateCardHTML(fullCardData);
+        this.trackFrame(frame, cardData, fullCardData);
+        return frame;
+    }
+
+	trackFrame(frame, cardData, fullCardData) {
+		frame.dataset.cardName = cardData.name;
+		this.frameSources.set(frame, cardData);
+		
+		// Image frames get their own layout (see generateCardImageHTML)
+		if (frame.querySelector('.card-image')) {
+			frame.classList.add('card-image-frame');
+		}
+		
+		// Banned frames stay visible on screen but are dropped from PDF and print
+		if (fullCardData.banned) {
+			frame.classList.add('card-banned');
+		}
+		
+		// Owned cards (see collection.js) - by list name, so both faces of a DFC are marked
+		const quantity = window.cardCollection?.getQuantity(cardData.name) || 0;
+		if (quantity > 0) {
+			frame.classList.add('card-owned');
+			frame.querySelector('.stats-gap')?.insertAdjacentHTML('beforebegin',
+				`<span class="owned-badge" title="${quantity} in your collection">✓${quantity > 1 ? ` ${quantity}` : ''}</span>`);
+		}
+	}
+	
+	/**
+	 * Card data behind a frame: the enriched card with this frame's list fields on top
+	 * (inclusion, section badges - the cache holds the first occurrence's)
+	 */
+	getFrameCard(frame) {
+		return { ...(this.cardCache.get(frame.dataset.cardName) || {}), ...(this.frameSources.get(frame) || {}) };
+	}
+	
+	isCardBanned(cardName) {
+		return this.bannedCards.has(cardName);
+	}
+	
+	/**
+	 * Rebuild every frame of one card in place, e.g. after another printing was chosen
+	 * Double-faced cards replace both faces
+	 * @param {HTMLElement} container - Card grid
+	 * @param {string} cardName - List card name (frame `data-card-name`)
+	 */
+	async refreshCardFrames(container, cardName, fontSize = 'md') {
+		this.cardCache.delete(cardName);
+		
+		const frames = Array.from(container.querySelectorAll('.card-frame'))
+			.filter(frame => frame.dataset.cardName === cardName && !frame.classList.contains('double-faced-back'));
+		
+		for (const frame of frames) {
+			const source = this.frameSources.get(frame);
+			if (!source) continue;
+			
+			const replacement = await this.createCardFrame(source, fontSize);
+			const back = frame.classList.contains('double-faced-front') ? frame.nextElementSibling : null;
+			
+			// Keep the EDHREC position the sort toolbar restores (see card-filters.js)
+			const front = replacement instanceof DocumentFragment ? replacement.firstElementChild : replacement;
+			if (front && frame.dataset.listOrder !== undefined) {
+				front.dataset.listOrder = frame.dataset.listOrder;
+			}
+			
+			frame.replaceWith(replacement);
+			if (back?.classList.contains('double-faced-back')) {
+				back.remove();
+			}
+		}
+	}
+
+    // Check if card is double-faced - faces on separate physical sides get a frame each
+    // Split, flip and adventure cards also have card_faces but are one side (see generateMultiFaceHTML)
+    isDoubleFacedCard(cardData) {
+        return cardData.card_faces && 
+               cardData.card_faces.length >= 2 && 
+               cardData.layout && 
+               ['transform', 'modal_dfc', 'double_faced_token', 'reversible_card'].includes(cardData.layout);
+    }
+
+    // Create frame for double-faced cards
+    createDoubleFacedCardFrame(cardData, fontSize) {
+        // Create a document fragment to hold both cards
+        const fragment = document.createDocumentFragment();
+        
+        // Create front face with indicator
+        const frontFrame = document.createElement('div');
+        frontFrame.className = `card-frame double-faced-front font-size-${fontSize}`;
+        let frontHTML = this.generateCardHTML({
+            ...cardData,
+            name: cardData.card_faces[0].name,
+            mana_cost: cardData.card_faces[0].mana_cost,
+            type_line: cardData.card_faces[0].type_line,
+            oracle_text: cardData.card_faces[0].oracle_text,
+            flavor_text: cardData.card_faces[0].flavor_text,
+            power: cardData.card_faces[0].power,
+            toughness: cardData.card_faces[0].toughness,
+            loyalty: cardData.card_faces[0].loyalty,
+            defense: cardData.card_faces[0].defense,
+            image_uris: cardData.card_faces[0].image_uris || cardData.image_uris,
+            inclusion: cardData.inclusion,
+            price: cardData.price
+        });
+        // Add face indicator to the front card
+        frontHTML = frontHTML.replace('<div class="card-stats">', '<div class="face-indicator front-indicator"><span>FRONT</span> <span>FACE</span></div><div class="card-stats">');
+        frontFrame.innerHTML = frontHTML;
+        
+        // Create back face with indicator
+        const backFrame = document.createElement('div');
+        backFrame.className = `card-frame double-faced-back font-size-${fontSize}`;
+        let backHTML = this.generateCardHTML({
+            ...cardData,
+            name: cardData.card_faces[1].name,
+            mana_cost: cardData.card_faces[1].mana_cost,
+            type_line: cardData.card_faces[1].type_line,
+            oracle_text: cardData.card_faces[1].oracle_text,
+            flavor_text: cardData.card_faces[1].flavor_text,
+            power: cardData.card_faces[1].power,
+            toughness: cardData.card_faces[1].toughness,
+            loyalty: cardData.card_faces[1].loyalty,
+            defense: cardData.card_faces[1].defense,
+            image_uris: cardData.card_faces[1].image_uris || cardData.image_uris,
+            inclusion: cardData.inclusion,
+            price: cardData.price
+        });
+        // Add face indicator to the back card
+        backHTML = backHTML.replace('<div class="card-stats">', '<div class="face-indicator back-indicator"><span>BACK</span> <span>FACE</span></div><div class="card-stats">');
+        backFrame.innerHTML = backHTML;
+        
+        // Add both frames to fragment
+        fragment.appendChild(frontFrame);
+        fragment.appendChild(backFrame);
+        
+        return fragment;
+    }
+
+	// In display.js - UPDATE the enrichCardData method to improve logging:
+	async enrichCardData(cardData) {
+		console.log(`🔄 enrichCardData called for: ${cardData.name}`);
+		
+		// ENSURE symbol support is ready before proceeding
+		await this.ensureSymbolSupport();
+		
+		// Check cache first
+		// List fields (inclusion, section badges) come from this occurrence of the card, not the cached one
+		if (this.cardCache.has(cardData.name)) {
+			console.log(`✅ Using cached data for: ${cardData.name}`);
+			return { ...this.cardCache.get(cardData.name), ...cardData };
+		}
+
+		try {
+			// Bulk-resolved by prefetchCards where possible, single fuzzy lookup otherwise
+			let scryfallData = this.prefetchedCards.get(cardData.name);
+			if (scryfallData === null) {
+				throw new Error('Card not found');
+			}
+			if (!scryfallData) {
+				scryfallData = await this.scryfall.getCardByName(cardData.name);
+			}
+			
+			// Swap in the remembered or policy-selected printing (set, year and price follow it)
+			scryfallData = await this.applyPrinting(cardData.name, scryfallData);
+			console.log(`✅ Scryfall data retrieved for: ${cardData.name}`, {
+				setCode: scryfallData.set,
+				setName: scryfallData.set_name
+			});
+			
+			const banned = this.scryfall.isBannedInCommander(scryfallData);
+			if (banned) {
+				this.bannedCards.add(cardData.name);
+			} else {
+				this.bannedCards.delete(cardData.name);
+			}
+			
+			// Get USD + secondary currency price BEFORE creating enriched data
+			const priceDisplay = await this.scryfall.getPriceDisplay(scryfallData.prices, true);
+			
+			// EXTRACT SET DATA
+			const setCode = scryfallData.set || '';
+			
+			// ALWAYS use Scryfall data for set name and release year
+			const setName = scryfallData.set_name || '';
+			const releaseYear = scryfallData.released_at ? 
+				new Date(scryfallData.released_at).getFullYear().toString() : '';
+
+			// ONLY use symbol database for the symbol URL
+			console.log(`🔍 Checking symbol database for set: ${setCode}`);
+			console.log(`📊 Symbol database status:`, {
+				symbolsReady: this.symbolsReady,
+				databaseExists: !!window.symbolDatabase,
+				databaseInitialized: window.symbolDatabase?.initialized
+			});
+			
+			let setSymbolUrl = '';
+			if (this.symbolsReady && window.symbolDatabase) {
+				console.log(`🔍 [DISPLAY] Calling getSetDataWithDownload for: ${setCode}`);
+				try {
+					const localSetData = await window.symbolDatabase.getSetDataWithDownload(setCode);
+					console.log(`📥 [DISPLAY] getSetDataWithDownload result:`, {
+						code: localSetData?.code,
+						symbolExists: !!localSetData?.symbol,
+						symbolLength: localSetData?.symbol?.length,
+						symbolValue: localSetData?.symbol ? 'SYMBOL_PRESENT' : 'NO_SYMBOL',
+						method: 'getSetDataWithDownload',
+						fullData: localSetData // Debug: show the full structure
+					});
+					setSymbolUrl = localSetData?.symbol || '';
+					
+					// Color the symbol by this printing's rarity
+					if (setSymbolUrl && scryfallData.rarity) {
+						setSymbolUrl = await window.symbolDatabase.getRaritySymbol(setCode, scryfallData.rarity) || setSymbolUrl;
+					}
+					console.log(`✅ [DISPLAY] Extracted symbol URL: ${setSymbolUrl ? 'FOUND' : 'MISSING'}`);
+				} catch (error) {
+					console.error(`❌ [DISPLAY] Error getting set data for ${setCode}:`, error);
+					setSymbolUrl = '';
+				}
+			}
+
+			console.log(`🎯 [DISPLAY] Final symbol URL for ${setCode}:`, 
+				setSymbolUrl ? `FOUND (${setSymbolUrl.substring(0, 30)}...)` : 'MISSING');
+
+			const enrichedData = {
+				...cardData,
+				mana_cost: scryfallData.mana_cost,
+				type_line: scryfallData.type_line,
+				oracle_text: scryfallData.oracle_text,
+				flavor_text: scryfallData.flavor_text,
+				power: scryfallData.power,
+				toughness: scryfallData.toughness,
+				loyalty: scryfallData.loyalty,
+				defense: scryfallData.defense,
+				price: priceDisplay,
+				price_usd: this.parseUsdPrice(scryfallData.prices),
+				cmc: scryfallData.cmc,
+				color_identity: scryfallData.color_identity,
+				card_faces: scryfallData.card_faces,
+				image_uris: scryfallData.image_uris,
+				all_parts: scryfallData.all_parts,
+				layout: scryfallData.layout,
+				set_name: setName,
+				set_code: setCode,
+				set_symbol: setSymbolUrl,
+				rarity: scryfallData.rarity || '',
+				release_year: releaseYear,
+				printing_id: scryfallData.id,
+				banned
+			};
+			
+			// Cache the result
+			this.cardCache.set(cardData.name, enrichedData);
+			console.log(`✅ enrichCardData completed for: ${cardData.name}`);
+			return enrichedData;
+			
+		} catch (error) {
+			console.error('❌ Error enriching card data:', error);
+			// Return basic data if Scryfall fails
+			return {
+				...cardData,
+				type_line: 'Card',
+				price: 'Price N/A',
+				set_name: '',
+				set_code: '',
+				set_symbol: '',
+				release_year: ''
+			};
+		}
+	}
+
+	// Numeric USD price of the shown printing for sorting and filtering, null when unpriced
+	parseUsdPrice(prices) {
+		const usd = parseFloat(prices?.usd ?? prices?.usd_foil);
+		return isNaN(usd) ? null : usd;
+	}
+	
+	/**
+	 * Printing to show for a card: the one picked in the set-symbol chooser,
+	 * else the printing policy's pick (see printing-preferences.js), else Scryfall's default
+	 * @param {string} cardName - List card name
+	 * @param {Object} card - Scryfall's default printing
+	 */
+	async applyPrinting(cardName, card) {
+		const preferences = window.printingPreferences;
+		if (!preferences) return card;
+		
+		try {
+			const choice = preferences.getChoice(cardName);
+			if (choice) {
+				return choice.id === card.id ? card : await this.scryfall.getCardById(choice.id);
+			}
+			
+			if (preferences.needsPrintings()) {
+				const printings = await this.scryfall.getPrintings(card);
+				return preferences.pickPrinting(printings) || card;
+			}
+		} catch (error) {
+			console.warn(`⚠️ Printing selection failed for ${cardName}, using the default printing:`, error);
+		}
+		
+		return card;
+	}
+
+	// In display.js - REPLACE the getSetSymbol method:
+	async getSetSymbol(setCode) {
+		console.log(`🔍 getSetSymbol called for set: ${setCode}`);
+		if (!setCode) return '';
+		
+		// Ensure symbol support is ready before attempting database lookup
+		const isReady = await this.ensureSymbolSupport();
+		
+		// Use local symbol database if available AND ready
+		if (isReady && window.symbolDatabase) {
+			console.log(`✅ Symbol database available, fetching: ${setCode}`);
+			try {
+				const setData = await window.symbolDatabase.getSetDataWithDownload(setCode);
+				console.log(`📊 Set data retrieved for ${setCode}:`, { 
+					symbolExists: !!setData.symbol,
+					symbolLength: setData.symbol?.length,
+					symbolUrl: setData.symbol ? setData.symbol.substring(0, 50) + '...' : 'NO_SYMBOL'
+				});
+				return setData.symbol || '';
+			} catch (error) {
+				console.error(`❌ Error getting symbol from database for ${setCode}:`, error);
+				return '';
+			}
+		} else {
+			console.log(`❌ Symbol database not available for ${setCode}:`, {
+				symbolsReady: this.symbolsReady,
+				databaseExists: !!window.symbolDatabase,
+				databaseInitialized: window.symbolDatabase?.initialized
+			});
+		}
+		
+		return '';
+	}
+
+	generateCardHTML(card) {
+		if (this.displayMode !== 'text' && this.getCardImageUrl(card)) {
+			return this.generateCardImageHTML(card);
+		}
+		
+		console.log(`🔄 generateCardHTML called for: ${card.name}`);
+		console.log(`📊 Card symbol data:`, {
+			set_symbol: card.set_symbol,
+			set_code: card.set_code,
+			set_name: card.set_name
+		});
+		
+		// Generate power/toughness/loyalty/defense first
+		const ptHTML = this.generatePowerToughness(card);
+		
+		// Generate set data for left side (with set name - unchanged)
+		const setDataHTML = this.generateSetData(card);
+		
+		// Faces of one physical card (split, flip, adventure) share the frame
+		const multiFaceHTML = this.generateMultiFaceHTML(card);
+		if (multiFaceHTML) {
+			return `
+				${multiFaceHTML}
+				${card.banned ? '<div class="banned-badge" title="Left out of text, PDF and print exports">Banned in Commander</div>' : ''}
+				${setDataHTML ? `<div class="card-set-container">${setDataHTML}</div>` : ''}
+				${this.generateSourceSectionsHTML(card)}
+				${this.generateComparisonHTML(card)}
+				${this.generateStatsHTML(card)}
+			`;
+		}
+		
+		return `
+			<div class="card-header">
+				<h3 class="card-name">${this.escapeHTML(card.name)}</h3>
+				${card.mana_cost ? `<span class="card-mana-cost">${this.formatManaCost(card.mana_cost)}</span>` : ''}
+			</div>
+			<div class="card-type-line">${this.escapeHTML(card.type_line)}</div>
+			${card.banned ? '<div class="banned-badge" title="Left out of text, PDF and print exports">Banned in Commander</div>' : ''}
+			<div class="card-content">
+				${card.oracle_text ? `<div class="card-text">${this.formatCardText(card.oracle_text)}</div>` : ''}
+				${card.flavor_text ? `<div class="card-flavor-text">${this.escapeHTML(card.flavor_text)}</div>` : ''}
+				${this.generateMeldHTML(card)}
+				${setDataHTML ? `<div class="card-set-container">${setDataHTML}</div>` : ''}
+				${ptHTML ? `<div class="card-pt-container">${ptHTML}</div>` : ''}
+			</div>
+			${this.generateSourceSectionsHTML(card)}
+			${this.generateComparisonHTML(card)}
+			${this.generateStatsHTML(card)}
+		`;
+	}
+	
+	/**
+	 * Layouts with several faces on one side of the card, keyed by Scryfall `layout`:
+	 * split - halves side by side, flip - bottom half upside down, adventure - inset in the text box
+	 * @returns {string} Empty for every other layout
+	 */
+	generateMultiFaceHTML(card) {
+		const faces = card.card_faces;
+		if (!Array.isArray(faces) || faces.length < 2) {
+			return '';
+		}
+		
+		switch (card.layout) {
+			case 'split':
+				return `
+					<div class="card-split">
+						${faces.map(face => `<div class="card-split-half">${this.generateFaceHTML(face)}</div>`).join('')}
+					</div>
+				`;
+			case 'flip':
+				return `
+					${this.generateFaceHTML(faces[0])}
+					<div class="card-flip-bottom" title="Flipped side">${this.generateFaceHTML(faces[1])}</div>
+				`;
+			case 'adventure':
+				return this.generateFaceHTML(faces[0],
+					`<div class="card-adventure" title="Adventure">${this.generateFaceHTML(faces[1])}</div>`);
+			default:
+				return '';
+		}
+	}
+	
+	// One face: name, mana cost, type line, rules text and P/T, with an optional inset before the text
+	generateFaceHTML(face, insetHTML = '') {
+		const ptHTML = this.generatePowerToughness(face);
+		
+		return `
+			<div class="card-face">
+				<div class="card-header">
+					<h3 class="card-name">${this.escapeHTML(face.name)}</h3>
+					${face.mana_cost ? `<span class="card-mana-cost">${this.formatManaCost(face.mana_cost)}</span>` : ''}
+				</div>
+				<div class="card-type-line">${this.escapeHTML(face.type_line)}</div>
+				${insetHTML}
+				${face.oracle_text ? `<div class="card-text">${this.formatCardText(face.oracle_text)}</div>` : ''}
+				${ptHTML ? `<div class="card-face-pt">${this.escapeHTML(ptHTML)}</div>` : ''}
+			</div>
+		`;
+	}
+	
+	// Meld cards name their partner and result from Scryfall's all_parts
+	generateMeldHTML(card) {
+		if (card.layout !== 'meld' || !Array.isArray(card.all_parts)) {
+			return '';
+		}
+		
+		const parts = card.all_parts.filter(part => part.component === 'meld_part' && part.name !== card.name);
+		const result = card.all_parts.find(part => part.component === 'meld_result');
+		if (parts.length === 0 || !result) {
+			return '';
+		}
+		
+		const partNames = parts.map(part => this.escapeHTML(part.name));
+		const text = result.name === card.name ?
+			`Melded from ${partNames.join(' + ')}` :
+			`Melds with ${partNames.join(' or ')} into ${this.escapeHTML(result.name)}`;
+		
+		return `<div class="card-meld">${text}</div>`;
+	}
+	
+	// Scryfall's card image - DFC faces get their own face's image_uris from createDoubleFacedCardFrame
+	getCardImageUrl(card) {
+		const imageUris = card.image_uris || card.card_faces?.[0]?.image_uris;
+		return imageUris?.normal || imageUris?.large || '';
+	}
+	
+	/**
+	 * Image modes: the card image with the stats strip below it ('image-stats'),
+	 * or overlaid on it with only inclusion and price showing ('image', done in CSS)
+	 */
+	generateCardImageHTML(card) {
+		return `
+			<div class="card-image-container">
+				<img src="${this.escapeHTML(this.getCardImageUrl(card))}" alt="${this.escapeHTML(card.name)}" class="card-image" crossorigin="anonymous">
+				${card.banned ? '<div class="banned-badge" title="Left out of text, PDF and print exports">Banned in Commander</div>' : ''}
+			</div>
+			${this.generateMeldHTML(card)}
+			${this.generateSourceSectionsHTML(card)}
+			${this.generateComparisonHTML(card)}
+			${this.generateStatsHTML(card)}
+		`;
+	}
+	
+	// Set symbol, set code, inclusion, synergy, deck counts and price
+	generateStatsHTML(card) {
+		// Generate set symbol and code for stats area if available
+		const rarityLabel = card.rarity ? ` (${card.rarity})` : '';
+		const setSymbolHTML = card.set_symbol ? 
+			`<img src="${this.escapeHTML(card.set_symbol)}" alt="${this.escapeHTML(card.set_name)}" class="set-symbol-stats" data-rarity="${this.escapeHTML(card.rarity || '')}" title="${this.escapeHTML(card.set_name + rarityLabel)} - click to choose a printing">` : 
+			'';
+		
+		const setCodeHTML = card.set_code ? 
+			`<span class="set-code-stats" title="Click to choose a printing">${this.escapeHTML(card.set_code.toUpperCase())}</span>` : 
+			'';
+		
+		console.log(`🎯 Generated HTML elements:`, {
+			setSymbolHTML: setSymbolHTML ? 'SYMBOL_HTML_PRESENT' : 'NO_SYMBOL_HTML',
+			setCodeHTML: setCodeHTML ? 'CODE_HTML_PRESENT' : 'NO_CODE_HTML'
+		});
+		
+		return `
+			<div class="card-stats">
+				${setSymbolHTML}
+				${setCodeHTML}
+				<span class="stats-gap"></span>
+				<span class="inclusion-percentage"${this.generateDeckCountTitle(card)}>${card.inclusion}</span>
+				${card.synergy ? `<span class="synergy-score" title="Synergy">${this.escapeHTML(card.synergy)}</span>` : ''}
+				${this.generateDeckCountHTML(card)}
+				<span class="card-price">${card.price}</span>
+			</div>
+		`;
+	}
+	
+	// EDHREC sections a regrouped card came from (see card-grouping.js)
+	generateSourceSectionsHTML(card) {
+		if (!Array.isArray(card.sourceSections) || card.sourceSections.length === 0) {
+			return '';
+		}
+		
+		const badges = card.sourceSections
+			.map(section => `<span class="source-badge">${this.escapeHTML(section)}</span>`)
+			.join('');
+		
+		return `<div class="source-badges" title="EDHREC sections">${badges}</div>`;
+	}
+	
+	// Per-commander inclusion rows for comparison lists (see commander-compare.js)
+	generateComparisonHTML(card) {
+		if (!Array.isArray(card.comparison)) {
+			return '';
+		}
+		
+		const rows = card.comparison.map(entry => `
+			<div class="compare-row${entry.inclusion === null ? ' compare-missing' : ''}">
+				<span class="compare-commander">${this.escapeHTML(entry.commander)}</span>
+				<span class="compare-value">${entry.inclusion === null ? '—' : this.escapeHTML(entry.inclusion)}</span>
+			</div>
+		`).join('');
+		
+		return `<div class="compare-inclusions">${rows}</div>`;
+	}
+	
+	// Deck counts: "1.2k/5.6k" in the stats bar, full numbers on hover
+	generateDeckCountHTML(card) {
+		if (!card.num_decks || !card.potential_decks) {
+			return '';
+		}
+		
+		return `<span class="deck-count"${this.generateDeckCountTitle(card)}>${this.formatDeckCount(card.num_decks)}/${this.formatDeckCount(card.potential_decks)}</span>`;
+	}
+	
+	generateDeckCountTitle(card) {
+		if (!card.num_decks || !card.potential_decks) {
+			return '';
+		}
+		
+		return ` title="In ${card.num_decks.toLocaleString()} of ${card.potential_decks.toLocaleString()} potential decks"`;
+	}
+	
+	formatDeckCount(count) {
+		if (count >= 1000000) return `${(count / 1000000).toFixed(1)}m`;
+		if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+		return count.toString();
+	}
+	
+	// Generate set data display
+	generateSetData(card) {
+		if (!card.set_name && !card.release_year) {
+			return '';
+		}
+		
+		const yearHTML = card.release_year ? 
+			`<span class="release-year">${this.escapeHTML(card.release_year)}</span>` : 
+			'';
+		
+		const setNameHTML = card.set_name ? 
+			`<span class="set-name">${this.escapeHTML(card.set_name)}</span>` : 
+			'';		
+		
+		// Only show if we have at least one piece of data
+		if (!setNameHTML && !yearHTML) {
+			return '';
+		}
+		
+		return `
+			<div class="set-data">
+				${yearHTML}
+				${setNameHTML}			
+			</div>
+		`;
+	}
+
+    // Mana symbols as inline PNGs from the symbol database, plain text until they're loaded
+    formatManaCost(manaCost) {
+        return manaCost.replace(/\{([^}]+)\}/g, (token, inner) => this.generateManaSymbolHTML(token) || inner);
+    }
+
+    formatCardText(text) {
+        return this.escapeHTML(text)
+            .replace(/\n/g, '<br>')
+            .replace(/\{([^}]+)\}/g, token => this.generateManaSymbolHTML(token) || `<span class="mana-symbol-text">${token}</span>`);
+    }
+
+    // "{G}" -> <img> with a PNG data URL (html2canvas draws data URLs without CORS trouble)
+    generateManaSymbolHTML(token) {
+        const manaSymbol = window.symbolDatabase?.getManaSymbol(token);
+        if (!manaSymbol) return '';
+        return `<img src="${this.escapeHTML(manaSymbol.symbol)}" alt="${this.escapeHTML(token)}" title="${this.escapeHTML(manaSymbol.english)}" class="mana-symbol">`;
+    }
+
+    generatePowerToughness(card) {
+        if (card.power && card.toughness) {
+            return `${card.power}/${card.toughness}`;
+        }
+        if (card.loyalty) {
+            return card.loyalty;
+        }
+        if (card.defense) {
+            return card.defense;
+        }
+        return '';
+    }
+
+    escapeHTML(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        // innerHTML leaves quotes alone - escape them too so values are safe inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Batch process cards for better performance
+	/**
+	 * Resolve all card names up front with Scryfall's collection endpoint
+	 * so enrichCardData doesn't need one request per card.
+	 * With a printing policy set, the printings are loaded in batches too
+	 * @param {Array} cards - Card objects with `name`
+	 */
+	async prefetchCards(cards) {
+		const names = cards
+			.map(card => card.name)
+			.filter(name => name && !this.cardCache.has(name) && !this.prefetchedCards.has(name));
+		
+		if (names.length === 0) return;
+		
+		try {
+			const results = await this.scryfall.getCardsByNames(names);
+			results.forEach((card, name) => this.prefetchedCards.set(name, card));
+			console.log(`📦 Prefetched ${results.size} cards from Scryfall in bulk`);
+		} catch (error) {
+			// Per-card lookups in enrichCardData still work
+			console.error('❌ Bulk card prefetch failed:', error);
+		}
+		
+		// Cards with a printing picked in the chooser don't need the policy
+		const preferences = window.printingPreferences;
+		if (preferences?.needsPrintings()) {
+			const policyCards = names
+				.filter(name => !preferences.getChoice(name))
+				.map(name => this.prefetchedCards.get(name))
+				.filter(Boolean);
+			await this.scryfall.prefetchPrintings(policyCards);
+		}
+	}
+
+    async createCardFrames(cards, fontSize = 'md') {
+        const frames = [];
+        
+        await this.prefetchCards(cards);
+        
+        // First run downloads the mana symbols - wait rather than render plain text
+        await window.symbolDatabase?.waitForManaSymbols();
+        
+        // Process in small batches - remaining Scryfall requests are rate limited by the shared queue
+        const batchSize = 5;
+        for (let i = 0; i < cards.length; i += batchSize) {
+            const batch = cards.slice(i, i + batchSize);
+            const batchFrames = await Promise.all(
+                batch.map(card => this.createCardFrame(card, fontSize))
+            );
+            frames.push(...batchFrames);
+			
+			// ADD HEALTH CHECK AFTER EACH BATCH
+			this.checkSymbolHealth(batchFrames);
+        }
+        
+        return frames;
+    }
+	
+	// In display.js - REPLACE the ensureSymbolSupport method:
+	async ensureSymbolSupport() {
+		if (this.symbolsReady) return true;
+		
+		// If symbol database doesn't exist at all, skip
+		if (typeof window.symbolDatabase === 'undefined') {
+			console.log('Symbol database not available in this environment');
+			this.symbolsReady = false;
+			return false;
+		}
+		
+		// If database is already initialized, we're ready
+		if (window.symbolDatabase.initialized) {
+			this.symbolsReady = true;
+			console.log('✅ Symbol database ready for card display');
+			return true;
+		}
+		
+		// Wait for initialization to complete with timeout
+		console.log('⏳ Waiting for symbol database initialization...');
+		return new Promise((resolve) => {
+			let attempts = 0;
+			const maxAttempts = 50; // 5 second timeout (50 * 100ms)
+			
+			const checkInitialized = () => {
+				attempts++;
+				
+				if (window.symbolDatabase.initialized) {
+					this.symbolsReady = true;
+					console.log('✅ Symbol database initialization completed - ready for use');
+					resolve(true);
+				} else if (attempts >= maxAttempts) {
+					console.log('⏰ Symbol database initialization timeout, proceeding without symbols');
+					this.symbolsReady = false;
+					resolve(false);
+				} else {
+					setTimeout(checkInitialized, 100);
+				}
+			};
+			
+			checkInitialized();
+		});
+	}
+	
+	async ensureSymbolsBeforeOperation() {
+		if (!this.symbolsReady) {
+			console.log('⏳ Symbols not ready, waiting...');
+			await this.ensureSymbolSupport();
+		}
+		return true;
+	}
+	
+	checkSymbolHealth(cardFrames) {
+		const symbols = [];
+		cardFrames.forEach(frame => {
+			const symbol = frame.querySelector?.('.set-symbol-stats');
+			if (symbol) {
+				symbols.push({
+					element: symbol,
+					naturalWidth: symbol.naturalWidth,
+					naturalHeight: symbol.naturalHeight,
+					format: symbol.src.includes('image/png') ? 'PNG' : 'SVG'
+				});
+			}
+		});
+		
+		const stats = {
+			total: symbols.length,
+			png: symbols.filter(s => s.format === 'PNG').length,
+			svg: symbols.filter(s => s.format === 'SVG').length,
+			broken: symbols.filter(s => s.naturalWidth < 10 || s.naturalHeight < 10).length
+		};
+		
+		if (stats.broken > 0) {
+			console.warn(`⚠️ Symbol Health: ${stats.broken}/${stats.total} symbols appear broken`);
+		}
+		
+		console.log(`📊 Symbol Health: ${stats.png} PNG, ${stats.svg} SVG, ${stats.broken} broken`);
+		return stats;
+	}
+}
+
+window.CardDisplayEngine = CardDisplayEngine;
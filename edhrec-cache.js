@@ -0,0 +1,103 @@
+// VERSION:1
+// EDHREC Page Cache - Persistent TTL cache of parsed commander pages (IndexedDB)
+// Keyed by page URL, i.e. commander slug + theme/bracket/budget variant
+class EDHRECCache {
+	constructor() {
+		this.settingsKey = 'edhrec_cache_settings';
+		this.defaultTTLHours = 24;
+		this.store = new IDBStore('edhrec_retriever_cache', 'pages', { keyPath: 'key' });
+
+		this.settings = this.loadSettings();
+	}
+
+	// === SETTINGS (localStorage) ===
+
+	loadSettings() {
+		try {
+			const stored = localStorage.getItem(this.settingsKey);
+			if (stored) {
+				return { ttlHours: this.defaultTTLHours, ...JSON.parse(stored) };
+			}
+		} catch (error) {
+			console.error('Error loading cache settings:', error);
+		}
+		return { ttlHours: this.defaultTTLHours };
+	}
+
+	/**
+	 * @param {number} ttlHours - Hours before a cached page is refetched, 0 disables the cache
+	 */
+	setTTL(ttlHours) {
+		this.settings.ttlHours = ttlHours >= 0 ? ttlHours : this.defaultTTLHours;
+
+		try {
+			localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+			return true;
+		} catch (error) {
+			console.error('Error saving cache settings:', error);
+			return false;
+		}
+	}
+
+	getTTLMs() {
+		return this.settings.ttlHours * 60 * 60 * 1000;
+	}
+
+	isEnabled() {
+		return this.settings.ttlHours > 0 && this.store.isAvailable();
+	}
+
+	// === ENTRIES ===
+
+	/**
+	 * Read a cached page
+	 * Cache failures are logged and treated as misses - the cache never breaks a fetch
+	 * @param {string} key - Page URL
+	 * @param {Object} options - `{allowStale: true}` also returns expired entries
+	 * @returns {Promise<Object|null>} `{key, sections, cachedAt, stale}` or null
+	 */
+	async get(key, options = {}) {
+		if (!this.store.isAvailable()) return null;
+
+		try {
+			const entry = await this.store.get(key);
+			if (!entry) return null;
+
+			const stale = Date.now() - entry.cachedAt > this.getTTLMs();
+			if (stale && !options.allowStale) return null;
+
+			return { ...entry, stale };
+		} catch (error) {
+			console.warn('⚠️ EDHREC cache read failed:', error);
+			return null;
+		}
+	}
+
+	async set(key, sections) {
+		if (!this.isEnabled()) return;
+
+		try {
+			await this.store.put({ key, sections, cachedAt: Date.now() });
+		} catch (error) {
+			console.warn('⚠️ EDHREC cache write failed:', error);
+		}
+	}
+
+	async clear() {
+		await this.store.clear();
+	}
+
+	async count() {
+		try {
+			return await this.store.count();
+		} catch (error) {
+			return 0;
+		}
+	}
+}
+
+// Create global instance
+window.edhrecCache = new EDHRECCache();
+
+// Export for use in other modules
+window.EDHRECCache = EDHRECCache;
@@ -1,250 +1,635 @@
-// VERSION:1
-// EDHREC Data Extraction Module - Real Implementation
-class EDHRECExtractor {
-    constructor() {
-        // Smart proxy rotation - keeps current proxy as primary
-        this.proxies = [
-            'https://cors-anywhere.herokuapp.com/',  // Primary (works for most commanders)
-            'https://corsproxy.io/?',                 // Fallback 1 (proven working for Clavileño)
-            'https://api.codetabs.com/v1/proxy?quest=', // Fallback 2
-            ''  // Direct fetch - last resort
-        ];
-    }
-
-    async extractData(commanderName) {
-        try {
-            const url = this.generateEDHRECUrl(commanderName);
-            let htmlContent;
-            
-            // Try direct fetch first (your existing logic)
-            try {
-                console.log('🌐 Attempting direct fetch...');
-                const response = await fetch(url);
-                if (!response.ok) throw new Error('Direct fetch failed');
-                htmlContent = await response.text();
-                console.log('✅ Direct fetch successful');
-                
-            } catch (directError) {
-                console.log('❌ Direct fetch failed, trying proxies...');
-                
-                // Enhanced proxy rotation with fallbacks
-                let proxySuccess = false;
-                const allProxies = [this.primaryProxy, ...this.fallbackProxies];
-                
-                for (let i = 0; i < allProxies.length; i++) {
-                    const proxy = allProxies[i];
-                    try {
-                        console.log(`🔄 Proxy attempt ${i + 1}/${allProxies.length}: ${proxy || 'DIRECT'}`);
-                        
-                        const proxyUrl = proxy + url;
-                        const proxyResponse = await fetch(proxyUrl);
-                        if (!proxyResponse.ok) throw new Error(`HTTP ${proxyResponse.status}`);
-                        
-                        htmlContent = await proxyResponse.text();
-                        console.log(`✅ Proxy successful: ${proxy || 'DIRECT'}`);
-                        proxySuccess = true;
-                        break;
-                        
-                    } catch (proxyError) {
-                        console.log(`❌ Proxy failed: ${proxyError.message}`);
-                        if (i < allProxies.length - 1) {
-                            await new Promise(resolve => setTimeout(resolve, 300));
-                        }
-                    }
-                }
-                
-                if (!proxySuccess) {
-                    throw new Error('All proxy attempts failed');
-                }
-            }
-
-            return this.parseHTML(htmlContent);
-            
-        } catch (error) {
-            console.error('EDHREC extraction error:', error);
-            // Fallback to sample data
-            return this.getSampleData(commanderName);
-        }
-    }
-
-	generateEDHRECUrl(commanderName) {
-		// Handle double-faced cards - use only the first name
-		const firstFaceName = commanderName.split(' // ')[0];
-		
-		// Convert card name to URL-safe format
-		const urlSafeName = firstFaceName
-			.toLowerCase()
-			.replace(/[^a-z0-9\s-]/g, '')
-			.replace(/\s+/g, '-')
-			.replace(/-+/g, '-')
-			.trim();
-		
-		return `https://edhrec.com/commanders/${urlSafeName}`;
-	}
-
-    parseHTML(htmlContent) {
-        const sections = {};
-        
-        // Create a temporary DOM parser
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(htmlContent, 'text/html');
-        
-        // Find all card containers
-        const cardContainers = doc.querySelectorAll('.Card_container__Ng56K');
-        
-        cardContainers.forEach(container => {
-            // Extract card name
-            const nameElement = container.querySelector('.Card_name__Mpa7S');
-            if (!nameElement) return;
-            
-            const cardName = nameElement.textContent.trim();
-            if (!cardName || cardName.length < 2) return;
-            
-            // Extract inclusion percentage
-            let inclusion = '';
-            const cardLabelContainer = container.querySelector('.CardLabel_container__3M9Zu');
-            
-			if (cardLabelContainer) {
-				const inclusionLine = cardLabelContainer.querySelector('.CardLabel_line__iQ3O3');
-				if (inclusionLine) {
-					const inclusionStat = inclusionLine.querySelector('.CardLabel_stat__galuW');
-					const inclusionLabel = inclusionLine.querySelector('.CardLabel_label__iAM7T');
-					
-					// UPDATED: Handle BOTH patterns - "inclusion" AND "decks"
-					if (inclusionStat && inclusionLabel) {
-						const labelText = inclusionLabel.textContent.toLowerCase();
-						if (labelText.includes('inclusion') || labelText.includes('deck')) {
-							inclusion = inclusionStat.textContent.trim();
-						}
-					}
-				}
-			}
-            
-            // Find section
-            let sectionName = "Unknown";
-            const cardlist = container.closest('.Grid_cardlist__AXXsz');
-            if (cardlist) {
-                const header = cardlist.querySelector('.Grid_header__iAPM8');
-                if (header) {
-                    sectionName = header.textContent.trim();
-                } else {
-                    const id = cardlist.id;
-                    if (id) {
-                        sectionName = id.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-                    }
-                }
-            }
-            
-            // Only add if we found valid inclusion data
-            if (inclusion && !inclusion.includes('$') && inclusion.includes('%')) {
-                if (!sections[sectionName]) {
-                    sections[sectionName] = [];
-                }
-                
-                const isDuplicate = sections[sectionName].some(card => card.name === cardName);
-                if (!isDuplicate) {
-                    sections[sectionName].push({
-                        name: cardName,
-                        inclusion: inclusion
-                    });
-                }
-            }
-        });
-		
-		// NEW: Extract deck count from page (ADDITION ONLY)
-		const deckCount = this.extractDeckCount(htmlContent);
-
-		// Store deck count in sections for commander card use
-		if (deckCount) {
-			sections._deckCount = deckCount; // Using underscore to avoid conflict
-		}
-
-        // Sort each section by inclusion percentage
-		Object.keys(sections).forEach(section => {
-			// ONLY sort if it's an array (actual card sections)
-			if (Array.isArray(sections[section])) {
-				sections[section].sort((a, b) => {
-					const aPct = parseFloat(a.inclusion) || 0;
-					const bPct = parseFloat(b.inclusion) || 0;
-					return bPct - aPct;
-				});
-			}
-		});
-		
-        return sections;
-    }
-	
-	// Extract deck count (ADDITION ONLY - line ~150)
-	extractDeckCount(htmlContent) {
-		// Multiple patterns to catch different formats
-		const deckCountPatterns = [
-			/(\d+[,]?\d+)\s*decks?/i,  // "172434 decks" 
-			/of\s*(\d+[,]?\d+)\s*decks?/i, // "of 172434 decks"
-			/played in\s*(\d+[,]?\d+)\s*decks?/i, // "played in 172434 decks"
-			/appears in\s*(\d+[,]?\d+)\s*decks?/i // "appears in 172434 decks"
-		];
-		
-		for (const pattern of deckCountPatterns) {
-			const match = htmlContent.match(pattern);
-			if (match && match[1]) {
-				const count = match[1].replace(/,/g, '');
-				return `${parseInt(count).toLocaleString()} decks`;
-			}
-		}
-		
-		return null;
-	}
-
-    getSampleData(commanderName) {
-        // Return comprehensive sample data based on our working extraction
-        return {
-            "New Cards": [
-                { name: "Spider Manifestation", inclusion: "6.1%" },
-                { name: "Rhino, Barreling Brute", inclusion: "2.9%" },
-                { name: "Lizard, Connors's Curse", inclusion: "2.6%" },
-                { name: "Rhino's Rampage", inclusion: "2.0%" },
-                { name: "Scarlet Spider, Ben Reilly", inclusion: "1.6%" }
-            ],
-            "High Synergy Cards": [
-                { name: "Goreclaw, Terror of Qal Sisma", inclusion: "68%" },
-                { name: "Ghalta, Primal Hunger", inclusion: "59%" },
-                { name: "Quartzwood Crasher", inclusion: "56%" },
-                { name: "Etali, Primal Storm", inclusion: "55%" },
-                { name: "Anzrag, the Quake-Mole", inclusion: "54%" },
-                { name: "Ilharg, the Raze-Boar", inclusion: "49%" },
-                { name: "Bloodthirster", inclusion: "45%" },
-                { name: "Ojer Kaslem, Deepest Growth", inclusion: "45%" },
-                { name: "Scourge of the Throne", inclusion: "44%" }
-            ],
-            "Top Cards": [
-                { name: "Garruk's Uprising", inclusion: "74%" },
-                { name: "Cultivate", inclusion: "64%" },
-                { name: "Beast Within", inclusion: "63%" },
-                { name: "Llanowar Elves", inclusion: "59%" },
-                { name: "Goblin Anarchomancer", inclusion: "58%" },
-                { name: "Rishkar's Expertise", inclusion: "55%" },
-                { name: "Nature's Lore", inclusion: "54%" },
-                { name: "Kodama's Reach", inclusion: "53%" },
-                { name: "Elvish Mystic", inclusion: "52%" },
-                { name: "Blasphemous Act", inclusion: "50%" }
-            ],
-            "Creatures": [
-                { name: "Birds of Paradise", inclusion: "50%" },
-                { name: "Selvala, Heart of the Wilds", inclusion: "47%" },
-                { name: "Savage Ventmaw", inclusion: "47%" },
-                { name: "Moraug, Fury of Akoum", inclusion: "44%" },
-                { name: "Fanatic of Rhonas", inclusion: "44%" }
-            ]
-        };
-    }
-}
-
-// Create global instance
-window.edhrecExtractor = new EDHRECExtractor();
-
-// Export the main function
-async function extractEDHRECData(commanderName) {
-    return await window.edhrecExtractor.extractData(commanderName);
-}
-
-window.extractEDHRECData = extractEDHRECData;
+// VERSION:12
+// EDHREC Data Extraction Module - Real Implementation
+class EDHRECExtractor {
+    constructor() {
+        // Proxy chain, timeouts and health scoring live in the shared fetch layer
+        this.fetcher = window.proxyFetcher;
+
+        // Parsed pages are kept in IndexedDB for the configured TTL
+        this.cache = window.edhrecCache;
+
+        // Every fresh fetch is also kept as a dated snapshot for diffs
+        this.history = window.snapshotHistory;
+
+        // Fixed EDHREC sub-page segments (themes are discovered per commander)
+        this.budgetOptions = [
+            { slug: 'budget', label: 'Budget' },
+            { slug: 'expensive', label: 'Expensive' }
+        ];
+        this.bracketOptions = [
+            { slug: 'exhibition', label: 'Exhibition (1)' },
+            { slug: 'core', label: 'Core (2)' },
+            { slug: 'upgraded', label: 'Upgraded (3)' },
+            { slug: 'optimized', label: 'Optimized (4)' },
+            { slug: 'cedh', label: 'cEDH (5)' }
+        ];
+    }
+
+    /**
+     * Extract card sections for a commander
+     * Failures are thrown as EDHRECFetchError / EDHRECParseError (upgrade-guide.js),
+     * never replaced with sample data. Demo data must be requested with `options.demo`.
+     * @param {string|Array<string>} commanderName - Commander card name, or both names of a pair
+     * @param {Object} options - `{demo: true}` returns the labelled sample list,
+     *   `{variant: {theme, bracket, budget}}` selects an EDHREC sub-page,
+     *   `{refresh: true}` bypasses the page cache
+     * @returns {Promise<Object>} Card sections, plus `_themes`, `_variant` and `_cache` metadata
+     */
+    async extractData(commanderName, options = {}) {
+        if (options.demo) {
+            console.log('🧪 Demo data explicitly requested');
+            return this.getSampleData(commanderName);
+        }
+
+        const variant = options.variant || {};
+        const url = this.generateEDHRECUrl(commanderName, variant);
+
+        return this.extractPage(url, options, sections => {
+            const variantLabel = this.getVariantLabel(variant, sections._themes);
+            if (variantLabel) {
+                sections._variant = variantLabel;
+            }
+        });
+    }
+
+    /**
+     * Commanders that play a card, from its `/cards/<slug>` page
+     * Only the commander sections ("Top Commanders", ...) are kept. Each commander's
+     * inclusion is the share of that commander's decks running the card.
+     * @param {string} cardName - Any card name
+     * @param {Object} options - `{refresh: true}` bypasses the page cache
+     * @returns {Promise<Object>} Commander sections, plus `_deckCount`, `_cache` and `_strategy` metadata
+     * @throws {EDHRECContentError} When the page lists no commanders
+     */
+    async extractCardCommanders(cardName, options = {}) {
+        const url = this.generateCardUrl(cardName);
+        const sections = await this.extractPage(url, options);
+        const result = {};
+
+        Object.entries(sections).forEach(([sectionName, value]) => {
+            if (Array.isArray(value)) {
+                if (/commander/i.test(sectionName)) {
+                    result[sectionName] = value;
+                }
+            } else if (['_cache', '_strategy', '_deckCount'].includes(sectionName)) {
+                result[sectionName] = value;
+            }
+        });
+
+        if (!Object.values(result).some(Array.isArray)) {
+            throw new EDHRECContentError(`No commanders section found on ${url}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch (or read from cache) and parse one EDHREC page
+     * @param {string} url - EDHREC page URL, also the cache and history key
+     * @param {Object} options - `{refresh: true}` bypasses the page cache
+     * @param {Function} finalize - Optional hook to add metadata to freshly parsed sections before caching
+     * @returns {Promise<Object>} Parsed sections
+     */
+    async extractPage(url, options = {}, finalize = null) {
+        if (!options.refresh) {
+            const cached = await this.cache.get(url);
+            if (cached) {
+                console.log(`💾 Using cached EDHREC page: ${url}`);
+                return this.withCacheInfo(cached);
+            }
+        }
+
+        let htmlContent;
+
+        try {
+            htmlContent = await this.fetcher.fetchText(url);
+        } catch (error) {
+            console.error('❌ EDHREC fetch error:', error);
+
+            // Offline / proxies down: an expired copy beats no list at all
+            const stale = await this.cache.get(url, { allowStale: true });
+            if (stale) {
+                console.log(`💾 Fetch failed, using expired cached page: ${url}`);
+                return this.withCacheInfo(stale);
+            }
+
+            if (error instanceof EDHRECFetchError) throw error;
+            throw new EDHRECFetchError(error.message, url, 'unknown');
+        }
+
+        let sections;
+        try {
+            sections = this.parseHTML(htmlContent);
+        } catch (error) {
+            console.error('❌ EDHREC parse error:', error);
+            if (error instanceof EDHRECParseError) throw error;
+            throw new EDHRECParseError(error.message);
+        }
+
+        // `_themes` and other metadata arrays aren't cards
+        const cardCount = Object.entries(sections)
+            .filter(([sectionName, cards]) => !sectionName.startsWith('_') && Array.isArray(cards))
+            .reduce((sum, [, cards]) => sum + cards.length, 0);
+
+        if (cardCount === 0) {
+            throw new EDHRECParseError(`No cards found on ${url}`);
+        }
+
+        if (finalize) {
+            finalize(sections);
+        }
+
+        await this.cache.set(url, sections);
+        await this.history.add(url, sections);
+
+        return sections;
+    }
+
+    /**
+     * Sections from a cache entry, tagged with `_cache: {cachedAt, stale}`
+     * @param {Object} entry - EDHRECCache entry
+     */
+    withCacheInfo(entry) {
+        return {
+            ...entry.sections,
+            _cache: { cachedAt: entry.cachedAt, stale: entry.stale }
+        };
+    }
+
+	/**
+	 * Themes EDHREC lists for a commander (from the base commander page)
+	 * @param {string|Array<string>} commanderName - Commander card name, or both names of a pair
+	 * @returns {Promise<Array>} `{slug, label, count}` entries, empty if none are published
+	 */
+	async discoverThemes(commanderName) {
+		const url = this.generateEDHRECUrl(commanderName);
+
+		// A cached base page already carries its themes
+		const cached = await this.cache.get(url, { allowStale: true });
+		if (cached?.sections?._themes) {
+			return cached.sections._themes;
+		}
+
+		// Fetched like any list, so the cache and history have it when Generate asks for the same page
+		const sections = await this.extractPage(url);
+		return sections._themes || [];
+	}
+
+	/**
+	 * Read theme links from `panels.taglinks` in the page data
+	 * @param {Object|null} pageData - Result of getPageData
+	 * @returns {Array} `{slug, label, count}` entries sorted by deck count
+	 */
+	parseThemes(pageData) {
+		const taglinks = pageData?.panels?.taglinks;
+		if (!Array.isArray(taglinks)) return [];
+
+		return taglinks
+			.filter(tag => tag && tag.slug)
+			.map(tag => ({
+				slug: tag.slug,
+				label: tag.value || tag.slug,
+				count: tag.count || 0
+			}))
+			.sort((a, b) => b.count - a.count);
+	}
+
+	generateCommanderSlug(commanderName) {
+		// Handle double-faced cards - use only the first name
+		const firstFaceName = commanderName.split(' // ')[0];
+		
+		// Convert card name to URL-safe format
+		return firstFaceName
+			.toLowerCase()
+			.replace(/[^a-z0-9\s-]/g, '')
+			.replace(/\s+/g, '-')
+			.replace(/-+/g, '-')
+			.trim();
+	}
+
+	/**
+	 * Slug for a commander or a commander pair
+	 * EDHREC joins the two individual slugs in alphabetical order:
+	 * ["Tymna the Weaver", "Kraum, Ludevic's Opus"] -> "kraum-ludevics-opus-tymna-the-weaver"
+	 * @param {string|Array<string>} commanderName - Commander name or pair of names
+	 */
+	generatePageSlug(commanderName) {
+		const names = (Array.isArray(commanderName) ? commanderName : [commanderName]).filter(Boolean);
+		return names
+			.map(name => this.generateCommanderSlug(name))
+			.sort()
+			.join('-');
+	}
+
+	generateCardUrl(cardName) {
+		return `https://edhrec.com/cards/${this.generateCommanderSlug(cardName)}`;
+	}
+
+	/**
+	 * Build a commander page URL, optionally for a sub-page
+	 * Segment order follows EDHREC: /commanders/<slug>/<theme>/<bracket>/<budget>
+	 * @param {string|Array<string>} commanderName - Commander name or pair of names
+	 * @param {Object} variant - Optional `{theme, bracket, budget}` slugs
+	 */
+	generateEDHRECUrl(commanderName, variant = {}) {
+		const segments = [this.generatePageSlug(commanderName), variant.theme, variant.bracket, variant.budget]
+			.filter(Boolean);
+		
+		return `https://edhrec.com/commanders/${segments.join('/')}`;
+	}
+
+	/**
+	 * Split the path segments after a commander slug into a variant
+	 * Known budget and bracket slugs are recognised in any position, anything else is a theme
+	 * @param {Array<string>} segments - Path segments following the commander slug
+	 * @returns {Object} `{theme, bracket, budget}` with '' for unset parts
+	 */
+	parseVariantSegments(segments) {
+		const variant = { theme: '', bracket: '', budget: '' };
+
+		segments.filter(Boolean).forEach(segment => {
+			const slug = segment.toLowerCase();
+			if (this.budgetOptions.some(option => option.slug === slug)) {
+				variant.budget = slug;
+			} else if (this.bracketOptions.some(option => option.slug === slug)) {
+				variant.bracket = slug;
+			} else if (!variant.theme) {
+				variant.theme = slug;
+			}
+		});
+
+		return variant;
+	}
+
+	/**
+	 * Human readable variant description, e.g. "Tokens · Upgraded (3) · Budget"
+	 * @param {Object} variant - `{theme, bracket, budget}`
+	 * @param {Array} themes - Known themes, used for display names
+	 * @returns {string} Empty string for the base commander page
+	 */
+	getVariantLabel(variant = {}, themes = []) {
+		const parts = [];
+
+		if (variant.theme) {
+			const theme = (themes || []).find(entry => entry.slug === variant.theme);
+			parts.push(theme ? theme.label : variant.theme.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()));
+		}
+		if (variant.bracket) {
+			const bracket = this.bracketOptions.find(option => option.slug === variant.bracket);
+			parts.push(bracket ? bracket.label : variant.bracket);
+		}
+		if (variant.budget) {
+			const budget = this.budgetOptions.find(option => option.slug === variant.budget);
+			parts.push(budget ? budget.label : variant.budget);
+		}
+
+		return parts.join(' · ');
+	}
+
+	/**
+	 * Parse a commander page into card sections
+	 * Tries the embedded Next.js data payload first (stable keys), then falls back
+	 * to the DOM scraper (build-hashed class names). The result is tagged with the
+	 * strategy that produced it in `_strategy`.
+	 * @param {string} htmlContent - Raw commander page HTML
+	 * @returns {Object} Section name -> card array, plus `_deckCount` and `_strategy`
+	 */
+	parseHTML(htmlContent) {
+		// Create a temporary DOM parser
+		const parser = new DOMParser();
+		const doc = parser.parseFromString(htmlContent, 'text/html');
+
+		// STRATEGY 1: Structured page data
+		try {
+			const sections = this.parseNextData(doc);
+			if (sections) {
+				console.log('✅ Parsed commander page from Next.js page data');
+				const themes = this.parseThemes(this.getPageData(doc));
+				if (themes.length > 0) {
+					sections._themes = themes;
+				}
+				return this.finalizeSections(sections, 'next-data');
+			}
+			console.log('⚠️ No usable Next.js page data, falling back to DOM scraper');
+		} catch (error) {
+			console.warn('⚠️ Next.js page data could not be parsed, falling back to DOM scraper:', error);
+		}
+
+		// STRATEGY 2: DOM scraper
+		const sections = this.parseDOM(doc);
+
+		// Extract deck count from page text
+		const deckCount = this.extractDeckCount(htmlContent);
+		if (deckCount) {
+			sections._deckCount = deckCount; // Using underscore to avoid conflict
+		}
+
+		return this.finalizeSections(sections, 'dom');
+	}
+
+	/**
+	 * Read the Next.js data payload EDHREC embeds in every page
+	 * @param {Document} doc - Parsed EDHREC page
+	 * @returns {Object|null} `props.pageProps.data`, or null when the payload is missing
+	 */
+	getPageData(doc) {
+		const script = doc.querySelector('script#__NEXT_DATA__');
+		if (!script || !script.textContent) return null;
+
+		const payload = JSON.parse(script.textContent);
+		return payload?.props?.pageProps?.data || null;
+	}
+
+	/**
+	 * Build card sections from the `container.json_dict.cardlists` page data
+	 * @param {Document} doc - Parsed commander page
+	 * @returns {Object|null} Sections, or null if the page carries no cardlists
+	 */
+	parseNextData(doc) {
+		const pageData = this.getPageData(doc);
+		const jsonDict = pageData?.container?.json_dict;
+		const cardlists = jsonDict?.cardlists;
+
+		if (!Array.isArray(cardlists) || cardlists.length === 0) {
+			return null;
+		}
+
+		const sections = {};
+
+		cardlists.forEach(cardlist => {
+			const sectionName = (cardlist.header || cardlist.tag || 'Unknown').trim();
+			const cards = [];
+
+			(cardlist.cardviews || []).forEach(cardview => {
+				const card = this.normalizeCardview(cardview);
+				if (card && !cards.some(existing => existing.name === card.name)) {
+					cards.push(card);
+				}
+			});
+
+			if (cards.length > 0) {
+				sections[sectionName] = cards;
+			}
+		});
+
+		if (Object.keys(sections).length === 0) {
+			return null;
+		}
+
+		// Commander deck count lives on the page's own card entry
+		const deckCount = jsonDict.card?.num_decks ?? pageData.num_decks_avg;
+		if (deckCount) {
+			sections._deckCount = `${parseInt(deckCount).toLocaleString()} decks`;
+		}
+
+		return sections;
+	}
+
+	/**
+	 * Convert one EDHREC cardview into the app's card shape
+	 * Inclusion is `inclusion / potential_decks`; the label text is only a fallback.
+	 * @param {Object} cardview - Entry from a cardlist's `cardviews`
+	 * @returns {Object|null} `{name, inclusion}` or null if no inclusion is known
+	 */
+	normalizeCardview(cardview) {
+		if (!cardview || !cardview.name) return null;
+
+		let percent = null;
+		if (typeof cardview.inclusion === 'number' && cardview.potential_decks > 0) {
+			percent = (cardview.inclusion / cardview.potential_decks) * 100;
+		} else {
+			const labelMatch = String(cardview.label || '').match(/(\d+(?:\.\d+)?)%/);
+			if (labelMatch) {
+				percent = parseFloat(labelMatch[1]);
+			}
+		}
+
+		if (percent === null || isNaN(percent)) return null;
+
+		const card = {
+			name: cardview.name,
+			inclusion: `${Math.round(percent)}%`
+		};
+
+		// Synergy is a fraction (0.12 = +12%)
+		if (typeof cardview.synergy === 'number') {
+			card.synergy = this.formatSynergy(cardview.synergy * 100);
+		}
+
+		const numDecks = cardview.num_decks ?? cardview.inclusion;
+		if (typeof numDecks === 'number') {
+			card.num_decks = numDecks;
+		}
+		if (typeof cardview.potential_decks === 'number') {
+			card.potential_decks = cardview.potential_decks;
+		}
+
+		return card;
+	}
+
+	formatSynergy(percent) {
+		const rounded = Math.round(percent);
+		return `${rounded > 0 ? '+' : ''}${rounded}%`;
+	}
+
+	/**
+	 * Read synergy and deck counts from a DOM card label
+	 * @param {Element} labelContainer - `.CardLabel_container__3M9Zu` element
+	 * @returns {Object} Any of `synergy`, `num_decks`, `potential_decks`
+	 */
+	parseDOMLabelStats(labelContainer) {
+		const stats = {};
+
+		labelContainer.querySelectorAll('.CardLabel_line__iQ3O3').forEach(line => {
+			const stat = line.querySelector('.CardLabel_stat__galuW')?.textContent.trim() || '';
+			const label = line.querySelector('.CardLabel_label__iAM7T')?.textContent.toLowerCase() || '';
+
+			if (label.includes('synergy')) {
+				const synergyMatch = stat.match(/([+-]?\d+(?:\.\d+)?)%/);
+				if (synergyMatch) {
+					stats.synergy = this.formatSynergy(parseFloat(synergyMatch[1]));
+				}
+			}
+		});
+
+		// "1,234 of 5,678 decks" / "1234 / 5678 decks"
+		const decksMatch = labelContainer.textContent.match(/([\d,]+)\s*(?:of|\/)\s*([\d,]+)\s*decks?/i);
+		if (decksMatch) {
+			stats.num_decks = parseInt(decksMatch[1].replace(/,/g, ''));
+			stats.potential_decks = parseInt(decksMatch[2].replace(/,/g, ''));
+		}
+
+		return stats;
+	}
+
+	// DOM scraper - secondary strategy, depends on build-hashed class names
+	parseDOM(doc) {
+		const sections = {};
+
+		// Find all card containers
+		const cardContainers = doc.querySelectorAll('.Card_container__Ng56K');
+        
+        cardContainers.forEach(container => {
+            // Extract card name
+            const nameElement = container.querySelector('.Card_name__Mpa7S');
+            if (!nameElement) return;
+            
+            const cardName = nameElement.textContent.trim();
+            if (!cardName || cardName.length < 2) return;
+            
+            // Extract inclusion percentage
+            let inclusion = '';
+            const cardLabelContainer = container.querySelector('.CardLabel_container__3M9Zu');
+            
+			if (cardLabelContainer) {
+				const inclusionLine = cardLabelContainer.querySelector('.CardLabel_line__iQ3O3');
+				if (inclusionLine) {
+					const inclusionStat = inclusionLine.querySelector('.CardLabel_stat__galuW');
+					const inclusionLabel = inclusionLine.querySelector('.CardLabel_label__iAM7T');
+					
+					// UPDATED: Handle BOTH patterns - "inclusion" AND "decks"
+					if (inclusionStat && inclusionLabel) {
+						const labelText = inclusionLabel.textContent.toLowerCase();
+						if (labelText.includes('inclusion') || labelText.includes('deck')) {
+							inclusion = inclusionStat.textContent.trim();
+						}
+					}
+				}
+			}
+			
+			// Synergy and "X of Y decks" live in the other label lines
+			const labelStats = cardLabelContainer ? this.parseDOMLabelStats(cardLabelContainer) : {};
+            
+            // Find section
+            let sectionName = "Unknown";
+            const cardlist = container.closest('.Grid_cardlist__AXXsz');
+            if (cardlist) {
+                const header = cardlist.querySelector('.Grid_header__iAPM8');
+                if (header) {
+                    sectionName = header.textContent.trim();
+                } else {
+                    const id = cardlist.id;
+                    if (id) {
+                        sectionName = id.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+                    }
+                }
+            }
+            
+            // Only add if we found valid inclusion data
+            if (inclusion && !inclusion.includes('$') && inclusion.includes('%')) {
+                if (!sections[sectionName]) {
+                    sections[sectionName] = [];
+                }
+                
+                const isDuplicate = sections[sectionName].some(card => card.name === cardName);
+                if (!isDuplicate) {
+                    sections[sectionName].push({
+                        name: cardName,
+                        inclusion: inclusion,
+                        ...labelStats
+                    });
+                }
+            }
+        });
+
+		return sections;
+	}
+
+	/**
+	 * Sort card sections by inclusion and tag them with the parsing strategy
+	 * @param {Object} sections - Parsed sections
+	 * @param {string} strategy - 'next-data' or 'dom'
+	 * @returns {Object} The same sections object
+	 */
+	finalizeSections(sections, strategy) {
+		// Sort each section by inclusion percentage
+		Object.keys(sections).forEach(section => {
+			// ONLY sort if it's an array (actual card sections)
+			if (Array.isArray(sections[section])) {
+				sections[section].sort((a, b) => {
+					const aPct = parseFloat(a.inclusion) || 0;
+					const bPct = parseFloat(b.inclusion) || 0;
+					return bPct - aPct;
+				});
+			}
+		});
+
+		sections._strategy = strategy;
+		return sections;
+	}
+	
+	// Extract deck count (ADDITION ONLY - line ~150)
+	extractDeckCount(htmlContent) {
+		// Multiple patterns to catch different formats
+		const deckCountPatterns = [
+			/(\d+[,]?\d+)\s*decks?/i,  // "172434 decks" 
+			/of\s*(\d+[,]?\d+)\s*decks?/i, // "of 172434 decks"
+			/played in\s*(\d+[,]?\d+)\s*decks?/i, // "played in 172434 decks"
+			/appears in\s*(\d+[,]?\d+)\s*decks?/i // "appears in 172434 decks"
+		];
+		
+		for (const pattern of deckCountPatterns) {
+			const match = htmlContent.match(pattern);
+			if (match && match[1]) {
+				const count = match[1].replace(/,/g, '');
+				return `${parseInt(count).toLocaleString()} decks`;
+			}
+		}
+		
+		return null;
+	}
+
+    getSampleData(commanderName) {
+        // Sample list for demo mode only - flagged so the grid and exports label it
+        return {
+            _demo: true,
+            "New Cards": [
+                { name: "Spider Manifestation", inclusion: "6.1%" },
+                { name: "Rhino, Barreling Brute", inclusion: "2.9%" },
+                { name: "Lizard, Connors's Curse", inclusion: "2.6%" },
+                { name: "Rhino's Rampage", inclusion: "2.0%" },
+                { name: "Scarlet Spider, Ben Reilly", inclusion: "1.6%" }
+            ],
+            "High Synergy Cards": [
+                { name: "Goreclaw, Terror of Qal Sisma", inclusion: "68%" },
+                { name: "Ghalta, Primal Hunger", inclusion: "59%" },
+                { name: "Quartzwood Crasher", inclusion: "56%" },
+                { name: "Etali, Primal Storm", inclusion: "55%" },
+                { name: "Anzrag, the Quake-Mole", inclusion: "54%" },
+                { name: "Ilharg, the Raze-Boar", inclusion: "49%" },
+                { name: "Bloodthirster", inclusion: "45%" },
+                { name: "Ojer Kaslem, Deepest Growth", inclusion: "45%" },
+                { name: "Scourge of the Throne", inclusion: "44%" }
+            ],
+            "Top Cards": [
+                { name: "Garruk's Uprising", inclusion: "74%" },
+                { name: "Cultivate", inclusion: "64%" },
+                { name: "Beast Within", inclusion: "63%" },
+                { name: "Llanowar Elves", inclusion: "59%" },
+                { name: "Goblin Anarchomancer", inclusion: "58%" },
+                { name: "Rishkar's Expertise", inclusion: "55%" },
+                { name: "Nature's Lore", inclusion: "54%" },
+                { name: "Kodama's Reach", inclusion: "53%" },
+                { name: "Elvish Mystic", inclusion: "52%" },
+                { name: "Blasphemous Act", inclusion: "50%" }
+            ],
+            "Creatures": [
+                { name: "Birds of Paradise", inclusion: "50%" },
+                { name: "Selvala, Heart of the Wilds", inclusion: "47%" },
+                { name: "Savage Ventmaw", inclusion: "47%" },
+                { name: "Moraug, Fury of Akoum", inclusion: "44%" },
+                { name: "Fanatic of Rhonas", inclusion: "44%" }
+            ]
+        };
+    }
+}
+
+// Create global instance
+window.edhrecExtractor = new EDHRECExtractor();
+
+// Export the main function
+async function extractEDHRECData(commanderName, options = {}) {
+    return await window.edhrecExtractor.extractData(commanderName, options);
+}
+
+window.extractEDHRECData = extractEDHRECData;
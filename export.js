@@ -1,1882 +1,1987 @@
-// VERSION:17
-// Export and Import Functions - CLEAN SINGLE IMPLEMENTATION
-class ExportManager {
-    constructor() {
-        this.pdfjs = window.jspdf;
-        this.debug = window.debugSystem || (window.app && window.app.debug);
-    }
-
-	async generatePdf(cardData, filename = 'edhrec-list.pdf') {
-		console.log('PDF Generation: Starting with content detection');
-		
-		try {
-			// DETECT CONTENT TYPE - Check if we're dealing with upgrade guide
-			const cardGrid = document.getElementById('cardGrid');
-			if (!cardGrid) throw new Error('Card grid element not found');
-			
-			const isUpgradeGuide = cardGrid.querySelector('.upgrade-guide-header') !== null ||
-								  cardGrid.querySelector('.guide-paragraph-group') !== null ||
-								  cardGrid.querySelector('.guide-cardlist') !== null;
-			
-			console.log(`📊 Content type: ${isUpgradeGuide ? 'Upgrade Guide' : 'Card Grid'}`);
-			
-			// Get cutoff value from UI (only applies to card grids)
-			const cutoffInput = document.getElementById('pdfCutoff');
-			const cutoffPercent = cutoffInput ? parseFloat(cutoffInput.value) || 0 : 0;
-			
-			console.log(`PDF Filter: Cutoff set to ${cutoffPercent}%`);
-			
-			let restorationData = null;
-			
-			// APPLY FILTERING ONLY FOR CARD GRIDS (upgrade guides don't have inclusion percentages)
-			if (!isUpgradeGuide && cutoffPercent > 0) {
-				restorationData = this.filterDOMForPDF(cutoffPercent);
-			}
-
-			this.showPDFLoading();
-				
-			const { jsPDF } = this.pdfjs;
-			const pdf = new jsPDF('p', 'mm', 'a4');
-			
-			// PDF COORDINATE SYSTEM
-			const pageWidth = 210;
-			const pageHeight = 297;
-			const margin = 8;
-			
-			// BRANCH BASED ON CONTENT TYPE
-			if (isUpgradeGuide) {
-				await this.generateUpgradeGuidePDF(pdf, pageWidth, pageHeight, margin);
-			} else {
-				await this.generateCardGridPDF(pdf, pageWidth, pageHeight, margin, cutoffPercent);
-			}
-
-			// Download
-			pdf.save(filename);
-			this.hidePDFLoading();
-			
-			console.log('PDF Generation: Completed successfully');
-			
-			// RESTORE DOM if filtering was applied
-			if (restorationData) {
-				this.restoreDOMAfterPDF(restorationData);
-			}
-			
-			return true;
-			
-		} catch (error) {
-			console.error('PDF Generation: Failed with error:', error);
-			this.hidePDFLoading();
-			
-			// CRITICAL: Always restore DOM on error
-			if (restorationData) {
-				this.restoreDOMAfterPDF(restorationData);
-			}
-			
-			throw error;
-		}
-	}
-
-    async addPrintCardToPDF(pdf, cardElement, x, y, width, height) {
-        const cardName = cardElement.querySelector('.card-name');
-        const name = cardName ? cardName.textContent : 'Unknown';
-        const isDoubleBack = cardElement.classList.contains('double-faced-back');
-        const backIndicator = cardElement.querySelector('.back-indicator');
-        
-        try {
-            const canvas = await html2canvas(cardElement, {
-                scale: 1.5,
-                useCORS: true,
-                allowTaint: true,
-                backgroundColor: '#ffffff',
-                onclone: function(clonedDoc, element) {
-					
-					// STEP 1: Back indicator styling
-                    const clonedBackIndicator = element.querySelector('.back-indicator');     
-                    if (clonedBackIndicator) {
-                        clonedBackIndicator.setAttribute('style', '');
-                        clonedBackIndicator.style.cssText = `
-                            color: white !important;
-                            background-color: #444 !important;
-                            border: 2px solid #444 !important;
-                            font-weight: bold !important;
-                            padding: 4px 8px !important;
-                            border-radius: 6px !important;
-                            font-size: 0.9em !important;
-                            text-align: center !important;
-                            display: inline-block !important;
-                            margin: 3px 0 3px 0 !important;
-                            min-width: 80px !important;
-							line-height: 1.2 !important;
-                        `;
-                    }
-                    
-                    // STEP 2: Apply general white background (excluding back indicators AND their children)
-                    const allElements = clonedDoc.querySelectorAll('*');
-                    allElements.forEach(el => {
-                        // Skip back indicators AND any elements inside back indicators
-                        const isInBackIndicator = el.closest('.back-indicator');
-                        if (!el.classList.contains('back-indicator') && !isInBackIndicator) {
-                            el.style.color = '#000000';
-                            el.style.backgroundColor = '#ffffff';
-                            el.style.boxShadow = 'none';
-                        }
-                    });
-                    
-                    // STEP 3: Apply card frame styling
-                    const cardFrames = clonedDoc.querySelectorAll('.card-frame');
-                    cardFrames.forEach(frame => {
-                        frame.style.border = '1px solid #888888';
-                        frame.style.background = '#ffffff';
-                    });
-					
-					// STEP 4: ADD SYMBOL SCALING COMPENSATION FOR PDF (1.4x)
-					const symbolElements = element.querySelectorAll('.set-symbol-stats');
-					symbolElements.forEach(symbol => {
-						symbol.style.transform = 'scale(1.4)'; // Compensation for physical 0.5x reduction
-						symbol.style.transformOrigin = 'center center';
-					});					
-					
-                }
-            });
-
-            const imgData = canvas.toDataURL('image/png');
-            pdf.addImage(imgData, 'PNG', x, y, width, height);
-            
-            // MEDIUM GREY border around card
-            pdf.setDrawColor(136, 136, 136);
-            pdf.setLineWidth(0.3);
-            pdf.rect(x, y, width, height, 'D');
-            
-            return true;
-            
-        } catch (error) {
-            console.error('Card render failed:', error);
-            
-            // Fallback
-            pdf.setFillColor(255, 255, 255);
-            pdf.setDrawColor(136, 136, 136);
-            pdf.setLineWidth(0.3);
-            pdf.rect(x, y, width, height, 'FD');
-            
-            pdf.setTextColor(0, 0, 0);
-            pdf.setFontSize(7);
-            const text = name.substring(0, 30);
-            pdf.text(text, x + 2, y + 8);
-            
-            return false;
-        }
-    }
-
-    groupElementsBySection(gridChildren) {
-        const sections = [];
-        let currentSection = { header: null, cards: [] };
-        
-        for (const element of gridChildren) {
-            if (element.classList.contains('section-header')) {
-                // Save previous section if it has content
-                if (currentSection.header || currentSection.cards.length > 0) {
-                    sections.push(currentSection);
-                }
-                // Start new section
-                currentSection = { header: element, cards: [] };
-            } else {
-                // Add card to current section
-                currentSection.cards.push(element);
-            }
-        }
-        
-        // Don't forget the last section
-        if (currentSection.header || currentSection.cards.length > 0) {
-            sections.push(currentSection);
-        }
-        
-        return sections;
-    }
-
-    addPrintSectionHeader(pdf, sectionText, x, y, width, height) {
-        // Black text inside the wire frame
-        pdf.setTextColor(0, 0, 0);
-        pdf.setFontSize(10);
-        pdf.setFont(undefined, 'bold');
-        
-        const text = sectionText.trim();
-        const centerX = x + (width / 2);
-        const centerY = y + (height / 2) + 2;
-        
-        pdf.text(text, centerX, centerY, { align: 'center' });
-    }
-
-    downloadTextFile(cardData, filename = 'edhrec-list.txt') {
-        try {
-            const textContent = this.exportToText(cardData);
-            const blob = new Blob([textContent], { type: 'text/plain;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            setTimeout(() => URL.revokeObjectURL(url), 100);
-            
-        } catch (error) {
-            console.error('Text download failed:', error);
-            alert('Download failed. Please check your browser settings.');
-        }
-    }
-
-    exportToText(cardData) {
-        const lines = [];
-        lines.push('EDHREC Card List');
-        lines.push(`Generated on: ${new Date().toLocaleDateString()}\n`);
-        
-        for (const [sectionName, cards] of Object.entries(cardData)) {
-            lines.push(`${sectionName} (${cards.length} cards)`);
-            lines.push('='.repeat(sectionName.length + 10));
-            
-            cards.forEach(card => {
-                lines.push(`• ${card.name} - ${card.inclusion}`);
-            });
-            
-            lines.push('');
-        }
-        
-        return lines.join('\n');
-    }
-
-    showPDFLoading() {
-        let loadingOverlay = document.getElementById('pdfLoadingOverlay');
-        if (!loadingOverlay) {
-            loadingOverlay = document.createElement('div');
-            loadingOverlay.id = 'pdfLoadingOverlay';
-            loadingOverlay.innerHTML = `
-                <div class="pdf-loading-content">
-                    <div class="pdf-spinner"></div>
-                    <p>Generating PDF...</p>
-                </div>
-            `;
-            document.body.appendChild(loadingOverlay);
-            
-            const style = document.createElement('style');
-            style.textContent = `
-                #pdfLoadingOverlay {
-                    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
-                    background: rgba(0, 0, 0, 0.7); display: flex;
-                    justify-content: center; align-items: center; z-index: 10000;
-                    color: white; font-size: 18px;
-                }
-                .pdf-loading-content {
-                    text-align: center; background: #2c3e50; padding: 30px;
-                    border-radius: 10px; box-shadow: 0 4px 20px rgba(0,0,0,0.5);
-                }
-                .pdf-spinner {
-                    border: 4px solid #f3f3f3; border-top: 4px solid #3498db;
-                    border-radius: 50%; width: 50px; height: 50px;
-                    animation: spin 1s linear infinite; margin: 0 auto 20px;
-                }
-                @keyframes spin {
-                    0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); }
-                }
-            `;
-            document.head.appendChild(style);
-        }
-        loadingOverlay.style.display = 'flex';
-    }
-
-    hidePDFLoading() {
-        const loadingOverlay = document.getElementById('pdfLoadingOverlay');
-        if (loadingOverlay) loadingOverlay.style.display = 'none';
-    }
-
-    parseCardList(textContent) {
-        const lines = textContent.split('\n');
-        const cards = [];
-        let currentSection = 'Imported Cards';
-        
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            if (!trimmedLine || trimmedLine.startsWith('//') || trimmedLine.startsWith('#')) continue;
-            
-            if (trimmedLine.endsWith(')') && trimmedLine.includes('(')) {
-                currentSection = trimmedLine.split('(')[0].trim();
-                continue;
-            }
-            
-            let cardName = trimmedLine;
-            let inclusion = '';
-            
-            if (trimmedLine.includes('-')) {
-                const parts = trimmedLine.split('-').map(part => part.trim());
-                if (parts.length >= 2) {
-                    cardName = parts.slice(0, -1).join('-').trim();
-                    inclusion = parts[parts.length - 1];
-                    if (!inclusion.includes('%')) inclusion = '';
-                }
-            }
-            
-            if (/^\d+x\s/.test(cardName)) {
-                cardName = cardName.replace(/^\d+x\s/, '');
-            }
-            
-            const bracketMatch = cardName.match(/\[(.*?)\]\s*(.*)/);
-            if (bracketMatch) {
-                inclusion = bracketMatch[1];
-                cardName = bracketMatch[2];
-            }
-            
-            if (cardName) {
-                cards.push({ name: cardName, inclusion: inclusion || 'N/A', section: currentSection });
-            }
-        }
-        
-        const sections = {};
-        cards.forEach(card => {
-            if (!sections[card.section]) sections[card.section] = [];
-            sections[card.section].push({ name: card.name, inclusion: card.inclusion });
-        });
-        
-        return sections;
-    }
-
-    validateCardList(cardData) {
-        const errors = [];
-        const warnings = [];
-        
-        if (!cardData || Object.keys(cardData).length === 0) {
-            errors.push('No card data found');
-        } else {
-            let totalCards = 0;
-            for (const [section, cards] of Object.entries(cardData)) {
-                totalCards += cards.length;
-                if (cards.length === 0) warnings.push(`Section "${section}" is empty`);
-                cards.forEach((card, index) => {
-                    if (!card.name || card.name.trim().length === 0) {
-                        errors.push(`Empty card name in ${section} at position ${index + 1}`);
-                    }
-                    if (card.name && card.name.length > 100) {
-                        warnings.push(`Long card name in ${section}: "${card.name.substring(0, 50)}..."`);
-                    }
-                });
-            }
-            if (totalCards === 0) errors.push('No valid cards found');
-            if (totalCards > 500) warnings.push(`Large list: ${totalCards} cards`);
-        }
-        
-        return { isValid: errors.length === 0, errors, warnings };
-    }
-	
-	// Add this method to the ExportManager class:
-	filterCardsByInclusion(cardData, cutoffPercent) {
-		const filteredData = {};
-		
-		for (const [sectionName, cards] of Object.entries(cardData)) {
-			// Skip special properties like _deckCount
-			if (sectionName.startsWith('_')) {
-				filteredData[sectionName] = cards;
-				continue;
-			}
-			
-			filteredData[sectionName] = cards.filter(card => {
-				// Extract percentage number from inclusion string (e.g., "68%" -> 68)
-				const inclusionMatch = card.inclusion?.match(/(\d+(?:\.\d+)?)%/);
-				if (!inclusionMatch) return true; // Keep cards without percentage
-				
-				const inclusionValue = parseFloat(inclusionMatch[1]);
-				return inclusionValue >= cutoffPercent;
-			});
-		}
-		
-		return filteredData;
-	}
-	
-	filterDOMForPDF(cutoffPercent) {
-		const cardGrid = document.getElementById('cardGrid');
-		if (!cardGrid) return null;
-
-		const restorationData = {
-			hiddenElements: []
-		};
-
-		const sections = this.groupElementsBySection(Array.from(cardGrid.children));
-		
-		sections.forEach(section => {
-			const sectionName = section.header?.textContent?.trim() || '';
-			
-			// ALWAYS show sections containing "Commander" or "New" (for New Cards)
-			const isExempt = sectionName.toLowerCase().includes('commander') || 
-							 sectionName.toLowerCase().includes('new');
-			
-			if (isExempt) {
-				return; // Skip filtering for this section
-			}
-
-			// Filter cards in other sections
-			section.cards.forEach(cardElement => {
-				const inclusionValue = this.getCardInclusionValue(cardElement);
-				
-				if (inclusionValue < cutoffPercent) {
-					restorationData.hiddenElements.push({
-						element: cardElement,
-						originalDisplay: cardElement.style.display
-					});
-					cardElement.style.display = 'none';
-				}
-			});
-		});
-
-		return restorationData;
-	}
-
-	getCardInclusionValue(cardElement) {
-		const inclusionElement = cardElement.querySelector('.inclusion-percentage');
-		if (!inclusionElement) return 0;
-		
-		const text = inclusionElement.textContent.trim();
-		const match = text.match(/(\d+(?:\.\d+)?)%/);
-		
-		return match ? parseFloat(match[1]) : 0;
-	}
-
-	restoreDOMAfterPDF(restorationData) {
-		if (!restorationData) return;
-		
-		restorationData.hiddenElements.forEach(item => {
-			if (item.element && item.element.style) {
-				item.element.style.display = item.originalDisplay || '';
-			}
-		});
-	}	
-
-	async generateCardGridPDF(pdf, pageWidth, pageHeight, margin, cutoffPercent) {
-		console.log('🃏 Generating Card Grid PDF');
-		
-		// CARD GRID LAYOUT CONSTANTS
-		const cardsPerRow = 4;
-		const cardsPerColumn = 6;
-		const sectionHeaderHeight = 8;
-
-		const availableWidth = pageWidth - (2 * margin);
-		const availableHeight = pageHeight - (2 * margin);
-		
-		const cardWidth = availableWidth / cardsPerRow;
-		const cardHeight = availableHeight / cardsPerColumn;
-
-		const cardGrid = document.getElementById('cardGrid');
-		if (!cardGrid) throw new Error('Card grid element not found');
-
-		// Group elements into sections (headers + cards)
-		const gridChildren = Array.from(cardGrid.children);
-		const sections = this.groupElementsBySection(gridChildren);
-
-		console.log(`PDF Layout: Processing ${sections.length} card sections`);
-
-		let currentPage = 1;
-		let currentY = margin;
-		let currentCol = 0;
-		const MAX_PAGES = 100;
-
-		// PROCESS EACH SECTION
-		for (const section of sections) {
-			if (currentPage > MAX_PAGES) break;
-			
-			const { header, cards } = section;
-			
-			// Filter out hidden cards (from cutoff filtering)
-			const visibleCards = cards.filter(card => card.style.display !== 'none');
-			if (visibleCards.length === 0) continue;
-			
-			// CHECK IF SECTION HEADER FITS ON CURRENT PAGE
-			const spaceNeeded = (header ? sectionHeaderHeight : 0) + cardHeight;
-			if (currentY + spaceNeeded > (pageHeight - margin)) {
-				pdf.addPage();
-				currentPage++;
-				currentY = margin;
-				currentCol = 0;
-				if (currentPage > MAX_PAGES) break;
-			}
-			
-			// PLACE SECTION HEADER
-			if (header) {
-				this.addPrintSectionHeader(pdf, header.textContent, margin, currentY, availableWidth, sectionHeaderHeight);
-				currentY += sectionHeaderHeight;
-				currentCol = 0;
-			}
-			
-			// PLACE SECTION CARDS
-			for (let i = 0; i < visibleCards.length; i++) {
-				if (currentPage > MAX_PAGES) break;
-				
-				const card = visibleCards[i];
-				
-				// Check if we need new row
-				if (currentCol >= cardsPerRow) {
-					currentCol = 0;
-					currentY += cardHeight;
-				}
-				
-				// Check if card fits on current page
-				if (currentY + cardHeight > (pageHeight - margin)) {
-					pdf.addPage();
-					currentPage++;
-					currentY = margin;
-					currentCol = 0;
-					if (currentPage > MAX_PAGES) break;
-				}
-				
-				const cardX = margin + (currentCol * cardWidth);
-				
-				// Use existing card rendering logic
-				await this.addPrintCardToPDF(pdf, card, cardX, currentY, cardWidth, cardHeight);
-				
-				currentCol++;
-			}
-			
-			// MOVE TO NEXT ROW AFTER SECTION COMPLETION
-			if (currentCol !== 0 && currentPage <= MAX_PAGES) {
-				currentY += cardHeight;
-				currentCol = 0;
-				
-				// Check if we need new page after section
-				if (currentY > (pageHeight - margin) && currentPage <= MAX_PAGES) {
-					pdf.addPage();
-					currentPage++;
-					currentY = margin;
-					currentCol = 0;
-					if (currentPage > MAX_PAGES) break;
-				}
-			}
-		}
-
-		// ADD PAGE NUMBERS TO FINAL DOCUMENT
-		this.addPageNumbersToPDF(pdf, pageWidth, pageHeight);
-	}
-
-	addPageNumbersToPDF(pdf, pageWidth, pageHeight) {
-		const totalPages = pdf.internal.getNumberOfPages();
-		
-		for (let i = 1; i <= totalPages; i++) {
-			pdf.setPage(i);
-			pdf.setFontSize(8);
-			pdf.setTextColor(100, 100, 100);
-			pdf.text(`Page ${i} of ${totalPages}`, pageWidth - 25, pageHeight - 5);
-		}
-	}
-	
-
-	async generateUpgradeGuidePDF(filename = 'upgrade_guide.pdf') {
-		console.log('📄 Starting Upgrade Guide PDF');
-						
-		const cardGrid = document.getElementById('cardGrid');
-		if (!cardGrid) throw new Error('No content available');
-
-		this.showPDFLoading();
-		
-		try {
-			const { jsPDF } = this.pdfjs;
-			const pdf = new jsPDF('p', 'mm', 'a4');
-			
-			const pageWidth = 210;
-			const pageHeight = 297; 
-			const margin = 15;
-			const availableWidth = pageWidth - (2 * margin);
-			
-			let currentY = margin;
-			let currentPage = 1;
-			const MAX_PAGES = 20;
-			
-			let previousRenderY = currentY; // Track previous render position
-			
-			// SIMPLE HEADER
-			const header = cardGrid.querySelector('.upgrade-guide-header');
-			if (header) {
-				const title = header.querySelector('.guide-title')?.textContent || 'Upgrade Guide';
-				const date = header.querySelector('.guide-date')?.textContent || new Date().toLocaleDateString();
-				const author = header.querySelector('.guide-author')?.textContent?.replace('By ', '') || '';
-				
-				pdf.setFontSize(14);
-				pdf.setFont(undefined, 'bold');
-				pdf.text(title, margin, currentY);
-				
-				pdf.setFontSize(10);
-				pdf.setFont(undefined, 'normal');
-				const dateWidth = pdf.getTextWidth(date);
-				pdf.text(date, margin + availableWidth - dateWidth, currentY);
-				
-				currentY += 6;
-				
-				if (author) {
-					pdf.text(`By ${author}`, margin, currentY);
-					currentY += 6;
-				}
-				
-				currentY += 8;
-			}
-			
-			// PROCESS ALL CONTENT
-			const children = Array.from(cardGrid.children);
-			
-			for (let i = 0; i < children.length; i++) {
-				if (currentPage > MAX_PAGES) break;
-				
-				const element = children[i];
-				
-				// ===== ADD HEADER CHECK LOGIC HERE =====
-				if (element.classList.contains('guide-header') || element.classList.contains('section-header')) {
-					console.log(`🎯 HEADER CHECK: "${element.textContent?.substring(0, 30)}..."`);
-					
-					// Check if this header should stay with next content
-					const nextElement = children[i + 1];
-					if (nextElement && (nextElement.classList.contains('guide-paragraph-group') || 
-									   nextElement.classList.contains('guide-cardlist'))) {
-						
-						const headerHeight = this.estimateElementHeight(element);
-						const nextHeight = this.estimateElementHeight(nextElement);
-						const spaceAvailable = pageHeight - margin - currentY;
-						
-						console.log(`   Space available: ${spaceAvailable}mm`);
-						console.log(`   Header height: ${headerHeight}mm`);
-						console.log(`   Next element (${nextElement.className}) height: ${nextHeight}mm`);
-						
-						// Check if header + at least some content fits
-						const MIN_CONTENT_HEIGHT = 20; // Minimum 20mm of content to stay with header
-						
-						if (spaceAvailable < headerHeight + MIN_CONTENT_HEIGHT) {
-							// Not enough space even for header + minimum content
-							console.log(`⚠️ Not enough space for header + content, moving to new page`);
-							
-							// Check if we should split previous text instead
-							const prevElement = children[i - 1];
-							if (prevElement && prevElement.classList.contains('guide-paragraph-group')) {
-								console.log(`   Previous element is text - could split it`);
-								// For now, just move header to new page
-							}
-							
-							pdf.addPage();
-							currentPage++;
-							currentY = margin;
-							if (currentPage > MAX_PAGES) break;
-						} else if (spaceAvailable < headerHeight + nextHeight) {
-							// Header fits but not all content - this is OK, text will split
-							console.log(`✅ Header fits, content will split across pages`);
-						} else {
-							console.log(`✅ Header + all content fits`);
-						}
-					}
-				}
-				// ===== END HEADER CHECK =====
-		
-				// Skip header we already processed
-				if (element.classList.contains('upgrade-guide-header')) continue;
-				
-				// Skip if element has remaining text to render from previous split
-				if (element._remainingLines) {
-					console.log(`📄 Element has split text to continue`);
-					currentY = this.renderRemainingText(pdf, element, margin, currentY, availableWidth, pageHeight, margin);
-					previousRenderY = currentY;
-					currentY += 5;
-					continue;
-				}
-				
-				// ESTIMATE HEIGHT
-				let elementHeight = this.estimateElementHeight(element);
-				
-				
-				// CHECK PAGE BREAK
-				if (element.classList.contains('guide-cardlist')) {
-					// DECKLISTS: Use half-page height (140mm) instead of estimated height (237.5mm)
-					const DECKLIST_HALF_PAGE_HEIGHT = 140; // Decklists render in half-page 4-column layout
-					if (currentY + DECKLIST_HALF_PAGE_HEIGHT > pageHeight - margin) {
-						console.log(`📄 DECKLIST needs new page, resetting currentY to ${margin}mm`);
-						pdf.addPage();
-						currentPage++;
-						currentY = margin;
-						if (currentPage > MAX_PAGES) break;
-					}
-				} else {
-					// NON-DECKLISTS: Use normal estimation
-					if (currentY + elementHeight > pageHeight - margin) {
-						console.log(`📄 PAGE BREAK TRIGGERED! Resetting currentY to ${margin}mm`);
-						pdf.addPage();
-						currentPage++;
-						currentY = margin;
-						if (currentPage > MAX_PAGES) break;
-					}
-				}
-				
-				// RENDER BASED ON TYPE
-				if (element.classList.contains('guide-cardlist')) {
-					
-					const DECKLIST_MAX_HEIGHT = 148; // Half-page including title
-					const spaceAvailable = pageHeight - currentY - 15; // 15mm bottom margin
-					
-					console.log(`📄 Decklist placement check: ${spaceAvailable.toFixed(1)}mm available at Y: ${currentY}mm`);
-					
-					if (spaceAvailable < DECKLIST_MAX_HEIGHT) {
-						// Not enough space for decklist, start new page
-						console.log(`📄 Insufficient space (${spaceAvailable.toFixed(1)}mm < ${DECKLIST_MAX_HEIGHT}mm), starting new page`);
-						pdf.addPage();
-						currentY = margin; // Reset to top margin
-					} else {
-						console.log(`✅ Decklist fits at current position (${spaceAvailable.toFixed(1)}mm available)`);
-					}
-					
-					// Check if decklist fits on current page
-					if (currentY + 148 > pageHeight - 15) {
-						console.log(`📄 NEEDS NEW PAGE: ${currentY + 148}mm > ${pageHeight - 15}mm`);
-						pdf.addPage();
-						currentY = margin;
-					} else {
-						console.log(`✅ FITS ON CURRENT PAGE: ${currentY + 148}mm ≤ ${pageHeight - 15}mm`);
-						// Continue at currentY
-					}	
-					//////////////////////////////////////
-					
-					// Render decklist
-					const decklistEndY = await this.renderDecklistAsText(pdf, element, margin, currentY, availableWidth, pageHeight);
-					
-					// After renderDecklistAsText call://
-					const newY = await this.renderDecklistAsText(pdf, element, margin, currentY, availableWidth, pageHeight);
-					console.log(`🔁 renderDecklistAsText returned: ${newY}mm`);
-					console.log(`🔁 Parent expected continuation at: ${currentY + 5}mm`);
-					currentY = newY + 5;
-					//////////////////////////////////////
-				
-					
-					// Position for following content (5mm gap after decklist)
-					currentY = decklistEndY + 5;
-					previousRenderY = currentY;
-					// ===== ADD THIS RIGHT AFTER =====
-					previousRenderY = currentY; // Update tracker
-					console.log(`📊 RENDER TRACKER: decklist rendered, previousRenderY now: ${previousRenderY}mm`);
-					// ===== END ADDITION =====
-					console.log(`➡️ Continuing content at Y: ${currentY}mm`);
-				}
-			else if (element.classList.contains('card-grid')) {
-				// ROW-BY-ROW CARD PLACEMENT
-				const cardFrames = Array.from(element.querySelectorAll('.card-frame'));
-				const cardsPerRow = 4;
-				const cardHeight = 45; // mm per row
-				
-				for (let rowStart = 0; rowStart < cardFrames.length; rowStart += cardsPerRow) {
-					const rowCards = cardFrames.slice(rowStart, rowStart + cardsPerRow);
-					
-					// CHECK IF ROW FITS ON CURRENT PAGE
-					if (currentY + cardHeight > pageHeight - margin) {
-						pdf.addPage();
-						currentPage++;
-						currentY = margin;
-						if (currentPage > MAX_PAGES) break;
-					}
-					
-					// RENDER THIS ROW
-					currentY = await this.renderCardGridSection(
-						pdf, rowCards, margin, currentY, availableWidth, pageHeight, true
-					);
-				}
-			}
-				else {
-					// REGULAR TEXT
-					const renderResult = this.renderTextElement(pdf, element, margin, currentY, availableWidth, pageHeight, margin);
-
-					// Handle special return value for new page
-					if (renderResult === -1) {
-						pdf.addPage();
-						currentPage++;
-						currentY = margin;
-						if (currentPage > MAX_PAGES) break;
-						
-						// Re-render on new page
-						currentY = this.renderTextElement(pdf, element, margin, currentY, availableWidth, pageHeight, margin);
-					} else {
-						currentY = renderResult;
-					}
-				}
-				
-				currentY += 5;
-			}
-			
-			// ADD PAGE NUMBERS
-			this.addPageNumbersToPDF(pdf, pageWidth, pageHeight);
-			
-			// SAVE PDF
-			pdf.save(filename);
-			this.hidePDFLoading();
-			console.log('✅ Upgrade Guide PDF generated');
-			return true;
-			
-		} catch (error) {
-			this.hidePDFLoading();
-			console.error('❌ PDF generation failed:', error);
-			throw error;
-		}
-	}
-
-	// === PAGE NUMBERING ===
-	/**
-	 * Adds consistent page numbering to PDF document
-	 */
-	addPageNumbersToPDF(pdf, pageWidth, pageHeight) {
-		const totalPages = pdf.internal.getNumberOfPages();
-		
-		for (let i = 1; i <= totalPages; i++) {
-			pdf.setPage(i);
-			pdf.setFontSize(8);
-			pdf.setTextColor(100, 100, 100);
-			pdf.text(`Page ${i} of ${totalPages}`, pageWidth - 25, pageHeight - 5);
-		}
-	}
-	
-	// =============================================================================
-	// DECKLIST TEXT RENDERING FOR UPGRADE GUIDES
-	// =============================================================================
-
-	/**
-	 * Parse decklist DOM element into structured data for PDF rendering
-	 * Extracts title, section headers, and card lists from the nested DOM structure
-	 * @param {Element} element - DOM element with class 'guide-cardlist'
-	 * @returns {Object} Structured decklist data with title and sections
-	 */
-	parseDecklistStructure(element) {
-		console.log('🔍 Parsing decklist structure from DOM');
-		
-		const decklist = {
-			title: '',
-			sections: []
-		};
-		
-		try {
-			// Extract decklist title (h4 element)
-			const titleElement = element.querySelector('h4');
-			if (titleElement) {
-				decklist.title = titleElement.textContent.trim();
-				console.log(`📋 Decklist title: ${decklist.title}`);
-			}
-			
-			// Extract all sections from the decklist-section container
-			const sectionElements = element.querySelectorAll('.decklist-section > div');
-			console.log(`📋 Found ${sectionElements.length} sections in decklist`);
-			
-			sectionElements.forEach((sectionEl, index) => {
-				const section = {
-					header: '',
-					cards: []
-				};
-				
-				// Extract section header (h5 element)
-				const headerElement = sectionEl.querySelector('h5');
-				if (headerElement) {
-					section.header = headerElement.textContent.trim();
-				} else {
-					section.header = `Section ${index + 1}`;
-				}
-				
-				// Extract card list items
-				const cardElements = sectionEl.querySelectorAll('li');
-				cardElements.forEach(cardEl => {
-					const cardText = cardEl.textContent.trim();
-					if (cardText) {
-						section.cards.push(cardText);
-					}
-				});
-				
-				console.log(`📋 Section "${section.header}": ${section.cards.length} cards`);
-				decklist.sections.push(section);
-			});
-			
-		} catch (error) {
-			console.error('❌ Error parsing decklist structure:', error);
-		}
-		
-		return decklist;
-	}
-
-	/**
-	 * Calculate approximate heights for each section in millimeters
-	 * Used for column distribution and layout planning
-	 * @param {Array} sections - Decklist sections from parseDecklistStructure
-	 * @returns {Array} Sections with calculated height properties
-	 */
-	calculateSectionHeights(sections) {
-		const sectionsWithHeights = [];
-		
-		// PDF layout constants (in millimeters)
-		const HEADER_HEIGHT = 6; // 10pt header with spacing
-		const CARD_HEIGHT = 3.5; // 9pt card text with line spacing
-		const SECTION_SPACING = 3; // Space between sections
-		
-		sections.forEach(section => {
-			// Calculate total height: header + cards + spacing
-			const cardsHeight = section.cards.length * CARD_HEIGHT;
-			const totalHeight = HEADER_HEIGHT + cardsHeight + SECTION_SPACING;
-			
-			sectionsWithHeights.push({
-				...section,
-				height: totalHeight,
-				headerHeight: HEADER_HEIGHT,
-				cardHeight: CARD_HEIGHT
-			});
-			
-			console.log(`📏 Section "${section.header}": ${totalHeight.toFixed(1)}mm (${section.cards.length} cards)`);
-		});
-		
-		return sectionsWithHeights;
-	}
-
-	/**
-	 * Distribute sections across 3 columns using sequential filling
-	 * Fills column 1 completely before moving to column 2, then column 3
-	 * Ensures sections are never split across columns
-	 * @param {Array} sections - Sections with calculated heights
-	 * @param {number} availableHeight - Maximum height per column in mm
-	 * @returns {Array} 3-column array with distributed sections
-	 */
-	distributeSectionsToColumns(sections, availableHeight) {
-		const columns = [[], [], []];
-		let currentColumn = 0;
-		let currentHeight = 0;
-		
-		console.log(`📊 Distributing ${sections.length} sections across 3 columns (max ${availableHeight}mm per column)`);
-		
-		for (const section of sections) {
-			const sectionHeight = section.height;
-			
-			// Check if section fits in current column
-			// If not and we have more columns available, move to next column
-			if (currentHeight + sectionHeight > availableHeight && currentColumn < 2) {
-				console.log(`↪️ Column ${currentColumn + 1} full (${currentHeight.toFixed(1)}mm), moving to column ${currentColumn + 2}`);
-				currentColumn++;
-				currentHeight = 0;
-			}
-			
-			// Add section to current column
-			columns[currentColumn].push(section);
-			currentHeight += sectionHeight;
-			
-			console.log(`📦 Added "${section.header}" to column ${currentColumn + 1}, height: ${currentHeight.toFixed(1)}mm`);
-		}
-		
-		// Log distribution results
-		columns.forEach((colSections, index) => {
-			const colHeight = colSections.reduce((sum, section) => sum + section.height, 0);
-			console.log(`✅ Column ${index + 1}: ${colSections.length} sections, ${colHeight.toFixed(1)}mm total`);
-		});
-		
-		return columns;
-	}
-
-
-	/**
-	 * Parse decklist DOM element into structured data
-	 */
-	parseDecklistStructure(element) {
-		console.log('🔍 Parsing decklist structure from DOM');
-		
-		const decklist = {
-			title: '',
-			sections: []
-		};
-		
-		try {
-			// Extract decklist title
-			const titleElement = element.querySelector('h4');
-			if (titleElement) {
-				decklist.title = titleElement.textContent.trim();
-				console.log(`📋 Decklist title: ${decklist.title}`);
-			}
-			
-			// Extract all sections
-			const sectionElements = element.querySelectorAll('.decklist-section > div');
-			console.log(`📋 Found ${sectionElements.length} sections in decklist`);
-			
-			sectionElements.forEach((sectionEl, index) => {
-				const section = {
-					header: '',
-					cards: []
-				};
-				
-				// Extract section header
-				const headerElement = sectionEl.querySelector('h5');
-				if (headerElement) {
-					section.header = headerElement.textContent.trim();
-				} else {
-					section.header = `Section ${index + 1}`;
-				}
-				
-				// Extract card list items
-				const cardElements = sectionEl.querySelectorAll('li');
-				cardElements.forEach(cardEl => {
-					const cardText = cardEl.textContent.trim();
-					if (cardText) {
-						section.cards.push(cardText);
-					}
-				});
-				
-				console.log(`📋 Section "${section.header}": ${section.cards.length} cards`);
-				decklist.sections.push(section);
-			});
-			
-		} catch (error) {
-			console.error('❌ Error parsing decklist structure:', error);
-		}
-		
-		return decklist;
-	}
-
-	/**
-	 * Calculate optimized section heights with tight spacing
-	 */
-	calculateOptimizedSectionHeights(sections) {
-		console.log('📏 Calculating optimized section heights');
-		
-		// TIGHT spacing for half-page optimization
-		const HEADER_HEIGHT = 5;    // Reduced from 6mm
-		const CARD_HEIGHT = 2.8;    // Reduced from 3.2mm  
-		const SECTION_SPACING = 1;  // Reduced from 3mm
-		
-		return sections.map(section => {
-			const cardsHeight = section.cards.length * CARD_HEIGHT;
-			const totalHeight = HEADER_HEIGHT + cardsHeight + SECTION_SPACING;
-			
-			console.log(`📏 Section "${section.header}": ${totalHeight.toFixed(1)}mm (${section.cards.length} cards)`);
-			
-			return {
-				...section,
-				height: totalHeight,
-				headerHeight: HEADER_HEIGHT,
-				cardHeight: CARD_HEIGHT
-			};
-		});
-	}
-
-	/**
-	 * Determine optimal font scale for half-page fit
-	 */
-	determineOptimalFontScale(totalHeight, availableHeight) {
-		console.log(`🔤 Determining font scale for ${totalHeight.toFixed(1)}mm in ${availableHeight}mm available`);
-		
-		const fontScales = [
-			{ name: 'Large', titleSize: 11, headerSize: 10, cardSize: 9, scale: 1.0 },
-			{ name: 'Medium', titleSize: 10, headerSize: 9, cardSize: 8, scale: 0.9 },
-			{ name: 'Small', titleSize: 9, headerSize: 8, cardSize: 7, scale: 0.8 },
-			{ name: 'XSmall', titleSize: 8, headerSize: 7, cardSize: 6, scale: 0.7 }
-		];
-		
-		// Find the largest scale that fits
-		for (const scale of fontScales) {
-			const scaledHeight = totalHeight * scale.scale;
-			const efficiency = (scaledHeight / availableHeight * 100);
-			
-			console.log(`   ${scale.name}: ${scaledHeight.toFixed(1)}mm (${efficiency.toFixed(1)}% of available)`);
-			
-			if (scaledHeight <= availableHeight) {
-				console.log(`   ✅ Selected: ${scale.name} scale`);
-				return {
-					...scale,
-					efficiency: efficiency.toFixed(1) + '%'
-				};
-			}
-		}
-		
-		// If nothing fits, use smallest scale
-		const smallest = fontScales[fontScales.length - 1];
-		console.log(`   ⚠️ Forced to use: ${smallest.name} scale (exceeds space)`);
-		return {
-			...smallest,
-			efficiency: 'forced (exceeds space)'
-		};
-	}
-
-	/**
-	 * Apply font scaling to section heights
-	 */
-	applyFontScaling(sections, scale) {
-		console.log(`📐 Applying ${scale}x scaling to sections`);
-		
-		return sections.map(section => ({
-			...section,
-			height: section.height * scale,
-			headerHeight: section.headerHeight * scale,
-			cardHeight: section.cardHeight * scale
-		}));
-	}
-
-	distributeToFourColumnsWaterfall(sections, maxColumnHeight) {
-		console.log(`📊 Waterfall distribution (${maxColumnHeight}mm max per column)`);
-		
-		const columns = [[], [], [], []];
-		const columnHeights = [0, 0, 0, 0];
-		
-		let currentColumn = 0;
-		
-		for (const section of sections) {
-			const sectionHeight = section.height;
-			
-			// Try to fit in current column
-			if (columnHeights[currentColumn] + sectionHeight <= maxColumnHeight) {
-				// Fits in current column
-				columns[currentColumn].push(section);
-				columnHeights[currentColumn] += sectionHeight;
-				console.log(`📦 Added "${section.header}" to column ${currentColumn + 1}, height: ${columnHeights[currentColumn].toFixed(1)}mm`);
-			} 
-			// Try next column
-			else if (currentColumn < 3) {
-				// Move to next column
-				currentColumn++;
-				
-				if (columnHeights[currentColumn] + sectionHeight <= maxColumnHeight) {
-					columns[currentColumn].push(section);
-					columnHeights[currentColumn] += sectionHeight;
-					console.log(`↪️ Moved "${section.header}" to column ${currentColumn + 1}, height: ${columnHeights[currentColumn].toFixed(1)}mm`);
-				} else {
-					// Even next column can't fit, try to fit anyway (orphan protection will handle)
-					console.log(`⚠️ Section "${section.header}" (${sectionHeight.toFixed(1)}mm) too tall for any column, forcing fit`);
-					columns[currentColumn].push(section);
-					columnHeights[currentColumn] += sectionHeight;
-				}
-			}
-			// Last column - try to fit or force
-			else {
-				console.log(`⚠️ Last column - forcing "${section.header}" into column 4`);
-				columns[3].push(section);
-				columnHeights[3] += sectionHeight;
-			}
-		}
-		
-		// Log distribution results
-		columns.forEach((colSections, index) => {
-			const colHeight = columnHeights[index];
-			const utilization = (colHeight / maxColumnHeight * 100).toFixed(1);
-			console.log(`✅ Column ${index + 1}: ${colSections.length} sections, ${colHeight.toFixed(1)}mm (${utilization}% used)`);
-		});
-		
-		// Check for orphaned headers
-		this.applyOrphanProtection(columns, maxColumnHeight);
-		
-		return columns;
-	}
-	
-	/**
-	 * Prevent orphaned headers at column bottoms
-	 * Moves headers with no cards to next column
-	 */
-	applyOrphanProtection(columns, maxColumnHeight) {
-		console.log('🔍 Applying orphan protection...');
-		
-		for (let colIndex = 0; colIndex < 3; colIndex++) { // Don't check last column
-			const column = columns[colIndex];
-			if (column.length === 0) continue;
-			
-			const lastSection = column[column.length - 1];
-			
-			// If last section has cards and header might be orphaned
-			if (lastSection && lastSection.cards && lastSection.cards.length > 0) {
-				const estimatedHeight = lastSection.headerHeight + (lastSection.cards.length * lastSection.cardHeight);
-				
-				// Check if adding just one card would exceed column height
-				const spaceForHeaderOnly = maxColumnHeight - 
-					(this.calculateColumnHeight(columns[colIndex].slice(0, -1)) + lastSection.headerHeight);
-				
-				const spaceForHeaderPlusOneCard = maxColumnHeight - 
-					(this.calculateColumnHeight(columns[colIndex].slice(0, -1)) + 
-					 lastSection.headerHeight + lastSection.cardHeight);
-				
-				// If header fits but first card doesn't
-				if (spaceForHeaderOnly >= 0 && spaceForHeaderPlusOneCard < 0) {
-					console.log(`⚠️ Orphan detected in column ${colIndex + 1}: "${lastSection.header}"`);
-					
-					// Move entire section to next column
-					column.pop();
-					columns[colIndex + 1].unshift(lastSection); // Add to start of next column
-					console.log(`   ↪️ Moved to column ${colIndex + 2}`);
-				}
-			}
-		}
-	}
-
-	/**
-	 * Calculate total height of sections in a column
-	 */
-	calculateColumnHeight(sections) {
-		return sections.reduce((sum, section) => sum + section.height, 0);
-	}
-		
-	renderDecklistAsText(pdf, element, startX, startY, availableWidth, pageHeight) {
-			
-		// PHASE 1: Parse decklist structure
-		const decklistData = this.parseDecklistStructure(element);
-		if (!decklistData.sections || decklistData.sections.length === 0) {
-			console.log('⚠️ No decklist sections found');
-			return startY;
-		}
-		
-		console.log(`📋 Decklist parsed: ${decklistData.sections.length} sections, ${decklistData.sections.reduce((sum, s) => sum + s.cards.length, 0)} cards`);
-		
-		// PHASE 2: Calculate metrics and check placement
-		const PAGE_HEIGHT = 297; // mm
-		const MARGIN_TOP = 15; // mm
-		const MARGIN_BOTTOM = 15; // mm
-		const AVAILABLE_PAGE_HEIGHT = PAGE_HEIGHT - MARGIN_TOP - MARGIN_BOTTOM; // 267mm
-		const HALF_PAGE = AVAILABLE_PAGE_HEIGHT / 2; // 133.5mm
-		const TITLE_HEIGHT = 8; // mm
-		const AVAILABLE_COLUMN_HEIGHT = HALF_PAGE - TITLE_HEIGHT; // 125.5mm per column
-		
-		console.log(`📐 Space allocation: ${AVAILABLE_COLUMN_HEIGHT}mm for columns + ${TITLE_HEIGHT}mm for title = ${HALF_PAGE}mm total`);
-		
-		// Calculate base heights
-		const baseHeights = this.calculateOptimizedSectionHeights(decklistData.sections);
-		const totalBaseHeight = baseHeights.reduce((sum, section) => sum + section.height, 0);
-		
-		console.log(`📏 Base content height: ${totalBaseHeight.toFixed(1)}mm (target: ≤${AVAILABLE_COLUMN_HEIGHT}mm)`);
-		
-		// PHASE 3: Determine optimal font scale
-		const TOTAL_COLUMN_SPACE = 140 * 4; // 140mm per column × 4 columns
-		const fontScale = this.determineOptimalFontScale(totalBaseHeight, TOTAL_COLUMN_SPACE);
-		console.log(`🔤 Font scale selected: ${fontScale.name} (${fontScale.scale}x)`);
-		
-		// Apply scaling
-		const scaledSections = this.applyFontScaling(baseHeights, fontScale.scale);
-		const totalScaledHeight = scaledSections.reduce((sum, section) => sum + section.height, 0);
-		const totalDecklistHeight = totalScaledHeight + TITLE_HEIGHT;
-		
-		console.log(`📐 Final dimensions: ${totalScaledHeight.toFixed(1)}mm columns + ${TITLE_HEIGHT}mm title = ${totalDecklistHeight.toFixed(1)}mm total`);
-		
-		// PHASE 4: Check placement on current page
-		const spaceToBottom = pageHeight - startY;
-		console.log(`📍 Placement check: ${spaceToBottom.toFixed(1)}mm available to bottom of page`);
-		
-		if (spaceToBottom < HALF_PAGE) {
-			console.log(`📄 Insufficient space (${spaceToBottom.toFixed(1)}mm < ${totalDecklistHeight.toFixed(1)}mm), starting on new page`);
-			pdf.addPage();
-			startY = 15; // Top margin of new page
-		} else {
-			console.log(`✅ Decklist fits at Y: ${startY}mm (${spaceToBottom.toFixed(1)}mm available)`);
-		}
-		
-		// PHASE 5: Waterfall column distribution
-		// EACH COLUMN gets FULL 140mm height (parallel columns, not stacked)
-		const PER_COLUMN_MAX_HEIGHT = AVAILABLE_COLUMN_HEIGHT; // 140mm per column
-		const columns = this.distributeToFourColumnsWaterfall(scaledSections, PER_COLUMN_MAX_HEIGHT);
-
-		// Add diagnostic logging
-		console.log(`📊 Distributing sections across 4 columns, ${PER_COLUMN_MAX_HEIGHT}mm max per column`);
-		console.log(`📊 Total scaled content: ${totalScaledHeight.toFixed(1)}mm across all sections`);
-		
-		// PHASE 6: Render decklist
-		let currentY = startY;
-		
-		// Render title
-		if (decklistData.title) {
-			pdf.setFontSize(fontScale.titleSize);
-			pdf.setFont(undefined, 'bold');
-			pdf.text(decklistData.title, startX + availableWidth / 2, currentY, { align: 'center' });
-			currentY += 8;
-			console.log(`📝 Rendered title: "${decklistData.title}" at Y: ${startY}mm`);
-		}
-		
-		// 4-column layout with consistent gutter spacing
-		const columnWidth = (availableWidth - 15) / 4; // 15mm total gutter
-		const columnGutter = 5;
-		
-		// Render all 4 columns
-		let maxColumnY = currentY;
-		
-		for (let columnIndex = 0; columnIndex < 4; columnIndex++) {
-			const columnSections = columns[columnIndex];
-			if (columnSections.length === 0) {
-				console.log(`➖ Column ${columnIndex + 1}: empty`);
-				continue;
-			}
-			
-			const columnX = startX + (columnIndex * (columnWidth + columnGutter));
-			let columnY = currentY;
-			
-			console.log(`📊 Column ${columnIndex + 1}: ${columnSections.length} sections`);
-			
-			columnSections.forEach((section, sectionIndex) => {
-				// Render section header with orphan protection
-				pdf.setFontSize(fontScale.headerSize);
-				pdf.setFont(undefined, 'bold');
-				
-				const headerLines = pdf.splitTextToSize(section.header, columnWidth - 2);
-				
-				headerLines.forEach((line, lineIndex) => {
-					pdf.text(line, columnX, columnY + (lineIndex * fontScale.headerSize * 0.35));
-				});
-				
-				columnY += headerLines.length * fontScale.headerSize * 0.35 + 1;
-				console.log(`   📝 Section "${section.header}" header rendered`);
-				
-				// Render at least one card line for orphan protection
-				pdf.setFontSize(fontScale.cardSize);
-				pdf.setFont(undefined, 'normal');
-				
-				if (section.cards.length > 0) {
-					const firstCard = section.cards[0];
-					const lines = pdf.splitTextToSize(firstCard, columnWidth - 2);
-					
-					lines.forEach(line => {
-						pdf.text(line, columnX, columnY);
-						columnY += fontScale.cardSize * 0.3 + 0.5;
-					});
-					
-					console.log(`   ✓ First card rendered (orphan protection)`);
-				}
-				
-				// Render remaining cards
-				for (let i = 1; i < section.cards.length; i++) {
-					const cardText = section.cards[i];
-					const lines = pdf.splitTextToSize(cardText, columnWidth - 2);
-					
-					lines.forEach(line => {
-						pdf.text(line, columnX, columnY);
-						columnY += fontScale.cardSize * 0.3 + 0.5;
-					});
-				}
-				
-				columnY += 1; // Section spacing
-				console.log(`   📋 ${section.cards.length} cards rendered`);
-			});
-			
-			//DIAGNOSTIC CODE//
-			console.log(`🔚 renderDecklistAsText RETURNING: ${Math.max(maxColumnY, startY)}mm`);
-			console.log(`🔚 Max column Y: ${maxColumnY}mm, Start Y: ${startY}mm`);
-			console.log(`   startY (passed): ${startY}mm`);
-			console.log(`   Returning: ${Math.max(maxColumnY, startY)}mm`);
-			console.log(`   Should continue at: ${Math.max(maxColumnY, startY) + 5}mm`);
-			///////////////////
-			
-			maxColumnY = Math.max(maxColumnY, columnY);
-			console.log(`✅ Column ${columnIndex + 1} complete, height: ${(columnY - currentY).toFixed(1)}mm`);
-		}
-		
-		// PHASE 7: Determine content continuation
-		const spaceRemaining = pageHeight - maxColumnY - 15;
-		console.log(`📄 Content continuation: ${spaceRemaining.toFixed(1)}mm remaining`);
-		
-		if (spaceRemaining < 20) {
-			console.log(`⏩ Minimal space (${spaceRemaining.toFixed(1)}mm), starting next content on new page`);
-			return pageHeight; // Signal to start new page
-		} else {
-			console.log(`✅ Continuing content at Y: ${maxColumnY + 5}mm`);
-			return maxColumnY + 5; // Small gap, then continue
-		}
-	}
-
-	/**
-	 * Calculate optimized section heights with tighter spacing
-	 */
-	calculateOptimizedSectionHeights(sections) {
-		console.log('📏 Calculating optimized section heights with tight spacing');
-		
-		// TIGHTER spacing for half-page optimization
-		const HEADER_HEIGHT = 5;    // Reduced from 6mm
-		const CARD_HEIGHT = 2.8;    // Reduced from 3.2mm  
-		const SECTION_SPACING = 1;  // Reduced from 3mm
-		
-		return sections.map(section => {
-			const cardsHeight = section.cards.length * CARD_HEIGHT;
-			const totalHeight = HEADER_HEIGHT + cardsHeight + SECTION_SPACING;
-			
-			console.log(`📏 Section "${section.header}": ${totalHeight.toFixed(1)}mm (${section.cards.length} cards)`);
-			
-			return {
-				...section,
-				height: totalHeight,
-				headerHeight: HEADER_HEIGHT,
-				cardHeight: CARD_HEIGHT
-			};
-		});
-	}
-
-	// Replace the ENTIRE determineOptimalFontScale method with:
-
-	determineOptimalFontScale(totalHeight, availableHeight) {
-		console.log(`🔤 Determining font scale for ${totalHeight.toFixed(1)}mm in ${availableHeight}mm available`);
-		
-		const fontScales = [
-			{ name: 'Large', titleSize: 11, headerSize: 10, cardSize: 9, scale: 1.0 },
-			{ name: 'Medium', titleSize: 10, headerSize: 9, cardSize: 8, scale: 0.9 },
-			{ name: 'Small', titleSize: 9, headerSize: 8, cardSize: 7, scale: 0.8 },
-			{ name: 'XSmall', titleSize: 8, headerSize: 7, cardSize: 6, scale: 0.7 }
-		];
-		
-		// Strict constraint: MUST fit in available height
-		for (const scale of fontScales) {
-			const scaledHeight = totalHeight * scale.scale;
-			const efficiency = (scaledHeight / availableHeight * 100);
-			
-			console.log(`   ${scale.name}: ${scaledHeight.toFixed(1)}mm (${efficiency.toFixed(1)}% of available)`);
-			
-			if (scaledHeight <= availableHeight) {
-				console.log(`   ✅ Selected: ${scale.name} scale`);
-				return {
-					...scale,
-					efficiency: efficiency.toFixed(1) + '%'
-				};
-			}
-		}
-		
-		// If nothing fits perfectly, use smallest scale anyway (content will be truncated)
-		const smallest = fontScales[fontScales.length - 1];
-		console.log(`   ⚠️ No scale fits perfectly, using: ${smallest.name} scale (will exceed space)`);
-		return {
-			...smallest,
-			efficiency: 'exceeds space'
-		};
-	}
-
-	/**
-	 * Apply font scaling to section heights
-	 */
-	applyFontScaling(sections, scale) {
-		return sections.map(section => ({
-			...section,
-			height: section.height * scale,
-			headerHeight: section.headerHeight * scale,
-			cardHeight: section.cardHeight * scale
-		}));
-	}
-
-	/**
-	 * Distribute sections across 4 columns with improved algorithm
-	 * Ensures headers stay with at least one card when breaking columns
-	 */
-	distributeToFourColumns(sections, availableHeight) {
-		const columns = [[], [], [], []];
-		const columnHeights = [0, 0, 0, 0];
-		
-		let currentColumn = 0;
-		let attempts = 0;
-		const maxAttempts = sections.length * 4; // Prevent infinite loops
-		
-		console.log(`📊 Distributing ${sections.length} sections across 4 columns (max ${availableHeight}mm per column)`);
-		
-		for (const section of sections) {
-			let placed = false;
-			attempts = 0;
-			
-			while (!placed && attempts < maxAttempts) {
-				attempts++;
-				
-				// Check if section fits in current column
-				if (columnHeights[currentColumn] + section.height <= availableHeight) {
-					// Section fits, add to current column
-					columns[currentColumn].push(section);
-					columnHeights[currentColumn] += section.height;
-					placed = true;
-					console.log(`📦 Added "${section.header}" to column ${currentColumn + 1}, height: ${columnHeights[currentColumn].toFixed(1)}mm`);
-				} else if (currentColumn < 3) {
-					// Try next column
-					currentColumn++;
-					console.log(`↪️ Column ${currentColumn} full, trying column ${currentColumn + 1}`);
-				} else {
-					// All columns full, force into column with most space
-					const minHeightIndex = columnHeights.indexOf(Math.min(...columnHeights));
-					columns[minHeightIndex].push(section);
-					columnHeights[minHeightIndex] += section.height;
-					placed = true;
-					console.log(`⚠️ All columns full, forced "${section.header}" into column ${minHeightIndex + 1}`);
-				}
-			}
-			
-			if (!placed) {
-				console.error(`❌ Failed to place section: ${section.header}`);
-			}
-		}
-		
-		// Log distribution results
-		columns.forEach((colSections, index) => {
-			const colHeight = colSections.reduce((sum, section) => sum + section.height, 0);
-			const utilization = (colHeight / availableHeight * 100).toFixed(1);
-			console.log(`✅ Column ${index + 1}: ${colSections.length} sections, ${colHeight.toFixed(1)}mm (${utilization}% utilized)`);
-		});
-		
-		return columns;
-	}
-
-	/**
-	 * Enhanced page break logic for content following decklists
-	 */
-	calculateContentPlacement(currentY, contentHeight, pageHeight) {
-		const spaceRemaining = pageHeight - currentY - 15; // 15mm bottom margin
-		
-		// If only header would fit (less than 20mm), start on new page
-		if (spaceRemaining < 20) {
-			console.log('📄 Minimal space remaining, starting content on new page');
-			return {
-				newPage: true,
-				y: 15 // Start at top of new page
-			};
-		}
-		
-		// If content fits with reasonable space, place immediately
-		if (contentHeight <= spaceRemaining) {
-			console.log(`✅ Content fits, placing at Y: ${currentY}mm`);
-			return {
-				newPage: false,
-				y: currentY
-			};
-		}
-		
-		// Content doesn't fit, start on new page
-		console.log('📄 Content too tall, starting on new page');
-		return {
-			newPage: true,
-			y: 15
-		};
-	}
-
-
-	renderTextElement(pdf, element, x, y, width, pageHeight = 297, margin = 15) {
-		console.log(`📝 Rendering text element: ${element.className}`);
-		console.log(`🎯 renderTextElement called with: pageHeight=${pageHeight}, margin=${margin}`);
-		
-		const text = element.textContent.trim();
-		if (!text) return y;
-		
-		// Determine font size and style based on element class
-		let fontSize = 10;
-		let isBold = false;
-		
-		if (element.classList.contains('guide-title') || 
-			element.classList.contains('guide-header')) {
-			fontSize = 11;
-			isBold = true;
-		} else if (element.classList.contains('section-header')) {
-			fontSize = 12;
-			isBold = true;
-		} else {
-			fontSize = 10; // Regular paragraphs
-			isBold = false;
-		}
-		
-		// Apply font settings
-		pdf.setFontSize(fontSize);
-		pdf.setFont(undefined, isBold ? 'bold' : 'normal');
-		
-		// Split text into lines that fit available width
-		const maxTextWidth = width - 4; // 4mm padding
-		const lines = pdf.splitTextToSize(text, maxTextWidth);
-		
-		// Calculate line height
-		const lineHeight = fontSize * 0.35; // Convert pt to mm (approximate)
-		
-		// Check how many lines fit on current page
-		const spaceAvailable = pageHeight - margin - y;
-		const maxLinesFit = Math.floor(spaceAvailable / lineHeight);
-		
-		if (maxLinesFit < lines.length && maxLinesFit > 0) {
-			// Some lines fit, some need to go to next page
-			console.log(`📄 SPLITTING TEXT: ${lines.length} total lines, ${maxLinesFit} fit on current page`);
-			
-			// Render lines that fit
-			for (let i = 0; i < maxLinesFit; i++) {
-				pdf.text(lines[i], x + 2, y + (i * lineHeight) + lineHeight);
-			}
-			
-			// Store remaining lines for next page
-			element._remainingLines = lines.slice(maxLinesFit);
-			element._fontSize = fontSize;
-			element._isBold = isBold;
-			
-			// Return Y position at bottom of page
-			return pageHeight - margin;
-		} else {
-			// All lines fit or none fit
-			lines.forEach((line, index) => {
-				pdf.text(line, x + 2, y + (index * lineHeight) + lineHeight);
-			});
-			
-			const totalHeight = lines.length * lineHeight;
-			const newY = y + totalHeight + 4; // 4mm spacing after element
-			console.log(`📝 Text rendered, ${lines.length} lines, new Y: ${newY}mm`);
-			return newY;
-		}
-	}
-
-	renderRemainingText(pdf, element, x, y, width, pageHeight = 297, margin = 15) {
-		if (!element._remainingLines || element._remainingLines.length === 0) {
-			return y;
-		}
-		
-		console.log(`📄 Continuing split text: ${element._remainingLines.length} remaining lines`);
-		
-		// Apply stored font settings
-		pdf.setFontSize(element._fontSize);
-		pdf.setFont(undefined, element._isBold ? 'bold' : 'normal');
-		
-		const lineHeight = element._fontSize * 0.35;
-		const lines = element._remainingLines;
-		
-		// Render all remaining lines
-		lines.forEach((line, index) => {
-			pdf.text(line, x + 2, y + (index * lineHeight) + lineHeight);
-		});
-		
-		const totalHeight = lines.length * lineHeight;
-		const newY = y + totalHeight + 4; // 4mm spacing
-		
-		// Clear stored lines
-		delete element._remainingLines;
-		delete element._fontSize;
-		delete element._isBold;
-		
-		console.log(`📝 Continued text rendered, ${lines.length} lines, new Y: ${newY}mm`);
-		return newY;
-	}
-
-	async renderUpgradeCardToPDF(pdf, cardElement, x, y, width, height) {
-		console.log('🃏 Rendering upgrade card - SIMPLE FIX');
-		
-		// HIDE inclusion percentage temporarily
-		const inclusionElement = cardElement.querySelector('.inclusion-percentage');
-		let originalDisplay = '';
-		if (inclusionElement) {
-			originalDisplay = inclusionElement.style.display;
-			inclusionElement.style.display = 'none';
-		}
-		
-		try {
-			// USE THE EXACT SAME METHOD THAT WORKS FOR COMMANDER LISTS
-			await this.addPrintCardToPDF(pdf, cardElement, x, y, width, height);
-			console.log('✅ Upgrade card rendered successfully');
-		} catch (error) {
-			console.error('❌ Card render failed:', error);
-			throw error;
-		} finally {
-			// RESTORE inclusion element
-			if (inclusionElement) {
-				inclusionElement.style.display = originalDisplay;
-			}
-		}
-	}
-	
-	/**
-	 * Render card grid section using existing commander list PDF logic
-	 * Reuses the proven card rendering system for consistent quality
-	 */
-	async renderCardGridSection(pdf, cardFrames, startX, startY, availableWidth, pageHeight, isUpgradeGuide = false) {
-		console.log(`🃏 Rendering ${cardFrames.length} cards using ${isUpgradeGuide ? 'UPGRADE' : 'commander'} list system`);
-		
-		const cardsPerRow = 4;
-		const cardsPerColumn = 6;
-		const sectionHeaderHeight = 8;
-		
-		const cardWidth = availableWidth / cardsPerRow;
-		const cardHeight = (pageHeight - (2 * 15)) / cardsPerColumn; // 15mm margins
-		
-		let currentY = startY;
-		let currentCol = 0;
-		
-		// Check if we need a new page for this card section
-		if (currentY + cardHeight > pageHeight - 15) {
-			pdf.addPage();
-			currentY = 15;
-		}
-		
-		// Render cards in grid layout (same as commander lists)
-		for (let i = 0; i < cardFrames.length; i++) {
-			const card = cardFrames[i];
-			
-			// Check if we need new row
-			if (currentCol >= cardsPerRow) {
-				currentCol = 0;
-				currentY += cardHeight;
-			}
-			
-			// Check if card fits on current page
-			if (currentY + cardHeight > pageHeight - 15) {
-				pdf.addPage();
-				currentY = 15;
-				currentCol = 0;
-			}
-			
-			const cardX = startX + (currentCol * cardWidth);
-			
-			// USE THE APPROPRIATE CARD RENDERER
-			if (isUpgradeGuide) {
-				await this.addPrintCardToPDF(pdf, card, cardX, currentY, cardWidth, cardHeight);
-			} else {
-				await this.addPrintCardToPDF(pdf, card, cardX, currentY, cardWidth, cardHeight);
-			}
-			
-			currentCol++;
-		}
-		
-		// Move to next row after section
-		if (currentCol !== 0) {
-			currentY += cardHeight;
-		}
-		
-		return currentY;
-	}
-		
-	/**
-	 * Group elements by header-content relationships to prevent page breaks
-	 * Ensures headers stay with their following content blocks
-	 * @param {Array} elements - DOM elements from cardGrid
-	 * @returns {Array} Grouped elements where headers are with their content
-	 */
-	groupContentWithHeaders(elements) {
-		console.log('📋 Grouping elements by header-content relationships');
-		
-		const groups = [];
-		let currentGroup = [];
-		
-		for (const element of elements) {
-			const isHeader = element.classList.contains('guide-header') || 
-							element.classList.contains('section-header') ||
-							element.tagName?.match(/^H[1-6]$/);
-			
-			if (isHeader && currentGroup.length > 0) {
-				// Start new group when we encounter a header (and we already have a group)
-				console.log(`📦 Creating new group with ${currentGroup.length} elements`);
-				groups.push(currentGroup);
-				currentGroup = [element];
-			} else {
-				// Add to current group
-				currentGroup.push(element);
-			}
-		}
-		
-		// Don't forget the last group
-		if (currentGroup.length > 0) {
-			console.log(`📦 Final group with ${currentGroup.length} elements`);
-			groups.push(currentGroup);
-		}
-		
-		console.log(`✅ Created ${groups.length} content groups`);
-		return groups;
-	}
-
-	/**
-	 * Estimate total height of a content group to prevent page breaks within groups
-	 * Uses conservative estimates to ensure groups stay together
-	 * @param {Array} group - Group of DOM elements
-	 * @param {number} availableWidth - Available width in mm
-	 * @param {number} pageHeight - Page height in mm
-	 * @returns {number} Estimated total height in mm
-	 */
-	estimateGroupHeight(group, availableWidth, pageHeight) {
-		let totalHeight = 0;
-		
-		console.log(`📏 Estimating height for group with ${group.length} elements`);
-		
-		for (const element of group) {
-			if (element.classList.contains('guide-cardlist')) {
-				// Estimate decklist height using our precise calculation
-				try {
-					const decklistData = this.parseDecklistStructure(element);
-					if (decklistData.sections && decklistData.sections.length > 0) {
-						const sectionsWithHeights = this.calculateSectionHeights(decklistData.sections);
-						const decklistHeight = sectionsWithHeights.reduce((sum, section) => sum + section.height, 0);
-						totalHeight += decklistHeight + 15; // Add title and spacing
-						console.log(`📏 Decklist estimated: ${decklistHeight}mm`);
-					}
-				} catch (error) {
-					// Fallback estimate
-					totalHeight += 80;
-				}
-			} else if (element.classList.contains('card-frame')) {
-				// Card grid section - count all consecutive card frames in group
-				const cardIndex = group.indexOf(element);
-				const remainingElements = group.slice(cardIndex);
-				const cardFrames = remainingElements.filter(el => el.classList.contains('card-frame'));
-				
-				if (cardFrames.length > 0) {
-					const cardsPerRow = 4;
-					const cardHeight = 45; // Standard card height
-					const rows = Math.ceil(cardFrames.length / cardsPerRow);
-					const cardSectionHeight = rows * cardHeight + 10; // 10mm for spacing
-					totalHeight += cardSectionHeight;
-					console.log(`📏 Card grid estimated: ${cardSectionHeight}mm for ${cardFrames.length} cards`);
-					break; // Don't count individual card frames multiple times
-				}
-			} else if (element.classList.contains('upgrade-guide-header')) {
-				// Guide header - fixed height
-				totalHeight += 30;
-			} else if (element.classList.contains('guide-header') || element.classList.contains('section-header')) {
-				// Headers - fixed height with spacing
-				totalHeight += 15;
-			} else {
-				// Text content - estimate based on text length
-				const text = element.textContent || '';
-				const approxLines = Math.ceil(text.length / 80); // Rough chars per line
-				totalHeight += Math.max(20, approxLines * 5); // 5mm per line
-			}
-			
-			// Add spacing between elements
-			totalHeight += 5;
-		}
-		
-		console.log(`📏 Total group height: ${totalHeight}mm`);
-		return totalHeight;
-	}
-
-	
-	/**
-	 * SIMPLE height estimation - no bullshit
-	 */
-	estimateElementHeight(element) {
-		if (element.classList.contains('guide-cardlist')) {
-			const sections = element.querySelectorAll('.decklist-section > div');
-			let cardCount = 0;
-			sections.forEach(section => {
-				cardCount += section.querySelectorAll('li').length;
-			});
-			return Math.max(40, cardCount * 2.5 + 20); // Tight spacing
-		} else if (element.classList.contains('card-grid')) {
-			// ADD THIS LINE - Minimal height for card grids
-			return 10;
-		} else if (element.classList.contains('card-frame')) {
-			return 45; // Standard card height
-		} else if (element.classList.contains('guide-header') || element.classList.contains('section-header')) {
-			return 12; // Header height
-		} else {
-			// Text content - tight estimation
-			const text = element.textContent || '';
-			const lines = Math.ceil(text.length / 80);
-			return Math.max(20, lines * 6 + 8); // Line height size
-		}
-	}
-
-	/**
-	 * TIGHT text rendering - minimal spacing
-	 */
-	renderCompactTextElement(pdf, element, x, y, width) {
-		const text = element.textContent.trim();
-		if (!text) return y;
-		
-		let fontSize = 10;
-		let isBold = false;
-		
-		if (element.classList.contains('guide-title') || element.classList.contains('guide-header')) {
-			fontSize = 11;
-			isBold = true;
-		} else if (element.classList.contains('section-header')) {
-			fontSize = 12;
-			isBold = true;
-		}
-		
-		pdf.setFontSize(fontSize);
-		pdf.setFont(undefined, isBold ? 'bold' : 'normal');
-		
-		const maxTextWidth = width - 4;
-		const lines = pdf.splitTextToSize(text, maxTextWidth);
-		
-		// TIGHT line spacing
-		const lineHeight = fontSize * 0.5;
-		const totalHeight = lines.length * lineHeight;
-		
-		lines.forEach((line, index) => {
-			pdf.text(line, x + 2, y + (index * lineHeight) + lineHeight);
-		});
-		
-		return y + totalHeight + 2; // Minimal spacing after
-	}
-
-}
-
-window.ExportManager = ExportManager;
+// VERSION:27
+// Export and Import Functions - CLEAN SINGLE IMPLEMENTATION
+class ExportManager {
+    constructor() {
+        this.pdfjs = window.jspdf;
+        this.debug = window.debugSystem || (window.app && window.app.debug);
+    }
+
+	async generatePdf(cardData, filename = 'edhrec-list.pdf') {
+		console.log('PDF Generation: Starting with content detection');
+		
+		try {
+			// DETECT CONTENT TYPE - Check if we're dealing with upgrade guide
+			const cardGrid = document.getElementById('cardGrid');
+			if (!cardGrid) throw new Error('Card grid element not found');
+			
+			const isUpgradeGuide = cardGrid.querySelector('.upgrade-guide-header') !== null ||
+								  cardGrid.querySelector('.guide-paragraph-group') !== null ||
+								  cardGrid.querySelector('.guide-cardlist') !== null;
+			
+			console.log(`📊 Content type: ${isUpgradeGuide ? 'Upgrade Guide' : 'Card Grid'}`);
+			
+			let restorationData = null;
+			
+			// The cut off and toolbar filters already hid their frames on screen (see card-filters.js)
+			// - for card grids this only drops cards banned in Commander
+			if (!isUpgradeGuide) {
+				restorationData = this.filterDOMForPDF();
+			}
+
+			this.showPDFLoading();
+				
+			const { jsPDF } = this.pdfjs;
+			const pdf = new jsPDF('p', 'mm', 'a4');
+			
+			// PDF COORDINATE SYSTEM
+			const pageWidth = 210;
+			const pageHeight = 297;
+			const margin = 8;
+			
+			// BRANCH BASED ON CONTENT TYPE
+			if (isUpgradeGuide) {
+				await this.generateUpgradeGuidePDF(pdf, pageWidth, pageHeight, margin);
+			} else {
+				await this.generateCardGridPDF(pdf, pageWidth, pageHeight, margin);
+				
+				// DEMO DATA: stamp every page so the sample list can't pass as real
+				if (cardGrid.querySelector('.demo-banner')) {
+					this.addDemoLabelToPDF(pdf, pageWidth);
+				}
+			}
+
+			// Download
+			pdf.save(filename);
+			this.hidePDFLoading();
+			
+			console.log('PDF Generation: Completed successfully');
+			
+			// RESTORE DOM if filtering was applied
+			if (restorationData) {
+				this.restoreDOMAfterPDF(restorationData);
+			}
+			
+			return true;
+			
+		} catch (error) {
+			console.error('PDF Generation: Failed with error:', error);
+			this.hidePDFLoading();
+			
+			// CRITICAL: Always restore DOM on error
+			if (restorationData) {
+				this.restoreDOMAfterPDF(restorationData);
+			}
+			
+			throw error;
+		}
+	}
+
+    async addPrintCardToPDF(pdf, cardElement, x, y, width, height) {
+        // Split and flip frames hold one .card-name per face - prefer the list name
+        const cardName = cardElement.querySelector('.card-name');
+        const name = cardElement.dataset.cardName || (cardName ? cardName.textContent : 'Unknown');
+        const isDoubleBack = cardElement.classList.contains('double-faced-back');
+        const backIndicator = cardElement.querySelector('.back-indicator');
+        
+        try {
+            const canvas = await html2canvas(cardElement, {
+                scale: 1.5,
+                useCORS: true,
+                allowTaint: true,
+                backgroundColor: '#ffffff',
+                onclone: function(clonedDoc, element) {
+					
+					// STEP 1: Back indicator styling
+                    const clonedBackIndicator = element.querySelector('.back-indicator');     
+                    if (clonedBackIndicator) {
+                        clonedBackIndicator.setAttribute('style', '');
+                        clonedBackIndicator.style.cssText = `
+                            color: white !important;
+                            background-color: #444 !important;
+                            border: 2px solid #444 !important;
+                            font-weight: bold !important;
+                            padding: 4px 8px !important;
+                            border-radius: 6px !important;
+                            font-size: 0.9em !important;
+                            text-align: center !important;
+                            display: inline-block !important;
+                            margin: 3px 0 3px 0 !important;
+                            min-width: 80px !important;
+							line-height: 1.2 !important;
+                        `;
+                    }
+                    
+                    // STEP 2: Apply general white background (excluding back indicators AND their children)
+                    const allElements = clonedDoc.querySelectorAll('*');
+                    allElements.forEach(el => {
+                        // Skip back indicators AND any elements inside back indicators
+                        const isInBackIndicator = el.closest('.back-indicator');
+                        if (!el.classList.contains('back-indicator') && !isInBackIndicator) {
+                            el.style.color = '#000000';
+                            el.style.backgroundColor = '#ffffff';
+                            el.style.boxShadow = 'none';
+                        }
+                    });
+                    
+                    // STEP 3: Apply card frame styling
+                    const cardFrames = clonedDoc.querySelectorAll('.card-frame');
+                    cardFrames.forEach(frame => {
+                        frame.style.border = '1px solid #888888';
+                        frame.style.background = '#ffffff';
+                    });
+					
+					// STEP 4: ADD SYMBOL SCALING COMPENSATION FOR PDF (1.4x)
+					const symbolElements = element.querySelectorAll('.set-symbol-stats');
+					symbolElements.forEach(symbol => {
+						symbol.style.transform = 'scale(1.4)'; // Compensation for physical 0.5x reduction
+						symbol.style.transformOrigin = 'center center';
+					});					
+					
+					// STEP 5: Multi-face layouts - keep the face dividers visible on white
+					element.querySelectorAll('.card-split-half + .card-split-half, .card-flip-bottom').forEach(part => {
+						part.style.borderColor = '#888888';
+					});
+					element.querySelectorAll('.card-adventure, .card-meld').forEach(part => {
+						part.style.border = '1px solid #888888';
+					});
+					
+                }
+            });
+
+            const imgData = canvas.toDataURL('image/png');
+            pdf.addImage(imgData, 'PNG', x, y, width, height);
+            
+            // MEDIUM GREY border around card
+            pdf.setDrawColor(136, 136, 136);
+            pdf.setLineWidth(0.3);
+            pdf.rect(x, y, width, height, 'D');
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Card render failed:', error);
+            
+            // Fallback
+            pdf.setFillColor(255, 255, 255);
+            pdf.setDrawColor(136, 136, 136);
+            pdf.setLineWidth(0.3);
+            pdf.rect(x, y, width, height, 'FD');
+            
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFontSize(7);
+            const text = name.substring(0, 30);
+            pdf.text(text, x + 2, y + 8);
+            
+            return false;
+        }
+    }
+
+    groupElementsBySection(gridChildren) {
+        const sections = [];
+        let currentSection = { header: null, cards: [] };
+        
+        for (const element of gridChildren) {
+            // Banners are page-level labels, not cards
+            if (element.classList.contains('demo-banner')) continue;
+            
+            if (element.classList.contains('section-header')) {
+                // Save previous section if it has content
+                if (currentSection.header || currentSection.cards.length > 0) {
+                    sections.push(currentSection);
+                }
+                // Start new section
+                currentSection = { header: element, cards: [] };
+            } else {
+                // Add card to current section
+                currentSection.cards.push(element);
+            }
+        }
+        
+        // Don't forget the last section
+        if (currentSection.header || currentSection.cards.length > 0) {
+            sections.push(currentSection);
+        }
+        
+        return sections;
+    }
+
+    addPrintSectionHeader(pdf, sectionText, x, y, width, height) {
+        // Black text inside the wire frame
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'bold');
+        
+        const text = sectionText.trim();
+        const centerX = x + (width / 2);
+        const centerY = y + (height / 2) + 2;
+        
+        pdf.text(text, centerX, centerY, { align: 'center' });
+    }
+
+    downloadTextFile(cardData, filename = 'edhrec-list.txt') {
+        this.saveTextFile(this.exportToText(cardData), filename);
+    }
+
+    /**
+     * Download a snapshot diff (see SnapshotHistory.diff)
+     * @param {Object} diff - Diff result
+     * @param {string} title - Commander / page name for the heading
+     */
+    downloadDiffFile(diff, title, filename = 'edhrec-diff.txt') {
+        this.saveTextFile(this.exportDiffToText(diff, title), filename);
+    }
+
+    saveTextFile(textContent, filename) {
+        try {
+            const blob = new Blob([textContent], { type: 'text/plain;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+            
+        } catch (error) {
+            console.error('Text download failed:', error);
+            alert('Download failed. Please check your browser settings.');
+        }
+    }
+
+    exportToText(cardData) {
+        const lines = [];
+        const demoLabel = cardData._demo ? ' - DEMO DATA' : '';
+        
+        lines.push(`EDHREC Card List${demoLabel}`);
+        if (cardData._demo) {
+            lines.push('// DEMO DATA: sample cards, not real EDHREC recommendations');
+        }
+        if (cardData._variant) {
+            lines.push(`Page: ${cardData._variant}`);
+        }
+        if (cardData._comparison) {
+            lines.push(`Comparison: ${cardData._comparison.commanders.join(' vs ')}`);
+        }
+        lines.push(`Generated on: ${new Date().toLocaleDateString()}\n`);
+        
+        for (const [sectionName, cards] of Object.entries(cardData)) {
+            // Skip metadata entries like _demo
+            if (!Array.isArray(cards)) continue;
+            
+            lines.push(`${sectionName}${demoLabel} (${cards.length} cards)`);
+            lines.push('='.repeat(sectionName.length + demoLabel.length + 10));
+            
+            cards.forEach(card => {
+                lines.push(`• ${card.name} - ${card.inclusion}${this.formatCardStatsText(card)}`);
+            });
+            
+            lines.push('');
+        }
+        
+        return lines.join('\n');
+    }
+
+    exportDiffToText(diff, title) {
+        const lines = [];
+        
+        lines.push(`EDHREC Snapshot Diff - ${title}${diff.variant ? ` (${diff.variant})` : ''}`);
+        lines.push(`From: ${new Date(diff.from).toLocaleString()}`);
+        lines.push(`To: ${new Date(diff.to).toLocaleString()}\n`);
+        
+        if (diff.sections.length === 0) {
+            lines.push('No changes between these snapshots.');
+        }
+        
+        diff.sections.forEach(section => {
+            lines.push(section.name);
+            lines.push('='.repeat(section.name.length));
+            
+            section.entered.forEach(card => {
+                lines.push(`+ ${card.name} - ${card.inclusion} (new)`);
+            });
+            section.left.forEach(card => {
+                lines.push(`- ${card.name} - was ${card.inclusion} (left)`);
+            });
+            section.changed.forEach(change => {
+                lines.push(`${change.delta > 0 ? '▲' : '▼'} ${change.name} - ${change.from}% → ${change.to}% (${change.delta > 0 ? '+' : ''}${change.delta})`);
+            });
+            
+            lines.push('');
+        });
+        
+        return lines.join('\n');
+    }
+
+    // Extra stats appended to a text line: " | synergy +12% | 1,234 of 5,678 decks"
+    formatCardStatsText(card) {
+        let text = '';
+        if (Array.isArray(card.comparison)) {
+            text += ` | ${card.comparison.map(entry => `${entry.commander} ${entry.inclusion || '-'}`).join(', ')}`;
+        }
+        if (card.synergy) {
+            text += ` | synergy ${card.synergy}`;
+        }
+        if (card.num_decks && card.potential_decks) {
+            text += ` | ${card.num_decks.toLocaleString()} of ${card.potential_decks.toLocaleString()} decks`;
+        }
+        return text;
+    }
+
+    showPDFLoading() {
+        let loadingOverlay = document.getElementById('pdfLoadingOverlay');
+        if (!loadingOverlay) {
+            loadingOverlay = document.createElement('div');
+            loadingOverlay.id = 'pdfLoadingOverlay';
+            loadingOverlay.innerHTML = `
+                <div class="pdf-loading-content">
+                    <div class="pdf-spinner"></div>
+                    <p>Generating PDF...</p>
+                </div>
+            `;
+            document.body.appendChild(loadingOverlay);
+            
+            const style = document.createElement('style');
+            style.textContent = `
+                #pdfLoadingOverlay {
+                    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+                    background: rgba(0, 0, 0, 0.7); display: flex;
+                    justify-content: center; align-items: center; z-index: 10000;
+                    color: white; font-size: 18px;
+                }
+                .pdf-loading-content {
+                    text-align: center; background: #2c3e50; padding: 30px;
+                    border-radius: 10px; box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+                }
+                .pdf-spinner {
+                    border: 4px solid #f3f3f3; border-top: 4px solid #3498db;
+                    border-radius: 50%; width: 50px; height: 50px;
+                    animation: spin 1s linear infinite; margin: 0 auto 20px;
+                }
+                @keyframes spin {
+                    0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        loadingOverlay.style.display = 'flex';
+    }
+
+    hidePDFLoading() {
+        const loadingOverlay = document.getElementById('pdfLoadingOverlay');
+        if (loadingOverlay) loadingOverlay.style.display = 'none';
+    }
+
+    parseCardList(textContent) {
+        const lines = textContent.split('\n');
+        const cards = [];
+        let currentSection = 'Imported Cards';
+        
+        for (const line of lines) {
+            // Strip the bullet written by exportToText
+            const trimmedLine = line.trim().replace(/^•\s*/, '');
+            if (!trimmedLine || trimmedLine.startsWith('//') || trimmedLine.startsWith('#')) continue;
+            
+            if (trimmedLine.endsWith(')') && trimmedLine.includes('(')) {
+                currentSection = trimmedLine.split('(')[0].trim();
+                continue;
+            }
+            
+            // Split off " | synergy ... | ... decks" stats written by exportToText
+            const [mainPart, ...statParts] = trimmedLine.split(' | ');
+            const stats = this.parseCardStatsText(statParts);
+            
+            let cardName = mainPart;
+            let inclusion = '';
+            
+            if (mainPart.includes('-')) {
+                const parts = mainPart.split('-').map(part => part.trim());
+                if (parts.length >= 2) {
+                    cardName = parts.slice(0, -1).join('-').trim();
+                    inclusion = parts[parts.length - 1];
+                    if (!inclusion.includes('%')) inclusion = '';
+                }
+            }
+            
+            if (/^\d+x\s/.test(cardName)) {
+                cardName = cardName.replace(/^\d+x\s/, '');
+            }
+            
+            const bracketMatch = cardName.match(/\[(.*?)\]\s*(.*)/);
+            if (bracketMatch) {
+                inclusion = bracketMatch[1];
+                cardName = bracketMatch[2];
+            }
+            
+            if (cardName) {
+                cards.push({ name: cardName, inclusion: inclusion || 'N/A', section: currentSection, ...stats });
+            }
+        }
+        
+        const sections = {};
+        cards.forEach(({ section, ...card }) => {
+            if (!sections[section]) sections[section] = [];
+            sections[section].push(card);
+        });
+        
+        return sections;
+    }
+    
+    // Inverse of formatCardStatsText
+    parseCardStatsText(statParts) {
+        const stats = {};
+        
+        statParts.forEach(part => {
+            const synergyMatch = part.match(/^synergy\s+([+-]?\d+(?:\.\d+)?%)$/i);
+            if (synergyMatch) {
+                stats.synergy = synergyMatch[1];
+                return;
+            }
+            
+            const decksMatch = part.match(/^([\d,]+)\s+of\s+([\d,]+)\s+decks?$/i);
+            if (decksMatch) {
+                stats.num_decks = parseInt(decksMatch[1].replace(/,/g, ''));
+                stats.potential_decks = parseInt(decksMatch[2].replace(/,/g, ''));
+            }
+        });
+        
+        return stats;
+    }
+
+    validateCardList(cardData) {
+        const errors = [];
+        const warnings = [];
+        
+        if (!cardData || Object.keys(cardData).length === 0) {
+            errors.push('No card data found');
+        } else {
+            let totalCards = 0;
+            for (const [section, cards] of Object.entries(cardData)) {
+                totalCards += cards.length;
+                if (cards.length === 0) warnings.push(`Section "${section}" is empty`);
+                cards.forEach((card, index) => {
+                    if (!card.name || card.name.trim().length === 0) {
+                        errors.push(`Empty card name in ${section} at position ${index + 1}`);
+                    }
+                    if (card.name && card.name.length > 100) {
+                        warnings.push(`Long card name in ${section}: "${card.name.substring(0, 50)}..."`);
+                    }
+                });
+            }
+            if (totalCards === 0) errors.push('No valid cards found');
+            if (totalCards > 500) warnings.push(`Large list: ${totalCards} cards`);
+        }
+        
+        return { isValid: errors.length === 0, errors, warnings };
+    }
+	
+	/**
+	 * Drop cards below the cut off, section by section - the text export's side of the shared
+	 * cut off (the grid applies the same rule through CardFilters.applyToGrid)
+	 * @param {string} metric - 'inclusion' or 'synergy'
+	 */
+	filterCardsByInclusion(cardData, cutoffPercent, metric = 'inclusion') {
+		const filteredData = {};
+		
+		for (const [sectionName, cards] of Object.entries(cardData)) {
+			// Skip special properties like _deckCount
+			if (!Array.isArray(cards)) {
+				filteredData[sectionName] = cards;
+				continue;
+			}
+			
+			filteredData[sectionName] = cards.filter(card =>
+				window.cardFilters.passesCutoff(card, sectionName, cutoffPercent, metric));
+		}
+		
+		return filteredData;
+	}
+	
+	filterDOMForPDF() {
+		const cardGrid = document.getElementById('cardGrid');
+		if (!cardGrid) return null;
+
+		const restorationData = {
+			hiddenElements: []
+		};
+
+		const sections = this.groupElementsBySection(Array.from(cardGrid.children));
+		
+		sections.forEach(section => {
+			const sectionName = section.header?.dataset.section || section.header?.textContent?.trim() || '';
+			
+			// Banned recommendations never reach the PDF (the looked-up card of a card-mode list stays)
+			if (sectionName !== 'Card') {
+				section.cards
+					.filter(cardElement => cardElement.classList.contains('card-banned'))
+					.forEach(cardElement => {
+						restorationData.hiddenElements.push({
+							element: cardElement,
+							originalDisplay: cardElement.style.display
+						});
+						cardElement.style.display = 'none';
+					});
+			}
+		});
+
+		return restorationData;
+	}
+
+	restoreDOMAfterPDF(restorationData) {
+		if (!restorationData) return;
+		
+		restorationData.hiddenElements.forEach(item => {
+			if (item.element && item.element.style) {
+				item.element.style.display = item.originalDisplay || '';
+			}
+		});
+	}	
+
+	async generateCardGridPDF(pdf, pageWidth, pageHeight, margin) {
+		console.log('🃏 Generating Card Grid PDF');
+		
+		// CARD GRID LAYOUT CONSTANTS
+		const cardsPerRow = 4;
+		const cardsPerColumn = 6;
+		const sectionHeaderHeight = 8;
+
+		const availableWidth = pageWidth - (2 * margin);
+		const availableHeight = pageHeight - (2 * margin);
+		
+		const cardWidth = availableWidth / cardsPerRow;
+		const cardHeight = availableHeight / cardsPerColumn;
+
+		const cardGrid = document.getElementById('cardGrid');
+		if (!cardGrid) throw new Error('Card grid element not found');
+
+		// Group elements into sections (headers + cards)
+		const gridChildren = Array.from(cardGrid.children);
+		const sections = this.groupElementsBySection(gridChildren);
+
+		console.log(`PDF Layout: Processing ${sections.length} card sections`);
+
+		let currentPage = 1;
+		let currentY = margin;
+		let currentCol = 0;
+		const MAX_PAGES = 100;
+
+		// PROCESS EACH SECTION
+		for (const section of sections) {
+			if (currentPage > MAX_PAGES) break;
+			
+			const { header, cards } = section;
+			
+			// Filter out hidden cards (from cutoff filtering and the sort/filter toolbar)
+			const visibleCards = cards.filter(card => card.style.display !== 'none' && !card.classList.contains('card-filtered'));
+			if (visibleCards.length === 0) continue;
+			
+			// CHECK IF SECTION HEADER FITS ON CURRENT PAGE
+			const spaceNeeded = (header ? sectionHeaderHeight : 0) + cardHeight;
+			if (currentY + spaceNeeded > (pageHeight - margin)) {
+				pdf.addPage();
+				currentPage++;
+				currentY = margin;
+				currentCol = 0;
+				if (currentPage > MAX_PAGES) break;
+			}
+			
+			// PLACE SECTION HEADER
+			if (header) {
+				this.addPrintSectionHeader(pdf, header.textContent, margin, currentY, availableWidth, sectionHeaderHeight);
+				currentY += sectionHeaderHeight;
+				currentCol = 0;
+			}
+			
+			// PLACE SECTION CARDS
+			for (let i = 0; i < visibleCards.length; i++) {
+				if (currentPage > MAX_PAGES) break;
+				
+				const card = visibleCards[i];
+				
+				// Check if we need new row
+				if (currentCol >= cardsPerRow) {
+					currentCol = 0;
+					currentY += cardHeight;
+				}
+				
+				// Check if card fits on current page
+				if (currentY + cardHeight > (pageHeight - margin)) {
+					pdf.addPage();
+					currentPage++;
+					currentY = margin;
+					currentCol = 0;
+					if (currentPage > MAX_PAGES) break;
+				}
+				
+				const cardX = margin + (currentCol * cardWidth);
+				
+				// Use existing card rendering logic
+				await this.addPrintCardToPDF(pdf, card, cardX, currentY, cardWidth, cardHeight);
+				
+				currentCol++;
+			}
+			
+			// MOVE TO NEXT ROW AFTER SECTION COMPLETION
+			if (currentCol !== 0 && currentPage <= MAX_PAGES) {
+				currentY += cardHeight;
+				currentCol = 0;
+				
+				// Check if we need new page after section
+				if (currentY > (pageHeight - margin) && currentPage <= MAX_PAGES) {
+					pdf.addPage();
+					currentPage++;
+					currentY = margin;
+					currentCol = 0;
+					if (currentPage > MAX_PAGES) break;
+				}
+			}
+		}
+
+		// ADD PAGE NUMBERS TO FINAL DOCUMENT
+		this.addPageNumbersToPDF(pdf, pageWidth, pageHeight);
+	}
+
+	/**
+	 * Stamp a red "DEMO DATA" line at the top of every page
+	 */
+	addDemoLabelToPDF(pdf, pageWidth) {
+		const totalPages = pdf.internal.getNumberOfPages();
+		
+		for (let i = 1; i <= totalPages; i++) {
+			pdf.setPage(i);
+			pdf.setFontSize(8);
+			pdf.setFont(undefined, 'bold');
+			pdf.setTextColor(231, 76, 60);
+			pdf.text('DEMO DATA - sample cards, not real EDHREC recommendations', pageWidth / 2, 5, { align: 'center' });
+		}
+	}
+
+	addPageNumbersToPDF(pdf, pageWidth, pageHeight) {
+		const totalPages = pdf.internal.getNumberOfPages();
+		
+		for (let i = 1; i <= totalPages; i++) {
+			pdf.setPage(i);
+			pdf.setFontSize(8);
+			pdf.setTextColor(100, 100, 100);
+			pdf.text(`Page ${i} of ${totalPages}`, pageWidth - 25, pageHeight - 5);
+		}
+	}
+	
+
+	async generateUpgradeGuidePDF(filename = 'upgrade_guide.pdf') {
+		console.log('📄 Starting Upgrade Guide PDF');
+						
+		const cardGrid = document.getElementById('cardGrid');
+		if (!cardGrid) throw new Error('No content available');
+
+		this.showPDFLoading();
+		
+		try {
+			const { jsPDF } = this.pdfjs;
+			const pdf = new jsPDF('p', 'mm', 'a4');
+			
+			const pageWidth = 210;
+			const pageHeight = 297; 
+			const margin = 15;
+			const availableWidth = pageWidth - (2 * margin);
+			
+			let currentY = margin;
+			let currentPage = 1;
+			const MAX_PAGES = 20;
+			
+			let previousRenderY = currentY; // Track previous render position
+			
+			// SIMPLE HEADER
+			const header = cardGrid.querySelector('.upgrade-guide-header');
+			if (header) {
+				const title = header.querySelector('.guide-title')?.textContent || 'Upgrade Guide';
+				const date = header.querySelector('.guide-date')?.textContent || new Date().toLocaleDateString();
+				const author = header.querySelector('.guide-author')?.textContent?.replace('By ', '') || '';
+				
+				pdf.setFontSize(14);
+				pdf.setFont(undefined, 'bold');
+				pdf.text(title, margin, currentY);
+				
+				pdf.setFontSize(10);
+				pdf.setFont(undefined, 'normal');
+				const dateWidth = pdf.getTextWidth(date);
+				pdf.text(date, margin + availableWidth - dateWidth, currentY);
+				
+				currentY += 6;
+				
+				if (author) {
+					pdf.text(`By ${author}`, margin, currentY);
+					currentY += 6;
+				}
+				
+				currentY += 8;
+			}
+			
+			// PROCESS ALL CONTENT
+			const children = Array.from(cardGrid.children);
+			
+			for (let i = 0; i < children.length; i++) {
+				if (currentPage > MAX_PAGES) break;
+				
+				const element = children[i];
+				
+				// ===== ADD HEADER CHECK LOGIC HERE =====
+				if (element.classList.contains('guide-header') || element.classList.contains('section-header')) {
+					console.log(`🎯 HEADER CHECK: "${element.textContent?.substring(0, 30)}..."`);
+					
+					// Check if this header should stay with next content
+					const nextElement = children[i + 1];
+					if (nextElement && (nextElement.classList.contains('guide-paragraph-group') || 
+									   nextElement.classList.contains('guide-cardlist'))) {
+						
+						const headerHeight = this.estimateElementHeight(element);
+						const nextHeight = this.estimateElementHeight(nextElement);
+						const spaceAvailable = pageHeight - margin - currentY;
+						
+						console.log(`   Space available: ${spaceAvailable}mm`);
+						console.log(`   Header height: ${headerHeight}mm`);
+						console.log(`   Next element (${nextElement.className}) height: ${nextHeight}mm`);
+						
+						// Check if header + at least some content fits
+						const MIN_CONTENT_HEIGHT = 20; // Minimum 20mm of content to stay with header
+						
+						if (spaceAvailable < headerHeight + MIN_CONTENT_HEIGHT) {
+							// Not enough space even for header + minimum content
+							console.log(`⚠️ Not enough space for header + content, moving to new page`);
+							
+							// Check if we should split previous text instead
+							const prevElement = children[i - 1];
+							if (prevElement && prevElement.classList.contains('guide-paragraph-group')) {
+								console.log(`   Previous element is text - could split it`);
+								// For now, just move header to new page
+							}
+							
+							pdf.addPage();
+							currentPage++;
+							currentY = margin;
+							if (currentPage > MAX_PAGES) break;
+						} else if (spaceAvailable < headerHeight + nextHeight) {
+							// Header fits but not all content - this is OK, text will split
+							console.log(`✅ Header fits, content will split across pages`);
+						} else {
+							console.log(`✅ Header + all content fits`);
+						}
+					}
+				}
+				// ===== END HEADER CHECK =====
+		
+				// Skip header we already processed
+				if (element.classList.contains('upgrade-guide-header')) continue;
+				
+				// Skip if element has remaining text to render from previous split
+				if (element._remainingLines) {
+					console.log(`📄 Element has split text to continue`);
+					currentY = this.renderRemainingText(pdf, element, margin, currentY, availableWidth, pageHeight, margin);
+					previousRenderY = currentY;
+					currentY += 5;
+					continue;
+				}
+				
+				// ESTIMATE HEIGHT
+				let elementHeight = this.estimateElementHeight(element);
+				
+				
+				// CHECK PAGE BREAK
+				if (element.classList.contains('guide-cardlist')) {
+					// DECKLISTS: Use half-page height (140mm) instead of estimated height (237.5mm)
+					const DECKLIST_HALF_PAGE_HEIGHT = 140; // Decklists render in half-page 4-column layout
+					if (currentY + DECKLIST_HALF_PAGE_HEIGHT > pageHeight - margin) {
+						console.log(`📄 DECKLIST needs new page, resetting currentY to ${margin}mm`);
+						pdf.addPage();
+						currentPage++;
+						currentY = margin;
+						if (currentPage > MAX_PAGES) break;
+					}
+				} else {
+					// NON-DECKLISTS: Use normal estimation
+					if (currentY + elementHeight > pageHeight - margin) {
+						console.log(`📄 PAGE BREAK TRIGGERED! Resetting currentY to ${margin}mm`);
+						pdf.addPage();
+						currentPage++;
+						currentY = margin;
+						if (currentPage > MAX_PAGES) break;
+					}
+				}
+				
+				// RENDER BASED ON TYPE
+				if (element.classList.contains('guide-cardlist')) {
+					
+					const DECKLIST_MAX_HEIGHT = 148; // Half-page including title
+					const spaceAvailable = pageHeight - currentY - 15; // 15mm bottom margin
+					
+					console.log(`📄 Decklist placement check: ${spaceAvailable.toFixed(1)}mm available at Y: ${currentY}mm`);
+					
+					if (spaceAvailable < DECKLIST_MAX_HEIGHT) {
+						// Not enough space for decklist, start new page
+						console.log(`📄 Insufficient space (${spaceAvailable.toFixed(1)}mm < ${DECKLIST_MAX_HEIGHT}mm), starting new page`);
+						pdf.addPage();
+						currentY = margin; // Reset to top margin
+					} else {
+						console.log(`✅ Decklist fits at current position (${spaceAvailable.toFixed(1)}mm available)`);
+					}
+					
+					// Check if decklist fits on current page
+					if (currentY + 148 > pageHeight - 15) {
+						console.log(`📄 NEEDS NEW PAGE: ${currentY + 148}mm > ${pageHeight - 15}mm`);
+						pdf.addPage();
+						currentY = margin;
+					} else {
+						console.log(`✅ FITS ON CURRENT PAGE: ${currentY + 148}mm ≤ ${pageHeight - 15}mm`);
+						// Continue at currentY
+					}	
+					//////////////////////////////////////
+					
+					// Render decklist
+					const decklistEndY = await this.renderDecklistAsText(pdf, element, margin, currentY, availableWidth, pageHeight);
+					
+					// After renderDecklistAsText call://
+					const newY = await this.renderDecklistAsText(pdf, element, margin, currentY, availableWidth, pageHeight);
+					console.log(`🔁 renderDecklistAsText returned: ${newY}mm`);
+					console.log(`🔁 Parent expected continuation at: ${currentY + 5}mm`);
+					currentY = newY + 5;
+					//////////////////////////////////////
+				
+					
+					// Position for following content (5mm gap after decklist)
+					currentY = decklistEndY + 5;
+					previousRenderY = currentY;
+					// ===== ADD THIS RIGHT AFTER =====
+					previousRenderY = currentY; // Update tracker
+					console.log(`📊 RENDER TRACKER: decklist rendered, previousRenderY now: ${previousRenderY}mm`);
+					// ===== END ADDITION =====
+					console.log(`➡️ Continuing content at Y: ${currentY}mm`);
+				}
+			else if (element.classList.contains('card-grid')) {
+				// ROW-BY-ROW CARD PLACEMENT
+				const cardFrames = Array.from(element.querySelectorAll('.card-frame'));
+				const cardsPerRow = 4;
+				const cardHeight = 45; // mm per row
+				
+				for (let rowStart = 0; rowStart < cardFrames.length; rowStart += cardsPerRow) {
+					const rowCards = cardFrames.slice(rowStart, rowStart + cardsPerRow);
+					
+					// CHECK IF ROW FITS ON CURRENT PAGE
+					if (currentY + cardHeight > pageHeight - margin) {
+						pdf.addPage();
+						currentPage++;
+						currentY = margin;
+						if (currentPage > MAX_PAGES) break;
+					}
+					
+					// RENDER THIS ROW
+					currentY = await this.renderCardGridSection(
+						pdf, rowCards, margin, currentY, availableWidth, pageHeight, true
+					);
+				}
+			}
+				else {
+					// REGULAR TEXT
+					const renderResult = this.renderTextElement(pdf, element, margin, currentY, availableWidth, pageHeight, margin);
+
+					// Handle special return value for new page
+					if (renderResult === -1) {
+						pdf.addPage();
+						currentPage++;
+						currentY = margin;
+						if (currentPage > MAX_PAGES) break;
+						
+						// Re-render on new page
+						currentY = this.renderTextElement(pdf, element, margin, currentY, availableWidth, pageHeight, margin);
+					} else {
+						currentY = renderResult;
+					}
+				}
+				
+				currentY += 5;
+			}
+			
+			// ADD PAGE NUMBERS
+			this.addPageNumbersToPDF(pdf, pageWidth, pageHeight);
+			
+			// SAVE PDF
+			pdf.save(filename);
+			this.hidePDFLoading();
+			console.log('✅ Upgrade Guide PDF generated');
+			return true;
+			
+		} catch (error) {
+			this.hidePDFLoading();
+			console.error('❌ PDF generation failed:', error);
+			throw error;
+		}
+	}
+
+	// === PAGE NUMBERING ===
+	/**
+	 * Adds consistent page numbering to PDF document
+	 */
+	addPageNumbersToPDF(pdf, pageWidth, pageHeight) {
+		const totalPages = pdf.internal.getNumberOfPages();
+		
+		for (let i = 1; i <= totalPages; i++) {
+			pdf.setPage(i);
+			pdf.setFontSize(8);
+			pdf.setTextColor(100, 100, 100);
+			pdf.text(`Page ${i} of ${totalPages}`, pageWidth - 25, pageHeight - 5);
+		}
+	}
+	
+	// =============================================================================
+	// DECKLIST TEXT RENDERING FOR UPGRADE GUIDES
+	// =============================================================================
+
+	/**
+	 * Parse decklist DOM element into structured data for PDF rendering
+	 * Extracts title, section headers, and card lists from the nested DOM structure
+	 * @param {Element} element - DOM element with class 'guide-cardlist'
+	 * @returns {Object} Structured decklist data with title and sections
+	 */
+	parseDecklistStructure(element) {
+		console.log('🔍 Parsing decklist structure from DOM');
+		
+		const decklist = {
+			title: '',
+			sections: []
+		};
+		
+		try {
+			// Extract decklist title (h4 element)
+			const titleElement = element.querySelector('h4');
+			if (titleElement) {
+				decklist.title = titleElement.textContent.trim();
+				console.log(`📋 Decklist title: ${decklist.title}`);
+			}
+			
+			// Extract all sections from the decklist-section container
+			const sectionElements = element.querySelectorAll('.decklist-section > div');
+			console.log(`📋 Found ${sectionElements.length} sections in decklist`);
+			
+			sectionElements.forEach((sectionEl, index) => {
+				const section = {
+					header: '',
+					cards: []
+				};
+				
+				// Extract section header (h5 element)
+				const headerElement = sectionEl.querySelector('h5');
+				if (headerElement) {
+					section.header = headerElement.textContent.trim();
+				} else {
+					section.header = `Section ${index + 1}`;
+				}
+				
+				// Extract card list items
+				const cardElements = sectionEl.querySelectorAll('li');
+				cardElements.forEach(cardEl => {
+					const cardText = cardEl.textContent.trim();
+					if (cardText) {
+						section.cards.push(cardText);
+					}
+				});
+				
+				console.log(`📋 Section "${section.header}": ${section.cards.length} cards`);
+				decklist.sections.push(section);
+			});
+			
+		} catch (error) {
+			console.error('❌ Error parsing decklist structure:', error);
+		}
+		
+		return decklist;
+	}
+
+	/**
+	 * Calculate approximate heights for each section in millimeters
+	 * Used for column distribution and layout planning
+	 * @param {Array} sections - Decklist sections from parseDecklistStructure
+	 * @returns {Array} Sections with calculated height properties
+	 */
+	calculateSectionHeights(sections) {
+		const sectionsWithHeights = [];
+		
+		// PDF layout constants (in millimeters)
+		const HEADER_HEIGHT = 6; // 10pt header with spacing
+		const CARD_HEIGHT = 3.5; // 9pt card text with line spacing
+		const SECTION_SPACING = 3; // Space between sections
+		
+		sections.forEach(section => {
+			// Calculate total height: header + cards + spacing
+			const cardsHeight = section.cards.length * CARD_HEIGHT;
+			const totalHeight = HEADER_HEIGHT + cardsHeight + SECTION_SPACING;
+			
+			sectionsWithHeights.push({
+				...section,
+				height: totalHeight,
+				headerHeight: HEADER_HEIGHT,
+				cardHeight: CARD_HEIGHT
+			});
+			
+			console.log(`📏 Section "${section.header}": ${totalHeight.toFixed(1)}mm (${section.cards.length} cards)`);
+		});
+		
+		return sectionsWithHeights;
+	}
+
+	/**
+	 * Distribute sections across 3 columns using sequential filling
+	 * Fills column 1 completely before moving to column 2, then column 3
+	 * Ensures sections are never split across columns
+	 * @param {Array} sections - Sections with calculated heights
+	 * @param {number} availableHeight - Maximum height per column in mm
+	 * @returns {Array} 3-column array with distributed sections
+	 */
+	distributeSectionsToColumns(sections, availableHeight) {
+		const columns = [[], [], []];
+		let currentColumn = 0;
+		let currentHeight = 0;
+		
+		console.log(`📊 Distributing ${sections.length} sections across 3 columns (max ${availableHeight}mm per column)`);
+		
+		for (const section of sections) {
+			const sectionHeight = section.height;
+			
+			// Check if section fits in current column
+			// If not and we have more columns available, move to next column
+			if (currentHeight + sectionHeight > availableHeight && currentColumn < 2) {
+				console.log(`↪️ Column ${currentColumn + 1} full (${currentHeight.toFixed(1)}mm), moving to column ${currentColumn + 2}`);
+				currentColumn++;
+				currentHeight = 0;
+			}
+			
+			// Add section to current column
+			columns[currentColumn].push(section);
+			currentHeight += sectionHeight;
+			
+			console.log(`📦 Added "${section.header}" to column ${currentColumn + 1}, height: ${currentHeight.toFixed(1)}mm`);
+		}
+		
+		// Log distribution results
+		columns.forEach((colSections, index) => {
+			const colHeight = colSections.reduce((sum, section) => sum + section.height, 0);
+			console.log(`✅ Column ${index + 1}: ${colSections.length} sections, ${colHeight.toFixed(1)}mm total`);
+		});
+		
+		return columns;
+	}
+
+
+	/**
+	 * Parse decklist DOM element into structured data
+	 */
+	parseDecklistStructure(element) {
+		console.log('🔍 Parsing decklist structure from DOM');
+		
+		const decklist = {
+			title: '',
+			sections: []
+		};
+		
+		try {
+			// Extract decklist title
+			const titleElement = element.querySelector('h4');
+			if (titleElement) {
+				decklist.title = titleElement.textContent.trim();
+				console.log(`📋 Decklist title: ${decklist.title}`);
+			}
+			
+			// Extract all sections
+			const sectionElements = element.querySelectorAll('.decklist-section > div');
+			console.log(`📋 Found ${sectionElements.length} sections in decklist`);
+			
+			sectionElements.forEach((sectionEl, index) => {
+				const section = {
+					header: '',
+					cards: []
+				};
+				
+				// Extract section header
+				const headerElement = sectionEl.querySelector('h5');
+				if (headerElement) {
+					section.header = headerElement.textContent.trim();
+				} else {
+					section.header = `Section ${index + 1}`;
+				}
+				
+				// Extract card list items
+				const cardElements = sectionEl.querySelectorAll('li');
+				cardElements.forEach(cardEl => {
+					const cardText = cardEl.textContent.trim();
+					if (cardText) {
+						section.cards.push(cardText);
+					}
+				});
+				
+				console.log(`📋 Section "${section.header}": ${section.cards.length} cards`);
+				decklist.sections.push(section);
+			});
+			
+		} catch (error) {
+			console.error('❌ Error parsing decklist structure:', error);
+		}
+		
+		return decklist;
+	}
+
+	/**
+	 * Calculate optimized section heights with tight spacing
+	 */
+	calculateOptimizedSectionHeights(sections) {
+		console.log('📏 Calculating optimized section heights');
+		
+		// TIGHT spacing for half-page optimization
+		const HEADER_HEIGHT = 5;    // Reduced from 6mm
+		const CARD_HEIGHT = 2.8;    // Reduced from 3.2mm  
+		const SECTION_SPACING = 1;  // Reduced from 3mm
+		
+		return sections.map(section => {
+			const cardsHeight = section.cards.length * CARD_HEIGHT;
+			const totalHeight = HEADER_HEIGHT + cardsHeight + SECTION_SPACING;
+			
+			console.log(`📏 Section "${section.header}": ${totalHeight.toFixed(1)}mm (${section.cards.length} cards)`);
+			
+			return {
+				...section,
+				height: totalHeight,
+				headerHeight: HEADER_HEIGHT,
+				cardHeight: CARD_HEIGHT
+			};
+		});
+	}
+
+	/**
+	 * Determine optimal font scale for half-page fit
+	 */
+	determineOptimalFontScale(totalHeight, availableHeight) {
+		console.log(`🔤 Determining font scale for ${totalHeight.toFixed(1)}mm in ${availableHeight}mm available`);
+		
+		const fontScales = [
+			{ name: 'Large', titleSize: 11, headerSize: 10, cardSize: 9, scale: 1.0 },
+			{ name: 'Medium', titleSize: 10, headerSize: 9, cardSize: 8, scale: 0.9 },
+			{ name: 'Small', titleSize: 9, headerSize: 8, cardSize: 7, scale: 0.8 },
+			{ name: 'XSmall', titleSize: 8, headerSize: 7, cardSize: 6, scale: 0.7 }
+		];
+		
+		// Find the largest scale that fits
+		for (const scale of fontScales) {
+			const scaledHeight = totalHeight * scale.scale;
+			const efficiency = (scaledHeight / availableHeight * 100);
+			
+			console.log(`   ${scale.name}: ${scaledHeight.toFixed(1)}mm (${efficiency.toFixed(1)}% of available)`);
+			
+			if (scaledHeight <= availableHeight) {
+				console.log(`   ✅ Selected: ${scale.name} scale`);
+				return {
+					...scale,
+					efficiency: efficiency.toFixed(1) + '%'
+				};
+			}
+		}
+		
+		// If nothing fits, use smallest scale
+		const smallest = fontScales[fontScales.length - 1];
+		console.log(`   ⚠️ Forced to use: ${smallest.name} scale (exceeds space)`);
+		return {
+			...smallest,
+			efficiency: 'forced (exceeds space)'
+		};
+	}
+
+	/**
+	 * Apply font scaling to section heights
+	 */
+	applyFontScaling(sections, scale) {
+		console.log(`📐 Applying ${scale}x scaling to sections`);
+		
+		return sections.map(section => ({
+			...section,
+			height: section.height * scale,
+			headerHeight: section.headerHeight * scale,
+			cardHeight: section.cardHeight * scale
+		}));
+	}
+
+	distributeToFourColumnsWaterfall(sections, maxColumnHeight) {
+		console.log(`📊 Waterfall distribution (${maxColumnHeight}mm max per column)`);
+		
+		const columns = [[], [], [], []];
+		const columnHeights = [0, 0, 0, 0];
+		
+		let currentColumn = 0;
+		
+		for (const section of sections) {
+			const sectionHeight = section.height;
+			
+			// Try to fit in current column
+			if (columnHeights[currentColumn] + sectionHeight <= maxColumnHeight) {
+				// Fits in current column
+				columns[currentColumn].push(section);
+				columnHeights[currentColumn] += sectionHeight;
+				console.log(`📦 Added "${section.header}" to column ${currentColumn + 1}, height: ${columnHeights[currentColumn].toFixed(1)}mm`);
+			} 
+			// Try next column
+			else if (currentColumn < 3) {
+				// Move to next column
+				currentColumn++;
+				
+				if (columnHeights[currentColumn] + sectionHeight <= maxColumnHeight) {
+					columns[currentColumn].push(section);
+					columnHeights[currentColumn] += sectionHeight;
+					console.log(`↪️ Moved "${section.header}" to column ${currentColumn + 1}, height: ${columnHeights[currentColumn].toFixed(1)}mm`);
+				} else {
+					// Even next column can't fit, try to fit anyway (orphan protection will handle)
+					console.log(`⚠️ Section "${section.header}" (${sectionHeight.toFixed(1)}mm) too tall for any column, forcing fit`);
+					columns[currentColumn].push(section);
+					columnHeights[currentColumn] += sectionHeight;
+				}
+			}
+			// Last column - try to fit or force
+			else {
+				console.log(`⚠️ Last column - forcing "${section.header}" into column 4`);
+				columns[3].push(section);
+				columnHeights[3] += sectionHeight;
+			}
+		}
+		
+		// Log distribution results
+		columns.forEach((colSections, index) => {
+			const colHeight = columnHeights[index];
+			const utilization = (colHeight / maxColumnHeight * 100).toFixed(1);
+			console.log(`✅ Column ${index + 1}: ${colSections.length} sections, ${colHeight.toFixed(1)}mm (${utilization}% used)`);
+		});
+		
+		// Check for orphaned headers
+		this.applyOrphanProtection(columns, maxColumnHeight);
+		
+		return columns;
+	}
+	
+	/**
+	 * Prevent orphaned headers at column bottoms
+	 * Moves headers with no cards to next column
+	 */
+	applyOrphanProtection(columns, maxColumnHeight) {
+		console.log('🔍 Applying orphan protection...');
+		
+		for (let colIndex = 0; colIndex < 3; colIndex++) { // Don't check last column
+			const column = columns[colIndex];
+			if (column.length === 0) continue;
+			
+			const lastSection = column[column.length - 1];
+			
+			// If last section has cards and header might be orphaned
+			if (lastSection && lastSection.cards && lastSection.cards.length > 0) {
+				const estimatedHeight = lastSection.headerHeight + (lastSection.cards.length * lastSection.cardHeight);
+				
+				// Check if adding just one card would exceed column height
+				const spaceForHeaderOnly = maxColumnHeight - 
+					(this.calculateColumnHeight(columns[colIndex].slice(0, -1)) + lastSection.headerHeight);
+				
+				const spaceForHeaderPlusOneCard = maxColumnHeight - 
+					(this.calculateColumnHeight(columns[colIndex].slice(0, -1)) + 
+					 lastSection.headerHeight + lastSection.cardHeight);
+				
+				// If header fits but first card doesn't
+				if (spaceForHeaderOnly >= 0 && spaceForHeaderPlusOneCard < 0) {
+					console.log(`⚠️ Orphan detected in column ${colIndex + 1}: "${lastSection.header}"`);
+					
+					// Move entire section to next column
+					column.pop();
+					columns[colIndex + 1].unshift(lastSection); // Add to start of next column
+					console.log(`   ↪️ Moved to column ${colIndex + 2}`);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Calculate total height of sections in a column
+	 */
+	calculateColumnHeight(sections) {
+		return sections.reduce((sum, section) => sum + section.height, 0);
+	}
+		
+	renderDecklistAsText(pdf, element, startX, startY, availableWidth, pageHeight) {
+			
+		// PHASE 1: Parse decklist structure
+		const decklistData = this.parseDecklistStructure(element);
+		if (!decklistData.sections || decklistData.sections.length === 0) {
+			console.log('⚠️ No decklist sections found');
+			return startY;
+		}
+		
+		console.log(`📋 Decklist parsed: ${decklistData.sections.length} sections, ${decklistData.sections.reduce((sum, s) => sum + s.cards.length, 0)} cards`);
+		
+		// PHASE 2: Calculate metrics and check placement
+		const PAGE_HEIGHT = 297; // mm
+		const MARGIN_TOP = 15; // mm
+		const MARGIN_BOTTOM = 15; // mm
+		const AVAILABLE_PAGE_HEIGHT = PAGE_HEIGHT - MARGIN_TOP - MARGIN_BOTTOM; // 267mm
+		const HALF_PAGE = AVAILABLE_PAGE_HEIGHT / 2; // 133.5mm
+		const TITLE_HEIGHT = 8; // mm
+		const AVAILABLE_COLUMN_HEIGHT = HALF_PAGE - TITLE_HEIGHT; // 125.5mm per column
+		
+		console.log(`📐 Space allocation: ${AVAILABLE_COLUMN_HEIGHT}mm for columns + ${TITLE_HEIGHT}mm for title = ${HALF_PAGE}mm total`);
+		
+		// Calculate base heights
+		const baseHeights = this.calculateOptimizedSectionHeights(decklistData.sections);
+		const totalBaseHeight = baseHeights.reduce((sum, section) => sum + section.height, 0);
+		
+		console.log(`📏 Base content height: ${totalBaseHeight.toFixed(1)}mm (target: ≤${AVAILABLE_COLUMN_HEIGHT}mm)`);
+		
+		// PHASE 3: Determine optimal font scale
+		const TOTAL_COLUMN_SPACE = 140 * 4; // 140mm per column × 4 columns
+		const fontScale = this.determineOptimalFontScale(totalBaseHeight, TOTAL_COLUMN_SPACE);
+		console.log(`🔤 Font scale selected: ${fontScale.name} (${fontScale.scale}x)`);
+		
+		// Apply scaling
+		const scaledSections = this.applyFontScaling(baseHeights, fontScale.scale);
+		const totalScaledHeight = scaledSections.reduce((sum, section) => sum + section.height, 0);
+		const totalDecklistHeight = totalScaledHeight + TITLE_HEIGHT;
+		
+		console.log(`📐 Final dimensions: ${totalScaledHeight.toFixed(1)}mm columns + ${TITLE_HEIGHT}mm title = ${totalDecklistHeight.toFixed(1)}mm total`);
+		
+		// PHASE 4: Check placement on current page
+		const spaceToBottom = pageHeight - startY;
+		console.log(`📍 Placement check: ${spaceToBottom.toFixed(1)}mm available to bottom of page`);
+		
+		if (spaceToBottom < HALF_PAGE) {
+			console.log(`📄 Insufficient space (${spaceToBottom.toFixed(1)}mm < ${totalDecklistHeight.toFixed(1)}mm), starting on new page`);
+			pdf.addPage();
+			startY = 15; // Top margin of new page
+		} else {
+			console.log(`✅ Decklist fits at Y: ${startY}mm (${spaceToBottom.toFixed(1)}mm available)`);
+		}
+		
+		// PHASE 5: Waterfall column distribution
+		// EACH COLUMN gets FULL 140mm height (parallel columns, not stacked)
+		const PER_COLUMN_MAX_HEIGHT = AVAILABLE_COLUMN_HEIGHT; // 140mm per column
+		const columns = this.distributeToFourColumnsWaterfall(scaledSections, PER_COLUMN_MAX_HEIGHT);
+
+		// Add diagnostic logging
+		console.log(`📊 Distributing sections across 4 columns, ${PER_COLUMN_MAX_HEIGHT}mm max per column`);
+		console.log(`📊 Total scaled content: ${totalScaledHeight.toFixed(1)}mm across all sections`);
+		
+		// PHASE 6: Render decklist
+		let currentY = startY;
+		
+		// Render title
+		if (decklistData.title) {
+			pdf.setFontSize(fontScale.titleSize);
+			pdf.setFont(undefined, 'bold');
+			pdf.text(decklistData.title, startX + availableWidth / 2, currentY, { align: 'center' });
+			currentY += 8;
+			console.log(`📝 Rendered title: "${decklistData.title}" at Y: ${startY}mm`);
+		}
+		
+		// 4-column layout with consistent gutter spacing
+		const columnWidth = (availableWidth - 15) / 4; // 15mm total gutter
+		const columnGutter = 5;
+		
+		// Render all 4 columns
+		let maxColumnY = currentY;
+		
+		for (let columnIndex = 0; columnIndex < 4; columnIndex++) {
+			const columnSections = columns[columnIndex];
+			if (columnSections.length === 0) {
+				console.log(`➖ Column ${columnIndex + 1}: empty`);
+				continue;
+			}
+			
+			const columnX = startX + (columnIndex * (columnWidth + columnGutter));
+			let columnY = currentY;
+			
+			console.log(`📊 Column ${columnIndex + 1}: ${columnSections.length} sections`);
+			
+			columnSections.forEach((section, sectionIndex) => {
+				// Render section header with orphan protection
+				pdf.setFontSize(fontScale.headerSize);
+				pdf.setFont(undefined, 'bold');
+				
+				const headerLines = pdf.splitTextToSize(section.header, columnWidth - 2);
+				
+				headerLines.forEach((line, lineIndex) => {
+					pdf.text(line, columnX, columnY + (lineIndex * fontScale.headerSize * 0.35));
+				});
+				
+				columnY += headerLines.length * fontScale.headerSize * 0.35 + 1;
+				console.log(`   📝 Section "${section.header}" header rendered`);
+				
+				// Render at least one card line for orphan protection
+				pdf.setFontSize(fontScale.cardSize);
+				pdf.setFont(undefined, 'normal');
+				
+				if (section.cards.length > 0) {
+					const firstCard = section.cards[0];
+					const lines = pdf.splitTextToSize(firstCard, columnWidth - 2);
+					
+					lines.forEach(line => {
+						pdf.text(line, columnX, columnY);
+						columnY += fontScale.cardSize * 0.3 + 0.5;
+					});
+					
+					console.log(`   ✓ First card rendered (orphan protection)`);
+				}
+				
+				// Render remaining cards
+				for (let i = 1; i < section.cards.length; i++) {
+					const cardText = section.cards[i];
+					const lines = pdf.splitTextToSize(cardText, columnWidth - 2);
+					
+					lines.forEach(line => {
+						pdf.text(line, columnX, columnY);
+						columnY += fontScale.cardSize * 0.3 + 0.5;
+					});
+				}
+				
+				columnY += 1; // Section spacing
+				console.log(`   📋 ${section.cards.length} cards rendered`);
+			});
+			
+			//DIAGNOSTIC CODE//
+			console.log(`🔚 renderDecklistAsText RETURNING: ${Math.max(maxColumnY, startY)}mm`);
+			console.log(`🔚 Max column Y: ${maxColumnY}mm, Start Y: ${startY}mm`);
+			console.log(`   startY (passed): ${startY}mm`);
+			console.log(`   Returning: ${Math.max(maxColumnY, startY)}mm`);
+			console.log(`   Should continue at: ${Math.max(maxColumnY, startY) + 5}mm`);
+			///////////////////
+			
+			maxColumnY = Math.max(maxColumnY, columnY);
+			console.log(`✅ Column ${columnIndex + 1} complete, height: ${(columnY - currentY).toFixed(1)}mm`);
+		}
+		
+		// PHASE 7: Determine content continuation
+		const spaceRemaining = pageHeight - maxColumnY - 15;
+		console.log(`📄 Content continuation: ${spaceRemaining.toFixed(1)}mm remaining`);
+		
+		if (spaceRemaining < 20) {
+			console.log(`⏩ Minimal space (${spaceRemaining.toFixed(1)}mm), starting next content on new page`);
+			return pageHeight; // Signal to start new page
+		} else {
+			console.log(`✅ Continuing content at Y: ${maxColumnY + 5}mm`);
+			return maxColumnY + 5; // Small gap, then continue
+		}
+	}
+
+	/**
+	 * Calculate optimized section heights with tighter spacing
+	 */
+	calculateOptimizedSectionHeights(sections) {
+		console.log('📏 Calculating optimized section heights with tight spacing');
+		
+		// TIGHTER spacing for half-page optimization
+		const HEADER_HEIGHT = 5;    // Reduced from 6mm
+		const CARD_HEIGHT = 2.8;    // Reduced from 3.2mm  
+		const SECTION_SPACING = 1;  // Reduced from 3mm
+		
+		return sections.map(section => {
+			const cardsHeight = section.cards.length * CARD_HEIGHT;
+			const totalHeight = HEADER_HEIGHT + cardsHeight + SECTION_SPACING;
+			
+			console.log(`📏 Section "${section.header}": ${totalHeight.toFixed(1)}mm (${section.cards.length} cards)`);
+			
+			return {
+				...section,
+				height: totalHeight,
+				headerHeight: HEADER_HEIGHT,
+				cardHeight: CARD_HEIGHT
+			};
+		});
+	}
+
+	// Replace the ENTIRE determineOptimalFontScale method with:
+
+	determineOptimalFontScale(totalHeight, availableHeight) {
+		console.log(`🔤 Determining font scale for ${totalHeight.toFixed(1)}mm in ${availableHeight}mm available`);
+		
+		const fontScales = [
+			{ name: 'Large', titleSize: 11, headerSize: 10, cardSize: 9, scale: 1.0 },
+			{ name: 'Medium', titleSize: 10, headerSize: 9, cardSize: 8, scale: 0.9 },
+			{ name: 'Small', titleSize: 9, headerSize: 8, cardSize: 7, scale: 0.8 },
+			{ name: 'XSmall', titleSize: 8, headerSize: 7, cardSize: 6, scale: 0.7 }
+		];
+		
+		// Strict constraint: MUST fit in available height
+		for (const scale of fontScales) {
+			const scaledHeight = totalHeight * scale.scale;
+			const efficiency = (scaledHeight / availableHeight * 100);
+			
+			console.log(`   ${scale.name}: ${scaledHeight.toFixed(1)}mm (${efficiency.toFixed(1)}% of available)`);
+			
+			if (scaledHeight <= availableHeight) {
+				console.log(`   ✅ Selected: ${scale.name} scale`);
+				return {
+					...scale,
+					efficiency: efficiency.toFixed(1) + '%'
+				};
+			}
+		}
+		
+		// If nothing fits perfectly, use smallest scale anyway (content will be truncated)
+		const smallest = fontScales[fontScales.length - 1];
+		console.log(`   ⚠️ No scale fits perfectly, using: ${smallest.name} scale (will exceed space)`);
+		return {
+			...smallest,
+			efficiency: 'exceeds space'
+		};
+	}
+
+	/**
+	 * Apply font scaling to section heights
+	 */
+	applyFontScaling(sections, scale) {
+		return sections.map(section => ({
+			...section,
+			height: section.height * scale,
+			headerHeight: section.headerHeight * scale,
+			cardHeight: section.cardHeight * scale
+		}));
+	}
+
+	/**
+	 * Distribute sections across 4 columns with improved algorithm
+	 * Ensures headers stay with at least one card when breaking columns
+	 */
+	distributeToFourColumns(sections, availableHeight) {
+		const columns = [[], [], [], []];
+		const columnHeights = [0, 0, 0, 0];
+		
+		let currentColumn = 0;
+		let attempts = 0;
+		const maxAttempts = sections.length * 4; // Prevent infinite loops
+		
+		console.log(`📊 Distributing ${sections.length} sections across 4 columns (max ${availableHeight}mm per column)`);
+		
+		for (const section of sections) {
+			let placed = false;
+			attempts = 0;
+			
+			while (!placed && attempts < maxAttempts) {
+				attempts++;
+				
+				// Check if section fits in current column
+				if (columnHeights[currentColumn] + section.height <= availableHeight) {
+					// Section fits, add to current column
+					columns[currentColumn].push(section);
+					columnHeights[currentColumn] += section.height;
+					placed = true;
+					console.log(`📦 Added "${section.header}" to column ${currentColumn + 1}, height: ${columnHeights[currentColumn].toFixed(1)}mm`);
+				} else if (currentColumn < 3) {
+					// Try next column
+					currentColumn++;
+					console.log(`↪️ Column ${currentColumn} full, trying column ${currentColumn + 1}`);
+				} else {
+					// All columns full, force into column with most space
+					const minHeightIndex = columnHeights.indexOf(Math.min(...columnHeights));
+					columns[minHeightIndex].push(section);
+					columnHeights[minHeightIndex] += section.height;
+					placed = true;
+					console.log(`⚠️ All columns full, forced "${section.header}" into column ${minHeightIndex + 1}`);
+				}
+			}
+			
+			if (!placed) {
+				console.error(`❌ Failed to place section: ${section.header}`);
+			}
+		}
+		
+		// Log distribution results
+		columns.forEach((colSections, index) => {
+			const colHeight = colSections.reduce((sum, section) => sum + section.height, 0);
+			const utilization = (colHeight / availableHeight * 100).toFixed(1);
+			console.log(`✅ Column ${index + 1}: ${colSections.length} sections, ${colHeight.toFixed(1)}mm (${utilization}% utilized)`);
+		});
+		
+		return columns;
+	}
+
+	/**
+	 * Enhanced page break logic for content following decklists
+	 */
+	calculateContentPlacement(currentY, contentHeight, pageHeight) {
+		const spaceRemaining = pageHeight - currentY - 15; // 15mm bottom margin
+		
+		// If only header would fit (less than 20mm), start on new page
+		if (spaceRemaining < 20) {
+			console.log('📄 Minimal space remaining, starting content on new page');
+			return {
+				newPage: true,
+				y: 15 // Start at top of new page
+			};
+		}
+		
+		// If content fits with reasonable space, place immediately
+		if (contentHeight <= spaceRemaining) {
+			console.log(`✅ Content fits, placing at Y: ${currentY}mm`);
+			return {
+				newPage: false,
+				y: currentY
+			};
+		}
+		
+		// Content doesn't fit, start on new page
+		console.log('📄 Content too tall, starting on new page');
+		return {
+			newPage: true,
+			y: 15
+		};
+	}
+
+
+	renderTextElement(pdf, element, x, y, width, pageHeight = 297, margin = 15) {
+		console.log(`📝 Rendering text element: ${element.className}`);
+		console.log(`🎯 renderTextElement called with: pageHeight=${pageHeight}, margin=${margin}`);
+		
+		const text = element.textContent.trim();
+		if (!text) return y;
+		
+		// Determine font size and style based on element class
+		let fontSize = 10;
+		let isBold = false;
+		
+		if (element.classList.contains('guide-title') || 
+			element.classList.contains('guide-header')) {
+			fontSize = 11;
+			isBold = true;
+		} else if (element.classList.contains('section-header')) {
+			fontSize = 12;
+			isBold = true;
+		} else {
+			fontSize = 10; // Regular paragraphs
+			isBold = false;
+		}
+		
+		// Apply font settings
+		pdf.setFontSize(fontSize);
+		pdf.setFont(undefined, isBold ? 'bold' : 'normal');
+		
+		// Split text into lines that fit available width
+		const maxTextWidth = width - 4; // 4mm padding
+		const lines = pdf.splitTextToSize(text, maxTextWidth);
+		
+		// Calculate line height
+		const lineHeight = fontSize * 0.35; // Convert pt to mm (approximate)
+		
+		// Check how many lines fit on current page
+		const spaceAvailable = pageHeight - margin - y;
+		const maxLinesFit = Math.floor(spaceAvailable / lineHeight);
+		
+		if (maxLinesFit < lines.length && maxLinesFit > 0) {
+			// Some lines fit, some need to go to next page
+			console.log(`📄 SPLITTING TEXT: ${lines.length} total lines, ${maxLinesFit} fit on current page`);
+			
+			// Render lines that fit
+			for (let i = 0; i < maxLinesFit; i++) {
+				pdf.text(lines[i], x + 2, y + (i * lineHeight) + lineHeight);
+			}
+			
+			// Store remaining lines for next page
+			element._remainingLines = lines.slice(maxLinesFit);
+			element._fontSize = fontSize;
+			element._isBold = isBold;
+			
+			// Return Y position at bottom of page
+			return pageHeight - margin;
+		} else {
+			// All lines fit or none fit
+			lines.forEach((line, index) => {
+				pdf.text(line, x + 2, y + (index * lineHeight) + lineHeight);
+			});
+			
+			const totalHeight = lines.length * lineHeight;
+			const newY = y + totalHeight + 4; // 4mm spacing after element
+			console.log(`📝 Text rendered, ${lines.length} lines, new Y: ${newY}mm`);
+			return newY;
+		}
+	}
+
+	renderRemainingText(pdf, element, x, y, width, pageHeight = 297, margin = 15) {
+		if (!element._remainingLines || element._remainingLines.length === 0) {
+			return y;
+		}
+		
+		console.log(`📄 Continuing split text: ${element._remainingLines.length} remaining lines`);
+		
+		// Apply stored font settings
+		pdf.setFontSize(element._fontSize);
+		pdf.setFont(undefined, element._isBold ? 'bold' : 'normal');
+		
+		const lineHeight = element._fontSize * 0.35;
+		const lines = element._remainingLines;
+		
+		// Render all remaining lines
+		lines.forEach((line, index) => {
+			pdf.text(line, x + 2, y + (index * lineHeight) + lineHeight);
+		});
+		
+		const totalHeight = lines.length * lineHeight;
+		const newY = y + totalHeight + 4; // 4mm spacing
+		
+		// Clear stored lines
+		delete element._remainingLines;
+		delete element._fontSize;
+		delete element._isBold;
+		
+		console.log(`📝 Continued text rendered, ${lines.length} lines, new Y: ${newY}mm`);
+		return newY;
+	}
+
+	async renderUpgradeCardToPDF(pdf, cardElement, x, y, width, height) {
+		console.log('🃏 Rendering upgrade card - SIMPLE FIX');
+		
+		// HIDE inclusion percentage temporarily
+		const inclusionElement = cardElement.querySelector('.inclusion-percentage');
+		let originalDisplay = '';
+		if (inclusionElement) {
+			originalDisplay = inclusionElement.style.display;
+			inclusionElement.style.display = 'none';
+		}
+		
+		try {
+			// USE THE EXACT SAME METHOD THAT WORKS FOR COMMANDER LISTS
+			await this.addPrintCardToPDF(pdf, cardElement, x, y, width, height);
+			console.log('✅ Upgrade card rendered successfully');
+		} catch (error) {
+			console.error('❌ Card render failed:', error);
+			throw error;
+		} finally {
+			// RESTORE inclusion element
+			if (inclusionElement) {
+				inclusionElement.style.display = originalDisplay;
+			}
+		}
+	}
+	
+	/**
+	 * Render card grid section using existing commander list PDF logic
+	 * Reuses the proven card rendering system for consistent quality
+	 */
+	async renderCardGridSection(pdf, cardFrames, startX, startY, availableWidth, pageHeight, isUpgradeGuide = false) {
+		console.log(`🃏 Rendering ${cardFrames.length} cards using ${isUpgradeGuide ? 'UPGRADE' : 'commander'} list system`);
+		
+		const cardsPerRow = 4;
+		const cardsPerColumn = 6;
+		const sectionHeaderHeight = 8;
+		
+		const cardWidth = availableWidth / cardsPerRow;
+		const cardHeight = (pageHeight - (2 * 15)) / cardsPerColumn; // 15mm margins
+		
+		let currentY = startY;
+		let currentCol = 0;
+		
+		// Check if we need a new page for this card section
+		if (currentY + cardHeight > pageHeight - 15) {
+			pdf.addPage();
+			currentY = 15;
+		}
+		
+		// Render cards in grid layout (same as commander lists)
+		for (let i = 0; i < cardFrames.length; i++) {
+			const card = cardFrames[i];
+			
+			// Check if we need new row
+			if (currentCol >= cardsPerRow) {
+				currentCol = 0;
+				currentY += cardHeight;
+			}
+			
+			// Check if card fits on current page
+			if (currentY + cardHeight > pageHeight - 15) {
+				pdf.addPage();
+				currentY = 15;
+				currentCol = 0;
+			}
+			
+			const cardX = startX + (currentCol * cardWidth);
+			
+			// USE THE APPROPRIATE CARD RENDERER
+			if (isUpgradeGuide) {
+				await this.addPrintCardToPDF(pdf, card, cardX, currentY, cardWidth, cardHeight);
+			} else {
+				await this.addPrintCardToPDF(pdf, card, cardX, currentY, cardWidth, cardHeight);
+			}
+			
+			currentCol++;
+		}
+		
+		// Move to next row after section
+		if (currentCol !== 0) {
+			currentY += cardHeight;
+		}
+		
+		return currentY;
+	}
+		
+	/**
+	 * Group elements by header-content relationships to prevent page breaks
+	 * Ensures headers stay with their following content blocks
+	 * @param {Array} elements - DOM elements from cardGrid
+	 * @returns {Array} Grouped elements where headers are with their content
+	 */
+	groupContentWithHeaders(elements) {
+		console.log('📋 Grouping elements by header-content relationships');
+		
+		const groups = [];
+		let currentGroup = [];
+		
+		for (const element of elements) {
+			const isHeader = element.classList.contains('guide-header') || 
+							element.classList.contains('section-header') ||
+							element.tagName?.match(/^H[1-6]$/);
+			
+			if (isHeader && currentGroup.length > 0) {
+				// Start new group when we encounter a header (and we already have a group)
+				console.log(`📦 Creating new group with ${currentGroup.length} elements`);
+				groups.push(currentGroup);
+				currentGroup = [element];
+			} else {
+				// Add to current group
+				currentGroup.push(element);
+			}
+		}
+		
+		// Don't forget the last group
+		if (currentGroup.length > 0) {
+			console.log(`📦 Final group with ${currentGroup.length} elements`);
+			groups.push(currentGroup);
+		}
+		
+		console.log(`✅ Created ${groups.length} content groups`);
+		return groups;
+	}
+
+	/**
+	 * Estimate total height of a content group to prevent page breaks within groups
+	 * Uses conservative estimates to ensure groups stay together
+	 * @param {Array} group - Group of DOM elements
+	 * @param {number} availableWidth - Available width in mm
+	 * @param {number} pageHeight - Page height in mm
+	 * @returns {number} Estimated total height in mm
+	 */
+	estimateGroupHeight(group, availableWidth, pageHeight) {
+		let totalHeight = 0;
+		
+		console.log(`📏 Estimating height for group with ${group.length} elements`);
+		
+		for (const element of group) {
+			if (element.classList.contains('guide-cardlist')) {
+				// Estimate decklist height using our precise calculation
+				try {
+					const decklistData = this.parseDecklistStructure(element);
+					if (decklistData.sections && decklistData.sections.length > 0) {
+						const sectionsWithHeights = this.calculateSectionHeights(decklistData.sections);
+						const decklistHeight = sectionsWithHeights.reduce((sum, section) => sum + section.height, 0);
+						totalHeight += decklistHeight + 15; // Add title and spacing
+						console.log(`📏 Decklist estimated: ${decklistHeight}mm`);
+					}
+				} catch (error) {
+					// Fallback estimate
+					totalHeight += 80;
+				}
+			} else if (element.classList.contains('card-frame')) {
+				// Card grid section - count all consecutive card frames in group
+				const cardIndex = group.indexOf(element);
+				const remainingElements = group.slice(cardIndex);
+				const cardFrames = remainingElements.filter(el => el.classList.contains('card-frame'));
+				
+				if (cardFrames.length > 0) {
+					const cardsPerRow = 4;
+					const cardHeight = 45; // Standard card height
+					const rows = Math.ceil(cardFrames.length / cardsPerRow);
+					const cardSectionHeight = rows * cardHeight + 10; // 10mm for spacing
+					totalHeight += cardSectionHeight;
+					console.log(`📏 Card grid estimated: ${cardSectionHeight}mm for ${cardFrames.length} cards`);
+					break; // Don't count individual card frames multiple times
+				}
+			} else if (element.classList.contains('upgrade-guide-header')) {
+				// Guide header - fixed height
+				totalHeight += 30;
+			} else if (element.classList.contains('guide-header') || element.classList.contains('section-header')) {
+				// Headers - fixed height with spacing
+				totalHeight += 15;
+			} else {
+				// Text content - estimate based on text length
+				const text = element.textContent || '';
+				const approxLines = Math.ceil(text.length / 80); // Rough chars per line
+				totalHeight += Math.max(20, approxLines * 5); // 5mm per line
+			}
+			
+			// Add spacing between elements
+			totalHeight += 5;
+		}
+		
+		console.log(`📏 Total group height: ${totalHeight}mm`);
+		return totalHeight;
+	}
+
+	
+	/**
+	 * SIMPLE height estimation - no bullshit
+	 */
+	estimateElementHeight(element) {
+		if (element.classList.contains('guide-cardlist')) {
+			const sections = element.querySelectorAll('.decklist-section > div');
+			let cardCount = 0;
+			sections.forEach(section => {
+				cardCount += section.querySelectorAll('li').length;
+			});
+			return Math.max(40, cardCount * 2.5 + 20); // Tight spacing
+		} else if (element.classList.contains('card-grid')) {
+			// ADD THIS LINE - Minimal height for card grids
+			return 10;
+		} else if (element.classList.contains('card-frame')) {
+			return 45; // Standard card height
+		} else if (element.classList.contains('guide-header') || element.classList.contains('section-header')) {
+			return 12; // Header height
+		} else {
+			// Text content - tight estimation
+			const text = element.textContent || '';
+			const lines = Math.ceil(text.length / 80);
+			return Math.max(20, lines * 6 + 8); // Line height size
+		}
+	}
+
+	/**
+	 * TIGHT text rendering - minimal spacing
+	 */
+	renderCompactTextElement(pdf, element, x, y, width) {
+		const text = element.textContent.trim();
+		if (!text) return y;
+		
+		let fontSize = 10;
+		let isBold = false;
+		
+		if (element.classList.contains('guide-title') || element.classList.contains('guide-header')) {
+			fontSize = 11;
+			isBold = true;
+		} else if (element.classList.contains('section-header')) {
+			fontSize = 12;
+			isBold = true;
+		}
+		
+		pdf.setFontSize(fontSize);
+		pdf.setFont(undefined, isBold ? 'bold' : 'normal');
+		
+		const maxTextWidth = width - 4;
+		const lines = pdf.splitTextToSize(text, maxTextWidth);
+		
+		// TIGHT line spacing
+		const lineHeight = fontSize * 0.5;
+		const totalHeight = lines.length * lineHeight;
+		
+		lines.forEach((line, index) => {
+			pdf.text(line, x + 2, y + (index * lineHeight) + lineHeight);
+		});
+		
+		return y + totalHeight + 2; // Minimal spacing after
+	}
+
+}
+
+window.ExportManager = ExportManager;
@@ -0,0 +1,148 @@
+// VERSION:3
+// IndexedDB Store - Minimal promise wrapper around a single object store
+// Shared by the persistent caches (EDHREC pages, ...)
+class IDBStore {
+	/**
+	 * @param {string} dbName - IndexedDB database name
+	 * @param {string} storeName - Object store name
+	 * @param {Object} options - `{keyPath, version, indexes: [{name, keyPath, unique, multiEntry}]}`
+	 */
+	constructor(dbName, storeName, options = {}) {
+		this.dbName = dbName;
+		this.storeName = storeName;
+		this.keyPath = options.keyPath || 'key';
+		this.version = options.version || 1;
+		this.indexes = options.indexes || [];
+		this.dbPromise = null;
+	}
+
+	isAvailable() {
+		return typeof indexedDB !== 'undefined';
+	}
+
+	open() {
+		if (this.dbPromise) return this.dbPromise;
+
+		this.dbPromise = new Promise((resolve, reject) => {
+			if (!this.isAvailable()) {
+				reject(new Error('IndexedDB is not available in this browser'));
+				return;
+			}
+
+			const request = indexedDB.open(this.dbName, this.version);
+
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				const store = db.objectStoreNames.contains(this.storeName) ?
+					request.transaction.objectStore(this.storeName) :
+					db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+
+				this.indexes.forEach(index => {
+					if (!store.indexNames.contains(index.name)) {
+						store.createIndex(index.name, index.keyPath, { unique: !!index.unique, multiEntry: !!index.multiEntry });
+					}
+				});
+			};
+
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => reject(new Error(`IndexedDB "${this.dbName}" is blocked by another tab`));
+		});
+
+		// Allow a later retry if opening failed
+		this.dbPromise.catch(() => {
+			this.dbPromise = null;
+		});
+
+		return this.dbPromise;
+	}
+
+	/**
+	 * Run a single request against the object store
+	 * @param {string} mode - 'readonly' or 'readwrite'
+	 * @param {Function} operation - Receives the store, returns an IDBRequest
+	 * @returns {Promise<*>} Request result, resolved once the transaction completes
+	 */
+	async run(mode, operation) {
+		const db = await this.open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(this.storeName, mode);
+			const request = operation(transaction.objectStore(this.storeName));
+
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+		});
+	}
+
+	get(key) {
+		return this.run('readonly', store => store.get(key));
+	}
+
+	getAll() {
+		return this.run('readonly', store => store.getAll());
+	}
+
+	getAllKeys() {
+		return this.run('readonly', store => store.getAllKeys());
+	}
+
+	getFromIndex(indexName, key) {
+		return this.run('readonly', store => store.index(indexName).get(key));
+	}
+
+	getAllFromIndex(indexName, query) {
+		return this.run('readonly', store => store.index(indexName).getAll(query));
+	}
+
+	put(value) {
+		return this.run('readwrite', store => store.put(value));
+	}
+
+	// Write many records in one transaction
+	async putAll(values) {
+		const db = await this.open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(this.storeName, 'readwrite');
+			const store = transaction.objectStore(this.storeName);
+			values.forEach(value => store.put(value));
+
+			transaction.oncomplete = () => resolve(values.length);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+		});
+	}
+
+	// Swap the whole store's contents in one transaction - nothing changes if any write fails
+	async replaceAll(values) {
+		const db = await this.open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(this.storeName, 'readwrite');
+			const store = transaction.objectStore(this.storeName);
+			store.clear();
+			values.forEach(value => store.put(value));
+
+			transaction.oncomplete = () => resolve(values.length);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+		});
+	}
+
+	delete(key) {
+		return this.run('readwrite', store => store.delete(key));
+	}
+
+	clear() {
+		return this.run('readwrite', store => store.clear());
+	}
+
+	count() {
+		return this.run('readonly', store => store.count());
+	}
+}
+
+// Export for use in other modules
+window.IDBStore = IDBStore;
@@ -0,0 +1,163 @@
+// VERSION:1
+// Printing Preferences - Which printing of a card the frames show (set symbol, year, price)
+// A policy applies to every card; a printing picked from the set-symbol chooser overrides it per card
+class PrintingPreferences {
+	constructor() {
+		this.settingsKey = 'printing_settings';
+		this.choicesKey = 'printing_choices';
+
+		this.policies = [
+			{ value: 'default', label: "Scryfall's default printing" },
+			{ value: 'cheapest', label: 'Cheapest paper printing' },
+			{ value: 'original', label: 'Original printing' },
+			{ value: 'latest', label: 'Latest printing' },
+			{ value: 'preferred', label: 'Preferred sets (in order)' }
+		];
+
+		this.settings = this.loadSettings();
+		this.choices = this.loadChoices();
+	}
+
+	// === SETTINGS (localStorage) ===
+
+	loadSettings() {
+		try {
+			const stored = localStorage.getItem(this.settingsKey);
+			if (stored) {
+				return { policy: 'default', preferredSets: [], ...JSON.parse(stored) };
+			}
+		} catch (error) {
+			console.error('Error loading printing settings:', error);
+		}
+		return { policy: 'default', preferredSets: [] };
+	}
+
+	/**
+	 * @param {Object} settings - `{policy, preferredSets}`; set codes are matched case-insensitively
+	 */
+	saveSettings(settings) {
+		const policy = this.policies.some(option => option.value === settings.policy) ? settings.policy : 'default';
+		this.settings = {
+			policy,
+			preferredSets: (settings.preferredSets || []).map(code => code.trim().toLowerCase()).filter(Boolean)
+		};
+
+		try {
+			localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+			return true;
+		} catch (error) {
+			console.error('Error saving printing settings:', error);
+			return false;
+		}
+	}
+
+	loadChoices() {
+		try {
+			const stored = localStorage.getItem(this.choicesKey);
+			if (stored) {
+				return JSON.parse(stored);
+			}
+		} catch (error) {
+			console.error('Error loading printing choices:', error);
+		}
+		return {};
+	}
+
+	saveChoices() {
+		try {
+			localStorage.setItem(this.choicesKey, JSON.stringify(this.choices));
+		} catch (error) {
+			console.error('Error saving printing choices:', error);
+		}
+	}
+
+	// === PER-CARD CHOICES ===
+
+	/**
+	 * @returns {Object|null} `{id, set, collectorNumber}` of the remembered printing
+	 */
+	getChoice(cardName) {
+		return this.choices[cardName] || null;
+	}
+
+	setChoice(cardName, printing) {
+		this.choices[cardName] = {
+			id: printing.id,
+			set: printing.set,
+			collectorNumber: printing.collector_number
+		};
+		this.saveChoices();
+	}
+
+	clearChoice(cardName) {
+		delete this.choices[cardName];
+		this.saveChoices();
+	}
+
+	clearChoices() {
+		this.choices = {};
+		this.saveChoices();
+	}
+
+	choiceCount() {
+		return Object.keys(this.choices).length;
+	}
+
+	// === POLICY ===
+
+	// The policy only needs the printing list when it isn't Scryfall's default
+	needsPrintings() {
+		return this.settings.policy !== 'default';
+	}
+
+	/**
+	 * Printings a policy may pick: released paper cards, no oversized or memorabilia
+	 * (the chooser still lists everything)
+	 */
+	isRegularPrinting(printing) {
+		const today = new Date().toISOString().slice(0, 10);
+		return (printing.games || ['paper']).includes('paper') &&
+			!printing.oversized &&
+			printing.set_type !== 'memorabilia' &&
+			(!printing.released_at || printing.released_at <= today);
+	}
+
+	/**
+	 * Apply the policy to a card's printings
+	 * @param {Array} printings - Scryfall cards, one per printing
+	 * @returns {Object|null} The chosen printing, or null to keep the default one
+	 */
+	pickPrinting(printings) {
+		const candidates = printings.filter(printing => this.isRegularPrinting(printing));
+		if (candidates.length === 0) return null;
+
+		const byRelease = [...candidates].sort((a, b) => (a.released_at || '').localeCompare(b.released_at || ''));
+
+		switch (this.settings.policy) {
+			case 'cheapest': {
+				const priced = candidates.filter(printing => !isNaN(parseFloat(printing.prices?.usd)));
+				if (priced.length === 0) return null;
+				return priced.reduce((cheapest, printing) =>
+					parseFloat(printing.prices.usd) < parseFloat(cheapest.prices.usd) ? printing : cheapest);
+			}
+			case 'original':
+				return byRelease[0];
+			case 'latest':
+				return byRelease[byRelease.length - 1];
+			case 'preferred':
+				for (const setCode of this.settings.preferredSets) {
+					const match = byRelease.find(printing => printing.set === setCode);
+					if (match) return match;
+				}
+				return null;
+			default:
+				return null;
+		}
+	}
+}
+
+// Create global instance
+window.printingPreferences = new PrintingPreferences();
+
+// Export for use in other modules
+window.PrintingPreferences = PrintingPreferences;
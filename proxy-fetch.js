@@ -0,0 +1,233 @@
+// VERSION:1
+// Proxy Fetch Layer - Shared CORS proxy chain for EDHREC page fetches
+// Used by EDHRECExtractor (commander pages) and EDHRECUpgradeGuideExtractor (articles)
+class ProxyFetcher {
+	constructor() {
+		this.settingsKey = 'edhrec_proxy_settings';
+		this.healthKey = 'edhrec_proxy_health';
+		this.defaultTimeout = 10000; // ms per proxy attempt
+		this.retryDelay = 300; // ms between proxy attempts
+
+		this.settings = this.loadSettings();
+		this.health = this.loadHealth();
+	}
+
+	// Default chain - '' means direct fetch (no proxy)
+	getDefaultSettings() {
+		return {
+			localProxy: '',
+			proxies: [
+				{ url: 'https://corsproxy.io/?', timeout: this.defaultTimeout },
+				{ url: 'https://cors-anywhere.herokuapp.com/', timeout: this.defaultTimeout },
+				{ url: 'https://api.codetabs.com/v1/proxy?quest=', timeout: this.defaultTimeout },
+				{ url: '', timeout: this.defaultTimeout }
+			]
+		};
+	}
+
+	// === SETTINGS (localStorage) ===
+
+	loadSettings() {
+		try {
+			const stored = localStorage.getItem(this.settingsKey);
+			if (stored) {
+				const parsed = JSON.parse(stored);
+				if (Array.isArray(parsed.proxies)) {
+					return { ...this.getDefaultSettings(), ...parsed };
+				}
+			}
+		} catch (error) {
+			console.error('Error loading proxy settings:', error);
+		}
+		return this.getDefaultSettings();
+	}
+
+	saveSettings(settings) {
+		this.settings = {
+			localProxy: (settings.localProxy || '').trim(),
+			proxies: (settings.proxies || []).map(proxy => ({
+				url: (proxy.url || '').trim(),
+				timeout: proxy.timeout > 0 ? proxy.timeout : this.defaultTimeout
+			}))
+		};
+
+		try {
+			localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+			console.log('💾 Proxy settings saved:', this.settings);
+			return true;
+		} catch (error) {
+			console.error('Error saving proxy settings:', error);
+			return false;
+		}
+	}
+
+	resetSettings() {
+		localStorage.removeItem(this.settingsKey);
+		this.settings = this.getDefaultSettings();
+		return this.settings;
+	}
+
+	// === HEALTH SCORING ===
+
+	loadHealth() {
+		try {
+			const stored = localStorage.getItem(this.healthKey);
+			if (stored) {
+				return JSON.parse(stored);
+			}
+		} catch (error) {
+			console.error('Error loading proxy health:', error);
+		}
+		return { lastWorking: null, proxies: {} };
+	}
+
+	saveHealth() {
+		try {
+			localStorage.setItem(this.healthKey, JSON.stringify(this.health));
+		} catch (error) {
+			console.error('Error saving proxy health:', error);
+		}
+	}
+
+	getProxyHealth(proxyUrl) {
+		return this.health.proxies[proxyUrl] || { successes: 0, failures: 0, lastSuccess: null, lastFailure: null, lastLatency: null };
+	}
+
+	recordResult(proxyUrl, success, latency) {
+		const entry = this.getProxyHealth(proxyUrl);
+
+		if (success) {
+			entry.successes++;
+			entry.lastSuccess = Date.now();
+			entry.lastLatency = latency;
+			this.health.lastWorking = proxyUrl;
+		} else {
+			entry.failures++;
+			entry.lastFailure = Date.now();
+		}
+
+		this.health.proxies[proxyUrl] = entry;
+		this.saveHealth();
+	}
+
+	/**
+	 * Health score between 0 and 1 (smoothed success ratio)
+	 * Unknown proxies score 0.5 so they are neither preferred nor buried
+	 */
+	getScore(proxyUrl) {
+		const entry = this.getProxyHealth(proxyUrl);
+		return (entry.successes + 1) / (entry.successes + entry.failures + 2);
+	}
+
+	clearHealth() {
+		this.health = { lastWorking: null, proxies: {} };
+		this.saveHealth();
+	}
+
+	/**
+	 * Proxy attempt order: local proxy, last proxy that worked, then by health score
+	 * Ties keep the user's configured order
+	 * @returns {Array} Proxy entries `{url, timeout}`
+	 */
+	getOrderedProxies() {
+		const configured = this.settings.proxies.map((proxy, index) => ({ ...proxy, index }));
+
+		configured.sort((a, b) => {
+			const aLast = a.url === this.health.lastWorking ? 1 : 0;
+			const bLast = b.url === this.health.lastWorking ? 1 : 0;
+			if (aLast !== bLast) return bLast - aLast;
+
+			const scoreDiff = this.getScore(b.url) - this.getScore(a.url);
+			if (Math.abs(scoreDiff) > 0.001) return scoreDiff;
+
+			return a.index - b.index;
+		});
+
+		const ordered = configured.map(({ url, timeout }) => ({ url, timeout }));
+
+		// Self-hosted proxy always goes first
+		if (this.settings.localProxy) {
+			ordered.unshift({ url: this.settings.localProxy, timeout: this.defaultTimeout, local: true });
+		}
+
+		return ordered;
+	}
+
+	// === FETCHING ===
+
+	/**
+	 * Build the request URL for a proxy
+	 * Proxies containing `{url}` get the encoded target substituted, others are prefixed
+	 */
+	buildProxyUrl(proxyUrl, targetUrl) {
+		if (!proxyUrl) return targetUrl;
+		if (proxyUrl.includes('{url}')) {
+			return proxyUrl.replace('{url}', encodeURIComponent(targetUrl));
+		}
+		return proxyUrl + targetUrl;
+	}
+
+	async fetchWithTimeout(requestUrl, timeout) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), timeout);
+
+		try {
+			return await fetch(requestUrl, { signal: controller.signal });
+		} catch (error) {
+			if (error.name === 'AbortError') {
+				throw new Error(`Timed out after ${timeout}ms`);
+			}
+			throw error;
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	/**
+	 * Fetch a page's text through the proxy chain
+	 * @param {string} url - Target EDHREC URL
+	 * @returns {Promise<string>} Response body
+	 * @throws {EDHRECFetchError} When every proxy fails (class defined in upgrade-guide.js)
+	 */
+	async fetchText(url) {
+		const proxies = this.getOrderedProxies();
+		const failures = [];
+
+		for (let i = 0; i < proxies.length; i++) {
+			const proxy = proxies[i];
+			const proxyLabel = proxy.url || 'DIRECT';
+			const startTime = Date.now();
+
+			try {
+				console.log(`🔄 Proxy attempt ${i + 1}/${proxies.length}: ${proxyLabel} (timeout ${proxy.timeout}ms)`);
+
+				const response = await this.fetchWithTimeout(this.buildProxyUrl(proxy.url, url), proxy.timeout);
+				if (!response.ok) {
+					throw new Error(`HTTP ${response.status}`);
+				}
+
+				const text = await response.text();
+				this.recordResult(proxy.url, true, Date.now() - startTime);
+				console.log(`✅ Proxy successful: ${proxyLabel} (${Date.now() - startTime}ms)`);
+				return text;
+
+			} catch (error) {
+				console.log(`❌ Proxy failed: ${proxyLabel} - ${error.message}`);
+				this.recordResult(proxy.url, false);
+				failures.push(`${proxyLabel}: ${error.message}`);
+
+				if (i < proxies.length - 1) {
+					await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+				}
+			}
+		}
+
+		throw new EDHRECFetchError(`All proxy attempts failed (${failures.join('; ')})`, url, 'all proxies');
+	}
+}
+
+// Create global instance
+window.proxyFetcher = new ProxyFetcher();
+
+// Export for use in other modules
+window.ProxyFetcher = ProxyFetcher;
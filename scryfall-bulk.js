@@ -0,0 +1,250 @@
+// VERSION:4
+// Scryfall Bulk Index - Offline card lookups from an imported "oracle cards" bulk file (IndexedDB)
+// ScryfallAPI answers getCardByName / getCardExact / searchCards from here when an import exists.
+// A "default cards" file (every printing) also answers getPrintings for the printing policies
+class ScryfallBulkIndex {
+	constructor() {
+		this.metaKey = 'scryfall_bulk_meta';
+		this.importBatchSize = 2000; // records per IndexedDB transaction
+		this.store = new IDBStore('edhrec_retriever_bulk', 'cards', {
+			keyPath: 'key',
+			indexes: [{ name: 'faces', keyPath: 'faces', multiEntry: true }]
+		});
+
+		// Only the fields the app reads - full bulk entries are several times larger
+		this.cardFields = [
+			'id', 'oracle_id', 'name', 'layout', 'mana_cost', 'cmc', 'type_line', 'oracle_text',
+			'flavor_text', 'power', 'toughness', 'loyalty', 'defense', 'colors', 'color_identity',
+			'keywords', 'legalities', 'prices', 'image_uris', 'card_faces', 'set', 'set_name',
+			'released_at', 'rarity', 'scryfall_uri', 'all_parts', 'games', 'oversized', 'set_type'
+		];
+
+		// Not real cards - a token named like a card would replace it (records are keyed by name)
+		this.skippedLayouts = ['token', 'double_faced_token', 'emblem', 'art_series'];
+
+		this.meta = this.loadMeta();
+		this.names = null; // Lazily loaded list of lowercase names
+		this.normalizedNames = null;
+	}
+
+	// === IMPORT METADATA (localStorage) ===
+
+	loadMeta() {
+		try {
+			const stored = localStorage.getItem(this.metaKey);
+			if (stored) {
+				return JSON.parse(stored);
+			}
+		} catch (error) {
+			console.error('Error loading bulk data info:', error);
+		}
+		return null;
+	}
+
+	saveMeta(meta) {
+		this.meta = meta;
+		try {
+			if (meta) {
+				localStorage.setItem(this.metaKey, JSON.stringify(meta));
+			} else {
+				localStorage.removeItem(this.metaKey);
+			}
+		} catch (error) {
+			console.error('Error saving bulk data info:', error);
+		}
+	}
+
+	isAvailable() {
+		return !!this.meta && this.store.isAvailable();
+	}
+
+	// === IMPORT ===
+
+	/**
+	 * Cheap check on the first bytes, so card lists aren't JSON-parsed needlessly
+	 * @param {string} content - Uploaded file content
+	 */
+	isBulkFile(content) {
+		const head = content.slice(0, 4000).trimStart();
+		return head.startsWith('[') && /"object"\s*:\s*"card"/.test(head);
+	}
+
+	/**
+	 * Date of the bulk export: the timestamp in Scryfall's file name
+	 * ("oracle-cards-20240115100412.json"), else the file's modification time
+	 * @returns {string} ISO date string
+	 */
+	getBulkDate(fileName, lastModified) {
+		const match = (fileName || '').match(/(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/);
+		if (match) {
+			const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+			return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+		}
+		return new Date(lastModified || Date.now()).toISOString();
+	}
+
+	/**
+	 * Replace the local index with a bulk file
+	 * @param {string} content - Bulk JSON text
+	 * @param {Object} file - `{name, lastModified}` of the uploaded file
+	 * @param {Function} onProgress - Optional `(done, total)` callback
+	 * @returns {Promise<Object>} Import metadata `{fileName, bulkDate, cardCount, hasPrintings, importedAt}`
+	 */
+	async importFile(content, file, onProgress = null) {
+		const cards = JSON.parse(content);
+		if (!Array.isArray(cards)) {
+			throw new Error('Not a Scryfall bulk data file (expected a JSON array of cards)');
+		}
+
+		// Files with every printing hold several entries per name - the last one is the card,
+		// all of them its printings
+		const byKey = new Map();
+		cards
+			.filter(card => card && card.object === 'card' && card.name && !this.skippedLayouts.includes(card.layout))
+			.forEach(card => {
+				const record = this.toRecord(card);
+				record.printings = byKey.get(record.key)?.printings || [];
+				record.printings.push(record.card);
+				byKey.set(record.key, record);
+			});
+
+		const records = [...byKey.values()];
+		const hasPrintings = records.some(record => record.printings.length > 1);
+		records.forEach(record => {
+			if (hasPrintings) {
+				record.printings.sort((a, b) => (a.released_at || '').localeCompare(b.released_at || ''));
+			} else {
+				delete record.printings;
+			}
+		});
+
+		if (records.length === 0) {
+			throw new Error('The bulk file contains no cards');
+		}
+
+		// Until every batch is stored there is no usable index - a failed import must not look loaded
+		this.saveMeta(null);
+		await this.store.clear();
+		this.names = null;
+		this.normalizedNames = null;
+
+		for (let i = 0; i < records.length; i += this.importBatchSize) {
+			await this.store.putAll(records.slice(i, i + this.importBatchSize));
+			if (onProgress) {
+				onProgress(Math.min(i + this.importBatchSize, records.length), records.length);
+			}
+		}
+
+		const meta = {
+			fileName: file.name,
+			bulkDate: this.getBulkDate(file.name, file.lastModified),
+			cardCount: records.length,
+			hasPrintings,
+			importedAt: new Date().toISOString()
+		};
+		this.saveMeta(meta);
+
+		console.log(`📦 Imported ${records.length} cards from ${file.name}`);
+		return meta;
+	}
+
+	toRecord(card) {
+		const trimmed = {};
+		this.cardFields.forEach(field => {
+			if (card[field] !== undefined) {
+				trimmed[field] = card[field];
+			}
+		});
+
+		// Face names make "Delver of Secrets" find "Delver of Secrets // Insectile Aberration"
+		const faces = (card.card_faces || []).map(face => (face.name || '').toLowerCase()).filter(Boolean);
+
+		return { key: card.name.toLowerCase(), faces, card: trimmed };
+	}
+
+	async clear() {
+		await this.store.clear();
+		this.saveMeta(null);
+		this.names = null;
+		this.normalizedNames = null;
+	}
+
+	// === LOOKUPS ===
+
+	// "Lim-Dûl's Vault" → "limdulsvault" style key for punctuation-insensitive matching
+	normalizeName(name) {
+		return name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+	}
+
+	async loadNames() {
+		if (!this.names) {
+			this.names = await this.store.getAllKeys();
+			this.normalizedNames = new Map(this.names.map(name => [this.normalizeName(name), name]));
+		}
+		return this.names;
+	}
+
+	/**
+	 * Exact (case-insensitive) lookup by full or face name
+	 * @returns {Promise<Object|null>} Scryfall card or null
+	 */
+	async getExact(name) {
+		const key = name.toLowerCase();
+		const record = await this.store.get(key) || await this.store.getFromIndex('faces', key);
+		return record ? record.card : null;
+	}
+
+	/**
+	 * Every printing of a card, oldest first
+	 * @returns {Promise<Array|null>} Scryfall cards, null when the import has one printing per card
+	 */
+	async getPrintings(name) {
+		if (!this.meta?.hasPrintings) return null;
+
+		const key = name.toLowerCase();
+		const record = await this.store.get(key) || await this.store.getFromIndex('faces', key);
+		return record ? record.printings || [record.card] : null;
+	}
+
+	/**
+	 * Forgiving lookup: exact, then punctuation-insensitive
+	 * Anything looser is left to Scryfall's `fuzzy` - a near match here could be a different
+	 * card when the name is newer than the bulk file
+	 * @returns {Promise<Object|null>} Scryfall card or null
+	 */
+	async getFuzzy(name) {
+		const exact = await this.getExact(name);
+		if (exact) return exact;
+
+		await this.loadNames();
+		const normalized = this.normalizeName(name);
+		if (!normalized) return null;
+
+		const key = this.normalizedNames.get(normalized);
+		if (!key) return null;
+		const record = await this.store.get(key);
+		return record ? record.card : null;
+	}
+
+	/**
+	 * Name search for the search box: names starting with the query first, then containing it
+	 * @returns {Promise<Array>} Up to `limit` Scryfall cards sorted by relevance, then name
+	 */
+	async search(query, limit = 20) {
+		const names = await this.loadNames();
+		const lower = query.toLowerCase();
+
+		const startsWith = names.filter(name => name.startsWith(lower)).sort();
+		const contains = names.filter(name => !name.startsWith(lower) && name.includes(lower)).sort();
+		const matches = [...startsWith, ...contains].slice(0, limit);
+
+		const records = await Promise.all(matches.map(name => this.store.get(name)));
+		return records.filter(Boolean).map(record => record.card);
+	}
+}
+
+// Create global instance
+window.scryfallBulk = new ScryfallBulkIndex();
+
+// Export for use in other modules
+window.ScryfallBulkIndex = ScryfallBulkIndex;
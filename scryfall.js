@@ -1,301 +1,814 @@
-// VERSION:1
-// Scryfall API Integration Module
-class ScryfallAPI {
-    constructor() {
-        this.baseURL = 'https://api.scryfall.com';
-        this.searchDelay = 300; // ms delay between searches
-        this.currentSearch = null;
-		
-		// NZD Conversion Configuration
-        this.nzdRate = null;
-        this.rateCacheKey = 'nzd_exchange_rate';
-        this.cacheDuration = 24 * 60 * 60 * 1000; // 24 hours
-    }
-	
-	// NEW: NZD Currency Conversion Method
-    async getNZDExchangeRate() {
-        // Check cache first
-        const cached = this.getCachedRate();
-        if (cached) {
-            return cached;
-        }
-
-        // API endpoints to try in order of preference
-        const apiEndpoints = [
-            {
-                name: 'Frankfurter.app',
-                url: 'https://api.frankfurter.app/latest?from=USD&to=NZD',
-                parser: (data) => data.rates?.NZD
-            },
-            {
-                name: 'ExchangeRate-API',
-                url: 'https://api.exchangerate-api.com/v4/latest/USD',
-                parser: (data) => data.rates?.NZD
-            },
-            {
-                name: 'ExchangeAPI.host',
-                url: 'https://api.exchangerate.host/latest?base=USD&symbols=NZD',
-                parser: (data) => data.rates?.NZD
-            }
-        ];
-
-        // Try each API sequentially
-        for (const api of apiEndpoints) {
-            try {
-                const rate = await this.tryExchangeAPI(api);
-                if (rate && rate > 0) {
-                    this.cacheRate(rate);
-                    return rate;
-                }
-            } catch (error) {
-                continue; // Try next API
-            }
-        }
-
-        // All APIs failed, use fixed rate with indicator
-        return 1.65; // Fixed fallback rate
-    }
-
-    // NEW: Try individual exchange API
-    async tryExchangeAPI(api) {
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('API timeout'));
-            }, 2000);
-
-            fetch(api.url)
-                .then(response => {
-                    clearTimeout(timeout);
-                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                    return response.json();
-                })
-                .then(data => {
-                    const rate = api.parser(data);
-                    if (rate && typeof rate === 'number' && rate > 0) {
-                        resolve(rate);
-                    } else {
-                        reject(new Error('Invalid rate data'));
-                    }
-                })
-                .catch(error => {
-                    clearTimeout(timeout);
-                    reject(error);
-                });
-        });
-    }
-
-    // NEW: Cache management methods
-    getCachedRate() {
-        try {
-            const cached = localStorage.getItem(this.rateCacheKey);
-            if (cached) {
-                const { rate, timestamp } = JSON.parse(cached);
-                if (Date.now() - timestamp < this.cacheDuration) {
-                    return rate;
-                }
-            }
-        } catch (error) {
-            console.log('Cache read failed:', error);
-        }
-        return null;
-    }
-
-    cacheRate(rate) {
-        try {
-            const cacheData = {
-                rate: rate,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.rateCacheKey, JSON.stringify(cacheData));
-        } catch (error) {
-            console.log('Cache write failed:', error);
-        }
-    }
-
-	// UPDATED: Get price display with BOTH USD and NZD
-	async getPriceDisplay(prices, showBothCurrencies = true) {
-		if (!prices) {
-			return 'Price N/A';
-		}
-		
-		// Get USD prices - ONLY USE REGULAR USD PRICE
-		const usd = prices.usd;
-		
-		if (!showBothCurrencies) {
-			// Return USD format (existing behavior)
-			return usd ? `$${usd}` : 'Price N/A';
-		}
-		
-		// DUAL CURRENCY: USD + NZD - NO FOIL/ETCHED
-		try {
-			const nzdRate = await this.getNZDExchangeRate();
-			const usingFixedRate = nzdRate === 1.65; // Check if using fallback
-			
-			return this.formatDualCurrencyPrice(usd, nzdRate, usingFixedRate);
-			
-		} catch (error) {
-			console.error('Dual currency conversion failed:', error);
-			// Fallback to USD-only
-			return usd ? `$${usd}` : 'Price N/A';
-		}
-	}
-
-	// NEW: Format dual currency price
-	formatDualCurrencyPrice(usdPrice, nzdRate, usingFixedRate = false) {
-		if (!usdPrice || usdPrice === 'N/A') {
-			return 'Price N/A';
-		}
-		
-		try {
-			const usd = parseFloat(usdPrice);
-			if (isNaN(usd)) {
-				return 'Price N/A';
-			}
-			
-			const nzd = (usd * nzdRate).toFixed(2);
-			const fallbackIndicator = usingFixedRate ? '*' : '';
-			return `USD $${usdPrice}<br>NZD $${nzd}${fallbackIndicator}`;
-			
-		} catch (error) {
-			console.error('Error formatting dual currency price:', error);
-			return 'Price N/A';
-		}
-	}
-
-    // NEW: Format NZD price with asterisk for fallback rates
-    formatNZDPrice(usdPrice, nzdRate, usingFixedRate = false) {
-        if (!usdPrice) return 'NZD N/A';
-        
-        try {
-            const usd = parseFloat(usdPrice);
-            if (isNaN(usd)) return 'NZD N/A';
-            
-            const nzd = (usd * nzdRate).toFixed(2);
-            const fallbackIndicator = usingFixedRate ? '*' : '';
-            return `NZD $${nzd}${fallbackIndicator}`;
-        } catch (error) {
-            return 'NZD N/A';
-        }
-    }
-
-    // Search for cards with autocomplete
-    async searchCards(query) {
-        if (!query || query.length < 2) {
-            return [];
-        }
-
-        // Cancel previous search if new one comes in
-        if (this.currentSearch) {
-            clearTimeout(this.currentSearch);
-        }
-
-        return new Promise((resolve) => {
-            this.currentSearch = setTimeout(async () => {
-                try {
-                    const response = await fetch(
-                        `${this.baseURL}/cards/search?q=${encodeURIComponent(query)}&unique=cards&order=name`
-                    );
-                    
-                    if (!response.ok) {
-                        throw new Error('Scryfall API error');
-                    }
-                    
-                    const data = await response.json();
-                    resolve(data.data || []);
-                } catch (error) {
-                    console.error('Scryfall search error:', error);
-                    resolve([]);
-                }
-            }, this.searchDelay);
-        });
-    }
-
-    // Get specific card by name
-    async getCardByName(cardName) {
-        try {
-            const response = await fetch(
-                `${this.baseURL}/cards/named?fuzzy=${encodeURIComponent(cardName)}`
-            );
-            
-            if (!response.ok) {
-                throw new Error('Card not found');
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Error fetching card:', error);
-            throw error;
-        }
-    }
-
-    // Get card by exact name
-    async getCardExact(cardName) {
-        try {
-            const response = await fetch(
-                `${this.baseURL}/cards/named?exact=${encodeURIComponent(cardName)}`
-            );
-            
-            if (!response.ok) {
-                throw new Error('Card not found');
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Error fetching card:', error);
-            throw error;
-        }
-    }
-
-    // Check if card is a valid commander
-    isCommanderLegal(card) {
-        // Must be legendary
-        if (!card.type_line?.toLowerCase().includes('legendary')) {
-            return false;
-        }
-
-        // Must be a creature, planeswalker, or battle (if applicable)
-        const validTypes = ['creature', 'planeswalker', 'battle'];
-        const hasValidType = validTypes.some(type => 
-            card.type_line?.toLowerCase().includes(type)
-        );
-
-        if (!hasValidType) {
-            return false;
-        }
-
-        // Check if banned as commander (simplified check)
-        const bannedCommanders = [
-            // Add known banned commanders if needed
-        ];
-
-        if (bannedCommanders.includes(card.name.toLowerCase())) {
-            return false;
-        }
-
-        return true;
-    }
-
-    // Format card data for display
-    formatCardData(card) {
-        return {
-            name: card.name,
-            mana_cost: card.mana_cost,
-            type_line: card.type_line,
-            oracle_text: card.oracle_text,
-            flavor_text: card.flavor_text,
-            power: card.power,
-            toughness: card.toughness,
-            loyalty: card.loyalty,
-            defense: card.defense,
-            colors: card.colors,
-            color_identity: card.color_identity,
-            legalities: card.legalities,
-            prices: card.prices,
-            image_uris: card.image_uris,
-            scryfall_uri: card.scryfall_uri
-        };
-    }
-}
-
-// Export for use in other modules
-window.ScryfallAPI = ScryfallAPI;
+// VERSION:11
+// Scryfall API Integration Module
+
+/**
+ * Shared queue for every api.scryfall.com request
+ * Scryfall asks for 50-100ms between requests (~10 per second) and answers
+ * HTTP 429 when that is exceeded - requests are spaced out and 429s retried
+ */
+class ScryfallRequestQueue {
+    constructor() {
+        this.minInterval = 100; // ms between request starts
+        this.maxRetries = 3;
+        this.retryDelay = 1000; // ms, doubled per 429 retry unless Retry-After says otherwise
+        this.lastRequestTime = 0;
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Queue a fetch
+     * @param {string} url - Scryfall API URL
+     * @param {Object} init - fetch options
+     * @returns {Promise<Response>} The response (429s already retried)
+     */
+    fetch(url, init = {}) {
+        const request = this.tail.then(() => this.fetchWithRetry(url, init));
+
+        // Keep the chain alive when a request fails
+        this.tail = request.catch(() => {});
+        return request;
+    }
+
+    async fetchWithRetry(url, init) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForSlot();
+            const response = await fetch(url, init);
+
+            if (response.status !== 429 || attempt >= this.maxRetries) {
+                return response;
+            }
+
+            const retryAfter = parseFloat(response.headers.get('Retry-After'));
+            const delay = retryAfter > 0 ? retryAfter * 1000 : this.retryDelay * Math.pow(2, attempt);
+            console.warn(`⏳ Scryfall rate limit hit, retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    async waitForSlot() {
+        const wait = this.lastRequestTime + this.minInterval - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastRequestTime = Date.now();
+    }
+}
+
+class ScryfallAPI {
+    constructor() {
+        this.baseURL = 'https://api.scryfall.com';
+        this.searchDelay = 300; // ms delay between searches
+        this.currentSearch = null;
+        this.queue = window.scryfallQueue;
+        this.collectionBatchSize = 75; // Scryfall's /cards/collection limit
+        this.bulk = window.scryfallBulk; // Offline index, used first when a bulk file was imported
+        this.printingsCache = new Map(); // oracle_id -> printings
+        this.printingsBatchSize = 30; // oracle ids per `unique=prints` search - keeps the URL short
+		
+		// Secondary currency configuration
+        this.priceSettingsKey = 'scryfall_price_settings';
+        this.defaultPriceSettings = { currency: 'NZD', nativeEur: false, showTix: false };
+        this.rateCacheKeyPrefix = 'exchange_rate_';
+        this.cacheDuration = 24 * 60 * 60 * 1000; // 24 hours
+        this.failedRateDuration = 5 * 60 * 1000; // After every rate service failed, don't ask again for 5 minutes
+        this.failedRates = new Map(); // currency -> {result, expires}
+        
+        // Built-in rates are only used when every rate service fails
+        this.currencies = {
+            EUR: { label: 'Euro', symbol: '€', fallbackRate: 0.92 },
+            GBP: { label: 'British pound', symbol: '£', fallbackRate: 0.79 },
+            AUD: { label: 'Australian dollar', symbol: '$', fallbackRate: 1.52 },
+            CAD: { label: 'Canadian dollar', symbol: '$', fallbackRate: 1.36 },
+            NZD: { label: 'New Zealand dollar', symbol: '$', fallbackRate: 1.65 },
+            JPY: { label: 'Japanese yen', symbol: '¥', fallbackRate: 150 },
+            CHF: { label: 'Swiss franc', symbol: '', fallbackRate: 0.88 },
+            SEK: { label: 'Swedish krona', symbol: '', fallbackRate: 10.5 }
+        };
+    }
+	
+    // === PRICES & CURRENCY CONVERSION ===
+
+    // Price settings are re-read on every use - several ScryfallAPI instances exist at once
+    loadPriceSettings() {
+        try {
+            const stored = localStorage.getItem(this.priceSettingsKey);
+            if (stored) {
+                return { ...this.defaultPriceSettings, ...JSON.parse(stored) };
+            }
+        } catch (error) {
+            console.error('Error loading price settings:', error);
+        }
+        return { ...this.defaultPriceSettings };
+    }
+
+    /**
+     * @param {Object} settings - `{currency, nativeEur, showTix}`; currency '' shows USD only
+     */
+    savePriceSettings(settings) {
+        const currency = this.currencies[settings.currency] ? settings.currency : '';
+
+        try {
+            localStorage.setItem(this.priceSettingsKey, JSON.stringify({
+                currency,
+                nativeEur: !!settings.nativeEur,
+                showTix: !!settings.showTix
+            }));
+            return true;
+        } catch (error) {
+            console.error('Error saving price settings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * USD -> currency rate with its provenance
+     * Order: fresh cache, live APIs, expired cache, built-in fallback rate
+     * @param {string} currency - ISO code, e.g. 'NZD'
+     * @returns {Promise<Object>} `{rate, source}`; source is 'live', 'cached', 'stale' or 'fallback'
+     */
+    async getExchangeRate(currency) {
+        const cached = this.getCachedRate(currency);
+        if (cached && !cached.expired) {
+            return { rate: cached.rate, source: 'cached' };
+        }
+
+        // Every card of a list asks - once the services are down, reuse that answer for a while
+        const failed = this.failedRates.get(currency);
+        if (failed && failed.expires > Date.now()) {
+            return failed.result;
+        }
+
+        // API endpoints to try in order of preference
+        const apiEndpoints = [
+            {
+                name: 'Frankfurter.app',
+                url: `https://api.frankfurter.app/latest?from=USD&to=${currency}`,
+                parser: (data) => data.rates?.[currency]
+            },
+            {
+                name: 'ExchangeRate-API',
+                url: 'https://api.exchangerate-api.com/v4/latest/USD',
+                parser: (data) => data.rates?.[currency]
+            },
+            {
+                name: 'ExchangeAPI.host',
+                url: `https://api.exchangerate.host/latest?base=USD&symbols=${currency}`,
+                parser: (data) => data.rates?.[currency]
+            }
+        ];
+
+        // Try each API sequentially
+        for (const api of apiEndpoints) {
+            try {
+                const rate = await this.tryExchangeAPI(api);
+                if (rate && rate > 0) {
+                    this.cacheRate(currency, rate);
+                    return { rate, source: 'live' };
+                }
+            } catch (error) {
+                continue; // Try next API
+            }
+        }
+
+        // All APIs failed - an expired rate is still closer than the built-in one
+        const result = cached ?
+            { rate: cached.rate, source: 'stale' } :
+            { rate: this.currencies[currency].fallbackRate, source: 'fallback' };
+
+        this.failedRates.set(currency, { result, expires: Date.now() + this.failedRateDuration });
+        return result;
+    }
+
+    // NEW: Try individual exchange API
+    async tryExchangeAPI(api) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('API timeout'));
+            }, 2000);
+
+            fetch(api.url)
+                .then(response => {
+                    clearTimeout(timeout);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    const rate = api.parser(data);
+                    if (rate && typeof rate === 'number' && rate > 0) {
+                        resolve(rate);
+                    } else {
+                        reject(new Error('Invalid rate data'));
+                    }
+                })
+                .catch(error => {
+                    clearTimeout(timeout);
+                    reject(error);
+                });
+        });
+    }
+
+    // Rates are cached per currency ("exchange_rate_NZD", "exchange_rate_EUR", ...)
+    getCachedRate(currency) {
+        try {
+            const cached = localStorage.getItem(`${this.rateCacheKeyPrefix}${currency}`);
+            if (cached) {
+                const { rate, timestamp } = JSON.parse(cached);
+                return { rate, expired: Date.now() - timestamp >= this.cacheDuration };
+            }
+        } catch (error) {
+            console.log('Cache read failed:', error);
+        }
+        return null;
+    }
+
+    cacheRate(currency, rate) {
+        try {
+            const cacheData = {
+                rate: rate,
+                timestamp: Date.now()
+            };
+            localStorage.setItem(`${this.rateCacheKeyPrefix}${currency}`, JSON.stringify(cacheData));
+        } catch (error) {
+            console.log('Cache write failed:', error);
+        }
+    }
+
+	/**
+	 * Price HTML for a card: USD plus the configured secondary currency and TIX
+	 * Converted prices from an expired or built-in rate are marked with '*'
+	 * @param {Object} prices - Scryfall `prices` object
+	 * @param {boolean} showBothCurrencies - false shows USD only
+	 */
+	async getPriceDisplay(prices, showBothCurrencies = true) {
+		if (!prices) {
+			return 'Price N/A';
+		}
+		
+		// Get USD prices - ONLY USE REGULAR USD PRICE
+		const usd = prices.usd;
+		
+		if (!showBothCurrencies) {
+			// Return USD format (existing behavior)
+			return usd ? `$${usd}` : 'Price N/A';
+		}
+		
+		const settings = this.loadPriceSettings();
+		const lines = [];
+		
+		if (usd) {
+			lines.push(`USD $${usd}`);
+		}
+		
+		if (this.currencies[settings.currency]) {
+			const secondary = await this.getSecondaryPriceLine(prices, settings);
+			if (secondary) {
+				lines.push(secondary);
+			}
+		}
+		
+		if (settings.showTix && prices.tix) {
+			lines.push(`TIX ${prices.tix}`);
+		}
+		
+		return lines.length ? lines.join('<br>') : 'Price N/A';
+	}
+	
+	async getSecondaryPriceLine(prices, settings) {
+		const currency = settings.currency;
+		
+		// Cardmarket's own EUR price instead of a conversion
+		if (currency === 'EUR' && settings.nativeEur && prices.eur) {
+			return this.formatCurrencyPrice(prices.eur, 'EUR');
+		}
+		
+		if (!prices.usd) {
+			return null;
+		}
+		
+		try {
+			const { rate, source } = await this.getExchangeRate(currency);
+			const converted = parseFloat(prices.usd) * rate;
+			if (isNaN(converted)) {
+				return null;
+			}
+			
+			return this.formatCurrencyPrice(converted.toFixed(2), currency, source);
+		} catch (error) {
+			console.error('Currency conversion failed:', error);
+			return null;
+		}
+	}
+	
+	/**
+	 * "NZD $2.03", with a '*' when the rate is not current
+	 * @param {string} source - Rate provenance from getExchangeRate, omitted for native prices
+	 */
+	formatCurrencyPrice(amount, currency, source = 'native') {
+		const { symbol } = this.currencies[currency];
+		const approximate = source === 'stale' || source === 'fallback';
+		const marker = approximate ?
+			`<span class="price-approx" title="${source === 'stale' ? 'Expired exchange rate' : 'Built-in exchange rate'} - rate services unreachable">*</span>` :
+			'';
+		
+		return `${currency} ${symbol}${amount}${marker}`;
+	}
+
+    /**
+     * Run a lookup against the imported bulk index
+     * Index failures are logged and treated as misses so the API is still tried
+     * @returns {Promise<*>} Lookup result, or null when no bulk data is loaded
+     */
+    async lookupLocal(method, ...args) {
+        if (!this.bulk?.isAvailable()) return null;
+
+        try {
+            return await this.bulk[method](...args);
+        } catch (error) {
+            console.warn('⚠️ Offline card data lookup failed:', error);
+            return null;
+        }
+    }
+
+    // Search for cards with autocomplete
+    async searchCards(query) {
+        if (!query || query.length < 2) {
+            return [];
+        }
+
+        // No local match may just mean the card is newer than the bulk file - ask Scryfall
+        const localResults = await this.lookupLocal('search', query);
+        if (localResults?.length > 0) {
+            return localResults;
+        }
+
+        // Cancel previous search if new one comes in
+        if (this.currentSearch) {
+            clearTimeout(this.currentSearch);
+        }
+
+        return new Promise((resolve) => {
+            this.currentSearch = setTimeout(async () => {
+                try {
+                    const response = await this.queue.fetch(
+                        `${this.baseURL}/cards/search?q=${encodeURIComponent(query)}&unique=cards&order=name`
+                    );
+                    
+                    if (!response.ok) {
+                        throw new Error('Scryfall API error');
+                    }
+                    
+                    const data = await response.json();
+                    resolve(data.data || []);
+                } catch (error) {
+                    console.error('Scryfall search error:', error);
+                    resolve([]);
+                }
+            }, this.searchDelay);
+        });
+    }
+
+    // Get specific card by name
+    async getCardByName(cardName) {
+        const localCard = await this.lookupLocal('getFuzzy', cardName);
+        if (localCard) {
+            return localCard;
+        }
+
+        try {
+            const response = await this.queue.fetch(
+                `${this.baseURL}/cards/named?fuzzy=${encodeURIComponent(cardName)}`
+            );
+            
+            if (!response.ok) {
+                throw new Error('Card not found');
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching card:', error);
+            throw error;
+        }
+    }
+
+    // Get card by exact name
+    async getCardExact(cardName) {
+        const localCard = await this.lookupLocal('getExact', cardName);
+        if (localCard) {
+            return localCard;
+        }
+
+        try {
+            const response = await this.queue.fetch(
+                `${this.baseURL}/cards/named?exact=${encodeURIComponent(cardName)}`
+            );
+            
+            if (!response.ok) {
+                throw new Error('Card not found');
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching card:', error);
+            throw error;
+        }
+    }
+
+    // Get one specific printing by Scryfall id
+    async getCardById(id) {
+        const response = await this.queue.fetch(`${this.baseURL}/cards/${encodeURIComponent(id)}`);
+        
+        if (!response.ok) {
+            throw new Error('Card not found');
+        }
+        
+        return await response.json();
+    }
+
+    /**
+     * Every printing of a card, oldest first - from offline card data when it has printings
+     * @param {Object} card - Any printing of the card
+     * @returns {Promise<Array>} Scryfall cards, one per printing
+     */
+    async getPrintings(card) {
+        const cacheKey = card.oracle_id || card.name;
+        if (this.printingsCache.has(cacheKey)) {
+            return this.printingsCache.get(cacheKey);
+        }
+
+        const printings = await this.lookupLocal('getPrintings', card.name) ||
+            await this.searchPrintings(card.oracle_id ? `oracleid:${card.oracle_id}` : `!"${card.name}"`);
+
+        this.printingsCache.set(cacheKey, printings);
+        return printings;
+    }
+
+    /**
+     * Load the printings of a whole list ahead of getPrintings
+     * Offline card data with printings answers without requests; the rest is fetched with one
+     * `unique=prints` search per group of cards (`oracleid:A or oracleid:B ...`)
+     * @param {Array} cards - Scryfall cards
+     */
+    async prefetchPrintings(cards) {
+        const remote = [];
+
+        for (const card of cards) {
+            if (!card?.oracle_id || this.printingsCache.has(card.oracle_id) || remote.includes(card.oracle_id)) continue;
+
+            const localPrintings = await this.lookupLocal('getPrintings', card.name);
+            if (localPrintings) {
+                this.printingsCache.set(card.oracle_id, localPrintings);
+            } else {
+                remote.push(card.oracle_id);
+            }
+        }
+
+        for (let i = 0; i < remote.length; i += this.printingsBatchSize) {
+            const batch = remote.slice(i, i + this.printingsBatchSize);
+
+            try {
+                const printings = await this.searchPrintings(batch.map(id => `oracleid:${id}`).join(' or '));
+                batch.forEach(id => {
+                    this.printingsCache.set(id, printings.filter(printing => printing.oracle_id === id));
+                });
+            } catch (error) {
+                // getPrintings still asks per card
+                console.error('Scryfall printings prefetch error:', error);
+            }
+        }
+
+        if (remote.length > 0) {
+            console.log(`📦 Prefetched printings of ${remote.length} cards in ${Math.ceil(remote.length / this.printingsBatchSize)} searches`);
+        }
+    }
+
+    // All `unique=prints` results of a search, oldest first (follows Scryfall's result pages)
+    async searchPrintings(query) {
+        let url = `${this.baseURL}/cards/search?q=${encodeURIComponent(query)}&unique=prints&order=released&dir=asc`;
+        const printings = [];
+
+        while (url) {
+            const response = await this.queue.fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not load printings for ${query} (HTTP ${response.status})`);
+            }
+
+            const data = await response.json();
+            printings.push(...(data.data || []));
+            url = data.has_more ? data.next_page : null;
+        }
+
+        return printings;
+    }
+
+    /**
+     * Resolve many card names with /cards/collection (75 identifiers per request)
+     * Names Scryfall reports as `not_found` (EDHREC spellings, punctuation) get one
+     * fuzzy lookup each; names that still fail map to null.
+     * With offline card data loaded, only names missing from it reach the API.
+     * @param {Array<string>} names - Card names
+     * @returns {Promise<Map>} Requested name -> Scryfall card or null
+     */
+    async getCardsByNames(names) {
+        const uniqueNames = [...new Set(names.filter(Boolean))];
+        const results = new Map();
+        const unresolved = [];
+        const remoteNames = [];
+
+        for (const name of uniqueNames) {
+            const localCard = await this.lookupLocal('getExact', name);
+            if (localCard) {
+                results.set(name, localCard);
+            } else {
+                remoteNames.push(name);
+            }
+        }
+
+        for (let i = 0; i < remoteNames.length; i += this.collectionBatchSize) {
+            const batch = remoteNames.slice(i, i + this.collectionBatchSize);
+
+            try {
+                const data = await this.fetchCollection(batch.map(name => ({ name })));
+
+                if (data.not_found?.length) {
+                    console.log(`🔍 Scryfall collection: ${data.not_found.length} of ${batch.length} names not found`);
+                }
+
+                batch.forEach(name => {
+                    const card = (data.data || []).find(candidate => this.cardMatchesName(candidate, name));
+                    if (card) {
+                        results.set(name, card);
+                    } else {
+                        unresolved.push(name);
+                    }
+                });
+            } catch (error) {
+                console.error('Scryfall collection error:', error);
+                unresolved.push(...batch);
+            }
+        }
+
+        for (const name of unresolved) {
+            try {
+                results.set(name, await this.getCardByName(name));
+            } catch (error) {
+                results.set(name, null);
+            }
+        }
+
+        return results;
+    }
+
+    async fetchCollection(identifiers) {
+        const response = await this.queue.fetch(`${this.baseURL}/cards/collection`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifiers })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Scryfall collection request failed (HTTP ${response.status})`);
+        }
+
+        return await response.json();
+    }
+
+    // Collection lookups match full names and single face names ("Delver of Secrets")
+    cardMatchesName(card, name) {
+        const wanted = name.toLowerCase();
+        if (card.name.toLowerCase() === wanted) return true;
+        return card.name.toLowerCase().split(' // ').includes(wanted) ||
+            (card.card_faces || []).some(face => face.name?.toLowerCase() === wanted);
+    }
+
+    /**
+     * Can this card lead a Commander deck?
+     * Uses Scryfall's Commander legality plus the command zone rules: a legendary creature
+     * (front face), "can be your commander" text, or a Background alongside a commander
+     * @param {Object} card - Scryfall card
+     * @returns {Object} `{eligible, banned, requiresPair, reason}`; banned cards also carry
+     *   `couldLead` - whether they'd be a commander if they weren't banned
+     */
+    getCommanderStatus(card) {
+        const legality = card.legalities?.commander;
+
+        if (legality === 'banned') {
+            const couldLead = this.getCommanderStatus({ ...card, legalities: {} }).eligible;
+            return { eligible: false, banned: true, couldLead, reason: `${card.name} is banned in Commander` };
+        }
+        if (legality === 'not_legal') {
+            return { eligible: false, banned: false, reason: `${card.name} is not legal in Commander` };
+        }
+
+        // Double-faced cards lead from their front face
+        const typeLine = card.card_faces?.[0]?.type_line || card.type_line || '';
+
+        if (/\bLegendary\b/i.test(typeLine) && /\bCreature\b/i.test(typeLine)) {
+            return { eligible: true, banned: false, requiresPair: false };
+        }
+        if (/can be your commander/i.test(this.getOracleText(card))) {
+            return { eligible: true, banned: false, requiresPair: false };
+        }
+        if (this.getPairingAbilities(card).some(ability => ability.type === 'background')) {
+            return {
+                eligible: true,
+                banned: false,
+                requiresPair: true,
+                reason: `${card.name} is a Background - pick a commander with "Choose a Background" to go with it`
+            };
+        }
+
+        return { eligible: false, banned: false, reason: `${card.name} can't be your commander` };
+    }
+
+    isCommanderLegal(card) {
+        return this.getCommanderStatus(card).eligible;
+    }
+
+    isBannedInCommander(card) {
+        return card?.legalities?.commander === 'banned';
+    }
+
+    // Oracle text of a card, including both faces of double-faced cards
+    getOracleText(card) {
+        if (card.oracle_text) return card.oracle_text;
+        if (card.card_faces) {
+            return card.card_faces.map(face => face.oracle_text || '').join('\n');
+        }
+        return '';
+    }
+
+    /**
+     * Read the abilities that let a commander share the command zone
+     * @param {Object} card - Scryfall card
+     * @returns {Array} `{type}` entries: partner, partner-with (+name), partner-group (+group),
+     *   friends-forever, choose-background, background, doctors-companion, doctor
+     */
+    getPairingAbilities(card) {
+        const abilities = [];
+        const typeLine = card.type_line || '';
+
+        this.getOracleText(card).split('\n').forEach(rawLine => {
+            // Drop reminder text: "Partner (You can have two commanders if both have partner.)"
+            const line = rawLine.replace(/\s*\(.*\)\s*$/, '').trim();
+            let match;
+
+            if ((match = line.match(/^Partner with (.+)$/i))) {
+                abilities.push({ type: 'partner-with', name: match[1].trim() });
+            } else if ((match = line.match(/^Partner\s*[—–-]\s*(.+)$/i))) {
+                abilities.push({ type: 'partner-group', group: match[1].trim().toLowerCase() });
+            } else if (/^Partner$/i.test(line)) {
+                abilities.push({ type: 'partner' });
+            } else if (/^Friends forever$/i.test(line)) {
+                abilities.push({ type: 'friends-forever' });
+            } else if (/^Choose a Background$/i.test(line)) {
+                abilities.push({ type: 'choose-background' });
+            } else if (/^Doctor['’]s companion$/i.test(line)) {
+                abilities.push({ type: 'doctors-companion' });
+            }
+        });
+
+        if (/legendary/i.test(typeLine) && /enchantment/i.test(typeLine) && /\bBackground\b/.test(typeLine)) {
+            abilities.push({ type: 'background' });
+        }
+        if (/\bTime Lord Doctor\b/.test(typeLine)) {
+            abilities.push({ type: 'doctor' });
+        }
+
+        return abilities;
+    }
+
+    canHavePairedCommander(card) {
+        return this.getPairingAbilities(card).length > 0;
+    }
+
+    /**
+     * Check whether two cards can be commanders together
+     * @param {Object} first - Scryfall card
+     * @param {Object} second - Scryfall card
+     * @returns {Object} `{valid, pairing, reason}` - pairing names the rule that allows it
+     */
+    validateCommanderPair(first, second) {
+        if (!first || !second) {
+            return { valid: false, reason: 'Two commanders are required' };
+        }
+        if (first.name === second.name) {
+            return { valid: false, reason: `${first.name} can't be paired with itself` };
+        }
+        for (const card of [first, second]) {
+            const status = this.getCommanderStatus(card);
+            if (!status.eligible) {
+                return { valid: false, reason: status.reason };
+            }
+        }
+
+        const a = this.getPairingAbilities(first);
+        const b = this.getPairingAbilities(second);
+        const has = (abilities, type) => abilities.some(ability => ability.type === type);
+        const namesPartner = (abilities, card) => abilities.some(ability =>
+            ability.type === 'partner-with' && ability.name.toLowerCase() === card.name.toLowerCase());
+
+        if (has(a, 'partner') && has(b, 'partner')) {
+            return { valid: true, pairing: 'Partner' };
+        }
+        if (namesPartner(a, second) || namesPartner(b, first)) {
+            return { valid: true, pairing: 'Partner with' };
+        }
+        const group = a.find(ability => ability.type === 'partner-group' &&
+            b.some(other => other.type === 'partner-group' && other.group === ability.group));
+        if (group) {
+            return { valid: true, pairing: `Partner—${group.group}` };
+        }
+        if (has(a, 'friends-forever') && has(b, 'friends-forever')) {
+            return { valid: true, pairing: 'Friends forever' };
+        }
+        if ((has(a, 'choose-background') && has(b, 'background')) ||
+            (has(b, 'choose-background') && has(a, 'background'))) {
+            return { valid: true, pairing: 'Choose a Background' };
+        }
+        if ((has(a, 'doctors-companion') && has(b, 'doctor')) ||
+            (has(b, 'doctors-companion') && has(a, 'doctor'))) {
+            return { valid: true, pairing: "Doctor's companion" };
+        }
+
+        return { valid: false, reason: `${first.name} and ${second.name} can't be commanders together` };
+    }
+
+    /**
+     * Find cards that can be paired with a commander
+     * The Scryfall query is a superset - every result is checked with validateCommanderPair
+     * @param {Object} card - Scryfall card of the first commander
+     * @returns {Promise<Array>} Valid partner cards sorted by name
+     */
+    async searchPairCandidates(card) {
+        const queries = this.getPairingAbilities(card).map(ability => {
+            switch (ability.type) {
+                case 'partner':
+                case 'partner-group':
+                    return 't:legendary o:partner';
+                case 'partner-with':
+                    return `!"${ability.name}"`;
+                case 'friends-forever':
+                    return 'o:"friends forever"';
+                case 'choose-background':
+                    return 't:background';
+                case 'background':
+                    return 'o:"choose a background"';
+                case 'doctors-companion':
+                    return 't:"time lord" t:doctor';
+                case 'doctor':
+                    return 'o:"doctor\'s companion"';
+                default:
+                    return null;
+            }
+        }).filter(Boolean);
+
+        if (queries.length === 0) return [];
+
+        const query = [...new Set(queries)].map(q => `(${q})`).join(' OR ');
+        let nextUrl = `${this.baseURL}/cards/search?q=${encodeURIComponent(query)}&unique=cards&order=name`;
+        const candidates = [];
+
+        // Follow pagination a few pages at most (175 cards per page)
+        for (let page = 0; nextUrl && page < 3; page++) {
+            const response = await this.queue.fetch(nextUrl);
+            if (!response.ok) {
+                if (response.status === 404) break; // Scryfall answers 404 for "no cards"
+                throw new Error(`Scryfall API error (HTTP ${response.status})`);
+            }
+
+            const data = await response.json();
+            candidates.push(...(data.data || []));
+            nextUrl = data.has_more ? data.next_page : null;
+        }
+
+        return candidates.filter(candidate => this.validateCommanderPair(card, candidate).valid);
+    }
+
+    // Format card data for display
+    formatCardData(card) {
+        return {
+            name: card.name,
+            mana_cost: card.mana_cost,
+            type_line: card.type_line,
+            oracle_text: card.oracle_text,
+            flavor_text: card.flavor_text,
+            power: card.power,
+            toughness: card.toughness,
+            loyalty: card.loyalty,
+            defense: card.defense,
+            colors: card.colors,
+            color_identity: card.color_identity,
+            legalities: card.legalities,
+            prices: card.prices,
+            image_uris: card.image_uris,
+            scryfall_uri: card.scryfall_uri
+        };
+    }
+}
+
+// Shared queue - every ScryfallAPI instance goes through the same rate limit
+window.scryfallQueue = new ScryfallRequestQueue();
+
+// Export for use in other modules
+window.ScryfallAPI = ScryfallAPI;
+window.ScryfallRequestQueue = ScryfallRequestQueue;
@@ -0,0 +1,124 @@
+// VERSION:2
+// Snapshot History - Dated copies of every freshly fetched EDHREC page (IndexedDB)
+// and section-by-section diffs between two snapshots
+class SnapshotHistory {
+	constructor() {
+		this.maxSnapshotsPerPage = 30;
+		this.store = new IDBStore('edhrec_retriever_history', 'snapshots', {
+			keyPath: 'id',
+			indexes: [{ name: 'key', keyPath: 'key' }]
+		});
+	}
+
+	/**
+	 * Store a snapshot of a parsed page
+	 * Only card sections are kept - metadata like `_themes` is not part of the history
+	 * @param {string} key - Page URL (commander slug + variant)
+	 * @param {Object} sections - Parsed sections from EDHRECExtractor
+	 */
+	async add(key, sections) {
+		if (!this.store.isAvailable()) return;
+
+		const cards = {};
+		Object.entries(sections).forEach(([sectionName, sectionCards]) => {
+			if (sectionName.startsWith('_') || !Array.isArray(sectionCards)) return;
+			cards[sectionName] = sectionCards.map(card => ({
+				name: card.name,
+				inclusion: card.inclusion,
+				...(card.synergy ? { synergy: card.synergy } : {})
+			}));
+		});
+
+		const takenAt = Date.now();
+
+		try {
+			await this.store.put({
+				id: `${key}|${takenAt}`,
+				key,
+				takenAt,
+				variant: sections._variant || '',
+				deckCount: sections._deckCount || null,
+				sections: cards
+			});
+			await this.prune(key);
+		} catch (error) {
+			console.warn('⚠️ Snapshot write failed:', error);
+		}
+	}
+
+	/**
+	 * All snapshots of a page, newest first
+	 * @param {string} key - Page URL
+	 * @returns {Promise<Array>} Snapshot records
+	 */
+	async list(key) {
+		if (!this.store.isAvailable()) return [];
+
+		try {
+			const snapshots = await this.store.getAllFromIndex('key', key);
+			return snapshots.sort((a, b) => b.takenAt - a.takenAt);
+		} catch (error) {
+			console.warn('⚠️ Snapshot read failed:', error);
+			return [];
+		}
+	}
+
+	async prune(key) {
+		const snapshots = await this.list(key);
+		for (const snapshot of snapshots.slice(this.maxSnapshotsPerPage)) {
+			await this.store.delete(snapshot.id);
+		}
+	}
+
+	async clear() {
+		await this.store.clear();
+	}
+
+	/**
+	 * Compare two snapshots section by section
+	 * @param {Object} older - Earlier snapshot
+	 * @param {Object} newer - Later snapshot
+	 * @returns {Object} `{from, to, sections: [{name, entered, left, changed}]}`;
+	 *   `changed` entries are `{name, from, to, delta}` in inclusion points, largest moves first
+	 */
+	diff(older, newer) {
+		// Snapshots stored before `_themes` was skipped still hold it
+		const sectionNames = [...new Set([
+			...Object.keys(newer.sections),
+			...Object.keys(older.sections)
+		])].filter(sectionName => !sectionName.startsWith('_'));
+
+		const sections = sectionNames.map(sectionName => {
+			const before = new Map((older.sections[sectionName] || []).map(card => [card.name, card]));
+			const after = new Map((newer.sections[sectionName] || []).map(card => [card.name, card]));
+
+			const entered = [...after.values()].filter(card => !before.has(card.name));
+			const left = [...before.values()].filter(card => !after.has(card.name));
+			const changed = [];
+
+			after.forEach((card, name) => {
+				if (!before.has(name)) return;
+
+				const from = parseFloat(before.get(name).inclusion) || 0;
+				const to = parseFloat(card.inclusion) || 0;
+				const delta = Math.round((to - from) * 10) / 10;
+
+				if (delta !== 0) {
+					changed.push({ name, from, to, delta });
+				}
+			});
+
+			changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+			return { name: sectionName, entered, left, changed };
+		}).filter(section => section.entered.length || section.left.length || section.changed.length);
+
+		return { from: older.takenAt, to: newer.takenAt, variant: newer.variant, sections };
+	}
+}
+
+// Create global instance
+window.snapshotHistory = new SnapshotHistory();
+
+// Export for use in other modules
+window.SnapshotHistory = SnapshotHistory;